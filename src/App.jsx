@@ -3,6 +3,19 @@ import { AnimatedLoading } from './animations/BreathingAnimations.jsx';
 import { ErrorBoundary, VisualizationErrorBoundary } from './components/ErrorBoundary.jsx';
 import SettingsScreen from './components/Settings/SettingsScreen.jsx';
 import TechniqueGuideSheet from './components/Technique/TechniqueGuideSheet.jsx';
+import CustomTechniqueEditor from './components/Technique/CustomTechniqueEditor.jsx';
+import CueTimelineEditor from './components/Technique/CueTimelineEditor.jsx';
+import SessionProgramEditor from './components/Program/SessionProgramEditor.jsx';
+import SessionHistorySheet from './components/History/SessionHistorySheet.jsx';
+import StatsDashboardSheet from './components/Stats/StatsDashboardSheet.jsx';
+import BackupImportSheet from './components/Settings/BackupImportSheet.jsx';
+import SessionGoalProgress from './components/Session/SessionGoalProgress.jsx';
+import SessionSummarySheet from './components/Session/SessionSummarySheet.jsx';
+import BackgroundPausePrompt from './components/Session/BackgroundPausePrompt.jsx';
+import OtherTabPrompt from './components/Session/OtherTabPrompt.jsx';
+import ResumeSessionPrompt from './components/Session/ResumeSessionPrompt.jsx';
+import AppUpdatePrompt from './components/Common/AppUpdatePrompt.jsx';
+import CommandPalette from './components/Common/CommandPalette.jsx';
 import VisualizationContainer from './components/Visualization/VisualizationContainer.jsx';
 import { useLocalization } from './contexts/LocalizationContext.jsx';
 import { useServices } from './contexts/ServicesContext.jsx';
@@ -11,10 +24,18 @@ import CustomDropdown from './components/Common/CustomDropdown.jsx';
 import {
   useAccessibility,
   useBreathingSession,
+  useCustomTechniques,
+  useKeyboardShortcuts,
   usePreferences,
+  useRegisterCommands,
+  useSessionPrograms,
+  useTabCoordination,
   useTechnique
 } from './hooks/index.js';
 import { techniqueRegistry } from './techniques/TechniqueRegistry.js';
+import { PAUSE_REASONS } from './services/TimerService.js';
+import { getTechniqueEntrainmentPreset } from './services/EntrainmentGenerator.js';
+import { generateTechniqueHapticPatterns } from './utils/hapticPatterns.js';
 import Logger from './utils/Logger.js';
 
 const SettingsIcon = () => (
@@ -72,7 +93,18 @@ const UI_LABEL_FALLBACKS = {
   errorLoadingTechnique: { en: 'Error loading technique', uk: 'Помилка завантаження техніки' },
   noTechniqueSelected: { en: 'No technique selected', uk: 'Техніка не обрана' },
   errorStartingSession: { en: 'Error starting session', uk: 'Помилка запуску сесії' },
-  sessionStopped: { en: 'Session stopped', uk: 'Сесію зупинено' }
+  sessionStopped: { en: 'Session stopped', uk: 'Сесію зупинено' },
+  sessionComplete: { en: 'Session complete', uk: 'Сесію завершено' },
+  programStage: { en: 'Stage', uk: 'Етап' },
+  undo: { en: 'Undo', uk: 'Скасувати' },
+  redo: { en: 'Redo', uk: 'Повторити' },
+  toggleSound: { en: 'Turn sound on or off', uk: 'Увімкнути або вимкнути звук' },
+  toggleVibration: { en: 'Turn vibration on or off', uk: 'Увімкнути або вимкнути вібрацію' },
+  commandPalette: { en: 'Command palette', uk: 'Палітра команд' },
+  commandGroupSession: { en: 'Session', uk: 'Сесія' },
+  commandGroupTechniques: { en: 'Techniques', uk: 'Техніки' },
+  commandGroupEdit: { en: 'Edit', uk: 'Редагування' },
+  commandGroupApp: { en: 'App', uk: 'Застосунок' }
 };
 
 export default function BreathingApp() {
@@ -81,29 +113,86 @@ export default function BreathingApp() {
   const { audioService } = services;
   const { setTheme } = useTheme();
   const currentColors = useThemeColors();
-  const { announce } = useAccessibility();
+  const { announce, prefersReducedMotion } = useAccessibility();
   const { currentTechnique } = useTechnique();
   const {
     start,
     stop,
+    pause,
+    resume,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
     changeTechnique,
+    dismissSummary,
     isRunning,
-    isPaused
+    isPaused,
+    sessionStats,
+    sessionSummary,
+    pendingCheckpoint,
+    resumeCheckpoint,
+    discardCheckpoint
   } = useBreathingSession();
 
   const [showSettings, setShowSettings] = useState(false);
+  const [showCommandPalette, setShowCommandPalette] = useState(false);
   const [showTechniqueGuide, setShowTechniqueGuide] = useState(false);
+  const [showCustomTechniques, setShowCustomTechniques] = useState(false);
+  const [showPrograms, setShowPrograms] = useState(false);
+  const [showCueTimeline, setShowCueTimeline] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showStats, setShowStats] = useState(false);
+  const [pendingBackup, setPendingBackup] = useState(null);
+  const [speechVoices, setSpeechVoices] = useState([]);
+  const [soundSamples, setSoundSamples] = useState([]);
+  const { customTechniques } = useCustomTechniques();
+  const { programs } = useSessionPrograms();
+  const { isOtherTabRunning } = useTabCoordination();
 
   const preferences = usePreferences();
   const {
     soundEnabled: soundOn = true,
+    soundStyle = 'beeps',
+    ambience = 'off',
+    ambienceVolume = 0.3,
+    entrainmentMode = 'off',
+    entrainmentPreset = 'technique',
+    entrainmentVolume = 0.5,
     vibrationEnabled: vibrateOn = false,
+    keepScreenOn = true,
+    backgroundBehavior = 'continue',
+    voiceGuidanceEnabled = false,
+    speechVoiceURI = '',
+    speechRate = 1,
+    speechPitch = 1,
     currentTheme: selectedThemeKey = 'dark',
     selectedTechniqueId = 'box4',
+    sessionGoal,
+    soundAssignments,
+    hapticProfile,
+    cueProfiles,
     setSoundEnabled,
+    setSoundStyle,
+    setAmbience,
+    setAmbienceVolume,
+    setEntrainmentMode,
+    setEntrainmentPreset,
+    setEntrainmentVolume,
     setVibrationEnabled,
+    setKeepScreenOn,
+    setBackgroundBehavior,
+    setVoiceGuidanceEnabled,
+    setSpeechVoice,
+    setSpeechRate,
+    setSpeechPitch,
     setCurrentTheme,
-    setSelectedTechniqueId
+    setSelectedTechniqueId,
+    setSessionGoal,
+    setSoundAssignment,
+    removeSoundAssignments,
+    setHapticProfile,
+    setCueProfile
   } = preferences || {};
 
   const resolvedTechnique = useMemo(() => {
@@ -127,12 +216,17 @@ export default function BreathingApp() {
     { value: 'sunset', label: t('sunset') },
     { value: 'purple', label: t('purple') }
   ]), [t]);
-  const techniqueOptions = useMemo(() => (
-    techniqueRegistry.getTechniqueMetadata().map((technique) => ({
+  const techniqueOptions = useMemo(() => {
+    // Custom techniques and programs are user-named, so they skip the translation lookup
+    const userNamedIds = new Set([...customTechniques, ...programs].map((technique) => technique.id));
+
+    return techniqueRegistry.getTechniqueMetadata().map((technique) => ({
       value: technique.id,
-      label: t(`techniques.${technique.id}.name`, { fallback: technique.name })
-    }))
-  ), [t]);
+      label: userNamedIds.has(technique.id)
+        ? technique.name
+        : t(`techniques.${technique.id}.name`, { fallback: technique.name })
+    }));
+  }, [t, customTechniques, programs]);
   const techniqueGuide = useMemo(() => {
     if (!resolvedTechnique) {
       return null;
@@ -150,7 +244,7 @@ export default function BreathingApp() {
       benefits: t(`techniques.${techniqueId}.benefits`, {
         fallback: resolvedTechnique.getBenefits?.() || ''
       }),
-      instructions: Array.isArray(instructions) ? instructions : []
+      instructions: Array.isArray(instructions) ? instructions : (resolvedTechnique.getInstructions?.() || [])
     };
   }, [resolvedTechnique, t, techniqueName]);
   const dropdownColors = useMemo(() => ({
@@ -176,6 +270,52 @@ export default function BreathingApp() {
     }
   }, [services, vibrateOn]);
 
+  useEffect(() => {
+    services?.audioService?.setAmbienceVolume?.(ambienceVolume);
+  }, [services, ambienceVolume]);
+
+  useEffect(() => {
+    services?.audioService?.setEntrainmentVolume?.(entrainmentVolume);
+  }, [services, entrainmentVolume]);
+
+  useEffect(() => {
+    services?.wakeLockService?.setEnabled(keepScreenOn);
+  }, [services, keepScreenOn]);
+
+  useEffect(() => {
+    services?.timerService?.setBackgroundPolicy(backgroundBehavior);
+  }, [services, backgroundBehavior]);
+
+  useEffect(() => {
+    const speechService = services?.speechService;
+    if (!speechService) return;
+    speechService.setLanguage(currentLanguage);
+    speechService.setPreferences({ voiceURI: speechVoiceURI, rate: speechRate, pitch: speechPitch });
+    speechService.setEnabled(voiceGuidanceEnabled);
+  }, [services, currentLanguage, voiceGuidanceEnabled, speechVoiceURI, speechRate, speechPitch]);
+
+  // Voices load asynchronously and differ per language
+  useEffect(() => {
+    const speechService = services?.speechService;
+    if (!speechService) return undefined;
+    const readVoices = () => setSpeechVoices(speechService.getVoices(currentLanguage));
+    readVoices();
+    return speechService.addVoicesListener(readVoices);
+  }, [services, currentLanguage]);
+
+  // Imported sound samples live in IndexedDB, outside the preferences
+  useEffect(() => {
+    const soundLibraryService = services?.soundLibraryService;
+    if (!soundLibraryService) return undefined;
+    const readSamples = () => {
+      soundLibraryService.listSamples()
+        .then(setSoundSamples)
+        .catch((error) => Logger.warn('component', 'Failed to list sound samples', error));
+    };
+    readSamples();
+    return soundLibraryService.addListener(readSamples);
+  }, [services]);
+
   const handleThemeChange = useCallback(async (themeKey) => {
     try {
       setCurrentTheme?.(themeKey);
@@ -198,6 +338,13 @@ export default function BreathingApp() {
     }
   }, [changeTechnique, setSelectedTechniqueId, stop]);
 
+  useEffect(() => {
+    // A deleted custom technique or program may still be the saved selection
+    if (selectedTechniqueId && !techniqueRegistry.hasTechnique(selectedTechniqueId)) {
+      handleTechniqueChange('box4');
+    }
+  }, [customTechniques, programs, handleTechniqueChange, selectedTechniqueId]);
+
   const handlePlayPause = useCallback(async () => {
     try {
       if (isSessionActive) {
@@ -248,9 +395,62 @@ export default function BreathingApp() {
     t
   ]);
 
+  const handleResumeCheckpoint = useCallback(async () => {
+    try {
+      if (soundOn && audioService) {
+        try {
+          await audioService.initialize();
+          audioService.ensureAudioContext?.();
+        } catch (error) {
+          Logger.warn('component', 'Audio warmup failed', error);
+        }
+      }
+
+      await resumeCheckpoint?.();
+      announce(t('sessionStarted'), 'polite');
+    } catch (error) {
+      Logger.error('component', 'Failed to resume session', error);
+      announce(
+        t('errorStartingSession', { fallback: UI_LABEL_FALLBACKS.errorStartingSession }),
+        'assertive'
+      );
+    }
+  }, [announce, audioService, resumeCheckpoint, soundOn, t]);
+
+  useEffect(() => {
+    if (sessionSummary) {
+      announce(t('sessionComplete', { fallback: UI_LABEL_FALLBACKS.sessionComplete }), 'polite');
+    }
+  }, [announce, sessionSummary, t]);
+
+  const programStage = sessionStats?.programStage || null;
+  const programStageLabel = useMemo(() => {
+    if (!programStage) {
+      return '';
+    }
+
+    const stageName = techniqueOptions.find((option) => option.value === programStage.techniqueId)?.label
+      || programStage.techniqueId;
+    const stageWord = t('programStage', { fallback: UI_LABEL_FALLBACKS.programStage });
+    return `${stageWord} ${programStage.index + 1}/${programStage.count}: ${stageName}`;
+  }, [programStage, techniqueOptions, t]);
+
+  useEffect(() => {
+    // The first stage starts with the session, which is announced on its own
+    if (programStage?.index > 0) {
+      announce(programStageLabel, 'assertive');
+    }
+  }, [announce, programStage?.index, programStageLabel]);
+
+  const handleRestartSession = useCallback(() => {
+    dismissSummary?.();
+    handlePlayPause();
+  }, [dismissSummary, handlePlayPause]);
+
   const handleSoundChange = useCallback((enabled) => {
-    setSoundEnabled?.(enabled);
+    // Enable the service first so a running session can start its breath sound
     services?.audioService?.setEnabled?.(enabled);
+    setSoundEnabled?.(enabled);
   }, [services, setSoundEnabled]);
 
   const handleVibrationChange = useCallback((enabled) => {
@@ -258,6 +458,99 @@ export default function BreathingApp() {
     services?.vibrationService?.setEnabled(enabled);
   }, [services, setVibrationEnabled]);
 
+  const handleKeepScreenOnChange = useCallback((enabled) => {
+    setKeepScreenOn?.(enabled);
+    services?.wakeLockService?.setEnabled(enabled);
+  }, [services, setKeepScreenOn]);
+
+  const handleVoiceGuidanceChange = useCallback((enabled) => {
+    setVoiceGuidanceEnabled?.(enabled);
+    services?.speechService?.setEnabled(enabled);
+  }, [services, setVoiceGuidanceEnabled]);
+
+  const handleSpeechPreview = useCallback(() => {
+    services?.speechService?.speak(t('inhale'), { force: true });
+  }, [services, t]);
+
+  const handleSoundImport = useCallback(async (file) => {
+    await services?.soundLibraryService?.importSample(file);
+  }, [services]);
+
+  const handleSoundRemove = useCallback(async (sampleId) => {
+    try {
+      removeSoundAssignments?.(sampleId);
+      await services?.soundLibraryService?.removeSample(sampleId);
+    } catch (error) {
+      Logger.error('component', 'Failed to delete sound sample', error);
+    }
+  }, [services, removeSoundAssignments]);
+
+  const handleSoundPreview = useCallback((sampleId) => {
+    services?.soundLibraryService?.previewSample(sampleId).catch((error) => {
+      Logger.warn('component', 'Failed to preview sound sample', error);
+    });
+  }, [services]);
+
+  const handleBackupExport = useCallback(() => {
+    services?.backupService?.downloadBackup();
+  }, [services]);
+
+  const handleBackupImport = useCallback(async (file) => {
+    const backup = await services?.backupService?.readFile(file);
+    setShowSettings(false);
+    setPendingBackup(backup);
+  }, [services]);
+
+  // Patterns the selected technique's phases get, drawn and felt in settings
+  const hapticPhases = useMemo(() => {
+    if (!resolvedTechnique) return [];
+    const patterns = generateTechniqueHapticPatterns(resolvedTechnique, hapticProfile);
+    return resolvedTechnique.getPhases()
+      .filter(phase => patterns[phase.key])
+      .map(phase => ({ key: phase.key, name: phase.name, pattern: patterns[phase.key] }));
+  }, [resolvedTechnique, hapticProfile]);
+
+  const handleHapticPreview = useCallback((phaseKey) => {
+    const vibrationService = services?.vibrationService;
+    if (!vibrationService || !resolvedTechnique) return;
+
+    vibrationService.registerTechniquePatterns(resolvedTechnique, hapticProfile);
+    vibrationService.playPhasePattern(resolvedTechnique.getId(), phaseKey).catch((error) => {
+      Logger.warn('component', 'Failed to preview phase vibration', error);
+    });
+  }, [services, resolvedTechnique, hapticProfile]);
+
+  // Programs are made of other techniques, so cue timelines belong to those
+  const canEditCueTimeline = !!resolvedTechnique && typeof resolvedTechnique.getStages !== 'function';
+
+  const handleEditCueTimeline = useCallback(() => {
+    // The technique's breath patterns are offered alongside the built-in ones
+    services?.vibrationService?.registerTechniquePatterns(resolvedTechnique, hapticProfile);
+    setShowSettings(false);
+    setShowCueTimeline(true);
+  }, [services, resolvedTechnique, hapticProfile]);
+
+  const handleCueProfileSave = useCallback((profile) => {
+    setCueProfile?.(resolvedTechnique.getId(), profile);
+    setShowCueTimeline(false);
+  }, [resolvedTechnique, setCueProfile]);
+
+  const handleCueProfileReset = useCallback(() => {
+    setCueProfile?.(resolvedTechnique.getId(), null);
+    setShowCueTimeline(false);
+  }, [resolvedTechnique, setCueProfile]);
+
+  const handleCuePreview = useCallback((profile, options) => (
+    services?.cueScheduler?.previewCycle(resolvedTechnique, profile, options).catch((error) => {
+      Logger.warn('component', 'Failed to preview cue timeline', error);
+      return false;
+    })
+  ), [services, resolvedTechnique]);
+
+  const handleCuePreviewStop = useCallback(() => {
+    services?.cueScheduler?.stopPreview();
+  }, [services]);
+
   const toggleSound = useCallback(() => {
     handleSoundChange(!soundOn);
   }, [handleSoundChange, soundOn]);
@@ -266,16 +559,82 @@ export default function BreathingApp() {
     handleVibrationChange(!vibrateOn);
   }, [handleVibrationChange, vibrateOn]);
 
-  const handleKeyDown = useCallback((event) => {
-    if (event.key === ' ') {
-      event.preventDefault();
-      handlePlayPause();
-    }
+  // Space pauses and resumes a running session instead of ending it like the play button
+  const handleStartPause = useCallback(() => {
+    if (isRunning) return pause?.();
+    if (isPaused) return resume?.();
+    return handlePlayPause();
+  }, [handlePlayPause, isPaused, isRunning, pause, resume]);
+
+  const label = useCallback(
+    (key) => t(key, { fallback: UI_LABEL_FALLBACKS[key] }),
+    [t]
+  );
 
-    if (event.key === 'Escape' && showSettings) {
+  const commands = useMemo(() => {
+    const sessionGroup = label('commandGroupSession');
+    const techniquesGroup = label('commandGroupTechniques');
+    const editGroup = label('commandGroupEdit');
+    const appGroup = label('commandGroupApp');
+    const sessionTitle = isRunning ? 'pauseSession' : isPaused ? 'resumeSession' : 'startSession';
+
+    return [
+      { id: 'session.startPause', title: t(sessionTitle), group: sessionGroup, shortcut: 'Space', run: handleStartPause },
+      ...(isSessionActive
+        ? [{ id: 'session.stop', title: t('stopSession'), group: sessionGroup, run: () => stop?.() }]
+        : []),
+      // Number keys pick the first nine techniques in picker order
+      ...techniqueOptions.map((option, index) => ({
+        id: `technique.${option.value}`,
+        title: option.label,
+        group: techniquesGroup,
+        shortcut: index < 9 ? String(index + 1) : undefined,
+        keywords: [t('technique')],
+        run: () => handleTechniqueChange(option.value)
+      })),
+      { id: 'edit.undo', title: label('undo'), group: editGroup, shortcut: 'Mod+Z', isEnabled: () => canUndo, run: () => undo?.() },
+      { id: 'edit.redo', title: label('redo'), group: editGroup, shortcut: 'Mod+Shift+Z', isEnabled: () => canRedo, run: () => redo?.() },
+      { id: 'app.settings', title: t('settings'), group: appGroup, run: () => setShowSettings(true) },
+      { id: 'app.history', title: t('sessionHistory'), group: appGroup, run: () => setShowHistory(true) },
+      { id: 'app.stats', title: t('statistics'), group: appGroup, run: () => setShowStats(true) },
+      { id: 'app.sound', title: label('toggleSound'), group: appGroup, keywords: [t('sound')], run: toggleSound },
+      { id: 'app.vibration', title: label('toggleVibration'), group: appGroup, keywords: [t('vibration')], run: toggleVibration },
+      {
+        id: 'app.commandPalette',
+        title: label('commandPalette'),
+        group: appGroup,
+        shortcut: 'Mod+K',
+        global: true,
+        run: () => setShowCommandPalette((isOpen) => !isOpen)
+      }
+    ];
+  }, [
+    canRedo,
+    canUndo,
+    handleStartPause,
+    handleTechniqueChange,
+    isPaused,
+    isRunning,
+    isSessionActive,
+    label,
+    redo,
+    stop,
+    t,
+    techniqueOptions,
+    toggleSound,
+    toggleVibration,
+    undo
+  ]);
+
+  useRegisterCommands(commands);
+  useKeyboardShortcuts();
+
+  const handleKeyDown = useCallback((event) => {
+    // The palette closes itself on Escape
+    if (event.key === 'Escape' && showSettings && !showCommandPalette) {
       setShowSettings(false);
     }
-  }, [handlePlayPause, showSettings]);
+  }, [showCommandPalette, showSettings]);
 
   useEffect(() => {
     document.addEventListener('keydown', handleKeyDown);
@@ -353,6 +712,14 @@ export default function BreathingApp() {
             <VisualizationContainer />
           </VisualizationErrorBoundary>
 
+          {isSessionActive && programStageLabel ? (
+            <div className="session-goal" aria-hidden="true">{programStageLabel}</div>
+          ) : null}
+
+          {isSessionActive ? (
+            <SessionGoalProgress stats={sessionStats} prefersReducedMotion={prefersReducedMotion} />
+          ) : null}
+
           <footer className="breathing-shell__footer">
             <button
               type="button"
@@ -401,11 +768,168 @@ export default function BreathingApp() {
             onLanguageChange={changeLanguage}
             soundOn={soundOn}
             onSoundChange={handleSoundChange}
+            soundStyle={soundStyle}
+            onSoundStyleChange={setSoundStyle}
+            soundSamples={soundSamples}
+            soundAssignments={soundAssignments}
+            onSoundImport={services?.soundLibraryService ? handleSoundImport : undefined}
+            onSoundRemove={handleSoundRemove}
+            onSoundPreview={handleSoundPreview}
+            onSoundAssign={setSoundAssignment}
+            ambience={ambience}
+            onAmbienceChange={setAmbience}
+            ambienceVolume={ambienceVolume}
+            onAmbienceVolumeChange={setAmbienceVolume}
+            entrainmentMode={entrainmentMode}
+            onEntrainmentModeChange={setEntrainmentMode}
+            entrainmentPreset={entrainmentPreset}
+            techniqueEntrainmentPreset={getTechniqueEntrainmentPreset(resolvedTechnique)}
+            onEntrainmentPresetChange={setEntrainmentPreset}
+            entrainmentVolume={entrainmentVolume}
+            onEntrainmentVolumeChange={setEntrainmentVolume}
             vibrateOn={vibrateOn}
             onVibrationChange={handleVibrationChange}
+            hapticProfile={hapticProfile}
+            hapticPhases={hapticPhases}
+            onHapticProfileChange={setHapticProfile}
+            onHapticPreview={handleHapticPreview}
+            onEditCueTimeline={canEditCueTimeline ? handleEditCueTimeline : undefined}
+            keepScreenOn={keepScreenOn}
+            keepScreenOnSupported={services?.wakeLockService?.getSupported() ?? false}
+            onKeepScreenOnChange={handleKeepScreenOnChange}
+            backgroundBehavior={backgroundBehavior}
+            onBackgroundBehaviorChange={setBackgroundBehavior}
+            voiceGuidanceOn={voiceGuidanceEnabled}
+            voiceGuidanceAvailable={speechVoices.length > 0}
+            onVoiceGuidanceChange={handleVoiceGuidanceChange}
+            speechVoices={speechVoices}
+            speechVoiceURI={speechVoiceURI}
+            onSpeechVoiceChange={setSpeechVoice}
+            speechRate={speechRate}
+            onSpeechRateChange={setSpeechRate}
+            speechPitch={speechPitch}
+            onSpeechPitchChange={setSpeechPitch}
+            onSpeechPreview={handleSpeechPreview}
+            onManageCustomTechniques={() => {
+              setShowSettings(false);
+              setShowCustomTechniques(true);
+            }}
+            onManagePrograms={() => {
+              setShowSettings(false);
+              setShowPrograms(true);
+            }}
+            onShowHistory={() => {
+              setShowSettings(false);
+              setShowHistory(true);
+            }}
+            onShowStats={() => {
+              setShowSettings(false);
+              setShowStats(true);
+            }}
+            onBackupExport={services?.backupService ? handleBackupExport : undefined}
+            onBackupImport={services?.backupService ? handleBackupImport : undefined}
+            showSync={Boolean(services?.syncService)}
+            showEncryption={Boolean(services?.storageAdapter)}
+            sessionGoal={sessionGoal}
+            onSessionGoalChange={setSessionGoal}
+          />
+        ) : null}
+
+        {showCustomTechniques ? (
+          <CustomTechniqueEditor
+            onClose={() => setShowCustomTechniques(false)}
+            onSaved={handleTechniqueChange}
+          />
+        ) : null}
+
+        {showCueTimeline && canEditCueTimeline ? (
+          <CueTimelineEditor
+            technique={resolvedTechnique}
+            techniqueName={techniqueName}
+            cueProfile={cueProfiles?.[resolvedTechnique.getId()] || null}
+            patterns={services?.vibrationService?.getAllPatterns() || {}}
+            onSave={handleCueProfileSave}
+            onReset={handleCueProfileReset}
+            onPreview={handleCuePreview}
+            onStopPreview={handleCuePreviewStop}
+            onClose={() => setShowCueTimeline(false)}
+          />
+        ) : null}
+
+        {showPrograms ? (
+          <SessionProgramEditor
+            techniqueOptions={techniqueOptions}
+            onClose={() => setShowPrograms(false)}
+            onSaved={handleTechniqueChange}
           />
         ) : null}
 
+        {showHistory ? (
+          <SessionHistorySheet
+            techniqueOptions={techniqueOptions}
+            onClose={() => setShowHistory(false)}
+          />
+        ) : null}
+
+        {showStats ? (
+          <StatsDashboardSheet
+            techniqueOptions={techniqueOptions}
+            onClose={() => setShowStats(false)}
+          />
+        ) : null}
+
+        {showCommandPalette ? (
+          <CommandPalette onClose={() => setShowCommandPalette(false)} />
+        ) : null}
+
+        {pendingBackup ? (
+          <BackupImportSheet
+            backup={pendingBackup}
+            onClose={() => setPendingBackup(null)}
+          />
+        ) : null}
+
+        {sessionSummary ? (
+          <SessionSummarySheet
+            summary={sessionSummary}
+            techniqueName={techniqueName}
+            onClose={() => dismissSummary?.()}
+            onRestart={handleRestartSession}
+          />
+        ) : null}
+
+        {isPaused && sessionStats?.pauseReason === PAUSE_REASONS.BACKGROUND ? (
+          <BackgroundPausePrompt
+            onResume={() => resume?.()}
+            onEnd={() => stop?.()}
+          />
+        ) : null}
+
+        {isPaused && sessionStats?.pauseReason === PAUSE_REASONS.OTHER_TAB ? (
+          <OtherTabPrompt
+            isPausedHere
+            onTakeOver={() => resume?.()}
+            onEnd={() => stop?.()}
+          />
+        ) : null}
+
+        {pendingCheckpoint && !isSessionActive ? (
+          <ResumeSessionPrompt
+            techniqueName={techniqueOptions.find((option) => option.value === pendingCheckpoint.techniqueId)?.label
+              || pendingCheckpoint.techniqueId}
+            elapsedSeconds={pendingCheckpoint.elapsedSeconds}
+            onResume={handleResumeCheckpoint}
+            onDiscard={() => discardCheckpoint?.()}
+          />
+        ) : null}
+
+        {!isSessionActive && isOtherTabRunning ? (
+          <OtherTabPrompt onTakeOver={handlePlayPause} />
+        ) : null}
+
+        {/* Reloading mid-session would cut the breathing short, so updates wait until it ends */}
+        {!isSessionActive && !isOtherTabRunning ? <AppUpdatePrompt /> : null}
+
         {showTechniqueGuide && techniqueGuide ? (
           <TechniqueGuideSheet
             title={techniqueGuide.title}
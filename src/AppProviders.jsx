@@ -8,22 +8,39 @@ import { ServicesProvider } from './contexts/ServicesContext.jsx';
 import { BreathingProvider } from './contexts/BreathingContext.jsx';
 import { ThemeProvider } from './contexts/ThemeContext.jsx';
 import { LocalizationProvider } from './contexts/LocalizationContext.jsx';
+import UnlockScreen from './components/Common/UnlockScreen.jsx';
 import Logger from './utils/Logger.js';
 
 // Import services
 import { AudioService } from './services/AudioService.js';
 import { VibrationService } from './services/VibrationService.js';
-import { ThemeService } from './services/ThemeService.js';
+import { WakeLockService } from './services/WakeLockService.js';
+import { SpeechService } from './services/SpeechService.js';
+import { SoundLibraryService } from './services/SoundLibraryService.js';
+import { ThemeService, THEME_STORAGE_KEYS } from './services/ThemeService.js';
 import { StorageService } from './services/StorageService.js';
 import { TimerService } from './services/TimerService.js';
+import { CueScheduler } from './services/CueScheduler.js';
+import { CustomTechniqueService } from './services/CustomTechniqueService.js';
+import { SessionHistoryService } from './services/SessionHistoryService.js';
+import { SessionProgramService } from './services/SessionProgramService.js';
+import { SessionCheckpointService } from './services/SessionCheckpointService.js';
+import { ServiceWorkerService } from './services/ServiceWorkerService.js';
+import { BackupService } from './services/BackupService.js';
+import { SyncService } from './services/SyncService.js';
+import { TabCoordinationService } from './services/TabCoordinationService.js';
+import { CUSTOM_TECHNIQUES_STORAGE_KEY } from './services/CustomTechniqueService.js';
+import { SESSION_HISTORY_STORAGE_KEY } from './services/SessionHistoryService.js';
 
 // Import adapters
 import { LocalStorageAdapter } from './adapters/LocalStorageAdapter.js';
+import { IndexedDBAdapter } from './adapters/IndexedDBAdapter.js';
+import { EncryptedStorageAdapter } from './adapters/EncryptedStorageAdapter.js';
 
 // Import state managers
 import { AppStateManager } from './state/AppStateManager.js';
 import { BreathingSessionState } from './state/BreathingSessionState.js';
-import { UserPreferencesState } from './state/UserPreferencesState.js';
+import { UserPreferencesState, PREFERENCES_STORAGE_KEY, pickPreferences } from './state/UserPreferencesState.js';
 
 // Import strategy managers
 import { visualizationStrategyManager } from './strategies/visualization/VisualizationStrategy.js';
@@ -31,6 +48,7 @@ import { themeStrategyManager } from './strategies/theme/ThemeStrategy.js';
 
 // Import command invoker
 import { commandInvoker } from './commands/Command.js';
+import { CommandRegistry } from './commands/CommandRegistry.js';
 
 // Import error handler
 import { errorHandler } from './errors/ErrorHandler.js';
@@ -39,28 +57,74 @@ import { errorHandler } from './errors/ErrorHandler.js';
  * Create and configure all services
  */
 const createServices = () => {
-  // Create storage adapter
-  const storageAdapter = new LocalStorageAdapter();
+  // Create storage adapter; IndexedDB moves existing localStorage data over on first run
+  const baseStorageAdapter = IndexedDBAdapter.isSupported() ? new IndexedDBAdapter() : new LocalStorageAdapter();
+  // Encryption is opt-in; the theme stays readable so the unlock screen can be styled
+  const storageAdapter = new EncryptedStorageAdapter(baseStorageAdapter, { plaintextKeys: THEME_STORAGE_KEYS });
   
   // Create services with dependencies
   const audioService = new AudioService();
   const vibrationService = new VibrationService();
+  const wakeLockService = new WakeLockService();
+  const speechService = new SpeechService();
+  const soundLibraryService = new SoundLibraryService({ audioService });
   const themeService = new ThemeService(storageAdapter);
   const storageService = new StorageService(storageAdapter);
   const timerService = new TimerService();
+  const cueScheduler = new CueScheduler({ audioService, timerService, vibrationService });
+  const customTechniqueService = new CustomTechniqueService(storageService);
+  const sessionHistoryService = new SessionHistoryService(storageService);
+  const sessionProgramService = new SessionProgramService(storageService);
+  const sessionCheckpointService = new SessionCheckpointService(storageService);
+  const serviceWorkerService = new ServiceWorkerService();
   
   // Create state managers
-  const appStateManager = new AppStateManager();
+  const appStateManager = new AppStateManager(serviceWorkerService);
   const sessionState = new BreathingSessionState();
-  const preferencesState = new UserPreferencesState();
+  const preferencesState = new UserPreferencesState(storageService);
+  const backupService = new BackupService({
+    preferencesState,
+    customTechniqueService,
+    sessionProgramService,
+    sessionHistoryService
+  });
+  // Pulled values go through the owning services so their in-memory state follows
+  const syncService = new SyncService({
+    storageService,
+    selectors: {
+      [PREFERENCES_STORAGE_KEY]: pickPreferences
+    },
+    appliers: {
+      [PREFERENCES_STORAGE_KEY]: async (preferences) => {
+        preferencesState.updatePreferences(pickPreferences(preferencesState.normalizePreferences(preferences)));
+      },
+      [CUSTOM_TECHNIQUES_STORAGE_KEY]: (definitions) => customTechniqueService.applyTechniques(definitions),
+      [SESSION_HISTORY_STORAGE_KEY]: (sessions) => sessionHistoryService.importSessions(sessions, { replace: true })
+    }
+  });
+  const tabCoordinationService = new TabCoordinationService({ preferencesState });
+  const commandRegistry = new CommandRegistry();
   
   return {
     // Core services
     audioService,
     vibrationService,
+    wakeLockService,
+    speechService,
+    soundLibraryService,
     themeService,
     storageService,
+    storageAdapter,
     timerService,
+    cueScheduler,
+    customTechniqueService,
+    sessionHistoryService,
+    sessionProgramService,
+    sessionCheckpointService,
+    serviceWorkerService,
+    backupService,
+    syncService,
+    tabCoordinationService,
     
     // State managers
     appStateManager,
@@ -71,8 +135,9 @@ const createServices = () => {
     visualizationStrategyManager,
     themeStrategyManager,
     
-    // Command invoker
+    // Command invoker and the commands reachable from the keyboard
     commandInvoker,
+    commandRegistry,
     
     // Error handler
     errorHandler
@@ -87,24 +152,68 @@ export const AppProviders = ({ children }) => {
   // Memoize services to ensure they're only created once
   const services = React.useMemo(() => createServices(), []);
   const [isInitialized, setIsInitialized] = React.useState(false);
+  const [isLocked, setIsLocked] = React.useState(false);
 
   // Initialize preferences state
+  const initializePreferences = React.useCallback(async () => {
+    try {
+      Logger.debug('Initializing preferences state...');
+      await services.preferencesState.initialize();
+      Logger.debug('Preferences state initialized successfully');
+      Logger.debug('Loaded theme:', services.preferencesState.getCurrentTheme());
+      await services.customTechniqueService.initialize().catch((error) => {
+        Logger.warn('Failed to load custom techniques:', error);
+      });
+      // Programs refer to built-in and custom techniques, so they load after them
+      await services.sessionProgramService.initialize().catch((error) => {
+        Logger.warn('Failed to load session programs:', error);
+      });
+      await services.sessionHistoryService.initialize().catch((error) => {
+        Logger.warn('Failed to load session history:', error);
+      });
+      // Sync starts once local data is loaded; it runs in the background
+      await services.syncService.initialize().catch((error) => {
+        Logger.warn('Failed to initialize sync:', error);
+      });
+      // Other tabs are told about preference changes from here on
+      services.tabCoordinationService.initialize();
+      // Online status and the offline/update lifecycle are tracked by the app state
+      await services.appStateManager.initialize().catch((error) => {
+        Logger.warn('Failed to initialize app state:', error);
+      });
+      services.serviceWorkerService.register();
+      setIsInitialized(true);
+    } catch (error) {
+      Logger.warn('Failed to initialize preferences:', error);
+      setIsInitialized(true); // Still render the app even if initialization fails
+    }
+  }, [services]);
+
+  // Encrypted data has to be unlocked before anything can load
   React.useEffect(() => {
-    const initializePreferences = async () => {
-      try {
-        Logger.debug('Initializing preferences state...');
-        await services.preferencesState.initialize();
-        Logger.debug('Preferences state initialized successfully');
-        Logger.debug('Loaded theme:', services.preferencesState.getCurrentTheme());
-        setIsInitialized(true);
-      } catch (error) {
-        Logger.warn('Failed to initialize preferences:', error);
-        setIsInitialized(true); // Still render the app even if initialization fails
+    const start = async () => {
+      await services.storageAdapter.load().catch((error) => {
+        Logger.warn('Failed to read encryption settings:', error);
+      });
+      if (services.storageAdapter.isLocked()) {
+        setIsLocked(true);
+        return;
       }
+      initializePreferences();
     };
-    
+
+    start();
+  }, [services, initializePreferences]);
+
+  const handleUnlock = React.useCallback(async (passphrase) => {
+    await services.storageAdapter.unlock(passphrase);
+    setIsLocked(false);
     initializePreferences();
-  }, [services]);
+  }, [services, initializePreferences]);
+
+  if (isLocked) {
+    return <UnlockScreen onUnlock={handleUnlock} />;
+  }
 
   // Show loading state while initializing
   if (!isInitialized) {
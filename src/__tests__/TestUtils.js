@@ -210,6 +210,26 @@ export class TestUtils {
     };
   }
 
+  /**
+   * Create a StorageService stand-in that keeps values in memory
+   * @param {object} initial - Stored values by key
+   * @returns {object} - Storage service with its backing Map as `store`
+   */
+  static createMemoryStorageService(initial = {}) {
+    const store = new Map(Object.entries(initial));
+
+    return {
+      store,
+      get: vi.fn(async (key, defaultValue = null) => (store.has(key) ? store.get(key) : defaultValue)),
+      set: vi.fn(async (key, value) => {
+        store.set(key, value);
+      }),
+      remove: vi.fn(async (key) => {
+        store.delete(key);
+      })
+    };
+  }
+
   /**
    * Wait for async operations to complete
    * @param {number} ms - Milliseconds to wait
@@ -284,6 +304,69 @@ export class TestUtils {
     };
   }
 
+  /**
+   * Create a mock AudioParam that records scheduled changes
+   * @param {number} value - Initial value
+   * @returns {object} - Mock AudioParam
+   */
+  static createMockAudioParam(value) {
+    return {
+      value,
+      setValueAtTime: vi.fn(),
+      linearRampToValueAtTime: vi.fn(),
+      cancelScheduledValues: vi.fn(),
+      cancelAndHoldAtTime: vi.fn()
+    };
+  }
+
+  /**
+   * Create a mock audio node; connect returns its target so calls can be chained
+   * @param {object} props - Node properties, e.g. its params
+   * @returns {object} - Mock audio node
+   */
+  static createMockAudioNode(props = {}) {
+    return {
+      ...props,
+      connect: vi.fn((target) => target),
+      disconnect: vi.fn()
+    };
+  }
+
+  /**
+   * Create a mock AudioContext whose factory methods build mock nodes
+   * @param {object} overrides - Override default values, e.g. currentTime
+   * @returns {object} - Mock AudioContext
+   */
+  static createMockAudioContext(overrides = {}) {
+    const param = TestUtils.createMockAudioParam;
+    const node = TestUtils.createMockAudioNode;
+
+    return {
+      currentTime: 0,
+      sampleRate: 100,
+      state: 'running',
+      destination: {},
+      resume: vi.fn(async () => undefined),
+      close: vi.fn(),
+      createGain: vi.fn(() => node({ gain: param(1) })),
+      createOscillator: vi.fn(() => node({
+        frequency: param(440),
+        start: vi.fn(),
+        stop: vi.fn(),
+        setPeriodicWave: vi.fn()
+      })),
+      createBiquadFilter: vi.fn(() => node({ frequency: param(350), Q: param(1) })),
+      createBufferSource: vi.fn(() => node({ start: vi.fn(), stop: vi.fn() })),
+      createBuffer: vi.fn((channels, length) => {
+        const data = new Float32Array(length);
+        return { length, getChannelData: () => data };
+      }),
+      createChannelMerger: vi.fn(() => node()),
+      createPeriodicWave: vi.fn(() => ({})),
+      ...overrides
+    };
+  }
+
   /**
    * Mock Vibration API
    * @returns {object} - Mock Vibration API
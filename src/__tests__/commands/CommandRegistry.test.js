@@ -0,0 +1,114 @@
+import { afterEach, describe, expect, test, vi } from 'vitest';
+import {
+  CommandRegistry,
+  formatShortcut,
+  matchesShortcut
+} from '../../commands/CommandRegistry.js';
+
+// Presses a key on an element, with the registry listening on the document like the app does
+const press = (registry, target, init) => {
+  const event = new KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init });
+  const listener = (received) => registry.handleKeyDown(received);
+  document.addEventListener('keydown', listener);
+  target.dispatchEvent(event);
+  document.removeEventListener('keydown', listener);
+  return event;
+};
+
+describe('CommandRegistry', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('matches shortcuts by physical key with exact modifiers', () => {
+    const keyZ = { key: 'z', code: 'KeyZ' };
+
+    expect(matchesShortcut({ ...keyZ, ctrlKey: true }, 'Mod+Z')).toBe(true);
+    expect(matchesShortcut({ ...keyZ, metaKey: true }, 'Mod+Z')).toBe(true);
+    // Ukrainian layout: same key, different character
+    expect(matchesShortcut({ key: 'я', code: 'KeyZ', ctrlKey: true }, 'Mod+Z')).toBe(true);
+    expect(matchesShortcut({ key: 'Z', code: 'KeyZ', ctrlKey: true, shiftKey: true }, 'Mod+Z')).toBe(false);
+    expect(matchesShortcut({ key: 'Z', code: 'KeyZ', ctrlKey: true, shiftKey: true }, 'Mod+Shift+Z')).toBe(true);
+    expect(matchesShortcut({ key: ' ', code: 'Space' }, 'Space')).toBe(true);
+    expect(matchesShortcut({ key: '3', code: 'Digit3' }, '3')).toBe(true);
+    expect(matchesShortcut({ key: 'ArrowRight', code: 'ArrowRight' }, 'ArrowRight')).toBe(true);
+
+    expect(formatShortcut('Mod+Shift+Z', true)).toBe('⇧⌘Z');
+    expect(formatShortcut('Mod+Shift+Z', false)).toBe('Ctrl+Shift+Z');
+    expect(formatShortcut('ArrowLeft', false)).toBe('←');
+  });
+
+  test('runs the command of a pressed shortcut unless the page needs the key', () => {
+    const registry = new CommandRegistry();
+    const toggle = vi.fn();
+    const palette = vi.fn();
+    registry.register([
+      { id: 'session.startPause', title: 'Start session', shortcut: 'Space', run: toggle },
+      { id: 'app.commandPalette', title: 'Command palette', shortcut: 'Mod+K', global: true, run: palette }
+    ]);
+    document.body.innerHTML = '<input id="field" /><button id="button" type="button">Go</button>';
+
+    const event = press(registry, document.body, { key: ' ', code: 'Space' });
+    expect(toggle).toHaveBeenCalledTimes(1);
+    expect(event.defaultPrevented).toBe(true);
+
+    // Typing, a focused button and an open dialog keep the key
+    press(registry, document.getElementById('field'), { key: ' ', code: 'Space' });
+    press(registry, document.getElementById('button'), { key: ' ', code: 'Space' });
+    document.body.insertAdjacentHTML('beforeend', '<div role="dialog" aria-modal="true"></div>');
+    press(registry, document.body, { key: ' ', code: 'Space' });
+    expect(toggle).toHaveBeenCalledTimes(1);
+
+    // Global commands run anyway
+    press(registry, document.getElementById('field'), { key: 'k', code: 'KeyK', metaKey: true });
+    expect(palette).toHaveBeenCalledTimes(1);
+  });
+
+  test('skips disabled commands and keys a component already handled', () => {
+    const registry = new CommandRegistry();
+    const undo = vi.fn();
+    const next = vi.fn();
+    let canUndo = false;
+    registry.register([
+      { id: 'edit.undo', title: 'Undo', shortcut: 'Mod+Z', isEnabled: () => canUndo, run: undo },
+      { id: 'visualization.next', title: 'Next mode', shortcut: 'ArrowRight', run: next }
+    ]);
+    document.body.innerHTML = '<div id="marker" tabindex="0"></div>';
+    const marker = document.getElementById('marker');
+    marker.addEventListener('keydown', event => event.preventDefault());
+
+    const event = press(registry, document.body, { key: 'z', code: 'KeyZ', ctrlKey: true });
+    expect(undo).not.toHaveBeenCalled();
+    expect(event.defaultPrevented).toBe(false);
+
+    canUndo = true;
+    press(registry, document.body, { key: 'z', code: 'KeyZ', ctrlKey: true });
+    expect(undo).toHaveBeenCalledTimes(1);
+
+    press(registry, marker, { key: 'ArrowRight', code: 'ArrowRight' });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('lists and searches commands while their owners are mounted', () => {
+    const registry = new CommandRegistry();
+    const listener = vi.fn();
+    registry.addListener(listener);
+
+    const unregisterModes = registry.register([
+      { id: 'visualization.next', title: 'Next mode', group: 'Visualization', run: vi.fn() }
+    ]);
+    const first = { id: 'technique.box4', title: 'Box Breathing', group: 'Techniques', keywords: ['technique'], run: vi.fn() };
+    const unregisterFirst = registry.register(first);
+    // Re-registering an ID replaces the command; the older unregister leaves the newer one
+    registry.register({ ...first, title: 'Box breathing 4-4-4-4' });
+    unregisterFirst();
+
+    expect(registry.search('box 4-4').map(command => command.title)).toEqual(['Box breathing 4-4-4-4']);
+    expect(registry.search('visualization').map(command => command.id)).toEqual(['visualization.next']);
+    expect(registry.search('').length).toBe(2);
+
+    unregisterModes();
+    expect(registry.getCommands().map(command => command.id)).toEqual(['technique.box4']);
+    expect(listener).toHaveBeenCalledTimes(5);
+  });
+});
@@ -0,0 +1,61 @@
+import React from 'react';
+import { act, render, waitFor } from '@testing-library/react';
+import { describe, expect, test, vi } from 'vitest';
+import { BreathingProvider } from '../../contexts/BreathingContext.jsx';
+import { TimerService } from '../../services/TimerService.js';
+import { BreathingSessionState } from '../../state/BreathingSessionState.js';
+import { UserPreferencesState } from '../../state/UserPreferencesState.js';
+import { CommandInvoker } from '../../commands/Command.js';
+
+const contextMocks = vi.hoisted(() => ({ services: {} }));
+
+vi.mock('../../contexts/ServicesContext.jsx', () => ({
+  useServices: () => contextMocks.services
+}));
+
+vi.mock('../../contexts/LocalizationContext.jsx', () => ({
+  useLocalization: () => ({ t: (key, { fallback } = {}) => fallback || key })
+}));
+
+describe('BreathingProvider', () => {
+  test('does not speak or vibrate for steps the timer catches up on', async () => {
+    const preferencesState = new UserPreferencesState();
+    preferencesState.updatePreferences({ soundEnabled: true, vibrationEnabled: true });
+    const timerService = new TimerService();
+    const sessionState = new BreathingSessionState();
+    const speechService = { getEnabled: () => true, speak: vi.fn() };
+    const vibrationService = { vibrate: vi.fn() };
+    contextMocks.services = {
+      sessionState,
+      timerService,
+      commandInvoker: new CommandInvoker(),
+      speechService,
+      vibrationService,
+      preferencesState
+    };
+
+    render(<BreathingProvider><div /></BreathingProvider>);
+    await waitFor(() => expect(timerService.technique?.getId()).toBe('box4'));
+
+    const update = (currentTime, isCatchUp) => act(() => {
+      timerService.notifyListeners('update', {
+        currentTime,
+        currentPhase: timerService.technique.getCurrentPhase(currentTime),
+        cycleIndex: 0,
+        isCatchUp
+      });
+    });
+
+    // Back in the tab after a few seconds away
+    update(1, true);
+    update(2, true);
+    update(3, true);
+    expect(sessionState.state.elapsedSeconds).toBe(3);
+    expect(speechService.speak).not.toHaveBeenCalled();
+    expect(vibrationService.vibrate).not.toHaveBeenCalled();
+
+    update(4, false);
+    expect(speechService.speak).toHaveBeenCalledTimes(1);
+    expect(vibrationService.vibrate).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, expect, test } from 'vitest';
+import { AnalyticsEnhancedTechnique } from '../../decorators/AnalyticsEnhancedTechnique.js';
+import { BoxBreathingTechnique } from '../../techniques/BoxBreathingTechnique.js';
+import { SessionHistoryService } from '../../services/SessionHistoryService.js';
+import { TechniqueError } from '../../errors/AppError.js';
+import { TestUtils } from '../TestUtils.js';
+
+const NOW = new Date(2025, 5, 15, 12, 0, 0).getTime();
+
+describe('AnalyticsEnhancedTechnique', () => {
+  test('derives usage metrics from recorded session history', async () => {
+    const historySource = new SessionHistoryService(TestUtils.createMemoryStorageService(), { now: () => NOW });
+    await historySource.initialize();
+    const technique = new AnalyticsEnhancedTechnique(new BoxBreathingTechnique(), { historySource });
+
+    expect(technique.getMetrics()).toMatchObject({ totalSessions: 0, totalDuration: 0, successRate: 1 });
+
+    await historySource.recordSession({ techniqueId: 'box4', startTime: NOW - 600000, endTime: NOW - 300000, activeMs: 240000 });
+    await historySource.recordSession({ techniqueId: 'box4', startTime: NOW - 120000, endTime: NOW, activeMs: 120000 });
+    await historySource.recordSession({ techniqueId: 'relax478', startTime: NOW - 60000, endTime: NOW, activeMs: 60000 });
+    technique.trackError({ type: 'audio', message: 'Playback failed' });
+
+    expect(technique.getMetrics()).toEqual({
+      totalSessions: 2,
+      totalDuration: 360000,
+      averageSessionDuration: 180000,
+      lastUsed: new Date(NOW).toISOString(),
+      errorCount: 1,
+      successRate: 0.5
+    });
+  });
+
+  test('requires a history source', () => {
+    expect(() => new AnalyticsEnhancedTechnique(new BoxBreathingTechnique())).toThrow(TechniqueError);
+  });
+});
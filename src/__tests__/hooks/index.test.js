@@ -44,6 +44,9 @@ describe('custom hooks', () => {
       getSessionStats: vi.fn(() => ({ cyclesCompleted: 0 })),
       getSessionProgress: vi.fn(() => 0),
       getCycleProgress: vi.fn(() => 0),
+      getGoalProgress: vi.fn(() => 0),
+      getSessionSummary: vi.fn(() => null),
+      dismissSessionSummary: vi.fn(),
       startSession: vi.fn(),
       pauseSession: vi.fn(),
       resumeSession: vi.fn(),
@@ -0,0 +1,57 @@
+import { describe, expect, test } from 'vitest';
+import {
+  AmbienceGenerator,
+  AMBIENCE_TYPES,
+  getTechniqueRootFrequency
+} from '../../services/AmbienceGenerator.js';
+import { TestUtils } from '../TestUtils.js';
+
+const createContext = () => TestUtils.createMockAudioContext({ currentTime: 3, sampleRate: 400 });
+
+describe('AmbienceGenerator', () => {
+  test('renders each noise loop once and starts it silent', () => {
+    const context = createContext();
+    const generator = new AmbienceGenerator(context);
+
+    const brown = generator.createLayer(AMBIENCE_TYPES.BROWN);
+    generator.createLayer(AMBIENCE_TYPES.BROWN);
+    expect(context.createBuffer).toHaveBeenCalledTimes(1);
+    expect(brown.output.gain.value).toBe(0);
+
+    const samples = generator.getBuffer(AMBIENCE_TYPES.BROWN).getChannelData(0);
+    // Drift is removed so the loop joins without a jump
+    expect(samples[samples.length - 1]).toBeCloseTo(samples[0], 6);
+    expect(samples.some(sample => sample !== 0)).toBe(true);
+    expect(samples.every(sample => Math.abs(sample) <= 1)).toBe(true);
+
+    const rain = generator.createLayer(AMBIENCE_TYPES.RAIN);
+    expect(context.createBiquadFilter).toHaveBeenCalledTimes(2);
+    rain.stop(5);
+    const source = context.createBufferSource.mock.results[2].value;
+    expect(source.loop).toBe(true);
+    expect(source.start).toHaveBeenCalledWith(3);
+    expect(source.stop).toHaveBeenCalledWith(5);
+  });
+
+  test('plays drones on the root, fifth and octave', () => {
+    const context = createContext();
+    const layer = new AmbienceGenerator(context).createLayer(AMBIENCE_TYPES.DRONE, { rootFrequency: 82.41 });
+    const frequencies = context.createOscillator.mock.results.map(result => result.value.frequency.value);
+
+    expect(layer.rootFrequency).toBe(82.41);
+    expect(frequencies).toEqual(expect.arrayContaining([82.41, 82.41 * 1.5, 82.41 * 2]));
+    expect(() => new AmbienceGenerator(context).createLayer('wind')).toThrow('Unknown ambience type');
+  });
+
+  test('derives a drone key from the technique', () => {
+    const withRoot = { getAudioConfig: () => ({ rootFrequency: 440 }) };
+    const withTones = { getCustomTones: () => ({ exhale: { frequency: 330 } }) };
+    const plain = { getId: () => 'box4' };
+
+    expect(getTechniqueRootFrequency(withRoot)).toBe(55);
+    expect(getTechniqueRootFrequency(withTones)).toBe(82.5);
+    expect(getTechniqueRootFrequency(plain)).toBe(getTechniqueRootFrequency({ getId: () => 'box4' }));
+    expect(getTechniqueRootFrequency(plain)).toBeGreaterThanOrEqual(55);
+    expect(getTechniqueRootFrequency(plain)).toBeLessThan(110);
+  });
+});
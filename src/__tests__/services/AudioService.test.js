@@ -1,5 +1,6 @@
 import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
-import { AudioService } from '../../services/AudioService.js';
+import { AudioService, ENTRAINMENT_MAX_GAIN } from '../../services/AudioService.js';
+import { TestUtils } from '../TestUtils.js';
 
 describe('AudioService', () => {
   let audioService;
@@ -108,3 +109,134 @@ describe('AudioService', () => {
     expect(audioService.getVolume()).toBe(0);
   });
 });
+
+describe('AudioService breath guide', () => {
+  let audioService;
+  let context;
+
+  const lastRamp = (param) => param.linearRampToValueAtTime.mock.calls.at(-1);
+
+  beforeEach(() => {
+    context = TestUtils.createMockAudioContext({ currentTime: 10 });
+
+    Object.defineProperty(window, 'AudioContext', {
+      writable: true,
+      value: vi.fn(function AudioContextMock() {
+        return context;
+      })
+    });
+
+    audioService = new AudioService();
+  });
+
+  test('keeps one graph running and ramps pitch with the breath level', async () => {
+    await expect(audioService.startBreathGuide('tone')).resolves.toBe(true);
+    await audioService.startBreathGuide('tone');
+
+    expect(context.createOscillator).toHaveBeenCalledTimes(1);
+    const { source, fade } = audioService.breathGuide;
+    expect(source.start).toHaveBeenCalledWith(10);
+    // Fades in from silence
+    expect(fade.gain.setValueAtTime).toHaveBeenCalledWith(0, 10);
+
+    audioService.setBreathLevel(1, 1);
+    expect(source.frequency.cancelAndHoldAtTime).toHaveBeenCalledWith(10);
+    expect(lastRamp(source.frequency)).toEqual([392, 11]);
+
+    audioService.setBreathLevel(0, 1);
+    expect(lastRamp(source.frequency)).toEqual([196, 11]);
+    expect(audioService.getCapabilities().breathGuide).toEqual({ style: 'tone', level: 0, isPaused: false });
+  });
+
+  test('fades out on pause and back in on resume without restarting the source', async () => {
+    await audioService.startBreathGuide('noise');
+    const { source, filter, fade } = audioService.breathGuide;
+    expect(source.loop).toBe(true);
+
+    audioService.setBreathLevel(1, 2);
+    expect(lastRamp(filter.frequency)).toEqual([2200, 12]);
+
+    audioService.pauseBreathGuide();
+    expect(lastRamp(fade.gain)[0]).toBe(0);
+    expect(lastRamp(fade.gain)[1]).toBeGreaterThan(10);
+
+    audioService.resumeBreathGuide();
+    expect(lastRamp(fade.gain)[0]).toBeGreaterThan(0);
+    expect(source.stop).not.toHaveBeenCalled();
+    expect(context.createBufferSource).toHaveBeenCalledTimes(1);
+
+    audioService.stopBreathGuide();
+    expect(lastRamp(fade.gain)[0]).toBe(0);
+    expect(source.stop.mock.calls[0][0]).toBeGreaterThan(10);
+    expect(audioService.isBreathGuideActive()).toBe(false);
+  });
+
+  test('mixes ambience on its own bus and crossfades between soundscapes', async () => {
+    await audioService.startAmbience('pink', { fadeSeconds: 2 });
+    const pink = audioService.ambience;
+    expect(pink.output.connect).toHaveBeenCalledWith(audioService.ambienceNode);
+    expect(lastRamp(pink.output.gain)).toEqual([1, 12]);
+
+    audioService.setVolume(0.5);
+    audioService.setAmbienceVolume(0.8);
+    expect(audioService.gainNode.gain.value).toBe(0.5);
+    expect(lastRamp(audioService.ambienceNode.gain)[0]).toBe(0.8);
+
+    await audioService.startAmbience('rain', { fadeSeconds: 2 });
+    expect(audioService.getAmbienceType()).toBe('rain');
+    expect(lastRamp(pink.output.gain)).toEqual([0, 12]);
+    expect(lastRamp(audioService.ambience.output.gain)).toEqual([1, 12]);
+
+    audioService.stopAmbience();
+    expect(audioService.getCapabilities()).toMatchObject({ ambience: null, ambienceVolume: 0.8 });
+  });
+
+  test('caps entrainment loudness and reports when headphones are needed', async () => {
+    await audioService.startEntrainment('binaural', 'theta');
+    expect(audioService.getEntrainment()).toEqual({
+      mode: 'binaural',
+      carrier: 180,
+      beat: 6,
+      requiresHeadphones: true
+    });
+
+    audioService.setEntrainmentVolume(5);
+    expect(audioService.getEntrainmentVolume()).toBe(1);
+    expect(lastRamp(audioService.entrainmentNode.gain)[0]).toBe(ENTRAINMENT_MAX_GAIN);
+
+    // Same frequencies keep the playing layer
+    await audioService.startEntrainment('binaural', { carrier: 180, beat: 6 });
+    expect(context.createChannelMerger).toHaveBeenCalledTimes(1);
+
+    audioService.stopEntrainment();
+    expect(audioService.getEntrainment()).toBeNull();
+  });
+
+  test('does not start when sound is off or the style is unknown', async () => {
+    audioService.setEnabled(false);
+    await expect(audioService.startBreathGuide('tone')).resolves.toBe(false);
+
+    audioService.setEnabled(true);
+    await expect(audioService.startBreathGuide('chirp')).rejects.toThrow('Unknown breath guide style');
+    expect(context.createOscillator).not.toHaveBeenCalled();
+  });
+
+  test('schedules cue chords on the audio clock and cancels the ones still pending', async () => {
+    await audioService.initialize();
+
+    expect(audioService.scheduleCue({ frequency: 400, duration: 0.1, volume: 0.3, chord: [1, 1.5] }, 12)).toBe(true);
+    expect(audioService.scheduleCue({ frequency: 600, duration: 0.1, volume: 0.3, pattern: 'double' }, 9)).toBe(true);
+
+    const oscillators = context.createOscillator.mock.results.map(result => result.value);
+    expect(oscillators.map(osc => osc.frequency.value)).toEqual([400, 600, 600, 600]);
+    // Cues that are already due play right away
+    expect(oscillators.map(osc => osc.start.mock.calls[0][0])).toEqual([12, 12, 10, 10.15]);
+
+    context.currentTime = 10.1;
+    audioService.cancelScheduledCues();
+    // Stopped without a time, so the pending voices never sound
+    expect(oscillators[0].stop).toHaveBeenLastCalledWith();
+    expect(oscillators[3].stop).toHaveBeenLastCalledWith();
+    expect(oscillators[2].stop).toHaveBeenLastCalledWith(10.1);
+  });
+});
@@ -0,0 +1,187 @@
+import { describe, expect, test } from 'vitest';
+import {
+  BackupService,
+  BACKUP_FORMAT,
+  BACKUP_IMPORT_MODES,
+  BACKUP_VERSION
+} from '../../services/BackupService.js';
+import { CustomTechniqueService } from '../../services/CustomTechniqueService.js';
+import { SessionProgramService } from '../../services/SessionProgramService.js';
+import { SessionHistoryService } from '../../services/SessionHistoryService.js';
+import { UserPreferencesState } from '../../state/UserPreferencesState.js';
+import { TechniqueRegistry } from '../../techniques/TechniqueRegistry.js';
+import { ValidationError } from '../../errors/AppError.js';
+import { TestUtils } from '../TestUtils.js';
+
+const NOW = new Date('2026-03-10T12:00:00Z').getTime();
+
+// Everything one device stores, with a registry of its own
+const createDevice = async () => {
+  const storageService = TestUtils.createMemoryStorageService();
+  const registry = new TechniqueRegistry();
+  const preferencesState = new UserPreferencesState(storageService);
+  const customTechniqueService = new CustomTechniqueService(storageService, registry);
+  const sessionProgramService = new SessionProgramService(storageService, registry);
+  const sessionHistoryService = new SessionHistoryService(storageService, { now: () => NOW });
+
+  await customTechniqueService.initialize();
+  await sessionProgramService.initialize();
+  await sessionHistoryService.initialize();
+
+  const backupService = new BackupService({
+    preferencesState,
+    customTechniqueService,
+    sessionProgramService,
+    sessionHistoryService,
+    now: () => NOW
+  });
+
+  return { registry, preferencesState, customTechniqueService, sessionProgramService, sessionHistoryService, backupService };
+};
+
+const createTechnique = (name, duration = 4) => ({
+  name,
+  phases: [
+    { key: 'inhale', name: 'Inhale', duration },
+    { key: 'exhale', name: 'Exhale', duration: duration + 2 }
+  ]
+});
+
+const createSession = (id, techniqueId, minutesAgo) => ({
+  id,
+  techniqueId,
+  startTime: NOW - minutesAgo * 60000,
+  endTime: NOW - (minutesAgo - 5) * 60000,
+  activeMs: 300000,
+  cyclesCompleted: 30
+});
+
+describe('BackupService', () => {
+  test('exports everything a device stores as versioned JSON', async () => {
+    const device = await createDevice();
+    const technique = await device.customTechniqueService.saveTechnique(createTechnique('Evening'));
+    await device.sessionProgramService.saveProgram({
+      name: 'Wind-down',
+      stages: [{ techniqueId: technique.id, minutes: 3 }, { techniqueId: 'box4', minutes: 2 }]
+    });
+    await device.sessionHistoryService.recordSession(createSession('s1', technique.id, 60));
+    device.preferencesState.setSoundVolume(0.8);
+
+    const backup = device.backupService.createBackup();
+
+    expect(backup).toMatchObject({ format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: NOW });
+    expect(backup.data.preferences.soundVolume).toBe(0.8);
+    expect(backup.data.preferences).not.toHaveProperty('showSettings');
+    expect(backup.data.customTechniques.map(entry => entry.name)).toEqual(['Evening']);
+    expect(backup.data.programs.map(entry => entry.name)).toContain('Wind-down');
+    expect(backup.data.sessions.map(entry => entry.id)).toEqual(['s1']);
+    expect(device.backupService.getFilename(backup)).toBe('breathing-backup-2026-03-10.json');
+
+    // Survives the trip through a file
+    expect(device.backupService.parseBackup(JSON.stringify(backup)).data).toEqual(backup.data);
+  });
+
+  test('previews and merges a backup into another device', async () => {
+    const source = await createDevice();
+    const evening = await source.customTechniqueService.saveTechnique(createTechnique('Evening'));
+    await source.sessionProgramService.saveProgram({
+      name: 'Wind-down',
+      stages: [{ techniqueId: evening.id, minutes: 3 }]
+    });
+    await source.sessionHistoryService.recordSession(createSession('s1', evening.id, 60));
+    await source.sessionHistoryService.recordSession(createSession('shared', 'box4', 30));
+    source.preferencesState.setSoundVolume(0.8);
+    const file = JSON.stringify(source.backupService.createBackup());
+
+    const target = await createDevice();
+    await target.customTechniqueService.saveTechnique(createTechnique('Morning', 5));
+    await target.sessionHistoryService.recordSession(createSession('shared', 'box4', 30));
+    await target.sessionHistoryService.recordSession(createSession('local', 'box4', 120));
+
+    const backup = target.backupService.parseBackup(file);
+    const merge = target.backupService.previewImport(backup, BACKUP_IMPORT_MODES.MERGE);
+    expect(merge.preferences.changed).toEqual(['soundVolume']);
+    expect(merge.customTechniques).toEqual({ added: ['Evening'], updated: [], removed: [] });
+    expect(merge.programs.added).toEqual(['Wind-down']);
+    expect(merge.sessions).toEqual({ added: 1, updated: 0, removed: 0 });
+
+    const replace = target.backupService.previewImport(backup, BACKUP_IMPORT_MODES.REPLACE);
+    expect(replace.customTechniques.removed).toEqual(['Morning']);
+    expect(replace.sessions.removed).toBe(1);
+
+    const result = await target.backupService.importBackup(backup, BACKUP_IMPORT_MODES.MERGE);
+    expect(result.customTechniques).toEqual({ imported: 1, skipped: 0 });
+    expect(target.customTechniqueService.getCustomTechniques().map(technique => technique.name).sort())
+      .toEqual(['Evening', 'Morning']);
+    // The program's stage resolves against the imported technique
+    expect(target.registry.getTechnique(target.sessionProgramService.getPrograms().at(-1).id).getStages()[0].techniqueId)
+      .toBe(evening.id);
+    expect(target.sessionHistoryService.getSessions().map(session => session.id).sort())
+      .toEqual(['local', 's1', 'shared']);
+    expect(target.preferencesState.getState().soundVolume).toBe(0.8);
+  });
+
+  test('merges an older backup into compacted history without counting sessions twice', async () => {
+    // Two sessions on a day that has since been compacted on this device
+    const originals = [createSession('a', 'box4', 60 * 24 * 60), createSession('b', 'box4', 60 * 24 * 60 - 10)];
+    const backup = (await createDevice()).backupService.parseBackup(JSON.stringify({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: NOW - 59 * 24 * 60 * 60000,
+      data: { sessions: [...originals, createSession('c', 'box4', 30)] }
+    }));
+
+    const target = await createDevice();
+    await target.sessionHistoryService.importSessions(originals);
+    expect(target.sessionHistoryService.getSessions()).toEqual([
+      expect.objectContaining({ compacted: true, sessionCount: 2, activeMs: 600000 })
+    ]);
+
+    expect(target.backupService.previewImport(backup, BACKUP_IMPORT_MODES.MERGE).sessions)
+      .toEqual({ added: 1, updated: 0, removed: 0 });
+
+    await target.backupService.importBackup(backup, BACKUP_IMPORT_MODES.MERGE);
+    expect(target.sessionHistoryService.getSessions()).toEqual([
+      expect.objectContaining({ id: 'c', sessionCount: 1 }),
+      expect.objectContaining({ compacted: true, sessionCount: 2, activeMs: 600000, cyclesCompleted: 60 })
+    ]);
+  });
+
+  test('replace drops what the backup does not have', async () => {
+    const source = await createDevice();
+    await source.sessionHistoryService.recordSession(createSession('s1', 'box4', 60));
+    const backup = source.backupService.parseBackup(JSON.stringify(source.backupService.createBackup()));
+
+    const target = await createDevice();
+    const morning = await target.customTechniqueService.saveTechnique(createTechnique('Morning', 5));
+    await target.sessionHistoryService.recordSession(createSession('local', 'box4', 120));
+
+    await target.backupService.importBackup(backup, BACKUP_IMPORT_MODES.REPLACE);
+
+    expect(target.customTechniqueService.getCustomTechniques()).toEqual([]);
+    expect(target.registry.hasTechnique(morning.id)).toBe(false);
+    expect(target.sessionHistoryService.getSessions().map(session => session.id)).toEqual(['s1']);
+  });
+
+  test('rejects files that are not valid backups', async () => {
+    const { backupService } = await createDevice();
+    const reasonOf = (text) => {
+      try {
+        backupService.parseBackup(text);
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        return error.context.reason;
+      }
+      return null;
+    };
+
+    expect(reasonOf('{not json')).toBe('json');
+    expect(reasonOf(JSON.stringify({ format: 'other', version: 1, data: {} }))).toBe('format');
+    expect(reasonOf(JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION + 1, data: {} }))).toBe('version');
+    expect(reasonOf(JSON.stringify({ format: BACKUP_FORMAT, version: 1, data: { sessions: {} } }))).toBe('schema');
+    expect(reasonOf(JSON.stringify({ format: BACKUP_FORMAT, version: 1, data: {} }))).toBeNull();
+
+    await expect(backupService.readFile({ size: 0, text: async () => '' }))
+      .rejects.toMatchObject({ context: { reason: 'size' } });
+  });
+});
@@ -0,0 +1,201 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { CueScheduler, CUE_KINDS, createDefaultCueProfile, getCueProfile } from '../../services/CueScheduler.js';
+import { TimerService } from '../../services/TimerService.js';
+import { BoxBreathingTechnique } from '../../techniques/BoxBreathingTechnique.js';
+import { AudioEnhancedTechnique } from '../../decorators/AudioEnhancedTechnique.js';
+import { SESSION_GOAL_TYPES } from '../../utils/sessionGoal.js';
+import { CUE_TRACKS, locateCycleTime } from '../../utils/cueProfiles.js';
+
+// Audio clock starts at 10s so session and audio times are easy to tell apart
+const AUDIO_START = 10;
+
+describe('CueScheduler', () => {
+  let now;
+  let wallNow;
+  let context;
+  let audioService;
+  let timerService;
+  let scheduler;
+
+  // Move both the session clock and the audio clock forward
+  const advance = (seconds) => {
+    now += seconds * 1000;
+    wallNow += seconds * 1000;
+    context.currentTime += seconds;
+  };
+  const scheduled = () => audioService.scheduleCue.mock.calls.map(([sound, when]) => ({
+    frequency: sound.frequency,
+    when: Math.round(when * 1000) / 1000
+  }));
+
+  const startSession = (technique, goal = null) => {
+    timerService.setTechnique(technique);
+    timerService.setGoal(goal);
+    timerService.start();
+    scheduler.start();
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    now = 0;
+    wallNow = 0;
+    context = { currentTime: AUDIO_START };
+    audioService = {
+      ensureAudioContext: vi.fn(() => context),
+      scheduleCue: vi.fn(() => true),
+      cancelScheduledCues: vi.fn()
+    };
+    timerService = new TimerService(() => now, () => wallNow);
+    scheduler = new CueScheduler({ audioService, timerService, lookaheadSeconds: 1.5 });
+  });
+
+  afterEach(() => {
+    scheduler.dispose();
+    timerService.dispose();
+    vi.useRealTimers();
+  });
+
+  test('schedules the classic ticks ahead, with the warning on the last second', () => {
+    startSession(new BoxBreathingTechnique());
+
+    expect(scheduled()).toEqual([
+      { frequency: 440, when: 10 },
+      { frequency: 440, when: 11 }
+    ]);
+
+    // Each pass tops up the lookahead; every cue is scheduled once, at its exact time
+    advance(0.9);
+    scheduler.schedule();
+    advance(0.9);
+    scheduler.schedule();
+    expect(scheduled().slice(2)).toEqual([
+      { frequency: 440, when: 12 },
+      { frequency: 600, when: 13 }
+    ]);
+  });
+
+  test('plays phase start tones, the transition chord and the cycle cue of enhanced techniques', () => {
+    const technique = new AudioEnhancedTechnique(new BoxBreathingTechnique(), { beepFrequency: 700 });
+    const profile = getCueProfile(technique);
+    expect(profile.phaseStart('hold2').frequency).toBe(800);
+    expect(profile.transition.chord).toEqual([1, 1.25, 1.5]);
+
+    startSession(technique);
+    expect(audioService.scheduleCue.mock.calls[0][0].frequency).toBe(600);
+
+    const cuesAt = (seconds) => scheduler.getCues(seconds, seconds + 0.5).map(cue => cue.kind);
+    expect(cuesAt(0)).toEqual([CUE_KINDS.PHASE_START]);
+    expect(cuesAt(1)).toEqual([CUE_KINDS.TICK]);
+    expect(cuesAt(3)).toEqual([CUE_KINDS.WARNING]);
+    expect(cuesAt(4)).toEqual([CUE_KINDS.TRANSITION, CUE_KINDS.PHASE_START]);
+    expect(cuesAt(16)).toEqual([CUE_KINDS.CYCLE_COMPLETE, CUE_KINDS.PHASE_START]);
+
+    technique.setAudioEnabled(false);
+    expect(scheduler.getCues(0, 16)).toEqual([]);
+  });
+
+  test('stops at the cycle boundary where the session goal is met', () => {
+    startSession(new BoxBreathingTechnique(), { type: SESSION_GOAL_TYPES.CYCLES, value: 1 });
+
+    const times = scheduler.getCues(14, 18).map(cue => cue.time);
+    expect(times).toEqual([14, 15]);
+  });
+
+  test('re-anchors after drift and does not repeat cues after a resume', () => {
+    startSession(new BoxBreathingTechnique());
+    advance(0.6);
+    scheduler.schedule();
+    expect(scheduled().map(cue => cue.when)).toEqual([10, 11, 12]);
+
+    // The audio clock fell 0.2s behind the session
+    context.currentTime -= 0.2;
+    scheduler.sync({});
+    expect(audioService.cancelScheduledCues).toHaveBeenCalled();
+    expect(scheduled().slice(3).map(cue => cue.when)).toEqual([10.8, 11.8]);
+
+    timerService.pause();
+    scheduler.stop();
+    advance(0.5);
+    timerService.resume();
+    audioService.scheduleCue.mockClear();
+    scheduler.start();
+    // Resumed at session time 0.6, now audio time 10.9; the first cue is not played again
+    expect(scheduled().map(cue => cue.when)).toEqual([11.3, 12.3]);
+  });
+
+  test('plays imported samples in the slots they are assigned to', () => {
+    const bell = { duration: 1 };
+    scheduler.setSampleResolver(() => ({ hold: bell }));
+    startSession(new BoxBreathingTechnique());
+
+    const [holdStart, tick] = scheduler.getCues(4, 6);
+    expect(holdStart).toMatchObject({ kind: CUE_KINDS.PHASE_START, sound: { buffer: bell } });
+    expect(tick.sound.frequency).toBe(440);
+    // The second hold of box breathing shares the sample
+    expect(scheduler.getCues(12, 12.5)[0].sound.buffer).toBe(bell);
+  });
+
+  test('plays the markers of a cue profile on the sound and vibration tracks', async () => {
+    const vibrationService = { playPattern: vi.fn(async () => undefined) };
+    scheduler = new CueScheduler({ audioService, timerService, vibrationService, lookaheadSeconds: 1.5 });
+    scheduler.setShouldVibrate(() => true);
+    scheduler.setCueProfileResolver(() => ({
+      audio: [{ phaseIndex: 1, offset: 0.5, sound: 'tick' }, { phaseIndex: 0, offset: 0.25, sound: 'phaseStart' }],
+      // Box breathing has four phases, so a fifth never plays
+      haptic: [{ phaseIndex: 0, offset: 0, pattern: 'short' }, { phaseIndex: 4, offset: 0, pattern: 'long' }]
+    }));
+    startSession(new BoxBreathingTechnique());
+
+    const cues = scheduler.getCues(0, 17).map(({ time, track, sound, pattern }) => ({
+      time,
+      track,
+      value: track === CUE_TRACKS.AUDIO ? sound.frequency : pattern
+    }));
+    expect(cues).toEqual([
+      { time: 0, track: CUE_TRACKS.HAPTIC, value: 'short' },
+      // A plain technique has no phase tone, so the marker plays a stand-in
+      { time: 1, track: CUE_TRACKS.AUDIO, value: 523.25 },
+      { time: 6, track: CUE_TRACKS.AUDIO, value: 440 },
+      { time: 16, track: CUE_TRACKS.HAPTIC, value: 'short' }
+    ]);
+
+    // Sounds go on the audio clock, vibrations wait on timers
+    expect(scheduled()).toEqual([{ frequency: 523.25, when: 11 }]);
+    await vi.advanceTimersByTimeAsync(0);
+    expect(vibrationService.playPattern).toHaveBeenCalledWith('short');
+  });
+
+  test('starts the timeline editor from the built-in cues', () => {
+    const technique = new AudioEnhancedTechnique(new BoxBreathingTechnique(), { beepFrequency: 700 });
+    startSession(technique);
+    const builtIn = scheduler.getCues(0, 16).map(({ time, sound }) => ({ time, sound }));
+
+    const profile = createDefaultCueProfile(technique);
+    scheduler.setCueProfileResolver(() => profile);
+    const sounds = scheduler.getCues(0, 16).filter(cue => cue.track === CUE_TRACKS.AUDIO);
+    expect(sounds.map(({ time, sound }) => ({ time, sound }))).toEqual(builtIn);
+    expect(profile.haptic.filter(marker => marker.pattern === 'medium')).toHaveLength(4);
+
+    // Dragging to a cycle time finds the phase and the fraction of it
+    expect(locateCycleTime(9, [4, 4, 4, 4])).toEqual({ phaseIndex: 2, offset: 0.25 });
+  });
+
+  test('previews one cycle from a point in it', async () => {
+    audioService.initialize = vi.fn(async () => undefined);
+    const profile = { audio: [{ phaseIndex: 0, offset: 0, sound: 'tick' }, { phaseIndex: 2, offset: 0, sound: 'warning' }] };
+
+    await expect(scheduler.previewCycle(new BoxBreathingTechnique(), profile, { from: 8 })).resolves.toBe(true);
+    expect(scheduled()).toEqual([{ frequency: 600, when: 10.1 }]);
+
+    // Previews never play over a running session
+    startSession(new BoxBreathingTechnique());
+    await expect(scheduler.previewCycle(new BoxBreathingTechnique(), profile)).resolves.toBe(false);
+  });
+
+  test('skips cues while they should not play', () => {
+    scheduler.setShouldPlay(() => false);
+    startSession(new BoxBreathingTechnique());
+
+    expect(audioService.scheduleCue).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,128 @@
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+import {
+  CustomTechniqueService,
+  CUSTOM_TECHNIQUES_STORAGE_KEY
+} from '../../services/CustomTechniqueService.js';
+import { TechniqueRegistry } from '../../techniques/TechniqueRegistry.js';
+import { ValidationError } from '../../errors/AppError.js';
+import { TestUtils } from '../TestUtils.js';
+
+const createDefinition = (overrides = {}) => ({
+  name: 'Evening Wind-down',
+  phases: [
+    { key: 'inhale', name: 'Inhale', duration: 4 },
+    { key: 'hold1', name: 'Hold', duration: 4 },
+    { key: 'exhale', name: 'Exhale', duration: 6 },
+    { key: 'hold2', name: 'Hold', duration: 2, color: '#F87171' }
+  ],
+  instructions: ['Breathe in', 'Hold', 'Breathe out', 'Rest'],
+  ...overrides
+});
+
+describe('CustomTechniqueService', () => {
+  let storageService;
+  let registry;
+  let service;
+
+  beforeEach(() => {
+    storageService = TestUtils.createMemoryStorageService();
+    registry = new TechniqueRegistry();
+    service = new CustomTechniqueService(storageService, registry);
+  });
+
+  test('saves a valid definition, registers it and persists it', async () => {
+    const listener = vi.fn();
+    service.addListener(listener);
+
+    const technique = await service.saveTechnique(createDefinition());
+
+    expect(technique.id).toMatch(/^custom-/);
+    expect(technique.pattern).toBe('4-4-6-2');
+    expect(technique.getTotalDuration()).toBe(16);
+    expect(registry.getTechnique(technique.id)).toBe(technique);
+    expect(registry.createTechnique(technique.id)).not.toBe(technique);
+    expect(storageService.store.get(CUSTOM_TECHNIQUES_STORAGE_KEY)).toHaveLength(1);
+    expect(listener).toHaveBeenCalledWith([technique]);
+  });
+
+  test('rejects invalid definitions with a ValidationError', async () => {
+    const definition = createDefinition({
+      phases: [
+        { key: 'inhale', name: 'Inhale', duration: 0 },
+        { key: 'inhale', name: 'Inhale', duration: 4 }
+      ]
+    });
+
+    expect(service.validate(definition).isValid).toBe(false);
+    await expect(service.saveTechnique(definition)).rejects.toBeInstanceOf(ValidationError);
+    expect(storageService.set).not.toHaveBeenCalled();
+  });
+
+  test('refuses to overwrite built-in techniques', () => {
+    const result = service.validate(createDefinition({ id: 'box4' }));
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors.map(error => error.type)).toContain('reserved_id');
+  });
+
+  test('loads stored techniques on initialize and skips broken entries', async () => {
+    storageService = TestUtils.createMemoryStorageService({
+      [CUSTOM_TECHNIQUES_STORAGE_KEY]: [
+        { ...createDefinition(), id: 'custom-stored' },
+        { id: 'custom-broken', name: 'Broken', phases: [] }
+      ]
+    });
+    service = new CustomTechniqueService(storageService, registry);
+
+    await service.initialize();
+
+    expect(registry.hasTechnique('custom-stored')).toBe(true);
+    expect(registry.hasTechnique('custom-broken')).toBe(false);
+    expect(registry.getTechnique('custom-stored').getPhaseColors('hold2').to).toBe('#F87171');
+  });
+
+  test('deletes techniques from the registry and storage', async () => {
+    const technique = await service.saveTechnique(createDefinition());
+
+    await expect(service.deleteTechnique(technique.id)).resolves.toBe(true);
+
+    expect(registry.hasTechnique(technique.id)).toBe(false);
+    // A tombstone, so synced devices delete it as well
+    expect(storageService.store.get(CUSTOM_TECHNIQUES_STORAGE_KEY)).toEqual([
+      { id: technique.id, deleted: true, deletedAt: expect.any(Number) }
+    ]);
+  });
+
+  test('applies synced definitions by ID and keeps ones it cannot register', async () => {
+    vi.spyOn(Date, 'now').mockReturnValue(1000);
+    const selected = await service.saveTechnique({ ...createDefinition(), id: 'custom-selected' });
+    await service.saveTechnique({ ...createDefinition({ name: 'Stage' }), id: 'custom-stage' });
+    await service.saveTechnique({ ...createDefinition({ name: 'Gone' }), id: 'custom-gone' });
+    vi.restoreAllMocks();
+    const future = { id: 'custom-future', name: 'Future', phases: [{ key: 'hum', name: 'Hum', duration: 'long' }], updatedAt: 3000 };
+
+    const result = await service.applyTechniques([
+      { ...createDefinition({ name: 'Renamed' }), id: 'custom-selected', updatedAt: 2000 },
+      { ...createDefinition({ name: 'Added' }), id: 'custom-added', updatedAt: 2000 },
+      { id: 'custom-gone', deleted: true, deletedAt: 2000 },
+      future
+    ]);
+
+    expect(result).toEqual({ imported: 2, deleted: 1, skipped: 1 });
+    // Missing from the list is not deleted
+    expect(registry.getTechnique('custom-stage').name).toBe('Stage');
+    expect(registry.getTechnique(selected.id).name).toBe('Renamed');
+    expect(registry.hasTechnique('custom-added')).toBe(true);
+    expect(registry.hasTechnique('custom-gone')).toBe(false);
+    expect(registry.hasTechnique('custom-future')).toBe(false);
+    expect(storageService.store.get(CUSTOM_TECHNIQUES_STORAGE_KEY)).toEqual(expect.arrayContaining([
+      expect.objectContaining({ id: 'custom-stage' }),
+      { id: 'custom-gone', deleted: true, deletedAt: 2000 },
+      future
+    ]));
+
+    // An older version does not replace a newer local edit
+    await service.applyTechniques([{ ...createDefinition({ name: 'Stale' }), id: 'custom-selected', updatedAt: 1500 }]);
+    expect(registry.getTechnique(selected.id).name).toBe('Renamed');
+  });
+});
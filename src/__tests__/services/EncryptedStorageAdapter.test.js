@@ -0,0 +1,147 @@
+import { describe, expect, test } from 'vitest';
+import { webcrypto } from 'node:crypto';
+import {
+  EncryptedStorageAdapter,
+  ENCRYPTION_METADATA_KEY
+} from '../../adapters/EncryptedStorageAdapter.js';
+import { StorageAdapter } from '../../adapters/StorageAdapter.js';
+import { StorageService } from '../../services/StorageService.js';
+import { ERROR_CODES, StorageError, ValidationError } from '../../errors/AppError.js';
+
+const PASSPHRASE = 'slow exhale';
+const HISTORY = [{ id: 's1', techniqueId: 'sleep478', startTime: 1 }];
+
+class MemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.store = new Map();
+  }
+
+  async get(key) {
+    return this.store.has(key) ? this.store.get(key) : null;
+  }
+
+  async set(key, value) {
+    this.store.set(key, value);
+  }
+
+  async remove(key) {
+    this.store.delete(key);
+  }
+
+  async clear() {
+    this.store.clear();
+  }
+
+  async keys() {
+    return [...this.store.keys()];
+  }
+
+  async has(key) {
+    return this.store.has(key);
+  }
+
+  async size() {
+    return this.store.size;
+  }
+
+  async isAvailable() {
+    return true;
+  }
+}
+
+// Few PBKDF2 iterations keep the tests fast; the format is the same
+const createAdapter = (inner) => new EncryptedStorageAdapter(inner, {
+  crypto: webcrypto,
+  iterations: 1000,
+  plaintextKeys: ['breathing-app-theme']
+});
+
+const failureOf = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('EncryptedStorageAdapter', () => {
+  test('encrypts existing and new values at rest behind StorageService', async () => {
+    const inner = new MemoryStorageAdapter();
+    inner.store.set('breathing-app-session-history', HISTORY);
+    inner.store.set('breathing-app-theme', 'dark');
+
+    const adapter = createAdapter(inner);
+    await adapter.load();
+    expect(adapter.isEncrypted()).toBe(false);
+    await adapter.enable(PASSPHRASE);
+
+    const storageService = new StorageService(adapter);
+    await storageService.set('breathing-app-preferences', { soundVolume: 0.5 });
+
+    expect(JSON.stringify([...inner.store.values()])).not.toContain('sleep478');
+    expect(inner.store.get('breathing-app-preferences')).toMatchObject({ encrypted: 'AES-GCM' });
+    expect(inner.store.get('breathing-app-theme')).toBe('dark');
+    expect(await adapter.keys()).not.toContain(ENCRYPTION_METADATA_KEY);
+
+    // A fresh start reads nothing personal until unlocked
+    const restarted = createAdapter(inner);
+    await restarted.load();
+    expect(restarted.isLocked()).toBe(true);
+    expect(await restarted.get('breathing-app-theme')).toBe('dark');
+    expect(await failureOf(restarted.get('breathing-app-session-history')))
+      .toMatchObject({ operation: 'get', context: { errorCode: ERROR_CODES.STORAGE_LOCKED } });
+
+    await restarted.unlock(PASSPHRASE);
+    expect(await restarted.get('breathing-app-session-history')).toEqual(HISTORY);
+    expect(await new StorageService(restarted).get('breathing-app-preferences')).toEqual({ soundVolume: 0.5 });
+
+    restarted.lock();
+    expect(restarted.isLocked()).toBe(true);
+  });
+
+  test('rejects a wrong passphrase with a StorageError', async () => {
+    const inner = new MemoryStorageAdapter();
+    const adapter = createAdapter(inner);
+    await adapter.load();
+    await adapter.enable(PASSPHRASE);
+    await adapter.set('breathing-app-session-history', HISTORY);
+
+    const restarted = createAdapter(inner);
+    const error = await failureOf(restarted.unlock('fast inhale'));
+
+    expect(error).toBeInstanceOf(StorageError);
+    expect(error).toMatchObject({ operation: 'unlock', context: { errorCode: ERROR_CODES.STORAGE_WRONG_PASSPHRASE } });
+    expect(error.context.reason).toBe('passphrase');
+    expect(restarted.isLocked()).toBe(true);
+    expect(await failureOf(adapter.enable(PASSPHRASE))).toBeInstanceOf(StorageError);
+    expect(await failureOf(createAdapter(new MemoryStorageAdapter()).enable('short')))
+      .toBeInstanceOf(ValidationError);
+  });
+
+  test('re-keys with a new passphrase and turns encryption off', async () => {
+    const inner = new MemoryStorageAdapter();
+    const adapter = createAdapter(inner);
+    await adapter.load();
+    await adapter.enable(PASSPHRASE);
+    await adapter.set('breathing-app-session-history', HISTORY);
+    const envelope = inner.store.get('breathing-app-session-history');
+
+    expect((await failureOf(adapter.changePassphrase('fast inhale', 'box breathing'))).context.reason)
+      .toBe('passphrase');
+    await adapter.changePassphrase(PASSPHRASE, 'box breathing');
+    // Values stay as they are; only the wrapped key changes
+    expect(inner.store.get('breathing-app-session-history')).toBe(envelope);
+
+    const restarted = createAdapter(inner);
+    expect(await failureOf(restarted.unlock(PASSPHRASE))).toBeInstanceOf(StorageError);
+    await restarted.unlock('box breathing');
+    expect(await restarted.get('breathing-app-session-history')).toEqual(HISTORY);
+
+    await restarted.disable('box breathing');
+    expect(inner.store.get('breathing-app-session-history')).toEqual(HISTORY);
+    expect(inner.store.has(ENCRYPTION_METADATA_KEY)).toBe(false);
+    expect(restarted.isEncrypted()).toBe(false);
+  });
+});
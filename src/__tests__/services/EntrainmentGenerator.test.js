@@ -0,0 +1,67 @@
+import { describe, expect, test } from 'vitest';
+import {
+  EntrainmentGenerator,
+  ENTRAINMENT_MODES,
+  getTechniqueEntrainmentPreset,
+  requiresHeadphones,
+  resolveEntrainmentPreset
+} from '../../services/EntrainmentGenerator.js';
+import { AudioEnhancedTechnique } from '../../decorators/AudioEnhancedTechnique.js';
+import { CoherentBreathingTechnique } from '../../techniques/CoherentBreathingTechnique.js';
+import { FourSevenEightTechnique } from '../../techniques/FourSevenEightTechnique.js';
+import { TestUtils } from '../TestUtils.js';
+
+const createContext = () => TestUtils.createMockAudioContext({ currentTime: 1 });
+
+describe('EntrainmentGenerator', () => {
+  test('plays a binaural beat as one tone per ear', () => {
+    const context = createContext();
+    const layer = new EntrainmentGenerator(context).createLayer(ENTRAINMENT_MODES.BINAURAL, 'alpha');
+    const [left, right] = context.createOscillator.mock.results.map(result => result.value);
+    const merger = context.createChannelMerger.mock.results[0].value;
+
+    expect(layer).toMatchObject({ mode: 'binaural', carrier: 200, beat: 10 });
+    expect(left.frequency.value).toBe(195);
+    expect(right.frequency.value).toBe(205);
+    expect(left.connect).toHaveBeenCalledWith(merger, 0, 0);
+    expect(right.connect).toHaveBeenCalledWith(merger, 0, 1);
+    expect(layer.output.gain.value).toBe(0);
+    expect(requiresHeadphones(layer.mode)).toBe(true);
+  });
+
+  test('pulses an isochronic carrier at the beat frequency', () => {
+    const context = createContext();
+    const layer = new EntrainmentGenerator(context).createLayer(ENTRAINMENT_MODES.ISOCHRONIC, { carrier: 180, beat: 6 });
+    const [tone, lfo] = context.createOscillator.mock.results.map(result => result.value);
+
+    expect(tone.frequency.value).toBe(180);
+    expect(lfo.frequency.value).toBe(6);
+    expect(lfo.setPeriodicWave).toHaveBeenCalled();
+    expect(requiresHeadphones(layer.mode)).toBe(false);
+
+    layer.stop(4);
+    expect(tone.stop).toHaveBeenCalledWith(4);
+    expect(lfo.stop).toHaveBeenCalledWith(4);
+  });
+
+  test('keeps custom frequencies within safe limits', () => {
+    expect(resolveEntrainmentPreset({ carrier: 2000, beat: 100 })).toEqual({ carrier: 500, beat: 30 });
+    expect(() => resolveEntrainmentPreset('gamma')).toThrow('Unknown entrainment preset');
+    expect(() => new EntrainmentGenerator(createContext()).createLayer('surround', 'alpha'))
+      .toThrow('Unknown entrainment mode');
+  });
+
+  test('links presets to techniques by config, then by category', () => {
+    expect(getTechniqueEntrainmentPreset(new CoherentBreathingTechnique())).toBe('alpha');
+    expect(getTechniqueEntrainmentPreset(new FourSevenEightTechnique())).toBe('theta');
+
+    const linked = new AudioEnhancedTechnique(new CoherentBreathingTechnique(), { entrainment: 'delta' });
+    expect(linked.getEntrainmentPreset()).toBe('delta');
+    expect(getTechniqueEntrainmentPreset(linked)).toBe('delta');
+
+    const unlinked = new AudioEnhancedTechnique(new FourSevenEightTechnique());
+    expect(unlinked.getCategory()).toBe('sleep');
+    expect(getTechniqueEntrainmentPreset(unlinked)).toBe('theta');
+    expect(getTechniqueEntrainmentPreset(null)).toBe('alpha');
+  });
+});
@@ -0,0 +1,177 @@
+import { beforeEach, describe, expect, test } from 'vitest';
+import {
+  IndexedDBAdapter,
+  INDEXED_DB_MIGRATIONS,
+  INDEXED_DB_STORES
+} from '../../adapters/IndexedDBAdapter.js';
+import { StorageService } from '../../services/StorageService.js';
+import { StorageError } from '../../errors/AppError.js';
+
+/**
+ * In-memory IDBFactory with the parts of the API the adapter uses
+ * Requests succeed on a microtask and transactions complete after their requests
+ */
+const createFakeIndexedDB = () => {
+  const databases = new Map();
+
+  const createRequest = (getResult) => {
+    const request = { result: undefined, error: null };
+    queueMicrotask(() => {
+      request.result = getResult();
+      request.onsuccess?.();
+    });
+    return request;
+  };
+
+  const createObjectStore = (records) => ({
+    get: key => createRequest(() => structuredClone(records.get(key))),
+    put: (value, key) => {
+      const copy = structuredClone(value);
+      return createRequest(() => records.set(key, copy) && key);
+    },
+    delete: key => createRequest(() => records.delete(key) && undefined),
+    clear: () => createRequest(() => records.clear()),
+    getAllKeys: () => createRequest(() => [...records.keys()]),
+    count: key => createRequest(() => (key === undefined ? records.size : Number(records.has(key))))
+  });
+
+  const createTransaction = (stores) => {
+    const transaction = {
+      error: null,
+      objectStore: name => createObjectStore(stores.get(name))
+    };
+    setTimeout(() => transaction.oncomplete?.(), 0);
+    return transaction;
+  };
+
+  return {
+    databases,
+    open(name, version) {
+      const request = { result: null, error: null, transaction: null };
+      setTimeout(() => {
+        const existing = databases.get(name) || { version: 0, stores: new Map() };
+        const database = {
+          objectStoreNames: { contains: storeName => existing.stores.has(storeName) },
+          createObjectStore: (storeName) => {
+            existing.stores.set(storeName, new Map());
+            return createObjectStore(existing.stores.get(storeName));
+          },
+          deleteObjectStore: storeName => existing.stores.delete(storeName),
+          transaction: () => createTransaction(existing.stores),
+          close: () => {}
+        };
+        request.result = database;
+
+        if (existing.version < version) {
+          request.transaction = createTransaction(existing.stores);
+          request.onupgradeneeded?.({ oldVersion: existing.version });
+          existing.version = version;
+          databases.set(name, existing);
+        }
+        request.onsuccess?.();
+      }, 0);
+      return request;
+    }
+  };
+};
+
+describe('IndexedDBAdapter', () => {
+  let indexedDB;
+
+  beforeEach(() => {
+    indexedDB = createFakeIndexedDB();
+    localStorage.clear();
+  });
+
+  test('gets, sets and removes values in the object store for the key', async () => {
+    const adapter = new IndexedDBAdapter({ indexedDB });
+    const history = [{ id: 's1', techniqueId: 'box4', startTime: 1 }];
+
+    await adapter.set('breathing-app-session-history', history);
+    await adapter.set('breathing-app-custom-techniques', [{ id: 'custom-1' }]);
+    await adapter.set('breathing-app-theme', 'light');
+
+    expect(await adapter.get('breathing-app-session-history')).toEqual(history);
+    expect(await adapter.get('missing')).toBeNull();
+    expect(await adapter.has('breathing-app-theme')).toBe(true);
+    expect((await adapter.keys()).sort()).toEqual([
+      'breathing-app-custom-techniques',
+      'breathing-app-session-history',
+      'breathing-app-theme'
+    ]);
+
+    const stores = indexedDB.databases.get('breathing-app').stores;
+    expect(stores.get(INDEXED_DB_STORES.SESSIONS).has('breathing-app-session-history')).toBe(true);
+    expect(stores.get(INDEXED_DB_STORES.CUSTOM_TECHNIQUES).has('breathing-app-custom-techniques')).toBe(true);
+    expect(stores.get(INDEXED_DB_STORES.PREFERENCES).has('breathing-app-theme')).toBe(true);
+
+    await adapter.remove('breathing-app-theme');
+    expect(await adapter.has('breathing-app-theme')).toBe(false);
+    await adapter.clear();
+    expect(await adapter.size()).toBe(0);
+
+    // Works behind StorageService like the localStorage adapter
+    const storageService = new StorageService(adapter);
+    await storageService.set('breathing-app-language', 'uk');
+    storageService.clearCache();
+    expect(await storageService.get('breathing-app-language')).toBe('uk');
+  });
+
+  test('moves the localStorage keys over once when the database is created', async () => {
+    localStorage.setItem('breathing-app-preferences', JSON.stringify({ soundEnabled: false }));
+    localStorage.setItem('breathing-app-session-history', JSON.stringify([{ id: 's1' }]));
+    // Older helpers stored the language as a plain string
+    localStorage.setItem('breathing-app-language', 'uk');
+    localStorage.setItem('LOG_LEVEL', 'debug');
+
+    const adapter = new IndexedDBAdapter({ indexedDB, localStorage });
+    expect(await adapter.get('breathing-app-preferences')).toEqual({ soundEnabled: false });
+    expect(await adapter.get('breathing-app-session-history')).toEqual([{ id: 's1' }]);
+    expect(await adapter.get('breathing-app-language')).toBe('uk');
+
+    expect(localStorage.getItem('breathing-app-preferences')).toBeNull();
+    expect(localStorage.getItem('breathing-app-session-history')).toBeNull();
+    // Keys the app does not own are left alone
+    expect(localStorage.getItem('LOG_LEVEL')).toBe('debug');
+
+    localStorage.setItem('breathing-app-preferences', JSON.stringify({ soundEnabled: true }));
+    const reopened = new IndexedDBAdapter({ indexedDB, localStorage });
+    expect(await reopened.get('breathing-app-preferences')).toEqual({ soundEnabled: false });
+  });
+
+  test('runs only the migrations newer than the stored version', async () => {
+    const first = new IndexedDBAdapter({ indexedDB });
+    await first.set('breathing-app-session-history', [{ id: 's1', duration: 60 }]);
+    first.close();
+
+    const applied = [];
+    const migrations = [
+      ...INDEXED_DB_MIGRATIONS.map(migration => ({
+        ...migration,
+        migrate: (...args) => {
+          applied.push(migration.version);
+          migration.migrate(...args);
+        }
+      })),
+      {
+        version: 2,
+        migrate: (database, transaction) => {
+          applied.push(2);
+          transaction.objectStore(INDEXED_DB_STORES.SESSIONS).put([], 'breathing-app-session-history');
+        }
+      }
+    ];
+
+    const upgraded = new IndexedDBAdapter({ indexedDB, migrations });
+    expect(await upgraded.get('breathing-app-session-history')).toEqual([]);
+    expect(applied).toEqual([2]);
+    expect(indexedDB.databases.get('breathing-app').version).toBe(2);
+  });
+
+  test('reports unavailable storage when IndexedDB is missing', async () => {
+    const adapter = new IndexedDBAdapter({ indexedDB: null });
+
+    await expect(adapter.isAvailable()).resolves.toBe(false);
+    await expect(adapter.get('breathing-app-theme')).rejects.toBeInstanceOf(StorageError);
+  });
+});
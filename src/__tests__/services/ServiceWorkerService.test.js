@@ -0,0 +1,91 @@
+import { describe, expect, test, vi } from 'vitest';
+import {
+  ServiceWorkerService,
+  SERVICE_WORKER_EVENTS,
+  SKIP_WAITING_MESSAGE
+} from '../../services/ServiceWorkerService.js';
+import { AppStateManager } from '../../state/AppStateManager.js';
+
+const createEventTarget = (props = {}) => {
+  const handlers = new Map();
+  return {
+    ...props,
+    addEventListener: vi.fn((event, handler) => handlers.set(event, handler)),
+    removeEventListener: vi.fn((event) => handlers.delete(event)),
+    emit: (event) => handlers.get(event)?.()
+  };
+};
+
+const createContainer = ({ controller = null, waiting = null } = {}) => {
+  const registration = createEventTarget({
+    scope: '/breathing-techniques/',
+    active: controller ? {} : null,
+    waiting,
+    installing: null,
+    update: vi.fn(() => Promise.resolve())
+  });
+  const container = createEventTarget({
+    controller,
+    register: vi.fn(() => Promise.resolve(registration))
+  });
+  return { container, registration };
+};
+
+const installWorker = (registration) => {
+  const worker = createEventTarget({ state: 'installing', postMessage: vi.fn() });
+  registration.installing = worker;
+  registration.emit('updatefound');
+  worker.state = 'installed';
+  worker.emit('statechange');
+  return worker;
+};
+
+describe('ServiceWorkerService', () => {
+  test('reports offline readiness for the first worker without reloading', async () => {
+    const { container, registration } = createContainer();
+    const reload = vi.fn();
+    const service = new ServiceWorkerService({ enabled: true, container, reload, scriptUrl: '/sw.js' });
+    const offlineReady = vi.fn();
+    const updateAvailable = vi.fn();
+    service.addListener(SERVICE_WORKER_EVENTS.OFFLINE_READY, offlineReady);
+    service.addListener(SERVICE_WORKER_EVENTS.UPDATE_AVAILABLE, updateAvailable);
+
+    await service.register();
+    installWorker(registration);
+    container.emit('controllerchange');
+
+    expect(container.register).toHaveBeenCalledWith('/sw.js');
+    expect(offlineReady).toHaveBeenCalledTimes(1);
+    expect(updateAvailable).not.toHaveBeenCalled();
+    expect(reload).not.toHaveBeenCalled();
+  });
+
+  test('announces a waiting update and reloads once it is applied', async () => {
+    const { container, registration } = createContainer({ controller: {} });
+    const reload = vi.fn();
+    const service = new ServiceWorkerService({ enabled: true, container, reload });
+    const appState = new AppStateManager(service);
+    appState.setupServiceWorkerListeners();
+
+    await service.register();
+    const worker = installWorker(registration);
+
+    expect(appState.isUpdateAvailable()).toBe(true);
+    expect(service.getCapabilities()).toMatchObject({ isRegistered: true, hasUpdate: true });
+
+    expect(appState.applyUpdate()).toBe(true);
+    expect(worker.postMessage).toHaveBeenCalledWith(SKIP_WAITING_MESSAGE);
+    expect(appState.isUpdateAvailable()).toBe(false);
+
+    container.emit('controllerchange');
+    expect(reload).toHaveBeenCalledTimes(1);
+  });
+
+  test('skips registration when disabled or unsupported', async () => {
+    const { container } = createContainer();
+
+    await expect(new ServiceWorkerService({ enabled: false, container }).register()).resolves.toBeNull();
+    await expect(new ServiceWorkerService({ enabled: true, container: undefined }).register()).resolves.toBeNull();
+    expect(container.register).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, expect, test } from 'vitest';
+import {
+  SessionCheckpointService,
+  SESSION_CHECKPOINT_STORAGE_KEY
+} from '../../services/SessionCheckpointService.js';
+import { TestUtils } from '../TestUtils.js';
+
+const NOW = new Date('2026-03-10T12:00:00Z').getTime();
+
+const createCheckpoint = () => ({
+  techniqueId: 'box4',
+  startTime: NOW - 10 * 60000,
+  elapsedSeconds: 480,
+  cyclesCompleted: 30,
+  pausedMs: 60000,
+  goal: { type: 'minutes', value: 10 },
+  programStage: null,
+  position: { elapsedSeconds: 480, stageIndex: 0, stageStartTime: 0, stageCycleOffset: 0 }
+});
+
+describe('SessionCheckpointService', () => {
+  test('saves the running session and loads it back as resumable while recent', async () => {
+    const clock = { value: NOW };
+    const storageService = TestUtils.createMemoryStorageService();
+    const service = new SessionCheckpointService(storageService, { now: () => clock.value });
+
+    await service.save(createCheckpoint());
+    const checkpoint = await service.load();
+
+    expect(checkpoint).toMatchObject({ ...createCheckpoint(), savedAt: NOW });
+    expect(service.isRecent(checkpoint)).toBe(true);
+
+    clock.value = NOW + 31 * 60000;
+    expect(service.isRecent(checkpoint)).toBe(false);
+
+    await service.clear();
+    expect(await service.load()).toBeNull();
+  });
+
+  test('turns a checkpoint into a partial history record ending when it was saved', async () => {
+    const service = new SessionCheckpointService(TestUtils.createMemoryStorageService(), { now: () => NOW });
+
+    await service.save(createCheckpoint());
+    const record = service.toSessionRecord(await service.load());
+
+    expect(record).toEqual({
+      techniqueId: 'box4',
+      startTime: NOW - 10 * 60000,
+      endTime: NOW,
+      duration: 10 * 60000,
+      activeMs: 480000,
+      pausedMs: 60000,
+      cyclesCompleted: 30,
+      averageCycleTime: 16,
+      goal: { type: 'minutes', value: 10 },
+      goalReached: false
+    });
+  });
+
+  test('drops a malformed checkpoint', async () => {
+    const storageService = TestUtils.createMemoryStorageService();
+    const service = new SessionCheckpointService(storageService, { now: () => NOW });
+
+    storageService.store.set(SESSION_CHECKPOINT_STORAGE_KEY, { version: 1, techniqueId: 'box4', savedAt: NOW });
+
+    expect(await service.load()).toBeNull();
+    expect(storageService.store.has(SESSION_CHECKPOINT_STORAGE_KEY)).toBe(false);
+  });
+});
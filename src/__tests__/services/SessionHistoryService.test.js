@@ -0,0 +1,133 @@
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+import {
+  SessionHistoryService,
+  SESSION_HISTORY_STORAGE_KEY
+} from '../../services/SessionHistoryService.js';
+import { ValidationError } from '../../errors/AppError.js';
+import { TestUtils } from '../TestUtils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date(2025, 5, 15, 12, 0, 0).getTime();
+
+const createSession = (overrides = {}) => ({
+  techniqueId: 'box4',
+  startTime: NOW - 10 * 60 * 1000,
+  endTime: NOW - 5 * 60 * 1000,
+  activeMs: 4 * 60 * 1000,
+  pausedMs: 60 * 1000,
+  cyclesCompleted: 15,
+  goalReached: true,
+  ...overrides
+});
+
+describe('SessionHistoryService', () => {
+  let storageService;
+  let service;
+
+  beforeEach(() => {
+    storageService = TestUtils.createMemoryStorageService();
+    service = new SessionHistoryService(storageService, { now: () => NOW });
+  });
+
+  test('records sessions and persists them', async () => {
+    const listener = vi.fn();
+    service.addListener(listener);
+
+    const record = await service.recordSession(createSession());
+
+    expect(record).toMatchObject({
+      techniqueId: 'box4',
+      activeMs: 240000,
+      pausedMs: 60000,
+      cyclesCompleted: 15,
+      goalReached: true,
+      sessionCount: 1
+    });
+    expect(storageService.store.get(SESSION_HISTORY_STORAGE_KEY)).toHaveLength(1);
+    expect(listener).toHaveBeenCalledWith([record]);
+  });
+
+  test('rejects records without a technique or with invalid timestamps', async () => {
+    await expect(service.recordSession(createSession({ techniqueId: null }))).rejects.toBeInstanceOf(ValidationError);
+    await expect(service.recordSession(createSession({ endTime: NOW - DAY_MS }))).rejects.toBeInstanceOf(ValidationError);
+    expect(storageService.set).not.toHaveBeenCalled();
+  });
+
+  test('queries by date range and technique, newest first', async () => {
+    await service.recordSession(createSession({ startTime: NOW - 3 * DAY_MS, endTime: NOW - 3 * DAY_MS + 1000 }));
+    await service.recordSession(createSession({ techniqueId: 'relax478' }));
+    await service.recordSession(createSession({ startTime: NOW - 60000, endTime: NOW }));
+
+    const lastDay = service.querySessions({ from: NOW - DAY_MS });
+    expect(lastDay).toHaveLength(2);
+    expect(lastDay[0].startTime).toBeGreaterThan(lastDay[1].startTime);
+
+    expect(service.querySessions({ techniqueId: 'box4' })).toHaveLength(2);
+    expect(service.querySessions({ techniqueId: 'box4', to: NOW - DAY_MS })).toHaveLength(1);
+    expect(service.querySessions({ limit: 1 })[0].startTime).toBe(NOW - 60000);
+  });
+
+  test('compacts old records per day and technique and drops expired ones', async () => {
+    const oldDay = new Date(2025, 3, 1, 8, 0, 0).getTime();
+    storageService = TestUtils.createMemoryStorageService({
+      [SESSION_HISTORY_STORAGE_KEY]: [
+        createSession({ id: 'a', startTime: oldDay, endTime: oldDay + 60000, activeMs: 60000, cyclesCompleted: 4 }),
+        createSession({ id: 'b', startTime: oldDay + 3600000, endTime: oldDay + 3660000, activeMs: 60000, cyclesCompleted: 3, goalReached: false }),
+        createSession({ id: 'c', techniqueId: 'relax478', startTime: oldDay, endTime: oldDay + 60000 }),
+        createSession({ id: 'expired', startTime: NOW - 400 * DAY_MS, endTime: NOW - 400 * DAY_MS }),
+        createSession({ id: 'recent' })
+      ]
+    });
+    service = new SessionHistoryService(storageService, { now: () => NOW });
+
+    await service.initialize();
+
+    const sessions = service.getSessions();
+    expect(sessions.map(session => session.id)).not.toContain('expired');
+    expect(sessions).toHaveLength(3);
+
+    const compacted = sessions.find(session => session.techniqueId === 'box4' && session.compacted);
+    expect(compacted).toMatchObject({
+      activeMs: 120000,
+      cyclesCompleted: 7,
+      sessionCount: 2,
+      goalsReached: 1
+    });
+    expect(storageService.store.get(SESSION_HISTORY_STORAGE_KEY)).toHaveLength(3);
+  });
+
+  test('does not count sessions again next to the compacted record made from them', async () => {
+    const oldDay = new Date(2025, 3, 1, 8, 0, 0).getTime();
+    const originals = [
+      createSession({ id: 'a', startTime: oldDay, endTime: oldDay + 60000, activeMs: 60000, cyclesCompleted: 4 }),
+      createSession({ id: 'b', startTime: oldDay + 3600000, endTime: oldDay + 3660000, activeMs: 60000, cyclesCompleted: 3 })
+    ];
+    await service.importSessions(originals);
+    const [compacted] = service.getSessions();
+    expect(compacted).toMatchObject({ compacted: true, sourceIds: ['a', 'b'] });
+
+    await service.importSessions([compacted, ...originals], { replace: true });
+    await service.importSessions(originals);
+
+    expect(service.getSessions()).toEqual([compacted]);
+    expect(compacted).toMatchObject({ activeMs: 120000, cyclesCompleted: 7, sessionCount: 2 });
+
+    // Sessions the compacted record has not absorbed are still added
+    await service.importSessions([
+      createSession({ id: 'c', startTime: oldDay + 7200000, endTime: oldDay + 7260000, activeMs: 60000, cyclesCompleted: 5 })
+    ]);
+    expect(service.getSessions()).toEqual([
+      expect.objectContaining({ activeMs: 180000, cyclesCompleted: 12, sessionCount: 3, sourceIds: ['a', 'b', 'c'] })
+    ]);
+  });
+
+  test('keeps at most maxRecords records', async () => {
+    service = new SessionHistoryService(storageService, { now: () => NOW, maxRecords: 2 });
+
+    await service.recordSession(createSession({ id: 'first', startTime: NOW - 3000, endTime: NOW - 2000 }));
+    await service.recordSession(createSession({ id: 'second', startTime: NOW - 2000, endTime: NOW - 1000 }));
+    await service.recordSession(createSession({ id: 'third', startTime: NOW - 1000, endTime: NOW }));
+
+    expect(service.getSessions().map(session => session.id)).toEqual(['third', 'second']);
+  });
+});
@@ -0,0 +1,102 @@
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+import {
+  SessionProgramService,
+  SESSION_PROGRAMS_STORAGE_KEY,
+  DEFAULT_PROGRAMS
+} from '../../services/SessionProgramService.js';
+import { TechniqueRegistry } from '../../techniques/TechniqueRegistry.js';
+import { ValidationError } from '../../errors/AppError.js';
+import { TestUtils } from '../TestUtils.js';
+
+const createDefinition = (overrides = {}) => ({
+  name: 'Morning reset',
+  stages: [
+    { techniqueId: 'coherent', minutes: 2 },
+    { techniqueId: 'box4', minutes: '5' },
+    { techniqueId: '478', minutes: 3 }
+  ],
+  ...overrides
+});
+
+describe('SessionProgramService', () => {
+  let storageService;
+  let registry;
+  let service;
+
+  beforeEach(() => {
+    storageService = TestUtils.createMemoryStorageService();
+    registry = new TechniqueRegistry();
+    service = new SessionProgramService(storageService, registry);
+  });
+
+  test('seeds the default programs on first launch only', async () => {
+    await service.initialize();
+
+    const [program] = service.getPrograms();
+    expect(program.id).toBe(DEFAULT_PROGRAMS[0].id);
+    expect(registry.getTechnique(program.id).isProgram).toBe(true);
+    expect(storageService.store.get(SESSION_PROGRAMS_STORAGE_KEY)).toHaveLength(1);
+
+    const emptyStorage = TestUtils.createMemoryStorageService({ [SESSION_PROGRAMS_STORAGE_KEY]: [] });
+    const emptyService = new SessionProgramService(emptyStorage, new TechniqueRegistry());
+    await emptyService.initialize();
+    expect(emptyService.getPrograms()).toHaveLength(0);
+  });
+
+  test('saves a valid program, registers it and persists it', async () => {
+    await service.initialize();
+    const listener = vi.fn();
+    service.addListener(listener);
+
+    const program = await service.saveProgram(createDefinition());
+
+    expect(program.id).toMatch(/^program-/);
+    expect(program.getProgramDuration()).toBe(600);
+    expect(program.getStages().map(stage => stage.technique.getId())).toEqual(['coherent', 'box4', '478']);
+    // Idle previews show the first stage
+    expect(program.getDurationsSec()).toEqual([5, 5]);
+    expect(registry.getTechniqueMetadata().find(entry => entry.id === program.id).isProgram).toBe(true);
+    expect(storageService.store.get(SESSION_PROGRAMS_STORAGE_KEY).map(entry => entry.id)).toContain(program.id);
+    expect(listener).toHaveBeenCalled();
+  });
+
+  test('rejects unknown techniques, nested programs and out-of-range stages', async () => {
+    await service.initialize();
+    const [seeded] = service.getPrograms();
+
+    expect(service.validate(createDefinition({ stages: [{ techniqueId: 'missing', minutes: 2 }] })).errors[0])
+      .toMatchObject({ field: 'stages[0].techniqueId', type: 'not_found' });
+    expect(service.validate(createDefinition({ stages: [{ techniqueId: seeded.id, minutes: 2 }] })).errors[0])
+      .toMatchObject({ type: 'nested_program' });
+    expect(service.validate(createDefinition({ stages: [{ techniqueId: 'box4', minutes: 90 }] })).errors[0])
+      .toMatchObject({ field: 'stages[0].minutes' });
+    expect(service.validate(createDefinition({ name: ' ', stages: [] })).errors.map(error => error.field))
+      .toEqual(['name', 'stages']);
+
+    await expect(service.saveProgram(createDefinition({ stages: [] }))).rejects.toBeInstanceOf(ValidationError);
+  });
+
+  test('skips stored programs that refer to missing techniques', async () => {
+    storageService = TestUtils.createMemoryStorageService({
+      [SESSION_PROGRAMS_STORAGE_KEY]: [
+        { id: 'program-ok', ...createDefinition() },
+        { id: 'program-broken', name: 'Broken', stages: [{ techniqueId: 'custom-gone', minutes: 2 }] }
+      ]
+    });
+    service = new SessionProgramService(storageService, registry);
+
+    await service.initialize();
+
+    expect(service.getPrograms().map(program => program.id)).toEqual(['program-ok']);
+  });
+
+  test('deletes programs from the registry and storage', async () => {
+    await service.initialize();
+    const program = await service.saveProgram(createDefinition());
+
+    await expect(service.deleteProgram(program.id)).resolves.toBe(true);
+    expect(registry.hasTechnique(program.id)).toBe(false);
+    expect(storageService.store.get(SESSION_PROGRAMS_STORAGE_KEY).map(entry => entry.id)).not.toContain(program.id);
+    await expect(service.deleteProgram(program.id)).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, expect, test, vi } from 'vitest';
+import { SoundLibraryService, SOUND_SAMPLE_LIMITS } from '../../services/SoundLibraryService.js';
+import { assignSound, resolveSoundAssignments, unassignSample } from '../../utils/soundAssignments.js';
+
+const createStore = () => {
+  const records = new Map();
+  return {
+    get: vi.fn(async (id) => records.get(id) || null),
+    set: vi.fn(async (id, record) => {
+      records.set(id, { ...record, id });
+    }),
+    remove: vi.fn(async (id) => {
+      records.delete(id);
+    }),
+    getAll: vi.fn(async () => [...records.values()])
+  };
+};
+
+const createFile = (name, { type = 'audio/wav', size = 2048 } = {}) => ({
+  name,
+  type,
+  size,
+  arrayBuffer: vi.fn(async () => new ArrayBuffer(size))
+});
+
+const createService = ({ duration = 1.2 } = {}) => {
+  const audioService = {
+    decodeAudioData: vi.fn(async () => ({ duration })),
+    playSample: vi.fn(async () => undefined)
+  };
+  const store = createStore();
+  return { service: new SoundLibraryService({ audioService, store }), audioService, store };
+};
+
+describe('SoundLibraryService', () => {
+  test('imports, lists, previews and deletes samples', async () => {
+    const { service, audioService, store } = createService();
+    const onChange = vi.fn();
+    service.addListener(onChange);
+
+    const sample = await service.importSample(createFile('Bell.wav'));
+    expect(sample).toMatchObject({ name: 'Bell', format: 'wav', size: 2048, duration: 1.2 });
+    // The encoded file is kept for later sessions, without being exposed in listings
+    expect(store.set.mock.calls[0][1].data).toBeInstanceOf(ArrayBuffer);
+    expect(await service.listSamples()).toEqual([sample]);
+    expect(service.getLoadedSample(sample.id)).toEqual({ duration: 1.2 });
+
+    await expect(service.previewSample(sample.id)).resolves.toBe(true);
+    expect(audioService.playSample).toHaveBeenCalledWith({ duration: 1.2 });
+
+    await service.removeSample(sample.id);
+    expect(await service.listSamples()).toEqual([]);
+    expect(service.getLoadedSample(sample.id)).toBeNull();
+    expect(onChange).toHaveBeenCalledTimes(2);
+  });
+
+  test('rejects files of the wrong type, size or length', async () => {
+    const { service, store } = createService({ duration: SOUND_SAMPLE_LIMITS.maxSeconds + 1 });
+
+    await expect(service.importSample(createFile('notes.txt', { type: 'text/plain' })))
+      .rejects.toMatchObject({ context: { reason: 'type' } });
+    await expect(service.importSample(createFile('huge.wav', { size: SOUND_SAMPLE_LIMITS.maxBytes + 1 })))
+      .rejects.toMatchObject({ context: { reason: 'size' } });
+    await expect(service.importSample(createFile('long.ogg', { type: '' })))
+      .rejects.toMatchObject({ context: { reason: 'duration' } });
+    expect(store.set).not.toHaveBeenCalled();
+  });
+
+  test('decodes stored samples once, on first use', async () => {
+    const { service, audioService, store } = createService();
+    await store.set('sample-1', { name: 'Gong', format: 'mp3', size: 10, duration: 2, createdAt: 1, data: new ArrayBuffer(10) });
+
+    expect(service.getLoadedSample('sample-1')).toBeNull();
+    await service.preload(['sample-1', 'sample-1']);
+    expect(audioService.decodeAudioData).toHaveBeenCalledTimes(1);
+    expect(service.getLoadedSample('sample-1')).toEqual({ duration: 1.2 });
+    await expect(service.loadSample('missing')).resolves.toBeNull();
+  });
+
+  test('resolves per-technique assignments over the defaults', () => {
+    let assignments = assignSound(null, { slot: 'inhale', sampleId: 'bell' });
+    assignments = assignSound(assignments, { slot: 'hold', sampleId: 'gong' });
+    assignments = assignSound(assignments, { slot: 'inhale', sampleId: 'gong', techniqueId: '478' });
+
+    expect(resolveSoundAssignments(assignments, 'box4')).toEqual({ inhale: 'bell', hold: 'gong' });
+    expect(resolveSoundAssignments(assignments, '478')).toEqual({ inhale: 'gong', hold: 'gong' });
+
+    // Deleting a sample clears it everywhere; the emptied technique entry goes away
+    expect(unassignSample(assignments, 'gong')).toEqual({ default: { inhale: 'bell' }, techniques: {} });
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, expect, test, vi } from 'vitest';
+import { SpeechService } from '../../services/SpeechService.js';
+
+const VOICES = [
+  { voiceURI: 'en-default', name: 'English', lang: 'en-US', default: true },
+  { voiceURI: 'en-gb', name: 'British', lang: 'en-GB', default: false },
+  { voiceURI: 'uk-voice', name: 'Ukrainian', lang: 'uk-UA', default: false }
+];
+
+class Utterance {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+const createSynthesis = (voices = VOICES) => {
+  const handlers = new Map();
+  const synthesis = {
+    speaking: false,
+    pending: false,
+    voices: [],
+    getVoices: vi.fn(() => synthesis.voices),
+    speak: vi.fn(() => {
+      synthesis.speaking = true;
+    }),
+    cancel: vi.fn(() => {
+      synthesis.speaking = false;
+    }),
+    addEventListener: vi.fn((event, handler) => handlers.set(event, handler)),
+    removeEventListener: vi.fn((event) => handlers.delete(event)),
+    // Browsers fill the voice list after the page loads
+    loadVoices: () => {
+      synthesis.voices = voices;
+      handlers.get('voiceschanged')?.();
+    }
+  };
+  return synthesis;
+};
+
+describe('SpeechService', () => {
+  test('picks a voice for the current language once voices load', () => {
+    const synthesis = createSynthesis();
+    const service = new SpeechService({ synthesis, Utterance });
+    const onVoices = vi.fn();
+    service.addVoicesListener(onVoices);
+
+    expect(service.isAvailable()).toBe(false);
+    synthesis.loadVoices();
+    expect(onVoices).toHaveBeenCalledWith(VOICES);
+
+    expect(service.resolveVoice().voiceURI).toBe('en-default');
+    service.setPreferences({ voiceURI: 'en-gb' });
+    expect(service.resolveVoice().voiceURI).toBe('en-gb');
+
+    // A preferred voice in another language is ignored
+    service.setLanguage('uk');
+    expect(service.getVoices().map(voice => voice.voiceURI)).toEqual(['uk-voice']);
+    expect(service.resolveVoice().voiceURI).toBe('uk-voice');
+
+    service.setLanguage('de');
+    expect(service.isAvailable()).toBe(false);
+  });
+
+  test('speaks cues with the chosen rate and pitch, cutting off the previous one', () => {
+    const synthesis = createSynthesis();
+    synthesis.loadVoices();
+    const service = new SpeechService({ synthesis, Utterance });
+
+    expect(service.speak('Inhale')).toBe(false);
+    expect(service.speak('Inhale', { force: true })).toBe(true);
+
+    service.setEnabled(true);
+    service.setPreferences({ rate: 5, pitch: 0.8 });
+    expect(service.speak('2')).toBe(true);
+
+    expect(synthesis.cancel).toHaveBeenCalledTimes(1);
+    const utterance = synthesis.speak.mock.calls[1][0];
+    expect(utterance).toMatchObject({ text: '2', lang: 'en-US', rate: 2, pitch: 0.8 });
+    expect(utterance.voice.voiceURI).toBe('en-default');
+
+    service.setEnabled(false);
+    expect(synthesis.cancel).toHaveBeenCalledTimes(2);
+    expect(service.speak('3')).toBe(false);
+  });
+
+  test('reports speech as unavailable without browser support', () => {
+    const service = new SpeechService({ synthesis: undefined, Utterance: undefined });
+    service.setEnabled(true);
+
+    expect(service.speak('Inhale')).toBe(false);
+    expect(service.getCapabilities()).toMatchObject({ supported: false, available: false, voiceCount: 0 });
+  });
+});
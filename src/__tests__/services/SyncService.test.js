@@ -0,0 +1,392 @@
+import { afterEach, describe, expect, test, vi } from 'vitest';
+import { SyncService, SYNC_STATUS, mergeRecordsById } from '../../services/SyncService.js';
+import { StorageService } from '../../services/StorageService.js';
+import { StorageAdapter } from '../../adapters/StorageAdapter.js';
+import { RemoteStorageAdapter } from '../../adapters/RemoteStorageAdapter.js';
+import { CustomTechniqueService, CUSTOM_TECHNIQUES_STORAGE_KEY } from '../../services/CustomTechniqueService.js';
+import { SessionHistoryService, SESSION_HISTORY_STORAGE_KEY } from '../../services/SessionHistoryService.js';
+import { TechniqueRegistry } from '../../techniques/TechniqueRegistry.js';
+import { PREFERENCES_STORAGE_KEY } from '../../state/UserPreferencesState.js';
+import { errorHandler } from '../../errors/ErrorHandler.js';
+import { ValidationError } from '../../errors/AppError.js';
+
+const ENDPOINT = 'https://sync.example.test/api';
+
+class MemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.store = new Map();
+  }
+
+  async get(key) {
+    return this.store.has(key) ? this.store.get(key) : null;
+  }
+
+  async set(key, value) {
+    this.store.set(key, value);
+  }
+
+  async remove(key) {
+    this.store.delete(key);
+  }
+
+  async clear() {
+    this.store.clear();
+  }
+
+  async keys() {
+    return [...this.store.keys()];
+  }
+
+  async has(key) {
+    return this.store.has(key);
+  }
+
+  async size() {
+    return this.store.size;
+  }
+
+  async isAvailable() {
+    return true;
+  }
+}
+
+// Local stand-in for a backend serving the RemoteStorageAdapter contract
+const createStubServer = () => {
+  const server = { items: new Map(), offline: false, puts: 0 };
+  const respond = (status, body = null) => ({ ok: status < 300, status, json: async () => body });
+
+  server.fetch = vi.fn(async (url, { method, body }) => {
+    if (server.offline) {
+      throw new TypeError('Failed to fetch');
+    }
+
+    const path = url.slice(ENDPOINT.length);
+    const key = path.startsWith('/items/') ? decodeURIComponent(path.slice('/items/'.length)) : null;
+
+    if (!key) {
+      if (method === 'DELETE') {
+        server.items.clear();
+        return respond(204);
+      }
+      return respond(200, [...server.items].map(([itemKey, item]) => ({ key: itemKey, updatedAt: item.updatedAt })));
+    }
+    if (method === 'PUT') {
+      server.puts += 1;
+      server.items.set(key, JSON.parse(body));
+      return respond(204);
+    }
+    if (!server.items.has(key)) {
+      return respond(404);
+    }
+    if (method === 'DELETE') {
+      server.items.delete(key);
+      return respond(204);
+    }
+    return respond(200, { key, ...server.items.get(key) });
+  });
+
+  return server;
+};
+
+const clock = { value: 1000 };
+const services = [];
+
+const createDevice = async (server, endpoint = '', { appliers } = {}) => {
+  const storageService = new StorageService(new MemoryStorageAdapter());
+  await storageService.initialize();
+  if (endpoint) {
+    await storageService.set('breathing-app-sync', { endpoint });
+  }
+
+  const syncService = new SyncService({
+    storageService,
+    appliers: appliers?.(storageService),
+    createRemote: url => new RemoteStorageAdapter({ endpoint: url, fetch: server.fetch }),
+    now: () => clock.value,
+    pushDelayMs: 60000,
+    pollIntervalMs: 60000
+  });
+  services.push(syncService);
+  await syncService.initialize();
+  await settle(syncService);
+
+  return { storageService, syncService };
+};
+
+// Wait for the sync in flight and any pass queued behind it
+const settle = async (syncService) => {
+  while (syncService.running) {
+    await syncService.running;
+  }
+};
+
+// Pulled history goes through a SessionHistoryService per device, as in the app
+const withHistory = (histories, now) => (storageService) => {
+  const history = new SessionHistoryService(storageService, { now });
+  histories.set(storageService, history);
+  return { [SESSION_HISTORY_STORAGE_KEY]: sessions => history.importSessions(sessions, { replace: true }) };
+};
+
+// Pulled custom techniques go through a CustomTechniqueService per device, as in the app
+const withCustomTechniques = (techniques) => (storageService) => {
+  const service = new CustomTechniqueService(storageService, new TechniqueRegistry());
+  techniques.set(storageService, service);
+  return { [CUSTOM_TECHNIQUES_STORAGE_KEY]: definitions => service.applyTechniques(definitions) };
+};
+
+const createDefinition = (name) => ({
+  name,
+  phases: [
+    { key: 'inhale', name: 'Inhale', duration: 4 },
+    { key: 'hold1', name: 'Hold', duration: 4 },
+    { key: 'exhale', name: 'Exhale', duration: 4 },
+    { key: 'hold2', name: 'Hold', duration: 4 }
+  ]
+});
+
+const syncNow = async (syncService) => {
+  const result = await syncService.sync();
+  await settle(syncService);
+  return result;
+};
+
+afterEach(() => {
+  services.splice(0).forEach(service => service.dispose());
+  clock.value = 1000;
+  vi.restoreAllMocks();
+});
+
+describe('SyncService', () => {
+  test('pushes local writes and pulls them on another device', async () => {
+    const server = createStubServer();
+    const phone = await createDevice(server);
+    expect(phone.syncService.getStatus().status).toBe(SYNC_STATUS.DISABLED);
+
+    await phone.syncService.setEndpoint(`${ENDPOINT}/`);
+    await settle(phone.syncService);
+    await phone.storageService.set(CUSTOM_TECHNIQUES_STORAGE_KEY, [{ id: 'custom-evening', name: 'Evening' }]);
+    expect(await syncNow(phone.syncService)).toBe(true);
+    expect(server.items.get(CUSTOM_TECHNIQUES_STORAGE_KEY).value).toEqual([{ id: 'custom-evening', name: 'Evening' }]);
+
+    const laptop = await createDevice(server, ENDPOINT);
+    const puts = server.puts;
+
+    expect(await laptop.storageService.get(CUSTOM_TECHNIQUES_STORAGE_KEY))
+      .toEqual([{ id: 'custom-evening', name: 'Evening' }]);
+    // Applying a pulled value is not a local change to push back
+    expect(laptop.syncService.getStatus()).toMatchObject({ status: SYNC_STATUS.IDLE, pending: 0, lastSyncedAt: 1000 });
+    await syncNow(laptop.syncService);
+    expect(server.puts).toBe(puts);
+  });
+
+  test('queues writes while offline and pushes them once the backend is back', async () => {
+    const server = createStubServer();
+    const phone = await createDevice(server, ENDPOINT);
+    const handleError = vi.spyOn(errorHandler, 'handleError').mockImplementation(() => {});
+
+    server.offline = true;
+    await phone.storageService.set(SESSION_HISTORY_STORAGE_KEY, [{ id: 's1', startTime: 1 }]);
+    expect(await syncNow(phone.syncService)).toBe(false);
+    expect(phone.syncService.getStatus()).toMatchObject({ status: SYNC_STATUS.OFFLINE, pending: 1 });
+    expect(handleError).not.toHaveBeenCalled();
+
+    server.offline = false;
+    expect(await syncNow(phone.syncService)).toBe(true);
+    expect(phone.syncService.getStatus()).toMatchObject({ status: SYNC_STATUS.IDLE, pending: 0 });
+    expect(server.items.get(SESSION_HISTORY_STORAGE_KEY).value).toEqual([{ id: 's1', startTime: 1 }]);
+  });
+
+  test('resolves concurrent changes by last writer and merges history records', async () => {
+    const server = createStubServer();
+    const phone = await createDevice(server, ENDPOINT);
+    const laptop = await createDevice(server, ENDPOINT);
+    const handleError = vi.spyOn(errorHandler, 'handleError').mockImplementation(() => {});
+
+    server.offline = true;
+    clock.value = 2000;
+    await phone.storageService.set(PREFERENCES_STORAGE_KEY, { soundVolume: 0.2 });
+    await phone.storageService.set(SESSION_HISTORY_STORAGE_KEY, [{ id: 'phone-1', startTime: 20 }]);
+    clock.value = 3000;
+    await laptop.storageService.set(PREFERENCES_STORAGE_KEY, { soundVolume: 0.8 });
+    await laptop.storageService.set(SESSION_HISTORY_STORAGE_KEY, [{ id: 'laptop-1', startTime: 10 }]);
+
+    server.offline = false;
+    clock.value = 4000;
+    await syncNow(phone.syncService);
+    await syncNow(laptop.syncService);
+    await syncNow(phone.syncService);
+
+    const conflicts = handleError.mock.calls.map(([error]) => error.context);
+    expect(conflicts).toEqual([
+      expect.objectContaining({ key: PREFERENCES_STORAGE_KEY, resolution: 'local' }),
+      expect.objectContaining({ key: SESSION_HISTORY_STORAGE_KEY, resolution: 'merged' })
+    ]);
+
+    for (const device of [phone, laptop]) {
+      expect(await device.storageService.get(PREFERENCES_STORAGE_KEY)).toEqual({ soundVolume: 0.8 });
+      expect((await device.storageService.get(SESSION_HISTORY_STORAGE_KEY)).map(record => record.id))
+        .toEqual(['laptop-1', 'phone-1']);
+      expect(device.syncService.getStatus().pending).toBe(0);
+    }
+  });
+
+  test('does not count sessions twice when one device compacted them', async () => {
+    const server = createStubServer();
+    const now = () => new Date(2025, 5, 15, 12, 0, 0).getTime();
+    const oldDay = new Date(2025, 3, 1, 8, 0, 0).getTime();
+    const histories = new Map();
+    const appliers = withHistory(histories, now);
+    const phone = await createDevice(server, ENDPOINT, { appliers });
+    const laptop = await createDevice(server, ENDPOINT, { appliers });
+    vi.spyOn(errorHandler, 'handleError').mockImplementation(() => {});
+    const originals = [
+      { id: 'a', techniqueId: 'box4', startTime: oldDay, endTime: oldDay + 60000, activeMs: 60000, cyclesCompleted: 4 },
+      { id: 'b', techniqueId: 'box4', startTime: oldDay + 3600000, endTime: oldDay + 3660000, activeMs: 60000, cyclesCompleted: 3 }
+    ];
+
+    server.offline = true;
+    clock.value = 2000;
+    // The phone still holds the raw records, the laptop has compacted them
+    await phone.storageService.set(SESSION_HISTORY_STORAGE_KEY, originals);
+    clock.value = 3000;
+    await histories.get(laptop.storageService).importSessions(originals);
+
+    server.offline = false;
+    clock.value = 4000;
+    await syncNow(phone.syncService);
+    await syncNow(laptop.syncService);
+    await syncNow(phone.syncService);
+
+    expect(server.items.get(SESSION_HISTORY_STORAGE_KEY).value).toEqual([
+      expect.objectContaining({ compacted: true, sourceIds: ['a', 'b'] })
+    ]);
+    for (const device of [phone, laptop]) {
+      expect(histories.get(device.storageService).getSessions()).toEqual([
+        expect.objectContaining({ sessionCount: 2, activeMs: 120000, cyclesCompleted: 7 })
+      ]);
+    }
+  });
+
+  test('keeps sessions deleted on one device gone while the other records new ones', async () => {
+    const server = createStubServer();
+    const NOW = new Date(2025, 5, 15, 12, 0, 0).getTime();
+    const histories = new Map();
+    const appliers = withHistory(histories, () => NOW);
+    const phone = await createDevice(server, ENDPOINT, { appliers });
+    const laptop = await createDevice(server, ENDPOINT, { appliers });
+    const phoneHistory = histories.get(phone.storageService);
+    const laptopHistory = histories.get(laptop.storageService);
+    vi.spyOn(errorHandler, 'handleError').mockImplementation(() => {});
+    const createSession = (id, minutesAgo) => ({
+      id, techniqueId: 'box4', startTime: NOW - minutesAgo * 60000, endTime: NOW - (minutesAgo - 5) * 60000, activeMs: 300000
+    });
+    const syncBoth = async () => {
+      server.offline = false;
+      await syncNow(phone.syncService);
+      await syncNow(laptop.syncService);
+      await syncNow(phone.syncService);
+    };
+
+    await phoneHistory.recordSession(createSession('kept', 90));
+    await phoneHistory.recordSession(createSession('deleted', 60));
+    await syncBoth();
+    expect(laptopHistory.getSessions().map(session => session.id)).toEqual(['deleted', 'kept']);
+
+    server.offline = true;
+    clock.value = 2000;
+    await phoneHistory.deleteSession('deleted');
+    clock.value = 3000;
+    await laptopHistory.recordSession(createSession('laptop-1', 30));
+    clock.value = 4000;
+    await syncBoth();
+
+    for (const history of [phoneHistory, laptopHistory]) {
+      expect(history.getSessions().map(session => session.id)).toEqual(['laptop-1', 'kept']);
+    }
+
+    // Clearing is not undone either
+    server.offline = true;
+    clock.value = 5000;
+    await phoneHistory.clearHistory();
+    clock.value = 6000;
+    await laptopHistory.recordSession(createSession('laptop-2', 10));
+    clock.value = 7000;
+    await syncBoth();
+
+    for (const history of [phoneHistory, laptopHistory]) {
+      expect(history.getSessions().map(session => session.id)).toEqual(['laptop-2']);
+    }
+  });
+
+  test('keeps custom techniques created on both devices and deleted ones gone', async () => {
+    const server = createStubServer();
+    const techniques = new Map();
+    const appliers = withCustomTechniques(techniques);
+    const phone = await createDevice(server, ENDPOINT, { appliers });
+    const laptop = await createDevice(server, ENDPOINT, { appliers });
+    const phoneTechniques = techniques.get(phone.storageService);
+    const laptopTechniques = techniques.get(laptop.storageService);
+    vi.spyOn(errorHandler, 'handleError').mockImplementation(() => {});
+
+    server.offline = true;
+    clock.value = 2000;
+    const morning = await phoneTechniques.saveTechnique(createDefinition('Morning'));
+    clock.value = 3000;
+    const evening = await laptopTechniques.saveTechnique(createDefinition('Evening'));
+
+    server.offline = false;
+    clock.value = 4000;
+    await syncNow(phone.syncService);
+    await syncNow(laptop.syncService);
+    await syncNow(phone.syncService);
+
+    for (const service of [phoneTechniques, laptopTechniques]) {
+      expect(service.getCustomTechniques().map(technique => technique.name).sort()).toEqual(['Evening', 'Morning']);
+    }
+
+    // The phone deletes its technique while the laptop adds another
+    server.offline = true;
+    clock.value = 5000;
+    await phoneTechniques.deleteTechnique(morning.id);
+    clock.value = 6000;
+    await laptopTechniques.saveTechnique(createDefinition('Night'));
+
+    server.offline = false;
+    clock.value = 7000;
+    await syncNow(phone.syncService);
+    await syncNow(laptop.syncService);
+    await syncNow(phone.syncService);
+
+    for (const service of [phoneTechniques, laptopTechniques]) {
+      expect(service.getCustomTechniques().map(technique => technique.name).sort()).toEqual(['Evening', 'Night']);
+      expect(service.registry.hasTechnique(morning.id)).toBe(false);
+      expect(service.registry.hasTechnique(evening.id)).toBe(true);
+    }
+  });
+
+  test('validates the endpoint and merges records by id', async () => {
+    const { syncService } = await createDevice(createStubServer());
+
+    await expect(syncService.setEndpoint('ftp://example.test')).rejects.toBeInstanceOf(ValidationError);
+    expect(syncService.getEndpoint()).toBe('');
+
+    expect(mergeRecordsById(
+      [{ id: 'b', startTime: 2, note: 'local' }],
+      [{ id: 'a', startTime: 1 }, { id: 'b', startTime: 2, note: 'remote' }]
+    )).toEqual([{ id: 'a', startTime: 1 }, { id: 'b', startTime: 2, note: 'local' }]);
+    expect(mergeRecordsById(
+      [{ id: 'compact-1', startTime: 1, sourceIds: ['a', 'b'] }],
+      [{ id: 'a', startTime: 1 }, { id: 'b', startTime: 2 }, { id: 'c', startTime: 3 }]
+    ).map(record => record.id)).toEqual(['compact-1', 'c']);
+    expect(mergeRecordsById(
+      [{ id: 'a', startTime: 1 }, { id: 'b', startTime: 2 }],
+      [{ id: 'a', deleted: true, deletedAt: 5, startTime: 1 }]
+    )).toEqual([{ id: 'a', deleted: true, deletedAt: 5, startTime: 1 }, { id: 'b', startTime: 2 }]);
+    // Records with update times: the later one wins, and an update after a deletion restores the record
+    expect(mergeRecordsById(
+      [{ id: 'a', name: 'Local', updatedAt: 5 }, { id: 'b', name: 'Edited', updatedAt: 9 }],
+      [{ id: 'a', name: 'Remote', updatedAt: 7 }, { id: 'b', deleted: true, deletedAt: 8 }]
+    )).toEqual([{ id: 'a', name: 'Remote', updatedAt: 7 }, { id: 'b', name: 'Edited', updatedAt: 9 }]);
+  });
+});
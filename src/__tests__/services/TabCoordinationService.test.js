@@ -0,0 +1,138 @@
+import { afterEach, describe, expect, test, vi } from 'vitest';
+import { TabCoordinationService } from '../../services/TabCoordinationService.js';
+import { UserPreferencesState } from '../../state/UserPreferencesState.js';
+import { TestUtils } from '../TestUtils.js';
+
+/**
+ * In-memory stand-in for BroadcastChannel: a message reaches every other channel
+ * with the same name, never the sender
+ */
+const createChannelHub = () => {
+  const channels = new Set();
+
+  return name => {
+    const listeners = new Set();
+    const channel = {
+      name,
+      postMessage: (data) => {
+        channels.forEach(other => {
+          if (other !== channel && other.name === name) {
+            other.listeners.forEach(listener => listener({ data: structuredClone(data) }));
+          }
+        });
+      },
+      addEventListener: (type, listener) => listeners.add(listener),
+      removeEventListener: (type, listener) => listeners.delete(listener),
+      close: () => channels.delete(channel),
+      listeners
+    };
+    channels.add(channel);
+    return channel;
+  };
+};
+
+const services = [];
+const clock = { value: 1000 };
+
+const createTab = (createChannel, tabId) => {
+  const storageService = TestUtils.createMemoryStorageService();
+  const preferencesState = new UserPreferencesState(storageService);
+  const service = new TabCoordinationService({
+    preferencesState,
+    createChannel,
+    tabId,
+    now: () => clock.value
+  });
+  services.push(service);
+  service.initialize();
+  return { service, preferencesState, storageService };
+};
+
+afterEach(() => {
+  services.splice(0).forEach(service => service.dispose());
+  clock.value = 1000;
+  vi.useRealTimers();
+});
+
+describe('TabCoordinationService', () => {
+  test('lets one tab lead and hands over to a newer claim', () => {
+    const createChannel = createChannelHub();
+    const first = createTab(createChannel, 'tab-a');
+    const second = createTab(createChannel, 'tab-b');
+
+    first.service.setRunning(true);
+    first.service.claimLeadership();
+    expect(first.service.getState()).toMatchObject({ isLeader: true, isOtherTabRunning: false });
+    expect(second.service.getState()).toMatchObject({ isLeader: false, isOtherTabRunning: true });
+
+    // A tab opened later learns about the running session
+    const third = createTab(createChannel, 'tab-c');
+    expect(third.service.getState().isOtherTabRunning).toBe(true);
+
+    const lost = vi.fn();
+    first.service.addListener(lost);
+    clock.value = 2000;
+    second.service.setRunning(true);
+    second.service.claimLeadership();
+
+    expect(lost).toHaveBeenCalledWith(expect.objectContaining({ isLeader: false, isOtherTabRunning: true }));
+    expect(second.service.isLeader()).toBe(true);
+    expect(third.service.getState().isOtherTabRunning).toBe(true);
+
+    second.service.setRunning(false);
+    second.service.releaseLeadership();
+    expect(first.service.getState().isOtherTabRunning).toBe(false);
+    expect(third.service.getState().isOtherTabRunning).toBe(false);
+  });
+
+  test('keeps the newest claim when an older one arrives late', () => {
+    const createChannel = createChannelHub();
+    const first = createTab(createChannel, 'tab-a');
+    const second = createTab(createChannel, 'tab-b');
+    const answered = vi.fn();
+    createChannel('breathing-app-tabs').addEventListener('message', answered);
+
+    clock.value = 2000;
+    second.service.claimLeadership();
+    // A claim from a tab that was frozen mid-way is older than the current one
+    const staleClaim = { type: 'claim', tabId: 'tab-c', claimedAt: 1500, running: true };
+    first.service.receive(staleClaim);
+    second.service.receive(staleClaim);
+
+    expect(second.service.isLeader()).toBe(true);
+    expect(first.service.getState().isLeader).toBe(false);
+    // The leader answers so the stale tab follows it
+    expect(answered).toHaveBeenCalledWith({ data: expect.objectContaining({ type: 'status', tabId: 'tab-b' }) });
+  });
+
+  test('drops a leader that stops sending heartbeats', () => {
+    vi.useFakeTimers();
+    const createChannel = createChannelHub();
+    const first = createTab(createChannel, 'tab-a');
+    const second = createTab(createChannel, 'tab-b');
+
+    first.service.setRunning(true);
+    first.service.claimLeadership();
+    vi.advanceTimersByTime(10000);
+    expect(second.service.getState().isOtherTabRunning).toBe(true);
+
+    // The leader tab froze or crashed without saying goodbye
+    first.service.stopHeartbeat();
+    vi.advanceTimersByTime(6000);
+    expect(second.service.getState().isOtherTabRunning).toBe(false);
+  });
+
+  test('passes preference changes on without saving them twice', () => {
+    const createChannel = createChannelHub();
+    const first = createTab(createChannel, 'tab-a');
+    const second = createTab(createChannel, 'tab-b');
+
+    first.preferencesState.setSoundVolume(0.8);
+    first.preferencesState.setState({ showSettings: true });
+
+    expect(second.preferencesState.getState().soundVolume).toBe(0.8);
+    expect(second.preferencesState.getState().showSettings).not.toBe(true);
+    expect(first.storageService.set).toHaveBeenCalled();
+    expect(second.storageService.set).not.toHaveBeenCalled();
+  });
+});
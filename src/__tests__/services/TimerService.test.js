@@ -1,5 +1,8 @@
 import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
-import { TimerService } from '../../services/TimerService.js';
+import { TimerService, BACKGROUND_POLICIES, PAUSE_REASONS } from '../../services/TimerService.js';
+import { BaseTechnique } from '../../techniques/BaseTechnique.js';
+import { ProgramTechnique } from '../../techniques/ProgramTechnique.js';
+import { ProgressiveTechnique } from '../../techniques/ProgressiveTechnique.js';
 
 const createMockTechnique = () => ({
   getId: vi.fn(() => 'box4'),
@@ -28,6 +31,39 @@ const createMockTechnique = () => ({
   })
 });
 
+// Two stages of 30 seconds: 10-second cycles, then 16-second cycles
+const createTestProgram = () => {
+  const stageTechniques = new Map([
+    ['even', new BaseTechnique({
+      id: 'even',
+      name: 'Even',
+      phases: [{ key: 'inhale', name: 'Inhale' }, { key: 'exhale', name: 'Exhale' }],
+      durationsSec: [5, 5],
+      pattern: '5-5'
+    })],
+    ['square', new BaseTechnique({
+      id: 'square',
+      name: 'Square',
+      phases: [
+        { key: 'inhale', name: 'Inhale' },
+        { key: 'hold1', name: 'Hold' },
+        { key: 'exhale', name: 'Exhale' },
+        { key: 'hold2', name: 'Hold' }
+      ],
+      durationsSec: [4, 4, 4, 4],
+      pattern: '4-4-4-4'
+    })]
+  ]);
+  return new ProgramTechnique({
+    id: 'program-test',
+    name: 'Test program',
+    stages: [
+      { techniqueId: 'even', minutes: 0.5 },
+      { techniqueId: 'square', minutes: 0.5 }
+    ]
+  }, id => stageTechniques.get(id));
+};
+
 describe('TimerService', () => {
   let timerService;
   let technique;
@@ -135,6 +171,302 @@ describe('TimerService', () => {
     expect(cycleCompleteListener).toHaveBeenCalled();
   });
 
+  test('supports fractional durations with millisecond phase boundaries', async () => {
+    const resonance = new BaseTechnique({
+      id: 'resonance',
+      name: 'Resonance',
+      phases: [
+        { key: 'inhale', name: 'Inhale' },
+        { key: 'exhale', name: 'Exhale' }
+      ],
+      durationsSec: [5.5, 5.5],
+      pattern: '5.5-5.5'
+    });
+    const phaseChangeListener = vi.fn();
+    const cycleCompleteListener = vi.fn();
+
+    timerService.setTechnique(resonance);
+    timerService.addListener('phaseChange', phaseChangeListener);
+    timerService.addListener('cycleComplete', cycleCompleteListener);
+    await timerService.start();
+
+    vi.advanceTimersByTime(5499);
+    expect(phaseChangeListener).not.toHaveBeenCalled();
+    expect(timerService.getState().timeInPhase).toBe(5);
+
+    vi.advanceTimersByTime(1);
+    expect(phaseChangeListener).toHaveBeenCalledTimes(1);
+    expect(phaseChangeListener.mock.calls[0][0]).toMatchObject({
+      phaseIndex: 1,
+      previousPhaseIndex: 0,
+      boundaryTime: 5.5
+    });
+
+    vi.advanceTimersByTime(5500);
+    expect(cycleCompleteListener).toHaveBeenCalledWith(expect.objectContaining({ cyclesCompleted: 1 }));
+    expect(timerService.getElapsedTime()).toBeCloseTo(11, 3);
+  });
+
+  test('completes after the configured number of cycles', async () => {
+    const completeListener = vi.fn();
+    const updateListener = vi.fn();
+
+    timerService.setTechnique(technique);
+    timerService.setGoal({ type: 'cycles', value: 2 });
+    timerService.addListener('complete', completeListener);
+    await timerService.start();
+    timerService.addListener('update', updateListener);
+
+    vi.advanceTimersByTime(12000);
+    expect(completeListener).not.toHaveBeenCalled();
+    expect(timerService.getGoalProgress()).toBe(0.5);
+
+    updateListener.mockClear();
+    vi.advanceTimersByTime(12000);
+    expect(completeListener).toHaveBeenCalledTimes(1);
+    expect(completeListener.mock.calls[0][0]).toMatchObject({
+      cyclesCompleted: 2,
+      currentTime: 24,
+      goal: { type: 'cycles', value: 2 }
+    });
+    expect(timerService.getState()).toMatchObject({ isRunning: false, isComplete: true });
+
+    vi.advanceTimersByTime(12000);
+    expect(completeListener).toHaveBeenCalledTimes(1);
+    expect(updateListener.mock.calls.every(([data]) => data.currentTime < 24)).toBe(true);
+  });
+
+  test('finishes a timed goal on the next clean cycle boundary', async () => {
+    const completeListener = vi.fn();
+
+    timerService.setTechnique(technique);
+    timerService.setGoal({ type: 'minutes', value: 0.5 });
+    timerService.addListener('complete', completeListener);
+    await timerService.start();
+
+    vi.advanceTimersByTime(30000);
+    expect(completeListener).not.toHaveBeenCalled();
+    expect(timerService.getGoalProgress()).toBe(1);
+
+    vi.advanceTimersByTime(6000);
+    expect(completeListener).toHaveBeenCalledWith(expect.objectContaining({
+      cyclesCompleted: 3,
+      currentTime: 36
+    }));
+  });
+
+  test('moves through program stages on cycle boundaries and completes after the last', async () => {
+    const program = createTestProgram();
+    const stageChangeListener = vi.fn();
+    const completeListener = vi.fn();
+
+    timerService.setTechnique(program);
+    timerService.setGoal({ type: 'cycles', value: 1 });
+    timerService.addListener('stageChange', stageChangeListener);
+    timerService.addListener('complete', completeListener);
+    await timerService.start();
+
+    expect(timerService.getState()).toMatchObject({ technique: 'even', programId: 'program-test', stageIndex: 0 });
+
+    vi.advanceTimersByTime(30000);
+    expect(stageChangeListener).toHaveBeenCalledTimes(1);
+    expect(stageChangeListener.mock.calls[0][0]).toMatchObject({
+      stageIndex: 1,
+      previousStageIndex: 0,
+      stageCount: 2,
+      techniqueId: 'square',
+      boundaryTime: 30,
+      cycleIndex: 3
+    });
+    expect(timerService.getState()).toMatchObject({ technique: 'square', totalDuration: 16 });
+    expect(timerService.getCurrentPhase()).toMatchObject({ phaseIndex: 0 });
+
+    // 16 seconds into the second stage is short of its 30 seconds; 32 is past it
+    vi.advanceTimersByTime(16000);
+    expect(completeListener).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(16000);
+    expect(completeListener).toHaveBeenCalledTimes(1);
+    expect(completeListener.mock.calls[0][0]).toMatchObject({
+      techniqueId: 'program-test',
+      stageIndex: 1,
+      cyclesCompleted: 5,
+      currentTime: 62
+    });
+
+    timerService.reset();
+    expect(timerService.getState()).toMatchObject({ technique: 'even', stageIndex: 0 });
+  });
+
+  test('continues a program from a saved position', async () => {
+    timerService.setTechnique(createTestProgram());
+    await timerService.start();
+    vi.advanceTimersByTime(35000);
+
+    const position = timerService.getPosition();
+    expect(position).toMatchObject({ stageIndex: 1, stageStartTime: 30, stageCycleOffset: 3 });
+    timerService.stop();
+
+    const restored = new TimerService();
+    const completeListener = vi.fn();
+    restored.setTechnique(createTestProgram());
+    restored.addListener('complete', completeListener);
+    restored.restorePosition(position);
+    await restored.start();
+
+    expect(restored.getState()).toMatchObject({ technique: 'square', stageIndex: 1, currentTime: 35 });
+    expect(restored.getCyclesCompleted()).toBe(3);
+
+    // The second stage ends on its second cycle boundary, 62 seconds into the session
+    vi.advanceTimersByTime(27000);
+    expect(completeListener).toHaveBeenCalledTimes(1);
+    expect(completeListener.mock.calls[0][0]).toMatchObject({ cyclesCompleted: 5, currentTime: 62 });
+  });
+
+  test('follows per-cycle durations of a progressive technique', async () => {
+    const progressive = new ProgressiveTechnique({
+      id: 'stepped',
+      name: 'Stepped',
+      phases: [{ key: 'inhale', name: 'Inhale' }, { key: 'exhale', name: 'Exhale' }],
+      durationsSec: [2, 2],
+      pattern: '2-2 → 3-5',
+      progression: { type: 'steps', unit: 'cycles', steps: [{ at: 2, durationsSec: [3, 5] }] }
+    });
+    const phaseChangeListener = vi.fn();
+    const cycleCompleteListener = vi.fn();
+    const completeListener = vi.fn();
+
+    timerService.setTechnique(progressive);
+    timerService.setGoal({ type: 'cycles', value: 3 });
+    timerService.addListener('phaseChange', phaseChangeListener);
+    timerService.addListener('cycleComplete', cycleCompleteListener);
+    timerService.addListener('complete', completeListener);
+    await timerService.start();
+
+    vi.advanceTimersByTime(8000);
+    expect(cycleCompleteListener).toHaveBeenCalledTimes(2);
+    expect(timerService.getState()).toMatchObject({ totalDuration: 8 });
+    expect(timerService.getCurrentPhase()).toMatchObject({ phaseIndex: 0, duration: 3, cycleIndex: 2, cycleStartTime: 8 });
+
+    phaseChangeListener.mockClear();
+    vi.advanceTimersByTime(3000);
+    expect(phaseChangeListener).toHaveBeenCalledWith(expect.objectContaining({ phaseIndex: 1, boundaryTime: 11 }));
+
+    vi.advanceTimersByTime(4999);
+    expect(completeListener).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(1);
+    expect(completeListener).toHaveBeenCalledWith(expect.objectContaining({ cyclesCompleted: 3, currentTime: 16 }));
+  });
+
+  test('ramps progressive durations over time and rebuilds layouts per cycle', () => {
+    const ramp = new ProgressiveTechnique({
+      id: 'ramp',
+      name: 'Ramp',
+      phases: [{ key: 'inhale', name: 'Inhale' }, { key: 'exhale', name: 'Exhale' }],
+      durationsSec: [4, 4],
+      pattern: '4-4 → 6-8',
+      progression: { type: 'ramp', unit: 'seconds', over: 60, toDurationsSec: [6, 8] }
+    });
+
+    expect(ramp.validate()).toBe(true);
+    expect(ramp.getCurrentPhase(0)).toMatchObject({ duration: 4, cycleIndex: 0 });
+    expect(ramp.getDurationsForCycle(1)).toEqual([4.3, 4.5]);
+    expect(ramp.getCurrentPhase(8)).toMatchObject({ phaseIndex: 0, cycleIndex: 1, cycleStartTime: 8 });
+    expect(ramp.getTotalDuration(0)).toBe(8);
+
+    // Once the ramp has finished every cycle is 6-8
+    const settled = ramp.getCurrentPhase(600);
+    expect(ramp.getDurationsForCycle(settled.cycleIndex)).toEqual([6, 8]);
+    expect(ramp.getCycleStartTime(settled.cycleIndex)).toBe(settled.cycleStartTime);
+    expect(ramp.getVisualizationPoints(0)).toHaveLength(8);
+    expect(ramp.getVisualizationPoints(settled.cycleIndex)).toHaveLength(14);
+  });
+
+  describe('when ticks are held back', () => {
+    let now;
+    let wallNow;
+
+    // Manual clocks: ticks are run by hand to simulate a throttled tab or a sleeping device
+    const createTimer = () => {
+      now = 0;
+      wallNow = 1_000_000;
+      return new TimerService(() => now, () => wallNow);
+    };
+    const elapse = (ms, { monotonic = true } = {}) => {
+      if (monotonic) now += ms;
+      wallNow += ms;
+    };
+
+    test('catches up and completes on the boundary where the goal was met', async () => {
+      const timer = createTimer();
+      const completeListener = vi.fn();
+      const updateListener = vi.fn();
+      timer.setTechnique(technique);
+      timer.setGoal({ type: 'cycles', value: 2 });
+      timer.addListener('complete', completeListener);
+      timer.addListener('update', updateListener);
+      await timer.start();
+
+      elapse(60000);
+      timer.updateTimer();
+
+      expect(completeListener).toHaveBeenCalledTimes(1);
+      expect(completeListener.mock.calls[0][0]).toMatchObject({ cyclesCompleted: 2, currentTime: 24 });
+      expect(updateListener.mock.calls.every(([data]) => data.currentTime < 24)).toBe(true);
+    });
+
+    test('keeps counting through device sleep and flags the catch-up', async () => {
+      const timer = createTimer();
+      const updateListener = vi.fn();
+      timer.setTechnique(technique);
+      await timer.start();
+      timer.addListener('update', updateListener);
+
+      // performance.now() stood still while the device slept
+      elapse(30500, { monotonic: false });
+      timer.updateTimer();
+
+      expect(timer.getElapsedTime()).toBeCloseTo(30.5, 3);
+      expect(timer.getCyclesCompleted()).toBe(2);
+      expect(updateListener).toHaveBeenCalledWith(expect.objectContaining({
+        isCatchUp: true,
+        phaseIndex: 1,
+        cycleIndex: 2
+      }));
+      timer.stop();
+    });
+
+    test('pauses where the session was last shown under the pause policy', async () => {
+      const timer = createTimer();
+      const pauseListener = vi.fn();
+      timer.setTechnique(technique);
+      timer.setBackgroundPolicy(BACKGROUND_POLICIES.PAUSE);
+      timer.addListener('pause', pauseListener);
+      await timer.start();
+
+      elapse(1000);
+      timer.updateTimer();
+      elapse(45000);
+      timer.updateTimer();
+
+      expect(pauseListener).toHaveBeenCalledWith(expect.objectContaining({ reason: PAUSE_REASONS.BACKGROUND }));
+      expect(timer.getPauseReason()).toBe(PAUSE_REASONS.BACKGROUND);
+      expect(timer.getElapsedTime()).toBe(1);
+
+      timer.resume();
+      expect(timer.getPauseReason()).toBeNull();
+      elapse(1000);
+      timer.updateTimer();
+      expect(timer.getElapsedTime()).toBe(2);
+
+      // Hiding the page pauses right away
+      timer.setPageVisible(false);
+      expect(timer.isCurrentlyPaused()).toBe(true);
+      timer.stop();
+    });
+  });
+
   test('rejects start when no technique is configured', async () => {
     await expect(timerService.start()).rejects.toThrow(/without technique/i);
   });
@@ -0,0 +1,71 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { VibrationService } from '../../services/VibrationService.js';
+import { BoxBreathingTechnique } from '../../techniques/BoxBreathingTechnique.js';
+import { FourSevenEightTechnique } from '../../techniques/FourSevenEightTechnique.js';
+import {
+  HAPTIC_SHAPES,
+  HAPTIC_STRENGTHS,
+  generateHapticPattern,
+  normalizeHapticProfile
+} from '../../utils/hapticPatterns.js';
+
+const pulses = pattern => pattern.filter((_, index) => index % 2 === 0);
+const gaps = pattern => pattern.filter((_, index) => index % 2 === 1);
+const total = pattern => pattern.reduce((sum, value) => sum + value, 0);
+
+describe('VibrationService breath patterns', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    navigator.vibrate = vi.fn(() => true);
+    service = new VibrationService();
+    service.setEnabled(true);
+  });
+
+  afterEach(() => {
+    service.dispose();
+    delete navigator.vibrate;
+    vi.useRealTimers();
+  });
+
+  test('shapes pulses to the breath and fits them inside the phase', () => {
+    const inhale = generateHapticPattern(HAPTIC_SHAPES.RAMP, 4);
+    const hold = generateHapticPattern(HAPTIC_SHAPES.STEADY, 4);
+    const exhale = generateHapticPattern(HAPTIC_SHAPES.DECAY, 4);
+
+    // Every phase opens with a full-strength pulse
+    [inhale, hold, exhale].forEach((pattern) => {
+      expect(pattern[0]).toBe(HAPTIC_STRENGTHS.medium);
+      expect(total(pattern)).toBeLessThan(4000);
+    });
+
+    expect(gaps(inhale)[0]).toBeGreaterThan(gaps(inhale).at(-1));
+    expect(new Set(gaps(hold)).size).toBe(1);
+    expect(gaps(exhale)[0]).toBeLessThan(gaps(exhale).at(-1));
+    expect(pulses(exhale).at(-1)).toBeLessThan(pulses(exhale)[0]);
+
+    expect(generateHapticPattern(HAPTIC_SHAPES.OFF, 4)).toEqual([]);
+    // Browsers reject patterns longer than this
+    expect(generateHapticPattern(HAPTIC_SHAPES.RAMP, 300).length).toBeLessThanOrEqual(99);
+  });
+
+  test('registers per-technique patterns from the phase durations and plays them', async () => {
+    const profile = normalizeHapticProfile({ enabled: true, hold: HAPTIC_SHAPES.OFF });
+    const box = service.registerTechniquePatterns(new BoxBreathingTechnique(), profile);
+    const fourSevenEight = service.registerTechniquePatterns(new FourSevenEightTechnique(), { enabled: true });
+
+    expect(Object.keys(box)).toEqual(['inhale', 'exhale']);
+    expect(service.getAllPatterns()).toHaveProperty('box4:inhale', box.inhale);
+    // The 8 second exhale of 4-7-8 gets a longer pattern than box breathing's 4 seconds
+    expect(total(fourSevenEight.exhale)).toBeGreaterThan(total(box.exhale));
+
+    await expect(service.playPhasePattern('box4', 'inhale')).resolves.toBe(true);
+    expect(navigator.vibrate).toHaveBeenCalledWith(box.inhale);
+    await expect(service.playPhasePattern('box4', 'hold1')).resolves.toBe(false);
+
+    // Registering again replaces the technique's patterns
+    service.registerTechniquePatterns(new BoxBreathingTechnique(), { enabled: true });
+    expect(service.getPattern('box4:hold1')).toEqual(generateHapticPattern(HAPTIC_SHAPES.STEADY, 4));
+  });
+});
@@ -0,0 +1,130 @@
+import { afterEach, describe, expect, test, vi } from 'vitest';
+import { WakeLockService } from '../../services/WakeLockService.js';
+import { TimerService } from '../../services/TimerService.js';
+
+const createSentinel = () => {
+  const handlers = new Map();
+  const sentinel = {
+    released: false,
+    addEventListener: vi.fn((event, handler) => handlers.set(event, handler)),
+    removeEventListener: vi.fn((event) => handlers.delete(event)),
+    release: vi.fn(() => {
+      sentinel.released = true;
+      return Promise.resolve();
+    }),
+    // The browser releases the lock on its own when the page is hidden
+    drop: () => {
+      sentinel.released = true;
+      handlers.get('release')?.();
+    }
+  };
+  return sentinel;
+};
+
+const createEnvironment = () => {
+  const sentinels = [];
+  const wakeLock = {
+    request: vi.fn(() => {
+      const sentinel = createSentinel();
+      sentinels.push(sentinel);
+      return Promise.resolve(sentinel);
+    })
+  };
+  const handlers = new Map();
+  const documentRef = {
+    visibilityState: 'visible',
+    addEventListener: vi.fn((event, handler) => handlers.set(event, handler)),
+    removeEventListener: vi.fn((event) => handlers.delete(event)),
+    setVisibility: (state) => {
+      documentRef.visibilityState = state;
+      handlers.get('visibilitychange')?.();
+    }
+  };
+  return { wakeLock, documentRef, sentinels };
+};
+
+describe('WakeLockService', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('follows the timer through start, pause, resume and stop', async () => {
+    vi.useFakeTimers();
+    const { wakeLock, documentRef, sentinels } = createEnvironment();
+    const service = new WakeLockService({ wakeLock, documentRef });
+    const timer = new TimerService();
+    timer.setTechnique({
+      getId: () => 'box4',
+      getTotalDuration: () => 4,
+      getCurrentPhase: (elapsedSeconds) => ({
+        phaseIndex: 0,
+        key: 'inhale',
+        duration: 4,
+        timeInPhase: elapsedSeconds % 4,
+        timeLeft: 4 - (elapsedSeconds % 4)
+      })
+    });
+    timer.addListener('start', () => service.acquire());
+    timer.addListener('resume', () => service.acquire());
+    timer.addListener('pause', () => service.release());
+    timer.addListener('stop', () => service.release());
+
+    timer.start();
+    await service.requestLock();
+    expect(wakeLock.request).toHaveBeenCalledWith('screen');
+    expect(service.isActive()).toBe(true);
+
+    timer.pause();
+    await Promise.resolve();
+    expect(sentinels[0].release).toHaveBeenCalled();
+    expect(service.isActive()).toBe(false);
+
+    timer.resume();
+    await service.requestLock();
+    expect(service.getCapabilities()).toMatchObject({ supported: true, isRequested: true, isActive: true });
+
+    timer.stop();
+    await Promise.resolve();
+    expect(service.getCapabilities()).toMatchObject({ isRequested: false, isActive: false });
+  });
+
+  test('re-acquires the lock when the page becomes visible again', async () => {
+    const { wakeLock, documentRef, sentinels } = createEnvironment();
+    const service = new WakeLockService({ wakeLock, documentRef });
+
+    await service.acquire();
+    documentRef.visibilityState = 'hidden';
+    sentinels[0].drop();
+    expect(service.isActive()).toBe(false);
+
+    // Hidden pages cannot take a lock
+    documentRef.setVisibility('hidden');
+    expect(wakeLock.request).toHaveBeenCalledTimes(1);
+
+    documentRef.setVisibility('visible');
+    await service.requestLock();
+    expect(wakeLock.request).toHaveBeenCalledTimes(2);
+    expect(service.isActive()).toBe(true);
+
+    await service.release();
+    documentRef.setVisibility('visible');
+    expect(wakeLock.request).toHaveBeenCalledTimes(2);
+  });
+
+  test('respects the preference and missing browser support', async () => {
+    const { wakeLock, documentRef } = createEnvironment();
+    const service = new WakeLockService({ wakeLock, documentRef });
+
+    service.setEnabled(false);
+    await expect(service.acquire()).resolves.toBeNull();
+    expect(wakeLock.request).not.toHaveBeenCalled();
+
+    service.setEnabled(true);
+    await service.requestLock();
+    expect(service.isActive()).toBe(true);
+
+    const unsupported = new WakeLockService({ wakeLock: undefined, documentRef });
+    await expect(unsupported.acquire()).resolves.toBeNull();
+    expect(unsupported.getCapabilities()).toMatchObject({ supported: false, isActive: false });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, expect, test } from 'vitest';
+import {
+  aggregateSessionStats,
+  buildCalendarHeatmap,
+  getDailyTotals,
+  getDayKey,
+  getStreaks,
+  getTechniqueMetrics
+} from '../../utils/sessionStatistics.js';
+
+// Sunday, 15 June 2025, local time
+const NOW = new Date(2025, 5, 15, 12, 0, 0).getTime();
+const MINUTE_MS = 60 * 1000;
+
+const at = (daysAgo, hour = 9) => new Date(2025, 5, 15 - daysAgo, hour, 0, 0).getTime();
+
+const createRecord = (daysAgo, minutes, overrides = {}) => ({
+  id: `r-${daysAgo}-${minutes}`,
+  techniqueId: 'box4',
+  startTime: at(daysAgo),
+  endTime: at(daysAgo) + minutes * MINUTE_MS,
+  activeMs: minutes * MINUTE_MS,
+  sessionCount: 1,
+  ...overrides
+});
+
+describe('sessionStatistics', () => {
+  test('sums minutes for today, this week and this month', () => {
+    const records = [
+      createRecord(0, 5),
+      createRecord(2, 10),
+      createRecord(10, 20),
+      createRecord(20, 30)
+    ];
+
+    const stats = aggregateSessionStats(records, { now: NOW, weekStartsOn: 1 });
+
+    expect(stats.todayMinutes).toBe(5);
+    // Week starts Monday 9 June
+    expect(stats.weekMinutes).toBe(15);
+    // 20 days ago is in May
+    expect(stats.monthMinutes).toBe(35);
+    expect(stats.totalMinutes).toBe(65);
+    expect(stats.totalSessions).toBe(4);
+    expect(stats.averageSessionSeconds).toBeCloseTo(65 * 60 / 4);
+  });
+
+  test('counts compacted records as several sessions', () => {
+    const records = [createRecord(40, 30, { sessionCount: 3, compacted: true })];
+    const stats = aggregateSessionStats(records, { now: NOW });
+
+    expect(stats.totalSessions).toBe(3);
+    expect(stats.averageSessionSeconds).toBe(600);
+  });
+
+  test('keeps the current streak alive until the end of today', () => {
+    const records = [1, 2, 3, 6, 7, 8, 9, 10].map(day => createRecord(day, 5));
+    const streaks = getStreaks(getDailyTotals(records), NOW);
+
+    expect(streaks.current).toBe(3);
+    expect(streaks.longest).toBe(5);
+
+    expect(getStreaks(getDailyTotals([createRecord(2, 5)]), NOW).current).toBe(0);
+  });
+
+  test('ranks favorite techniques by practice time', () => {
+    const records = [
+      createRecord(0, 5, { techniqueId: 'box4' }),
+      createRecord(1, 5, { techniqueId: 'box4' }),
+      createRecord(2, 15, { techniqueId: '478' }),
+      createRecord(3, 1, { techniqueId: 'triangle' })
+    ];
+
+    const { favoriteTechniques } = aggregateSessionStats(records, { now: NOW, favoriteLimit: 2 });
+
+    expect(favoriteTechniques.map(favorite => favorite.techniqueId)).toEqual(['478', 'box4']);
+    expect(favoriteTechniques[1]).toMatchObject({ sessions: 2, minutes: 10 });
+    expect(favoriteTechniques[0].share).toBeCloseTo(15 / 26);
+  });
+
+  test('builds a heatmap of whole weeks ending with the current week', () => {
+    const records = [createRecord(0, 20), createRecord(1, 5)];
+    const heatmap = buildCalendarHeatmap(getDailyTotals(records), { now: NOW, weeks: 2, weekStartsOn: 1 });
+
+    expect(heatmap.weeks).toHaveLength(2);
+    expect(heatmap.weeks[0][0].key).toBe('2025-06-02');
+    expect(heatmap.weeks[1][6].key).toBe(getDayKey(NOW));
+    expect(heatmap.maxMinutes).toBe(20);
+    expect(heatmap.weeks[1][6].level).toBe(4);
+    expect(heatmap.weeks[1][5].level).toBe(1);
+    expect(heatmap.weeks[1][4].level).toBe(0);
+
+    const sundayFirst = buildCalendarHeatmap(new Map(), { now: NOW, weeks: 1, weekStartsOn: 0 });
+    expect(sundayFirst.weeks[0][0].key).toBe('2025-06-15');
+    expect(sundayFirst.weeks[0][6].isFuture).toBe(true);
+  });
+
+  test('derives per-technique metrics from history', () => {
+    const records = [
+      createRecord(0, 6),
+      createRecord(1, 4),
+      createRecord(1, 30, { techniqueId: '478' })
+    ];
+
+    const metrics = getTechniqueMetrics(records, 'box4');
+
+    expect(metrics.totalSessions).toBe(2);
+    expect(metrics.totalDuration).toBe(10 * MINUTE_MS);
+    expect(metrics.averageSessionDuration).toBe(5 * MINUTE_MS);
+    expect(metrics.lastUsed).toBe(new Date(at(0) + 6 * MINUTE_MS).toISOString());
+  });
+});
@@ -0,0 +1,496 @@
+/**
+ * Encrypting decorator for any StorageAdapter
+ * Encrypts values at rest with AES-GCM through WebCrypto. Values are sealed with a random
+ * data key, which is itself wrapped with a key derived from the user's passphrase (PBKDF2),
+ * so changing the passphrase rewraps one key instead of rewriting every value
+ *
+ * Without a passphrase set up the decorator passes values through unchanged. Only what is
+ * stored is covered: readers above it, such as SyncService, get the decrypted values
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+import { StorageError, ValidationError, ERROR_CODES } from '../errors/AppError.js';
+
+export const ENCRYPTION_METADATA_KEY = 'breathing-app-encryption';
+
+export const ENCRYPTION_SETTINGS = {
+  version: 1,
+  iterations: 310000,
+  minPassphraseLength: 8
+};
+
+const ENVELOPE_ALGORITHM = 'AES-GCM';
+const IV_BYTES = 12;
+const SALT_BYTES = 16;
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes
+ * @returns {string} - Base64 text
+ */
+const toBase64 = (buffer) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  let binary = '';
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Decode base64 to bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} - Bytes
+ */
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+/**
+ * Check if a stored value is an encrypted envelope
+ * @param {any} value - Stored value
+ * @returns {boolean} - True if the value was written encrypted
+ */
+const isEnvelope = (value) => (
+  Boolean(value) &&
+  value.encrypted === ENVELOPE_ALGORITHM &&
+  typeof value.iv === 'string' &&
+  typeof value.data === 'string'
+);
+
+/**
+ * Encrypted storage adapter decorator
+ */
+export class EncryptedStorageAdapter extends StorageAdapter {
+  /**
+   * @param {StorageAdapter} adapter - Adapter that stores the encrypted values
+   * @param {object} [options] - Options
+   * @param {Crypto} [options.crypto] - WebCrypto implementation
+   * @param {number} [options.iterations] - PBKDF2 iterations for new passphrases
+   * @param {string[]} [options.plaintextKeys] - Keys kept readable while locked,
+   *   e.g. the theme shown on the unlock screen
+   */
+  constructor(adapter, {
+    crypto = globalThis.crypto,
+    iterations = ENCRYPTION_SETTINGS.iterations,
+    plaintextKeys = []
+  } = {}) {
+    super();
+    if (!(adapter instanceof StorageAdapter)) {
+      throw new StorageError(
+        'EncryptedStorageAdapter requires a StorageAdapter instance',
+        'constructor',
+        { errorCode: ERROR_CODES.STORAGE_NOT_SUPPORTED }
+      );
+    }
+
+    this.adapter = adapter;
+    this.crypto = crypto;
+    this.iterations = iterations;
+    this.plaintextKeys = new Set([ENCRYPTION_METADATA_KEY, ...plaintextKeys]);
+    this.metadata = null;
+    this.dataKey = null;
+    this.isLoaded = false;
+  }
+
+  /**
+   * Check if WebCrypto is available for encryption
+   * @returns {boolean} - True if encryption can be turned on
+   */
+  isSupported() {
+    return Boolean(this.crypto?.subtle);
+  }
+
+  /**
+   * Read whether a passphrase is set up
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const metadata = await this.adapter.get(ENCRYPTION_METADATA_KEY);
+    this.metadata = metadata?.wrappedKey ? metadata : null;
+    this.isLoaded = true;
+  }
+
+  /**
+   * Check if values are encrypted
+   * @returns {boolean} - True if a passphrase is set up
+   */
+  isEncrypted() {
+    return Boolean(this.metadata);
+  }
+
+  /**
+   * Check if the passphrase is needed before values can be read
+   * @returns {boolean} - True if encrypted and not unlocked
+   */
+  isLocked() {
+    return this.isEncrypted() && !this.dataKey;
+  }
+
+  /**
+   * Unlock with the passphrase
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<void>}
+   * @throws {StorageError} - With reason 'passphrase' when the passphrase is wrong
+   */
+  async unlock(passphrase) {
+    if (!this.isLoaded) {
+      await this.load();
+    }
+    if (!this.metadata) return;
+
+    this.dataKey = await this.unwrapDataKey(passphrase, this.metadata, 'unlock');
+  }
+
+  /**
+   * Forget the data key; values stay unreadable until unlocked again
+   */
+  lock() {
+    this.dataKey = null;
+  }
+
+  /**
+   * Set up a passphrase and encrypt everything stored so far
+   * @param {string} passphrase - New passphrase
+   * @returns {Promise<void>}
+   */
+  async enable(passphrase) {
+    if (this.isEncrypted()) {
+      throw new StorageError(
+        'Storage is already encrypted',
+        'enable',
+        { errorCode: ERROR_CODES.STORAGE_ALREADY_ENCRYPTED, reason: 'enabled' }
+      );
+    }
+    this.validatePassphrase(passphrase);
+
+    const dataKey = await this.crypto.subtle.generateKey(
+      { name: ENVELOPE_ALGORITHM, length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+
+    // Metadata goes first: values still in plaintext are read as they are,
+    // so an interrupted run leaves nothing unreadable
+    await this.writeMetadata(await this.wrapDataKey(passphrase, dataKey));
+    this.dataKey = dataKey;
+
+    for (const key of await this.adapter.keys()) {
+      if (this.plaintextKeys.has(key)) continue;
+
+      const value = await this.adapter.get(key);
+      if (value !== null && !isEnvelope(value)) {
+        await this.adapter.set(key, await this.encrypt(key, value));
+      }
+    }
+  }
+
+  /**
+   * Re-key: wrap the data key with a new passphrase
+   * @param {string} currentPassphrase - Current passphrase
+   * @param {string} nextPassphrase - New passphrase
+   * @returns {Promise<void>}
+   * @throws {StorageError} - With reason 'passphrase' when the current passphrase is wrong
+   */
+  async changePassphrase(currentPassphrase, nextPassphrase) {
+    this.requireEncrypted('changePassphrase');
+    this.validatePassphrase(nextPassphrase);
+
+    const dataKey = await this.unwrapDataKey(currentPassphrase, this.metadata, 'changePassphrase');
+    await this.writeMetadata(await this.wrapDataKey(nextPassphrase, dataKey));
+    this.dataKey = dataKey;
+  }
+
+  /**
+   * Decrypt everything and remove the passphrase
+   * @param {string} passphrase - Current passphrase
+   * @returns {Promise<void>}
+   * @throws {StorageError} - With reason 'passphrase' when the passphrase is wrong
+   */
+  async disable(passphrase) {
+    this.requireEncrypted('disable');
+    this.dataKey = await this.unwrapDataKey(passphrase, this.metadata, 'disable');
+
+    // Metadata goes last, so an interrupted run can still read what is left encrypted
+    for (const key of await this.adapter.keys()) {
+      const value = await this.adapter.get(key);
+      if (isEnvelope(value)) {
+        await this.adapter.set(key, await this.decrypt(key, value, 'disable'));
+      }
+    }
+
+    await this.adapter.remove(ENCRYPTION_METADATA_KEY);
+    this.metadata = null;
+    this.dataKey = null;
+  }
+
+  /**
+   * Check a passphrase meets the minimum length
+   * @param {string} passphrase - Passphrase
+   * @throws {ValidationError} - When it is too short
+   */
+  validatePassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < ENCRYPTION_SETTINGS.minPassphraseLength) {
+      // The passphrase itself is never put into the error
+      throw new ValidationError(
+        `Passphrase must be at least ${ENCRYPTION_SETTINGS.minPassphraseLength} characters`,
+        'passphrase',
+        null,
+        { reason: 'length' }
+      );
+    }
+  }
+
+  /**
+   * Throw unless a passphrase is set up
+   * @param {string} operation - Operation that needs it
+   * @throws {StorageError} - When storage is not encrypted
+   */
+  requireEncrypted(operation) {
+    if (!this.isEncrypted()) {
+      throw new StorageError(
+        'Storage is not encrypted',
+        operation,
+        { errorCode: ERROR_CODES.STORAGE_NOT_ENCRYPTED, reason: 'disabled' }
+      );
+    }
+  }
+
+  /**
+   * Derive the key that wraps the data key
+   * @param {string} passphrase - Passphrase
+   * @param {Uint8Array} salt - Salt
+   * @param {number} iterations - PBKDF2 iterations
+   * @returns {Promise<CryptoKey>} - Wrapping key
+   */
+  async deriveWrappingKey(passphrase, salt, iterations) {
+    const material = await this.crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+    return this.crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      material,
+      { name: ENVELOPE_ALGORITHM, length: 256 },
+      false,
+      ['wrapKey', 'unwrapKey']
+    );
+  }
+
+  /**
+   * Wrap the data key with a passphrase
+   * @param {string} passphrase - Passphrase
+   * @param {CryptoKey} dataKey - Data key
+   * @returns {Promise<object>} - Metadata to store
+   */
+  async wrapDataKey(passphrase, dataKey) {
+    const salt = this.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = this.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const wrappingKey = await this.deriveWrappingKey(passphrase, salt, this.iterations);
+    const wrappedKey = await this.crypto.subtle.wrapKey('raw', dataKey, wrappingKey, { name: ENVELOPE_ALGORITHM, iv });
+
+    return {
+      version: ENCRYPTION_SETTINGS.version,
+      iterations: this.iterations,
+      salt: toBase64(salt),
+      iv: toBase64(iv),
+      wrappedKey: toBase64(wrappedKey)
+    };
+  }
+
+  /**
+   * Unwrap the data key with a passphrase
+   * @param {string} passphrase - Passphrase
+   * @param {object} metadata - Stored metadata
+   * @param {string} operation - Operation that needs the key
+   * @returns {Promise<CryptoKey>} - Data key
+   * @throws {StorageError} - With reason 'passphrase' when the passphrase is wrong
+   */
+  async unwrapDataKey(passphrase, metadata, operation) {
+    const wrappingKey = await this.deriveWrappingKey(
+      String(passphrase ?? ''),
+      fromBase64(metadata.salt),
+      metadata.iterations
+    );
+
+    try {
+      return await this.crypto.subtle.unwrapKey(
+        'raw',
+        fromBase64(metadata.wrappedKey),
+        wrappingKey,
+        { name: ENVELOPE_ALGORITHM, iv: fromBase64(metadata.iv) },
+        { name: ENVELOPE_ALGORITHM, length: 256 },
+        true,
+        ['encrypt', 'decrypt']
+      );
+    } catch {
+      // GCM authentication fails for any other passphrase
+      throw new StorageError(
+        'Wrong passphrase',
+        operation,
+        { errorCode: ERROR_CODES.STORAGE_WRONG_PASSPHRASE, reason: 'passphrase' }
+      );
+    }
+  }
+
+  /**
+   * Store metadata and keep it in memory
+   * @param {object} metadata - Metadata
+   * @returns {Promise<void>}
+   */
+  async writeMetadata(metadata) {
+    await this.adapter.set(ENCRYPTION_METADATA_KEY, metadata);
+    this.metadata = metadata;
+  }
+
+  /**
+   * Encrypt a value; the key is bound in, so envelopes cannot be moved between keys
+   * @param {string} key - Storage key
+   * @param {any} value - Value
+   * @returns {Promise<object>} - Envelope
+   */
+  async encrypt(key, value) {
+    const iv = this.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const data = await this.crypto.subtle.encrypt(
+      { name: ENVELOPE_ALGORITHM, iv, additionalData: new TextEncoder().encode(key) },
+      this.dataKey,
+      new TextEncoder().encode(JSON.stringify(value))
+    );
+    return { encrypted: ENVELOPE_ALGORITHM, iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  /**
+   * Decrypt an envelope
+   * @param {string} key - Storage key
+   * @param {object} envelope - Envelope
+   * @param {string} operation - Operation reading the value
+   * @returns {Promise<any>} - Value
+   */
+  async decrypt(key, envelope, operation) {
+    try {
+      const data = await this.crypto.subtle.decrypt(
+        { name: ENVELOPE_ALGORITHM, iv: fromBase64(envelope.iv), additionalData: new TextEncoder().encode(key) },
+        this.dataKey,
+        fromBase64(envelope.data)
+      );
+      return JSON.parse(new TextDecoder().decode(data));
+    } catch (error) {
+      throw new StorageError(
+        'Failed to decrypt stored value',
+        operation,
+        { key, errorCode: ERROR_CODES.STORAGE_READ_FAILED, reason: 'decrypt', originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Throw if values cannot be read or written yet
+   * @param {string} key - Storage key
+   * @param {string} operation - Operation on the key
+   * @throws {StorageError} - When locked
+   */
+  requireUnlocked(key, operation) {
+    if (this.isLocked()) {
+      throw new StorageError(
+        'Storage is locked',
+        operation,
+        { key, errorCode: ERROR_CODES.STORAGE_LOCKED, reason: 'locked' }
+      );
+    }
+  }
+
+  /**
+   * Check if the wrapped adapter is available
+   * @returns {Promise<boolean>} - True if storage is available
+   */
+  async isAvailable() {
+    return this.adapter.isAvailable();
+  }
+
+  /**
+   * Get and decrypt a value
+   * @param {string} key - Storage key
+   * @returns {Promise<any>} - Stored value or null if not found
+   */
+  async get(key) {
+    if (this.plaintextKeys.has(key)) {
+      return this.adapter.get(key);
+    }
+    this.requireUnlocked(key, 'get');
+
+    const value = await this.adapter.get(key);
+    return isEnvelope(value) && this.dataKey ? this.decrypt(key, value, 'get') : value;
+  }
+
+  /**
+   * Encrypt and set a value
+   * @param {string} key - Storage key
+   * @param {any} value - Value to store
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    if (this.plaintextKeys.has(key) || !this.isEncrypted()) {
+      await this.adapter.set(key, value);
+      return;
+    }
+    this.requireUnlocked(key, 'set');
+
+    await this.adapter.set(key, await this.encrypt(key, value));
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await this.adapter.remove(key);
+  }
+
+  /**
+   * Clear all values; the passphrase set-up is kept
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.adapter.clear();
+    if (this.metadata) {
+      await this.adapter.set(ENCRYPTION_METADATA_KEY, this.metadata);
+    }
+  }
+
+  /**
+   * Get all keys
+   * @returns {Promise<string[]>} - Array of storage keys
+   */
+  async keys() {
+    const keys = await this.adapter.keys();
+    return keys.filter(key => key !== ENCRYPTION_METADATA_KEY);
+  }
+
+  /**
+   * Check if key exists
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} - True if key exists
+   */
+  async has(key) {
+    return this.adapter.has(key);
+  }
+
+  /**
+   * Get number of items
+   * @returns {Promise<number>} - Number of items in storage
+   */
+  async size() {
+    const keys = await this.keys();
+    return keys.length;
+  }
+
+  /**
+   * Get storage quota information
+   * @returns {Promise<object|null>} - Quota information
+   */
+  async getQuota() {
+    return this.adapter.getQuota();
+  }
+}
@@ -0,0 +1,393 @@
+/**
+ * IndexedDB implementation of StorageAdapter
+ * Keeps app data in IndexedDB object stores, which are asynchronous and not bound
+ * by the 5MB localStorage quota, with versioned schema migrations
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+import { StorageError, ERROR_CODES } from '../errors/AppError.js';
+import Logger from '../utils/Logger.js';
+
+export const INDEXED_DB_NAME = 'breathing-app';
+
+export const INDEXED_DB_STORES = {
+  PREFERENCES: 'preferences',
+  SESSIONS: 'sessions',
+  CUSTOM_TECHNIQUES: 'customTechniques'
+};
+
+// Keys with a store of their own; everything else (theme, language...) is a preference
+const KEY_STORES = {
+  'breathing-app-session-history': INDEXED_DB_STORES.SESSIONS,
+  'breathing-app-custom-techniques': INDEXED_DB_STORES.CUSTOM_TECHNIQUES,
+  'breathing-app-programs': INDEXED_DB_STORES.CUSTOM_TECHNIQUES
+};
+
+// Keys written to localStorage before IndexedDB was used, moved over once when the database is created
+export const LEGACY_LOCAL_STORAGE_KEYS = [
+  'breathing-app-preferences',
+  'breathing-app-theme',
+  'breathing-app-language',
+  'custom-themes',
+  'breathing-app-session-history',
+  'breathing-app-custom-techniques',
+  'breathing-app-programs'
+];
+
+/**
+ * Schema migrations, applied in order when the database is opened at a newer version
+ * Each migration gets the database and the upgrade transaction; add a new entry
+ * with the next version instead of changing a released one
+ */
+export const INDEXED_DB_MIGRATIONS = [
+  {
+    version: 1,
+    migrate: (database) => {
+      Object.values(INDEXED_DB_STORES).forEach((storeName) => {
+        database.createObjectStore(storeName);
+      });
+    }
+  }
+];
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<any>} - Request result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction
+ * @returns {Promise<void>}
+ */
+const waitForTransaction = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+/**
+ * Parse a legacy localStorage value
+ * Older helpers stored plain strings (e.g. a language code) rather than JSON
+ * @param {string} serializedValue - Stored value
+ * @returns {any} - Parsed value
+ */
+const parseLegacyValue = (serializedValue) => {
+  try {
+    return JSON.parse(serializedValue);
+  } catch {
+    return serializedValue;
+  }
+};
+
+/**
+ * IndexedDB adapter implementation
+ */
+export class IndexedDBAdapter extends StorageAdapter {
+  /**
+   * @param {object} [options] - Options
+   * @param {IDBFactory} [options.indexedDB] - IndexedDB factory
+   * @param {Storage} [options.localStorage] - Storage to migrate legacy keys from
+   * @param {string} [options.databaseName] - Database name
+   * @param {object[]} [options.migrations] - Schema migrations {version, migrate}
+   */
+  constructor({
+    indexedDB = typeof window !== 'undefined' ? window.indexedDB : undefined,
+    localStorage = typeof window !== 'undefined' ? window.localStorage : undefined,
+    databaseName = INDEXED_DB_NAME,
+    migrations = INDEXED_DB_MIGRATIONS
+  } = {}) {
+    super();
+    this.indexedDB = indexedDB;
+    this.localStorage = localStorage;
+    this.databaseName = databaseName;
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+    this.version = this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 1;
+    this.database = null;
+  }
+
+  /**
+   * Check if IndexedDB exists in this environment
+   * @returns {boolean} - True if window.indexedDB is present
+   */
+  static isSupported() {
+    return typeof window !== 'undefined' && Boolean(window.indexedDB);
+  }
+
+  /**
+   * Open the database, running any pending migrations
+   * @returns {Promise<IDBDatabase>} - Database
+   */
+  open() {
+    if (!this.indexedDB) {
+      return Promise.reject(new StorageError(
+        'IndexedDB is not supported in this environment',
+        'STORAGE_NOT_SUPPORTED'
+      ));
+    }
+
+    if (!this.database) {
+      let migratedKeys = [];
+      const request = this.indexedDB.open(this.databaseName, this.version);
+      request.onupgradeneeded = (event) => {
+        const database = request.result;
+        const transaction = request.transaction;
+        const oldVersion = event.oldVersion || 0;
+
+        this.migrations
+          .filter(migration => migration.version > oldVersion)
+          .forEach((migration) => {
+            Logger.debug('service', `IndexedDB migration to version ${migration.version}`);
+            migration.migrate(database, transaction);
+          });
+
+        // A new database has never seen the localStorage data
+        if (oldVersion === 0) {
+          migratedKeys = this.migrateLocalStorage(transaction);
+        }
+      };
+
+      this.database = promisifyRequest(request)
+        .then((database) => {
+          // The copies are committed now, so the localStorage quota can be freed
+          migratedKeys.forEach(key => this.localStorage.removeItem(key));
+          database.onversionchange = () => {
+            database.close();
+            this.database = null;
+          };
+          return database;
+        })
+        .catch((error) => {
+          this.database = null;
+          throw new StorageError(
+            'Failed to open IndexedDB',
+            'STORAGE_NOT_SUPPORTED',
+            { databaseName: this.databaseName, originalError: error?.message || String(error) }
+          );
+        });
+    }
+    return this.database;
+  }
+
+  /**
+   * Copy legacy localStorage keys into the new database
+   * @param {IDBTransaction} transaction - Upgrade transaction
+   * @returns {string[]} - Keys copied, to remove from localStorage once committed
+   */
+  migrateLocalStorage(transaction) {
+    if (!this.localStorage) return [];
+
+    try {
+      return LEGACY_LOCAL_STORAGE_KEYS.filter((key) => {
+        const serializedValue = this.localStorage.getItem(key);
+        if (serializedValue === null) return false;
+
+        transaction.objectStore(this.getStoreName(key)).put(parseLegacyValue(serializedValue), key);
+        return true;
+      });
+    } catch (error) {
+      // The data stays in localStorage and the app starts from defaults
+      Logger.warn('Failed to migrate localStorage to IndexedDB:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the object store a key is kept in
+   * @param {string} key - Storage key
+   * @returns {string} - Object store name
+   */
+  getStoreName(key) {
+    return KEY_STORES[key] || INDEXED_DB_STORES.PREFERENCES;
+  }
+
+  /**
+   * Run requests in one transaction and wait for it to commit
+   * @param {string|string[]} storeNames - Object stores used
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} createRequests - Called with the transaction, returns a request or an array of them
+   * @param {string} errorCode - Code for the StorageError thrown on failure
+   * @param {object} [context] - Error context
+   * @returns {Promise<any>} - Request result, or an array of results
+   */
+  async run(storeNames, mode, createRequests, errorCode, context = {}) {
+    const database = await this.open();
+
+    try {
+      const transaction = database.transaction(storeNames, mode);
+      const requests = createRequests(transaction);
+      await waitForTransaction(transaction);
+      return Array.isArray(requests) ? requests.map(request => request.result) : requests?.result;
+    } catch (error) {
+      if (error?.name === 'QuotaExceededError') {
+        throw new StorageError(
+          'IndexedDB quota exceeded',
+          'STORAGE_QUOTA_EXCEEDED',
+          { ...context, originalError: error.message }
+        );
+      }
+
+      throw new StorageError(
+        'IndexedDB request failed',
+        errorCode,
+        { ...context, originalError: error?.message || String(error) }
+      );
+    }
+  }
+
+  /**
+   * Check if storage is available
+   * @returns {Promise<boolean>} - True if the database opens
+   */
+  async isAvailable() {
+    try {
+      await this.open();
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Get value from IndexedDB
+   * @param {string} key - Storage key
+   * @returns {Promise<any>} - Stored value or null if not found
+   */
+  async get(key) {
+    const storeName = this.getStoreName(key);
+    const value = await this.run(
+      storeName,
+      'readonly',
+      transaction => transaction.objectStore(storeName).get(key),
+      ERROR_CODES.STORAGE_READ_FAILED,
+      { key }
+    );
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Set value in IndexedDB
+   * Values are stored as structured clones, so they come back as copies
+   * @param {string} key - Storage key
+   * @param {any} value - Value to store
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    const storeName = this.getStoreName(key);
+    await this.run(
+      storeName,
+      'readwrite',
+      transaction => transaction.objectStore(storeName).put(value, key),
+      ERROR_CODES.STORAGE_WRITE_FAILED,
+      { key }
+    );
+  }
+
+  /**
+   * Remove value from IndexedDB
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    const storeName = this.getStoreName(key);
+    await this.run(
+      storeName,
+      'readwrite',
+      transaction => transaction.objectStore(storeName).delete(key),
+      ERROR_CODES.STORAGE_CLEAR_FAILED,
+      { key }
+    );
+  }
+
+  /**
+   * Clear all values from every object store
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const storeNames = Object.values(INDEXED_DB_STORES);
+    await this.run(
+      storeNames,
+      'readwrite',
+      transaction => storeNames.map(storeName => transaction.objectStore(storeName).clear()),
+      ERROR_CODES.STORAGE_CLEAR_FAILED
+    );
+  }
+
+  /**
+   * Get all keys from every object store
+   * @returns {Promise<string[]>} - Array of storage keys
+   */
+  async keys() {
+    const storeNames = Object.values(INDEXED_DB_STORES);
+    const keysPerStore = await this.run(
+      storeNames,
+      'readonly',
+      transaction => storeNames.map(storeName => transaction.objectStore(storeName).getAllKeys()),
+      'STORAGE_KEYS_FAILED'
+    );
+    return keysPerStore.flat().map(String);
+  }
+
+  /**
+   * Check if key exists in IndexedDB
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} - True if key exists
+   */
+  async has(key) {
+    const storeName = this.getStoreName(key);
+    const count = await this.run(
+      storeName,
+      'readonly',
+      transaction => transaction.objectStore(storeName).count(key),
+      'STORAGE_HAS_FAILED',
+      { key }
+    );
+    return count > 0;
+  }
+
+  /**
+   * Get number of items across the object stores
+   * @returns {Promise<number>} - Number of items in storage
+   */
+  async size() {
+    const keys = await this.keys();
+    return keys.length;
+  }
+
+  /**
+   * Get storage quota information
+   * @returns {Promise<object|null>} - Quota info or null if not supported
+   */
+  async getQuota() {
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) {
+      return null;
+    }
+
+    try {
+      const estimate = await navigator.storage.estimate();
+      return {
+        quota: estimate.quota,
+        usage: estimate.usage,
+        available: estimate.quota - estimate.usage,
+        percentage: estimate.quota ? (estimate.usage / estimate.quota) * 100 : 0
+      };
+    } catch {
+      // Quota API not supported or failed
+      return null;
+    }
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    const database = this.database;
+    this.database = null;
+    database?.then(db => db.close()).catch(() => {});
+  }
+}
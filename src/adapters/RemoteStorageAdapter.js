@@ -0,0 +1,182 @@
+/**
+ * Remote implementation of StorageAdapter
+ * Talks to any backend that serves this REST/JSON contract under its endpoint:
+ *
+ *   GET    {endpoint}/items        -> 200 [{key, updatedAt}]
+ *   GET    {endpoint}/items/{key}  -> 200 {key, value, updatedAt} | 404
+ *   PUT    {endpoint}/items/{key}  <- {value, updatedAt}          -> 2xx
+ *   DELETE {endpoint}/items/{key}  -> 2xx | 404
+ *   DELETE {endpoint}/items        -> 2xx
+ *
+ * updatedAt is a millisecond timestamp set by the writing client; the server stores it as given
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+import { StorageError, ERROR_CODES } from '../errors/AppError.js';
+
+/**
+ * Remote storage adapter implementation
+ */
+export class RemoteStorageAdapter extends StorageAdapter {
+  /**
+   * @param {object} options - Options
+   * @param {string} options.endpoint - Base URL of the backend
+   * @param {Function} [options.fetch] - fetch implementation
+   * @param {object} [options.headers] - Extra request headers, e.g. authorization
+   */
+  constructor({ endpoint, fetch = globalThis.fetch?.bind(globalThis), headers = {} }) {
+    super();
+    this.endpoint = String(endpoint || '').replace(/\/+$/, '');
+    this.fetch = fetch;
+    this.headers = headers;
+  }
+
+  /**
+   * Build the URL of an item, or of the item collection
+   * @param {string} [key] - Storage key
+   * @returns {string} - URL
+   */
+  getUrl(key) {
+    return key === undefined
+      ? `${this.endpoint}/items`
+      : `${this.endpoint}/items/${encodeURIComponent(key)}`;
+  }
+
+  /**
+   * Send a request to the backend
+   * @param {string} method - HTTP method
+   * @param {string} url - URL
+   * @param {object} [body] - JSON body
+   * @param {string} errorCode - Code for the StorageError thrown on failure
+   * @returns {Promise<Response>} - Response; 404 is returned, other failures throw
+   */
+  async request(method, url, body, errorCode) {
+    let response;
+    try {
+      response = await this.fetch(url, {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...this.headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+    } catch (error) {
+      // fetch only rejects when the server cannot be reached
+      throw new StorageError(
+        'Remote storage is unreachable',
+        'STORAGE_OFFLINE',
+        { url, offline: true, originalError: error?.message || String(error) }
+      );
+    }
+
+    if (!response.ok && response.status !== 404) {
+      throw new StorageError(
+        `Remote storage responded with ${response.status}`,
+        errorCode,
+        { url, status: response.status }
+      );
+    }
+    return response;
+  }
+
+  /**
+   * Get a stored record with its timestamp
+   * @param {string} key - Storage key
+   * @returns {Promise<object|null>} - {value, updatedAt} or null if not found
+   */
+  async getRecord(key) {
+    const response = await this.request('GET', this.getUrl(key), undefined, ERROR_CODES.STORAGE_READ_FAILED);
+    if (response.status === 404) return null;
+
+    const record = await response.json();
+    return { value: record.value ?? null, updatedAt: Number(record.updatedAt) || 0 };
+  }
+
+  /**
+   * Store a record with its timestamp
+   * @param {string} key - Storage key
+   * @param {any} value - Value to store
+   * @param {number} updatedAt - When the value was written
+   * @returns {Promise<void>}
+   */
+  async putRecord(key, value, updatedAt) {
+    await this.request('PUT', this.getUrl(key), { value, updatedAt }, ERROR_CODES.STORAGE_WRITE_FAILED);
+  }
+
+  /**
+   * Check if the backend is configured
+   * @returns {Promise<boolean>} - True if there is an endpoint and fetch
+   */
+  async isAvailable() {
+    return Boolean(this.endpoint && this.fetch);
+  }
+
+  /**
+   * Get value from the backend
+   * @param {string} key - Storage key
+   * @returns {Promise<any>} - Stored value or null if not found
+   */
+  async get(key) {
+    const record = await this.getRecord(key);
+    return record ? record.value : null;
+  }
+
+  /**
+   * Set value on the backend, stamped with the current time
+   * @param {string} key - Storage key
+   * @param {any} value - Value to store
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    await this.putRecord(key, value, Date.now());
+  }
+
+  /**
+   * Remove value from the backend
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await this.request('DELETE', this.getUrl(key), undefined, ERROR_CODES.STORAGE_CLEAR_FAILED);
+  }
+
+  /**
+   * Clear all values from the backend
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.request('DELETE', this.getUrl(), undefined, ERROR_CODES.STORAGE_CLEAR_FAILED);
+  }
+
+  /**
+   * Get all keys from the backend
+   * @returns {Promise<string[]>} - Array of storage keys
+   */
+  async keys() {
+    const response = await this.request('GET', this.getUrl(), undefined, 'STORAGE_KEYS_FAILED');
+    if (response.status === 404) return [];
+
+    const items = await response.json();
+    return Array.isArray(items) ? items.map(item => String(item.key)) : [];
+  }
+
+  /**
+   * Check if key exists on the backend
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} - True if key exists
+   */
+  async has(key) {
+    return (await this.getRecord(key)) !== null;
+  }
+
+  /**
+   * Get number of items on the backend
+   * @returns {Promise<number>} - Number of items in storage
+   */
+  async size() {
+    const keys = await this.keys();
+    return keys.length;
+  }
+}
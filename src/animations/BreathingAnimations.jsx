@@ -5,6 +5,7 @@
 
 // eslint-disable-next-line no-unused-vars
 import { motion } from 'framer-motion';
+import { getStepProgress } from '../utils/phaseSteps.js';
 
 /**
  * Animation configurations respecting user preferences
@@ -167,9 +168,8 @@ export function BreathingFigureAnimation({
   const getLungScaling = (phaseKey, timeInPhase, duration) => {
     if (prefersReducedMotion) return 1;
     
-    // Start changing immediately on first second and reach target at last second
-    // Using (timeInPhase + 1) ensures lungs start changing from second 1
-    const progress = duration > 0 ? (timeInPhase + 1) / duration : 1;
+    // Start changing immediately on the first step and reach target on the last step
+    const progress = getStepProgress(timeInPhase, duration);
     
     switch (phaseKey) {
       case 'inhale':
@@ -324,9 +324,10 @@ export function AnimatedProgress({
   max, 
   prefersReducedMotion = false,
   label,
+  valueText,
   ...props 
 }) {
-  const percentage = (value / max) * 100;
+  const percentage = max > 0 ? Math.min(100, Math.max(0, (value / max) * 100)) : 0;
   const animationConfig = getAnimationConfig('breathing', prefersReducedMotion);
   
   return (
@@ -337,14 +338,15 @@ export function AnimatedProgress({
       aria-valuemin={0}
       aria-valuemax={max}
       aria-label={label}
-      aria-valuetext={`${Math.round(percentage)}% complete`}
+      aria-valuetext={valueText || `${Math.round(percentage)}% complete`}
     >
       <motion.div
         style={{
           width: `${percentage}%`,
           height: '100%',
           backgroundColor: 'currentColor',
-          borderRadius: 'inherit'
+          borderRadius: 'inherit',
+          transition: prefersReducedMotion ? 'none' : 'width 0.6s ease-out'
         }}
         animate={prefersReducedMotion ? {} : {
           opacity: [0.7, 1, 0.7]
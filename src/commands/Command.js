@@ -64,12 +64,15 @@ export class Command {
 
 /**
  * Start Breathing Command
+ * With a checkpoint (see SessionCheckpointService) the session continues where it was saved
  */
 export class StartBreathingCommand extends Command {
-  constructor(techniqueId, technique) {
+  constructor(techniqueId, technique, goal = null, checkpoint = null) {
     super();
     this.techniqueId = techniqueId;
     this.technique = technique;
+    this.goal = goal;
+    this.checkpoint = checkpoint;
     this.executedAt = null;
     this.previousState = null;
   }
@@ -103,6 +106,10 @@ export class StartBreathingCommand extends Command {
       if (context.timerService) {
         Logger.debug("command", 'StartBreathingCommand: Setting technique in timer service');
         context.timerService.setTechnique(this.technique);
+        context.timerService.setGoal?.(this.goal);
+        if (this.checkpoint) {
+          context.timerService.restorePosition(this.checkpoint.position);
+        }
       }
 
       // Get initial phase
@@ -122,7 +129,11 @@ export class StartBreathingCommand extends Command {
         });
         
         // Then start the session
-        context.sessionState.startSession(this.techniqueId, this.technique);
+        context.sessionState.startSession(this.techniqueId, this.technique, this.goal);
+        if (this.checkpoint) {
+          context.sessionState.restoreSession(this.checkpoint);
+          context.sessionState.enterProgramStage(context.timerService?.getStage());
+        }
       }
 
       // Start timer
@@ -387,7 +398,7 @@ export class ChangeTechniqueCommand extends Command {
         context.sessionState.changeTechnique(this.newTechniqueId, this.newTechnique);
       }
 
-      // Reset timer if running
+      // Reset timer if running; programs are handed over whole and the timer steps through their stages
       if (context.timerService && context.timerService.isCurrentlyRunning()) {
         context.timerService.stop();
         context.timerService.setTechnique(this.newTechnique);
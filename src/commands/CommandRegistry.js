@@ -0,0 +1,261 @@
+/**
+ * Command Registry
+ * Actions the user can run from the keyboard or the command palette
+ *
+ * Components register the actions they own while mounted, each with a localized title
+ * and optionally a shortcut: a key such as 'Space', 'ArrowRight' or '1', with 'Mod+',
+ * 'Shift+' and 'Alt+' prefixes. Mod is ⌘ or Ctrl, so 'Mod+Z' is ⌘Z on a Mac and Ctrl+Z elsewhere
+ */
+
+import { ServiceError } from '../errors/AppError.js';
+import { errorHandler } from '../errors/ErrorHandler.js';
+
+// Shortcuts are left to text fields while typing
+const EDITABLE_SELECTOR = 'input, textarea, select, [contenteditable=""], [contenteditable="true"]';
+
+// Space and arrows operate focused controls (buttons, radios, sliders) instead
+const CONTROL_SELECTOR = 'button, a[href], [role="button"], [role="radio"], [role="checkbox"], [role="switch"], [role="option"], [role="slider"]';
+const CONTROL_KEYS = new Set(['Space', 'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown']);
+
+const KEY_SYMBOLS = {
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓'
+};
+
+/**
+ * Split a shortcut into its key and modifiers
+ * @param {string} shortcut - Shortcut, e.g. 'Mod+Shift+Z'
+ * @returns {object} - {key, mod, shift, alt}
+ */
+export const parseShortcut = (shortcut) => {
+  const parts = String(shortcut).split('+');
+  const modifiers = new Set(parts.slice(0, -1).map(part => part.toLowerCase()));
+
+  return {
+    key: parts[parts.length - 1],
+    mod: modifiers.has('mod'),
+    shift: modifiers.has('shift'),
+    alt: modifiers.has('alt')
+  };
+};
+
+/**
+ * Get the shortcut key of a keyboard event
+ * Letters and digits come from the physical key, so shortcuts work in any keyboard layout
+ * @param {KeyboardEvent} event - Keyboard event
+ * @returns {string} - Key as written in shortcuts
+ */
+const getEventKey = (event) => {
+  const code = event.code || '';
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^(Digit|Numpad)[0-9]$/.test(code)) return code.slice(-1);
+  if (event.key === ' ') return 'Space';
+  return event.key?.length === 1 ? event.key.toUpperCase() : event.key;
+};
+
+/**
+ * Check if a keyboard event presses a shortcut
+ * @param {KeyboardEvent} event - Keyboard event
+ * @param {string} shortcut - Shortcut, e.g. 'Mod+Shift+Z'
+ * @returns {boolean} - True if the key and modifiers match exactly
+ */
+export const matchesShortcut = (event, shortcut) => {
+  const { key, mod, shift, alt } = parseShortcut(shortcut);
+
+  return getEventKey(event) === (key.length === 1 ? key.toUpperCase() : key) &&
+    Boolean(event.ctrlKey || event.metaKey) === mod &&
+    Boolean(event.shiftKey) === shift &&
+    Boolean(event.altKey) === alt;
+};
+
+/**
+ * Check if the app runs on an Apple device, where Mod is shown as ⌘
+ * @returns {boolean} - True on macOS and iOS
+ */
+export const isApplePlatform = () => (
+  typeof navigator !== 'undefined' &&
+  /Mac|iPhone|iPad|iPod/.test(navigator.userAgentData?.platform || navigator.platform || '')
+);
+
+/**
+ * Format a shortcut for display
+ * @param {string} shortcut - Shortcut, e.g. 'Mod+Shift+Z'
+ * @param {boolean} [isApple] - Use Apple modifier symbols
+ * @returns {string} - E.g. '⌘⇧Z' or 'Ctrl+Shift+Z'
+ */
+export const formatShortcut = (shortcut, isApple = isApplePlatform()) => {
+  const { key, mod, shift, alt } = parseShortcut(shortcut);
+  const keyLabel = KEY_SYMBOLS[key] || key;
+
+  if (isApple) {
+    return `${alt ? '⌥' : ''}${shift ? '⇧' : ''}${mod ? '⌘' : ''}${keyLabel}`;
+  }
+  return [mod && 'Ctrl', alt && 'Alt', shift && 'Shift', keyLabel].filter(Boolean).join('+');
+};
+
+/**
+ * Check if a command's title or keywords contain every word of a query
+ * @param {object} command - Registered command
+ * @param {string} query - Search query
+ * @returns {boolean} - True if the command matches
+ */
+export const matchesCommandQuery = (command, query) => {
+  const words = query.toLocaleLowerCase().split(/\s+/).filter(Boolean);
+  const text = [command.title, command.group, ...(command.keywords || [])].join(' ').toLocaleLowerCase();
+  return words.every(word => text.includes(word));
+};
+
+/**
+ * Command Registry class
+ */
+export class CommandRegistry {
+  constructor() {
+    this.commands = new Map();
+    this.listeners = new Set();
+  }
+
+  /**
+   * Register commands; a command with the ID of a registered one replaces it
+   * @param {object|object[]} commands - {id, title, group, shortcut, keywords, run, isEnabled, global}
+   *   where global commands also run from text fields and open dialogs
+   * @returns {Function} - Unregister function
+   */
+  register(commands) {
+    const list = Array.isArray(commands) ? commands : [commands];
+
+    list.forEach(command => {
+      if (!command?.id || typeof command.run !== 'function') {
+        throw new ServiceError('Commands need an id and a run function', 'CommandRegistry', { id: command?.id });
+      }
+      this.commands.set(command.id, command);
+    });
+    this.notifyListeners();
+
+    return () => {
+      // A newer registration under the same ID stays
+      list.forEach(command => {
+        if (this.commands.get(command.id) === command) {
+          this.commands.delete(command.id);
+        }
+      });
+      this.notifyListeners();
+    };
+  }
+
+  /**
+   * Get registered commands in registration order
+   * @returns {object[]} - Commands
+   */
+  getCommands() {
+    return [...this.commands.values()];
+  }
+
+  /**
+   * Find commands by title, group or keywords
+   * @param {string} query - Search query; empty returns every command
+   * @returns {object[]} - Matching commands
+   */
+  search(query = '') {
+    return this.getCommands().filter(command => matchesCommandQuery(command, query));
+  }
+
+  /**
+   * Check if a command can run now
+   * @param {object} command - Registered command
+   * @returns {boolean} - True if enabled
+   */
+  isEnabled(command) {
+    return command.isEnabled ? Boolean(command.isEnabled()) : true;
+  }
+
+  /**
+   * Run a command; failures are reported, not thrown
+   * @param {object|string} command - Registered command or its ID
+   * @returns {boolean} - True if the command ran
+   */
+  run(command) {
+    const target = typeof command === 'string' ? this.commands.get(command) : command;
+    if (!target || !this.isEnabled(target)) return false;
+
+    const report = (error) => {
+      errorHandler.handleError(
+        new ServiceError(
+          'Error running command',
+          'CommandRegistry',
+          { commandId: target.id, originalError: error?.message || String(error) }
+        )
+      );
+    };
+
+    try {
+      Promise.resolve(target.run()).catch(report);
+    } catch (error) {
+      report(error);
+    }
+    return true;
+  }
+
+  /**
+   * Check if a keyboard event is left to the page, e.g. typing or operating a focused control
+   * @param {KeyboardEvent} event - Keyboard event
+   * @param {object} command - Command whose shortcut the event pressed
+   * @returns {boolean} - True if the shortcut should not run
+   */
+  isBlocked(event, command) {
+    if (event.defaultPrevented || event.isComposing) return true;
+    if (command.global) return false;
+
+    const target = event.target;
+    if (target?.closest?.(EDITABLE_SELECTOR) || target?.isContentEditable) return true;
+    if (CONTROL_KEYS.has(getEventKey(event)) && target?.closest?.(CONTROL_SELECTOR)) return true;
+
+    // Shortcuts act on the main screen, not behind an open dialog
+    const ownerDocument = target?.ownerDocument || (typeof document !== 'undefined' ? document : null);
+    return Boolean(ownerDocument?.querySelector('[aria-modal="true"]'));
+  }
+
+  /**
+   * Run the command whose shortcut a keyboard event presses
+   * @param {KeyboardEvent} event - Keyboard event
+   * @returns {boolean} - True if a command ran
+   */
+  handleKeyDown(event) {
+    const command = this.getCommands().find(entry => entry.shortcut && matchesShortcut(event, entry.shortcut));
+    if (!command || this.isBlocked(event, command) || !this.isEnabled(command)) return false;
+
+    event.preventDefault();
+    return this.run(command);
+  }
+
+  /**
+   * Subscribe to registration changes
+   * @param {Function} callback - Called with the commands
+   * @returns {Function} - Unsubscribe function
+   */
+  addListener(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Notify listeners about changes
+   */
+  notifyListeners() {
+    const commands = this.getCommands();
+    this.listeners.forEach(callback => {
+      try {
+        callback(commands);
+      } catch (error) {
+        errorHandler.handleError(
+          new ServiceError(
+            'Error in command registry listener',
+            'CommandRegistry',
+            { originalError: error.message }
+          )
+        );
+      }
+    });
+  }
+}
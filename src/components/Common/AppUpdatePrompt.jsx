@@ -0,0 +1,56 @@
+import React from 'react';
+import { useLocalization } from '../../contexts/LocalizationContext.jsx';
+import { useAppUpdate } from '../../hooks/useAppUpdate.js';
+
+const LABEL_FALLBACKS = {
+  updateAvailable: { en: 'A new version is available', uk: 'Доступна нова версія' },
+  reloadToUpdate: { en: 'Reload', uk: 'Оновити' },
+  later: { en: 'Later', uk: 'Пізніше' },
+  offlineMode: { en: 'Offline — the app keeps working', uk: 'Офлайн — застосунок працює далі' }
+};
+
+/**
+ * App Update Prompt
+ * Offers to reload into a new version and shows when the app is running offline
+ */
+const AppUpdatePrompt = () => {
+  const { t } = useLocalization();
+  const { isOnline, isOfflineReady, isUpdateAvailable, applyUpdate, dismissUpdate } = useAppUpdate();
+
+  const label = React.useCallback(
+    (key) => t(key, { fallback: LABEL_FALLBACKS[key] }),
+    [t]
+  );
+
+  if (isUpdateAvailable) {
+    return (
+      <div className="app-update-prompt glass-panel" role="status">
+        <span>{label('updateAvailable')}</span>
+        <span className="app-update-prompt__actions">
+          <button type="button" className="sheet-modal__button" onClick={dismissUpdate}>
+            {label('later')}
+          </button>
+          <button
+            type="button"
+            className="sheet-modal__button sheet-modal__button--primary"
+            onClick={applyUpdate}
+          >
+            {label('reloadToUpdate')}
+          </button>
+        </span>
+      </div>
+    );
+  }
+
+  if (!isOnline && isOfflineReady) {
+    return (
+      <div className="app-update-prompt app-update-prompt--compact glass-panel" role="status">
+        {label('offlineMode')}
+      </div>
+    );
+  }
+
+  return null;
+};
+
+export default AppUpdatePrompt;
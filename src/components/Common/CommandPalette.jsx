@@ -0,0 +1,110 @@
+import React, { useCallback, useMemo, useState } from 'react';
+import { useLocalization } from '../../contexts/LocalizationContext.jsx';
+import { useCommands } from '../../hooks/index.js';
+import { formatShortcut, matchesCommandQuery } from '../../commands/CommandRegistry.js';
+
+const LABEL_FALLBACKS = {
+  commandPalette: { en: 'Command palette', uk: 'Палітра команд' },
+  searchCommands: { en: 'Search commands', uk: 'Пошук команд' },
+  noCommandsFound: { en: 'No matching commands', uk: 'Немає відповідних команд' }
+};
+
+/**
+ * Command Palette
+ * Lists every registered command; type to filter, arrows to choose, Enter to run
+ */
+const CommandPalette = ({ onClose }) => {
+  const { t } = useLocalization();
+  const { commands, run, isEnabled } = useCommands();
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const label = useCallback(
+    (key) => t(key, { fallback: LABEL_FALLBACKS[key] }),
+    [t]
+  );
+
+  const results = useMemo(
+    () => commands.filter((command) => matchesCommandQuery(command, query)),
+    [commands, query]
+  );
+
+  const runCommand = useCallback((command) => {
+    if (!command || !isEnabled(command)) return;
+    onClose();
+    run(command);
+  }, [isEnabled, onClose, run]);
+
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      if (!results.length) return;
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((index) => (index + step + results.length) % results.length);
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      runCommand(results[activeIndex]);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      onClose();
+    }
+  }, [activeIndex, onClose, results, runCommand]);
+
+  return (
+    <div
+      className="sheet-modal command-palette"
+      role="dialog"
+      aria-modal="true"
+      aria-label={label('commandPalette')}
+      onClick={onClose}
+    >
+      <div
+        className="sheet-modal__panel glass-panel command-palette__panel"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <input
+          type="search"
+          className="sheet-modal__input"
+          placeholder={label('searchCommands')}
+          aria-label={label('searchCommands')}
+          aria-controls="command-palette-list"
+          aria-activedescendant={results[activeIndex] ? `command-${results[activeIndex].id}` : undefined}
+          value={query}
+          onChange={(event) => {
+            setQuery(event.target.value);
+            setActiveIndex(0);
+          }}
+          onKeyDown={handleKeyDown}
+          autoFocus
+        />
+
+        {results.length ? (
+          <ul id="command-palette-list" className="command-palette__list" role="listbox">
+            {results.map((command, index) => (
+              <li
+                key={command.id}
+                id={`command-${command.id}`}
+                className={`command-palette__item${index === activeIndex ? ' is-active' : ''}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                aria-disabled={!isEnabled(command)}
+                onMouseEnter={() => setActiveIndex(index)}
+                onClick={() => runCommand(command)}
+              >
+                <span className="command-palette__title">{command.title}</span>
+                {command.group ? <span className="command-palette__group">{command.group}</span> : null}
+                {command.shortcut ? (
+                  <kbd className="command-palette__shortcut">{formatShortcut(command.shortcut)}</kbd>
+                ) : null}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="sheet-modal__muted">{label('noCommandsFound')}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
@@ -0,0 +1,77 @@
+import React from 'react';
+
+// Shown before localization loads, so labels are picked from the browser language
+const LABELS = {
+  en: {
+    title: 'Your practice data is locked',
+    hint: 'Enter your passphrase to open the app.',
+    passphrase: 'Passphrase',
+    unlock: 'Unlock',
+    unlocking: 'Unlocking…',
+    wrongPassphrase: 'That passphrase is not right.',
+    failed: 'The data could not be unlocked.'
+  },
+  uk: {
+    title: 'Дані практики заблоковано',
+    hint: 'Введіть парольну фразу, щоб відкрити застосунок.',
+    passphrase: 'Парольна фраза',
+    unlock: 'Розблокувати',
+    unlocking: 'Розблокування…',
+    wrongPassphrase: 'Неправильна парольна фраза.',
+    failed: 'Не вдалося розблокувати дані.'
+  }
+};
+
+/**
+ * Unlock Screen
+ * Asks for the passphrase when stored data is encrypted, before services load
+ */
+const UnlockScreen = ({ onUnlock }) => {
+  const labels = LABELS[(navigator.language || '').split('-')[0]] || LABELS.en;
+  const [passphrase, setPassphrase] = React.useState('');
+  const [error, setError] = React.useState('');
+  const [isUnlocking, setIsUnlocking] = React.useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError('');
+    setIsUnlocking(true);
+    try {
+      await onUnlock(passphrase);
+    } catch (unlockError) {
+      setError(unlockError?.context?.reason === 'passphrase' ? labels.wrongPassphrase : labels.failed);
+      setIsUnlocking(false);
+    }
+  };
+
+  return (
+    <div className="unlock-screen">
+      <form className="unlock-screen__panel glass-panel" onSubmit={handleSubmit}>
+        <h1 className="sheet-modal__title">{labels.title}</h1>
+        <p className="sheet-modal__copy">{labels.hint}</p>
+        <input
+          className="sheet-modal__input"
+          type="password"
+          autoComplete="current-password"
+          autoFocus
+          value={passphrase}
+          aria-label={labels.passphrase}
+          placeholder={labels.passphrase}
+          onChange={(event) => setPassphrase(event.target.value)}
+        />
+        {error ? (
+          <span className="settings-modal__warning" role="alert">{error}</span>
+        ) : null}
+        <button
+          type="submit"
+          className="sheet-modal__button sheet-modal__button--primary"
+          disabled={isUnlocking || !passphrase}
+        >
+          {isUnlocking ? labels.unlocking : labels.unlock}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default UnlockScreen;
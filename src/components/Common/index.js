@@ -12,6 +12,9 @@
 
 export { default as CustomDropdown } from './CustomDropdown.jsx';
 export { default as CustomRadio } from './CustomRadio.jsx';
+export { default as AppUpdatePrompt } from './AppUpdatePrompt.jsx';
+export { default as UnlockScreen } from './UnlockScreen.jsx';
+export { default as CommandPalette } from './CommandPalette.jsx';
 
 
 
@@ -23,7 +23,8 @@ const DesktopControlPanel = ({
   soundOn,
   onSoundChange,
   vibrateOn,
-  onVibrationChange
+  onVibrationChange,
+  onHistoryClick
 }) => {
   const currentColors = useThemeColors();
   const { t, availableLanguages } = useLocalization();
@@ -274,6 +275,20 @@ const DesktopControlPanel = ({
           </label>
         </div>
       </section>
+
+      {/* Session History */}
+      {onHistoryClick ? (
+        <section aria-label={t('sessionHistory', { fallback: { en: 'Session history', uk: 'Історія сесій' } })}>
+          <button
+            type="button"
+            className="settings-modal__action"
+            onClick={onHistoryClick}
+          >
+            <span aria-hidden="true">🕘 </span>
+            {t('sessionHistory', { fallback: { en: 'Session history', uk: 'Історія сесій' } })}
+          </button>
+        </section>
+      ) : null}
     </aside>
   );
 };
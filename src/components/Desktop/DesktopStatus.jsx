@@ -2,8 +2,9 @@ import React from 'react';
 import { useThemeColors, useTheme } from '../../contexts/ThemeContext.jsx';
 import { useLocalization } from '../../contexts/LocalizationContext.jsx';
 import { useAccessibility } from '../../hooks/index.js';
+import SessionGoalProgress from '../Session/SessionGoalProgress.jsx';
 
-export default function DesktopStatus({ currentPhase, isRunning, isPaused, onPlayPause }) {
+export default function DesktopStatus({ currentPhase, isRunning, isPaused, onPlayPause, sessionStats }) {
   const currentColors = useThemeColors();
   const { t } = useLocalization();
   const { prefersReducedMotion } = useAccessibility();
@@ -75,6 +76,11 @@ export default function DesktopStatus({ currentPhase, isRunning, isPaused, onPla
             {currentPhase ? t('secLeft') : t('pressToStart')}
           </div>
         </div>
+        <SessionGoalProgress
+          stats={sessionStats}
+          prefersReducedMotion={prefersReducedMotion}
+          className="session-goal session-goal--inline"
+        />
       </div>
 
       <button
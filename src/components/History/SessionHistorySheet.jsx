@@ -0,0 +1,232 @@
+import React from 'react';
+import { useLocalization } from '../../contexts/LocalizationContext.jsx';
+import { useThemeColors } from '../../contexts/ThemeContext.jsx';
+import { useSessionHistory } from '../../hooks/useSessionHistory.js';
+import CustomDropdown from '../Common/CustomDropdown.jsx';
+import { formatSessionTime } from '../../utils/sessionGoal.js';
+import Logger from '../../utils/Logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RANGE_DAYS = {
+  week: 7,
+  month: 30,
+  all: null
+};
+
+const LABEL_FALLBACKS = {
+  sessionHistory: { en: 'Session history', uk: 'Історія сесій' },
+  historyRange: { en: 'Period', uk: 'Період' },
+  lastSevenDays: { en: 'Last 7 days', uk: 'Останні 7 днів' },
+  lastThirtyDays: { en: 'Last 30 days', uk: 'Останні 30 днів' },
+  allTime: { en: 'All time', uk: 'Увесь час' },
+  allTechniques: { en: 'All techniques', uk: 'Усі техніки' },
+  noSessionsYet: { en: 'No sessions recorded yet', uk: 'Ще немає записаних сесій' },
+  sessionsCount: { en: 'Sessions', uk: 'Сесії' },
+  cyclesCompleted: { en: 'Cycles', uk: 'Цикли' },
+  pausedTime: { en: 'Paused', uk: 'Пауза' },
+  goalReached: { en: 'Goal reached', uk: 'Мету досягнуто' },
+  clearHistory: { en: 'Clear history', uk: 'Очистити історію' },
+  confirmClearHistory: { en: 'Tap again to clear', uk: 'Натисніть ще раз, щоб очистити' },
+  delete: { en: 'Delete', uk: 'Видалити' }
+};
+
+const HistoryIcon = () => (
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" aria-hidden="true">
+    <path d="M4 12a8 8 0 1 0 2.4-5.7" strokeLinecap="round" />
+    <path d="M4 5v4h4" strokeLinecap="round" strokeLinejoin="round" />
+    <path d="M12 8v4l2.5 2.5" strokeLinecap="round" strokeLinejoin="round" />
+  </svg>
+);
+
+const CloseIcon = () => (
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" aria-hidden="true">
+    <path d="M6 6l12 12" strokeLinecap="round" />
+    <path d="M18 6L6 18" strokeLinecap="round" />
+  </svg>
+);
+
+const SessionHistorySheet = ({ techniqueOptions = [], onClose }) => {
+  const { t, currentLanguage } = useLocalization();
+  const currentColors = useThemeColors();
+  const { sessions, querySessions, deleteSession, clearHistory } = useSessionHistory();
+  const [range, setRange] = React.useState('month');
+  const [techniqueId, setTechniqueId] = React.useState('all');
+  const [confirmClear, setConfirmClear] = React.useState(false);
+
+  const label = React.useCallback(
+    (key) => t(key, { fallback: LABEL_FALLBACKS[key] }),
+    [t]
+  );
+
+  const modalColors = React.useMemo(() => ({
+    panel: currentColors.panel,
+    text: currentColors.text,
+    border: currentColors.border,
+    accent: currentColors.accent
+  }), [currentColors.accent, currentColors.border, currentColors.panel, currentColors.text]);
+
+  const techniqueNames = React.useMemo(() => (
+    new Map(techniqueOptions.map(option => [option.value, option.label]))
+  ), [techniqueOptions]);
+
+  const rangeOptions = React.useMemo(() => ([
+    { value: 'week', label: label('lastSevenDays') },
+    { value: 'month', label: label('lastThirtyDays') },
+    { value: 'all', label: label('allTime') }
+  ]), [label]);
+
+  const techniqueFilterOptions = React.useMemo(() => ([
+    { value: 'all', label: label('allTechniques') },
+    ...techniqueOptions
+  ]), [label, techniqueOptions]);
+
+  const filteredSessions = React.useMemo(() => {
+    const days = RANGE_DAYS[range];
+    return querySessions({
+      from: days ? Date.now() - days * DAY_MS : undefined,
+      techniqueId: techniqueId === 'all' ? undefined : techniqueId
+    });
+  }, [querySessions, range, techniqueId]);
+
+  const dateFormatter = React.useMemo(() => (
+    new Intl.DateTimeFormat(currentLanguage === 'uk' ? 'uk-UA' : 'en-US', {
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    })
+  ), [currentLanguage]);
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteSession(id);
+    } catch (error) {
+      Logger.error('component', 'Failed to delete session record', error);
+    }
+  };
+
+  const handleClear = async () => {
+    if (!confirmClear) {
+      setConfirmClear(true);
+      return;
+    }
+
+    try {
+      await clearHistory();
+    } catch (error) {
+      Logger.error('component', 'Failed to clear session history', error);
+    } finally {
+      setConfirmClear(false);
+    }
+  };
+
+  return (
+    <div
+      className="sheet-modal"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="session-history-title"
+      onClick={onClose}
+    >
+      <div
+        className="sheet-modal__panel glass-panel"
+        style={{ color: currentColors.text }}
+        onClick={(event) => event.stopPropagation()}
+      >
+        <header className="sheet-modal__header">
+          <div>
+            <div className="sheet-modal__eyebrow">
+              <HistoryIcon />
+              <span>{t('breathingApp')}</span>
+            </div>
+            <h2 id="session-history-title" className="sheet-modal__title">
+              {label('sessionHistory')}
+            </h2>
+          </div>
+
+          <button
+            type="button"
+            className="sheet-modal__close"
+            onClick={onClose}
+            aria-label={t('close')}
+          >
+            <CloseIcon />
+          </button>
+        </header>
+
+        <div className="sheet-modal__body">
+          <section className="sheet-modal__section">
+            <div className="sheet-modal__row" aria-label={label('historyRange')}>
+              <CustomDropdown
+                value={range}
+                options={rangeOptions}
+                onChange={setRange}
+                colors={modalColors}
+              />
+              <CustomDropdown
+                value={techniqueId}
+                options={techniqueFilterOptions}
+                onChange={setTechniqueId}
+                colors={modalColors}
+              />
+            </div>
+          </section>
+
+          <section className="sheet-modal__section">
+            {filteredSessions.length ? (
+              <ul className="sheet-modal__list">
+                {filteredSessions.map(session => (
+                  <li key={session.id} className="sheet-modal__list-item">
+                    <span>
+                      {techniqueNames.get(session.techniqueId) || session.techniqueId}
+                      <span className="sheet-modal__muted">
+                        {dateFormatter.format(new Date(session.startTime))}
+                      </span>
+                      <span className="sheet-modal__muted">
+                        {[
+                          formatSessionTime(session.activeMs / 1000),
+                          `${label('cyclesCompleted')}: ${session.cyclesCompleted}`,
+                          session.pausedMs >= 1000
+                            ? `${label('pausedTime')}: ${formatSessionTime(session.pausedMs / 1000)}`
+                            : null,
+                          session.sessionCount > 1
+                            ? `${label('sessionsCount')}: ${session.sessionCount}`
+                            : null,
+                          session.goalsReached > 0 ? `✓ ${label('goalReached')}` : null
+                        ].filter(Boolean).join(' · ')}
+                      </span>
+                    </span>
+                    <button
+                      type="button"
+                      className="sheet-modal__icon-button"
+                      onClick={() => handleDelete(session.id)}
+                      aria-label={label('delete')}
+                    >
+                      <CloseIcon />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="sheet-modal__copy">{label('noSessionsYet')}</p>
+            )}
+          </section>
+
+          {sessions.length ? (
+            <div className="sheet-modal__actions">
+              <button
+                type="button"
+                className="sheet-modal__button"
+                onClick={handleClear}
+                onBlur={() => setConfirmClear(false)}
+              >
+                {confirmClear ? label('confirmClearHistory') : label('clearHistory')}
+              </button>
+            </div>
+          ) : null}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionHistorySheet;
@@ -10,9 +10,9 @@ import { useBreathingSession, useAccessibility } from '../../hooks/index.js';
 
 /**
  * Mobile Bottom Navigation Component
- * Displays hamburger menu, status, and play/pause button
+ * Displays hamburger menu, optional history button, status, and play/pause button
  */
-const MobileBottomNav = ({ onSettingsClick, onPlayPause }) => {
+const MobileBottomNav = ({ onSettingsClick, onPlayPause, onHistoryClick }) => {
   const currentColors = useThemeColors();
   const { t } = useLocalization();
   const { currentPhase, isRunning } = useBreathingSession();
@@ -53,6 +53,24 @@ const MobileBottomNav = ({ onSettingsClick, onPlayPause }) => {
         <span aria-hidden="true">⚙</span>
       </button>
 
+      {/* History icon zone */}
+      {onHistoryClick ? (
+        <button
+          onClick={onHistoryClick}
+          className="icon-button icon-button--soft"
+          style={{
+            color: currentColors.text,
+            width: '44px',
+            height: '44px',
+            fontSize: '20px',
+            borderColor: currentColors.border
+          }}
+          aria-label={t('sessionHistory', { fallback: { en: 'Session history', uk: 'Історія сесій' } })}
+        >
+          <span aria-hidden="true">🕘</span>
+        </button>
+      ) : null}
+
       {/* Status zone */}
       <div style={{ 
         textAlign: 'center',
@@ -0,0 +1,371 @@
+import React from 'react';
+import { useLocalization } from '../../contexts/LocalizationContext.jsx';
+import { useThemeColors } from '../../contexts/ThemeContext.jsx';
+import { useSessionPrograms } from '../../hooks/useSessionPrograms.js';
+import { PROGRAM_LIMITS } from '../../services/SessionProgramService.js';
+import Logger from '../../utils/Logger.js';
+
+const LABEL_FALLBACKS = {
+  sessionPrograms: { en: 'Programs', uk: 'Програми' },
+  newProgram: { en: 'New program', uk: 'Нова програма' },
+  programName: { en: 'Name', uk: 'Назва' },
+  techniqueDescription: { en: 'Description', uk: 'Опис' },
+  programStages: { en: 'Stages', uk: 'Етапи' },
+  stageTechnique: { en: 'Technique', uk: 'Техніка' },
+  stageMinutes: { en: 'Minutes', uk: 'Хвилини' },
+  addStage: { en: 'Add stage', uk: 'Додати етап' },
+  removeStage: { en: 'Remove stage', uk: 'Видалити етап' },
+  moveStageUp: { en: 'Move stage up', uk: 'Перемістити етап вище' },
+  moveStageDown: { en: 'Move stage down', uk: 'Перемістити етап нижче' },
+  save: { en: 'Save', uk: 'Зберегти' },
+  edit: { en: 'Edit', uk: 'Редагувати' },
+  delete: { en: 'Delete', uk: 'Видалити' },
+  cancel: { en: 'Cancel', uk: 'Скасувати' },
+  noPrograms: { en: 'No programs yet', uk: 'Ще немає програм' }
+};
+
+const CloseIcon = () => (
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" aria-hidden="true">
+    <path d="M6 6l12 12" strokeLinecap="round" />
+    <path d="M18 6L6 18" strokeLinecap="round" />
+  </svg>
+);
+
+const ArrowIcon = ({ direction = 'up' }) => (
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" aria-hidden="true">
+    <path
+      d={direction === 'up' ? 'M6 14l6-6 6 6' : 'M6 10l6 6 6-6'}
+      strokeLinecap="round"
+      strokeLinejoin="round"
+    />
+  </svg>
+);
+
+const StagesIcon = () => (
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" aria-hidden="true">
+    <path d="M4 17h5v-4h5V9h6" strokeLinecap="round" strokeLinejoin="round" />
+    <circle cx="4" cy="17" r="1" fill="currentColor" stroke="none" />
+  </svg>
+);
+
+const createEmptyDraft = (defaultTechniqueId) => ({
+  id: null,
+  name: '',
+  description: '',
+  stages: [{ techniqueId: defaultTechniqueId, minutes: 5 }]
+});
+
+const toDraft = (program) => {
+  const definition = program.toJSON();
+
+  return {
+    id: definition.id,
+    name: definition.name,
+    description: definition.description,
+    stages: definition.stages.map(stage => ({ ...stage }))
+  };
+};
+
+const SessionProgramEditor = ({ techniqueOptions = [], onClose, onSaved }) => {
+  const { t } = useLocalization();
+  const currentColors = useThemeColors();
+  const { programs, saveProgram, deleteProgram, validateProgram } = useSessionPrograms();
+  const [draft, setDraft] = React.useState(null);
+  const [errors, setErrors] = React.useState([]);
+
+  const label = React.useCallback(
+    (key) => t(key, { fallback: LABEL_FALLBACKS[key] }),
+    [t]
+  );
+
+  // Programs cannot be nested, so only plain techniques are offered as stages
+  const stageOptions = React.useMemo(() => {
+    const programIds = new Set(programs.map(program => program.id));
+    return techniqueOptions.filter(option => !programIds.has(option.value));
+  }, [programs, techniqueOptions]);
+
+  const techniqueNames = React.useMemo(() => (
+    new Map(techniqueOptions.map(option => [option.value, option.label]))
+  ), [techniqueOptions]);
+
+  const updateStage = (index, changes) => {
+    setDraft(current => ({
+      ...current,
+      stages: current.stages.map((stage, stageIndex) => (
+        stageIndex === index ? { ...stage, ...changes } : stage
+      ))
+    }));
+  };
+
+  const addStage = () => {
+    setDraft(current => ({
+      ...current,
+      stages: [
+        ...current.stages,
+        { techniqueId: stageOptions[0]?.value || 'box4', minutes: 3 }
+      ]
+    }));
+  };
+
+  const removeStage = (index) => {
+    setDraft(current => ({
+      ...current,
+      stages: current.stages.filter((_, stageIndex) => stageIndex !== index)
+    }));
+  };
+
+  const moveStage = (index, offset) => {
+    setDraft(current => {
+      const target = index + offset;
+      if (target < 0 || target >= current.stages.length) return current;
+
+      const stages = [...current.stages];
+      [stages[index], stages[target]] = [stages[target], stages[index]];
+      return { ...current, stages };
+    });
+  };
+
+  const toDefinition = (value) => ({
+    id: value.id || undefined,
+    name: value.name,
+    description: value.description,
+    stages: value.stages.map(stage => ({
+      techniqueId: stage.techniqueId,
+      minutes: Number(stage.minutes)
+    }))
+  });
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    const definition = toDefinition(draft);
+    const result = validateProgram(definition);
+
+    if (!result.isValid) {
+      setErrors(result.errors);
+      return;
+    }
+
+    try {
+      const program = await saveProgram(definition);
+      setErrors([]);
+      setDraft(null);
+      onSaved?.(program.id);
+    } catch (error) {
+      Logger.error('component', 'Failed to save session program', error);
+      setErrors(error.context?.errors || [{ field: 'program', message: error.message }]);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteProgram(id);
+    } catch (error) {
+      Logger.error('component', 'Failed to delete session program', error);
+    }
+  };
+
+  const describeStages = (program) => program.toJSON().stages
+    .map(stage => `${stage.minutes}′ ${techniqueNames.get(stage.techniqueId) || stage.techniqueId}`)
+    .join(' → ');
+
+  return (
+    <div
+      className="sheet-modal"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="session-program-title"
+      onClick={onClose}
+    >
+      <div
+        className="sheet-modal__panel glass-panel"
+        style={{ color: currentColors.text }}
+        onClick={(event) => event.stopPropagation()}
+      >
+        <header className="sheet-modal__header">
+          <div>
+            <div className="sheet-modal__eyebrow">
+              <StagesIcon />
+              <span>{t('breathingApp')}</span>
+            </div>
+            <h2 id="session-program-title" className="sheet-modal__title">
+              {label('sessionPrograms')}
+            </h2>
+          </div>
+
+          <button
+            type="button"
+            className="sheet-modal__close"
+            onClick={onClose}
+            aria-label={t('close')}
+          >
+            <CloseIcon />
+          </button>
+        </header>
+
+        <div className="sheet-modal__body">
+          {draft ? (
+            <form className="sheet-modal__form" onSubmit={handleSave}>
+              <section className="sheet-modal__section">
+                <label className="sheet-modal__section-title" htmlFor="session-program-name">
+                  {label('programName')}
+                </label>
+                <input
+                  id="session-program-name"
+                  className="sheet-modal__input"
+                  value={draft.name}
+                  onChange={(event) => setDraft({ ...draft, name: event.target.value })}
+                  maxLength={PROGRAM_LIMITS.maxNameLength}
+                  required
+                />
+                <label className="sheet-modal__section-title" htmlFor="session-program-description">
+                  {label('techniqueDescription')}
+                </label>
+                <input
+                  id="session-program-description"
+                  className="sheet-modal__input"
+                  value={draft.description}
+                  onChange={(event) => setDraft({ ...draft, description: event.target.value })}
+                  maxLength={160}
+                />
+              </section>
+
+              <section className="sheet-modal__section">
+                <h3 className="sheet-modal__section-title">{label('programStages')}</h3>
+                {draft.stages.map((stage, index) => (
+                  <div key={index} className="sheet-modal__row">
+                    <select
+                      className="sheet-modal__input"
+                      value={stage.techniqueId}
+                      aria-label={`${label('stageTechnique')} ${index + 1}`}
+                      onChange={(event) => updateStage(index, { techniqueId: event.target.value })}
+                    >
+                      {stageOptions.map(option => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      className="sheet-modal__input sheet-modal__input--narrow"
+                      type="number"
+                      min={PROGRAM_LIMITS.minStageMinutes}
+                      max={PROGRAM_LIMITS.maxStageMinutes}
+                      step="0.5"
+                      value={stage.minutes}
+                      aria-label={`${label('stageMinutes')} ${index + 1}`}
+                      onChange={(event) => updateStage(index, { minutes: event.target.value })}
+                    />
+                    <button
+                      type="button"
+                      className="sheet-modal__icon-button"
+                      onClick={() => moveStage(index, -1)}
+                      aria-label={label('moveStageUp')}
+                      disabled={index === 0}
+                    >
+                      <ArrowIcon direction="up" />
+                    </button>
+                    <button
+                      type="button"
+                      className="sheet-modal__icon-button"
+                      onClick={() => moveStage(index, 1)}
+                      aria-label={label('moveStageDown')}
+                      disabled={index === draft.stages.length - 1}
+                    >
+                      <ArrowIcon direction="down" />
+                    </button>
+                    <button
+                      type="button"
+                      className="sheet-modal__icon-button"
+                      onClick={() => removeStage(index)}
+                      aria-label={label('removeStage')}
+                      disabled={draft.stages.length <= 1}
+                    >
+                      <CloseIcon />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  className="sheet-modal__button"
+                  onClick={addStage}
+                  disabled={draft.stages.length >= PROGRAM_LIMITS.maxStages}
+                >
+                  {label('addStage')}
+                </button>
+              </section>
+
+              {errors.length ? (
+                <ul className="sheet-modal__errors" role="alert">
+                  {errors.map((error, index) => (
+                    <li key={`${error.field}-${index}`}>{error.message}</li>
+                  ))}
+                </ul>
+              ) : null}
+
+              <div className="sheet-modal__actions">
+                <button
+                  type="button"
+                  className="sheet-modal__button"
+                  onClick={() => {
+                    setDraft(null);
+                    setErrors([]);
+                  }}
+                >
+                  {label('cancel')}
+                </button>
+                <button type="submit" className="sheet-modal__button sheet-modal__button--primary">
+                  {label('save')}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <>
+              <section className="sheet-modal__section">
+                {programs.length ? (
+                  <ul className="sheet-modal__list">
+                    {programs.map(program => (
+                      <li key={program.id} className="sheet-modal__list-item">
+                        <span>
+                          {program.name}
+                          <span className="sheet-modal__muted">{describeStages(program)}</span>
+                        </span>
+                        <span className="sheet-modal__actions">
+                          <button
+                            type="button"
+                            className="sheet-modal__button"
+                            onClick={() => setDraft(toDraft(program))}
+                          >
+                            {label('edit')}
+                          </button>
+                          <button
+                            type="button"
+                            className="sheet-modal__button"
+                            onClick={() => handleDelete(program.id)}
+                          >
+                            {label('delete')}
+                          </button>
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="sheet-modal__copy">{label('noPrograms')}</p>
+                )}
+              </section>
+
+              <button
+                type="button"
+                className="sheet-modal__button sheet-modal__button--primary"
+                onClick={() => setDraft(createEmptyDraft(stageOptions[0]?.value || 'box4'))}
+              >
+                {label('newProgram')}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionProgramEditor;
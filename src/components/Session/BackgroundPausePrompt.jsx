@@ -0,0 +1,41 @@
+import React from 'react';
+import { useLocalization } from '../../contexts/LocalizationContext.jsx';
+
+const LABEL_FALLBACKS = {
+  pausedInBackground: { en: 'Paused while you were away', uk: 'Пауза, поки вас не було' },
+  resumeSession: { en: 'Resume session', uk: 'Відновити сесію' },
+  endSession: { en: 'End', uk: 'Завершити' }
+};
+
+/**
+ * Background Pause Prompt
+ * Offers to resume or end a session that was paused because the app went into the background
+ */
+const BackgroundPausePrompt = ({ onResume, onEnd }) => {
+  const { t } = useLocalization();
+
+  const label = React.useCallback(
+    (key) => t(key, { fallback: LABEL_FALLBACKS[key] }),
+    [t]
+  );
+
+  return (
+    <div className="background-pause-prompt glass-panel" role="status">
+      <span>{label('pausedInBackground')}</span>
+      <span className="background-pause-prompt__actions">
+        <button type="button" className="sheet-modal__button" onClick={onEnd}>
+          {label('endSession')}
+        </button>
+        <button
+          type="button"
+          className="sheet-modal__button sheet-modal__button--primary"
+          onClick={onResume}
+        >
+          {label('resumeSession')}
+        </button>
+      </span>
+    </div>
+  );
+};
+
+export default BackgroundPausePrompt;
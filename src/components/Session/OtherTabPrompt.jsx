@@ -0,0 +1,44 @@
+import React from 'react';
+import { useLocalization } from '../../contexts/LocalizationContext.jsx';
+
+const LABEL_FALLBACKS = {
+  runningInOtherTab: { en: 'A session is running in another tab', uk: 'Сесія триває в іншій вкладці' },
+  continuedInOtherTab: { en: 'Continued in another tab', uk: 'Продовжено в іншій вкладці' },
+  takeOverHere: { en: 'Take over here', uk: 'Продовжити тут' },
+  endSession: { en: 'End', uk: 'Завершити' }
+};
+
+/**
+ * Other Tab Prompt
+ * Shows that a session runs in another tab and offers to take it over in this one
+ */
+const OtherTabPrompt = ({ isPausedHere = false, onTakeOver, onEnd }) => {
+  const { t } = useLocalization();
+
+  const label = React.useCallback(
+    (key) => t(key, { fallback: LABEL_FALLBACKS[key] }),
+    [t]
+  );
+
+  return (
+    <div className="background-pause-prompt glass-panel" role="status">
+      <span>{label(isPausedHere ? 'continuedInOtherTab' : 'runningInOtherTab')}</span>
+      <span className="background-pause-prompt__actions">
+        {isPausedHere ? (
+          <button type="button" className="sheet-modal__button" onClick={onEnd}>
+            {label('endSession')}
+          </button>
+        ) : null}
+        <button
+          type="button"
+          className="sheet-modal__button sheet-modal__button--primary"
+          onClick={onTakeOver}
+        >
+          {label('takeOverHere')}
+        </button>
+      </span>
+    </div>
+  );
+};
+
+export default OtherTabPrompt;
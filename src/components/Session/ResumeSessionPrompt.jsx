@@ -0,0 +1,42 @@
+import React from 'react';
+import { useLocalization } from '../../contexts/LocalizationContext.jsx';
+import { formatSessionTime } from '../../utils/sessionGoal.js';
+
+const LABEL_FALLBACKS = {
+  unfinishedSession: { en: 'Unfinished session', uk: 'Незавершена сесія' },
+  resumeSession: { en: 'Resume session', uk: 'Відновити сесію' },
+  saveToHistory: { en: 'Save to history', uk: 'Зберегти в історію' }
+};
+
+/**
+ * Resume Session Prompt
+ * Offers to continue a session that a reload or crash cut short, or to keep it in history as it was
+ */
+const ResumeSessionPrompt = ({ techniqueName, elapsedSeconds, onResume, onDiscard }) => {
+  const { t } = useLocalization();
+
+  const label = React.useCallback(
+    (key) => t(key, { fallback: LABEL_FALLBACKS[key] }),
+    [t]
+  );
+
+  return (
+    <div className="background-pause-prompt glass-panel" role="status">
+      <span>{`${label('unfinishedSession')}: ${techniqueName} · ${formatSessionTime(elapsedSeconds)}`}</span>
+      <span className="background-pause-prompt__actions">
+        <button type="button" className="sheet-modal__button" onClick={onDiscard}>
+          {label('saveToHistory')}
+        </button>
+        <button
+          type="button"
+          className="sheet-modal__button sheet-modal__button--primary"
+          onClick={onResume}
+        >
+          {label('resumeSession')}
+        </button>
+      </span>
+    </div>
+  );
+};
+
+export default ResumeSessionPrompt;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { AnimatedProgress } from '../../animations/BreathingAnimations.jsx';
+import { useLocalization } from '../../contexts/LocalizationContext.jsx';
+import {
+  SESSION_GOAL_TYPES,
+  hasSessionGoal,
+  normalizeSessionGoal,
+  formatSessionGoalProgress
+} from '../../utils/sessionGoal.js';
+import { GOAL_LABEL_FALLBACKS } from './goalLabels.js';
+
+const SessionGoalProgress = ({ stats, prefersReducedMotion = false, className = 'session-goal' }) => {
+  const { t } = useLocalization();
+
+  if (!stats || !hasSessionGoal(stats.goal)) {
+    return null;
+  }
+
+  const goal = normalizeSessionGoal(stats.goal);
+  const unitKey = goal.type === SESSION_GOAL_TYPES.MINUTES ? 'goalMinutes' : 'goalCycles';
+  const progressText = formatSessionGoalProgress(goal, stats);
+  const unitLabel = t(unitKey, { fallback: GOAL_LABEL_FALLBACKS[unitKey] });
+
+  return (
+    <div className={className}>
+      <span>{`${unitLabel} ${progressText}`}</span>
+      <AnimatedProgress
+        className="session-goal__track"
+        value={stats.goalProgress || 0}
+        max={100}
+        prefersReducedMotion={prefersReducedMotion}
+        label={t('goalProgress', { fallback: GOAL_LABEL_FALLBACKS.goalProgress })}
+        valueText={`${unitLabel} ${progressText}`}
+      />
+    </div>
+  );
+};
+
+export default SessionGoalProgress;
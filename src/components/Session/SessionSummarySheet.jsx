@@ -0,0 +1,117 @@
+import React from 'react';
+import { useLocalization } from '../../contexts/LocalizationContext.jsx';
+import { useThemeColors } from '../../contexts/ThemeContext.jsx';
+import { formatSessionTime, formatSessionGoalProgress } from '../../utils/sessionGoal.js';
+import { GOAL_LABEL_FALLBACKS } from './goalLabels.js';
+
+const SUMMARY_LABEL_FALLBACKS = {
+  sessionComplete: { en: 'Session complete', uk: 'Сесію завершено' },
+  goalReached: { en: 'Goal reached', uk: 'Мету досягнуто' },
+  breathingTime: { en: 'Breathing time', uk: 'Час дихання' },
+  cyclesCompleted: { en: 'Cycles', uk: 'Цикли' },
+  done: { en: 'Done', uk: 'Готово' },
+  startAgain: { en: 'Start again', uk: 'Почати знову' }
+};
+
+const CheckIcon = () => (
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" aria-hidden="true">
+    <circle cx="12" cy="12" r="9" />
+    <path d="M8 12.5l2.7 2.7L16 9.8" strokeLinecap="round" strokeLinejoin="round" />
+  </svg>
+);
+
+const CloseIcon = () => (
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" aria-hidden="true">
+    <path d="M6 6l12 12" strokeLinecap="round" />
+    <path d="M18 6L6 18" strokeLinecap="round" />
+  </svg>
+);
+
+const SessionSummarySheet = ({ summary, techniqueName, onClose, onRestart }) => {
+  const { t } = useLocalization();
+  const currentColors = useThemeColors();
+
+  const label = React.useCallback(
+    (key) => t(key, { fallback: SUMMARY_LABEL_FALLBACKS[key] || GOAL_LABEL_FALLBACKS[key] }),
+    [t]
+  );
+
+  if (!summary) {
+    return null;
+  }
+
+  return (
+    <div
+      className="sheet-modal"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="session-summary-title"
+      onClick={onClose}
+    >
+      <div
+        className="sheet-modal__panel glass-panel"
+        style={{ color: currentColors.text }}
+        onClick={(event) => event.stopPropagation()}
+      >
+        <header className="sheet-modal__header">
+          <div>
+            <div className="sheet-modal__eyebrow">
+              <CheckIcon />
+              <span>{label('goalReached')}</span>
+            </div>
+            <h2 id="session-summary-title" className="sheet-modal__title">
+              {label('sessionComplete')}
+            </h2>
+          </div>
+
+          <button
+            type="button"
+            className="sheet-modal__close"
+            onClick={onClose}
+            aria-label={t('close')}
+          >
+            <CloseIcon />
+          </button>
+        </header>
+
+        <div className="sheet-modal__body">
+          {techniqueName ? (
+            <div className="sheet-modal__pattern">{techniqueName}</div>
+          ) : null}
+
+          <dl className="sheet-modal__stats">
+            <div className="sheet-modal__stat">
+              <dt>{label('breathingTime')}</dt>
+              <dd>{formatSessionTime(summary.elapsedSeconds)}</dd>
+            </div>
+            <div className="sheet-modal__stat">
+              <dt>{label('cyclesCompleted')}</dt>
+              <dd>{summary.cyclesCompleted}</dd>
+            </div>
+            <div className="sheet-modal__stat">
+              <dt>{label('sessionGoal')}</dt>
+              <dd>{formatSessionGoalProgress(summary.goal, summary)}</dd>
+            </div>
+          </dl>
+
+          <div className="sheet-modal__actions">
+            <button type="button" className="sheet-modal__button" onClick={onClose}>
+              {label('done')}
+            </button>
+            {onRestart ? (
+              <button
+                type="button"
+                className="sheet-modal__button sheet-modal__button--primary"
+                onClick={onRestart}
+              >
+                {label('startAgain')}
+              </button>
+            ) : null}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionSummarySheet;
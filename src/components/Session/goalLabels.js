@@ -0,0 +1,12 @@
+/**
+ * Session goal labels
+ * Fallback copy shared by the goal progress bar, summary sheet and settings
+ */
+
+export const GOAL_LABEL_FALLBACKS = {
+  sessionGoal: { en: 'Session goal', uk: 'Мета сесії' },
+  goalNone: { en: 'Open-ended', uk: 'Без обмеження' },
+  goalMinutes: { en: 'Minutes', uk: 'Хвилини' },
+  goalCycles: { en: 'Cycles', uk: 'Цикли' },
+  goalProgress: { en: 'Goal progress', uk: 'Прогрес до мети' }
+};
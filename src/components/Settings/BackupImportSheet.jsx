@@ -0,0 +1,253 @@
+import React from 'react';
+import { useLocalization } from '../../contexts/LocalizationContext.jsx';
+import { useThemeColors } from '../../contexts/ThemeContext.jsx';
+import { useBackupService } from '../../contexts/ServicesContext.jsx';
+import CustomRadio from '../Common/CustomRadio.jsx';
+import { BACKUP_IMPORT_MODES } from '../../services/BackupService.js';
+import Logger from '../../utils/Logger.js';
+
+const LABEL_FALLBACKS = {
+  importBackup: { en: 'Import backup', uk: 'Імпортувати копію' },
+  backupFrom: { en: 'Backup from', uk: 'Копія від' },
+  backupMerge: { en: 'Merge', uk: 'Об’єднати' },
+  backupMergeHint: {
+    en: 'Adds what is in the backup and keeps everything else on this device.',
+    uk: 'Додає вміст копії та зберігає все інше на цьому пристрої.'
+  },
+  backupReplace: { en: 'Replace', uk: 'Замінити' },
+  backupReplaceHint: {
+    en: 'Removes techniques, programs and sessions that are not in the backup.',
+    uk: 'Видаляє техніки, програми та сесії, яких немає в копії.'
+  },
+  backupSettings: { en: 'Settings', uk: 'Налаштування' },
+  customTechniques: { en: 'Custom techniques', uk: 'Власні техніки' },
+  sessionPrograms: { en: 'Programs', uk: 'Програми' },
+  sessionHistory: { en: 'Session history', uk: 'Історія сесій' },
+  backupChanged: { en: 'Changed', uk: 'Змінено' },
+  backupAdded: { en: 'Added', uk: 'Додано' },
+  backupUpdated: { en: 'Updated', uk: 'Оновлено' },
+  backupRemoved: { en: 'Removed', uk: 'Видалено' },
+  backupNoChanges: { en: 'No changes', uk: 'Без змін' },
+  backupImported: { en: 'Backup imported.', uk: 'Копію імпортовано.' },
+  backupSkipped: { en: 'Entries skipped as invalid', uk: 'Пропущено некоректних записів' },
+  backupErrorImport: { en: 'The backup could not be imported.', uk: 'Не вдалося імпортувати копію.' },
+  cancel: { en: 'Cancel', uk: 'Скасувати' }
+};
+
+const BackupIcon = () => (
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" aria-hidden="true">
+    <path d="M12 4v11" strokeLinecap="round" />
+    <path d="M8 11l4 4 4-4" strokeLinecap="round" strokeLinejoin="round" />
+    <path d="M5 17v2h14v-2" strokeLinecap="round" strokeLinejoin="round" />
+  </svg>
+);
+
+const CloseIcon = () => (
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" aria-hidden="true">
+    <path d="M6 6l12 12" strokeLinecap="round" />
+    <path d="M18 6L6 18" strokeLinecap="round" />
+  </svg>
+);
+
+/**
+ * Backup Import Sheet
+ * Previews what a backup would change in merge or replace mode and imports it
+ */
+const BackupImportSheet = ({ backup, onClose }) => {
+  const { t, currentLanguage } = useLocalization();
+  const currentColors = useThemeColors();
+  const backupService = useBackupService();
+  const [mode, setMode] = React.useState(BACKUP_IMPORT_MODES.MERGE);
+  const [isImporting, setIsImporting] = React.useState(false);
+  const [result, setResult] = React.useState(null);
+  const [error, setError] = React.useState('');
+
+  const label = React.useCallback(
+    (key) => t(key, { fallback: LABEL_FALLBACKS[key] }),
+    [t]
+  );
+
+  const modalColors = React.useMemo(() => ({
+    panel: currentColors.panel,
+    text: currentColors.text,
+    border: currentColors.border,
+    accent: currentColors.accent
+  }), [currentColors.accent, currentColors.border, currentColors.panel, currentColors.text]);
+
+  const preview = React.useMemo(() => backupService.previewImport(backup, mode), [backupService, backup, mode]);
+
+  const exportedAt = backup.exportedAt
+    ? new Intl.DateTimeFormat(currentLanguage === 'uk' ? 'uk-UA' : 'en-US', {
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    }).format(new Date(backup.exportedAt))
+    : null;
+
+  const skipped = result
+    ? Object.values(result).reduce((total, section) => total + section.skipped, 0)
+    : 0;
+
+  const handleImport = async () => {
+    setError('');
+    setIsImporting(true);
+    try {
+      setResult(await backupService.importBackup(backup, mode));
+    } catch (importError) {
+      Logger.error('component', 'Failed to import backup', importError);
+      setError(label('backupErrorImport'));
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // One line per kind of change; names for techniques and programs, counts for sessions
+  const renderChanges = (changes) => {
+    const lines = ['added', 'updated', 'removed']
+      .filter(kind => (Array.isArray(changes[kind]) ? changes[kind].length : changes[kind]) > 0)
+      .map(kind => {
+        const value = Array.isArray(changes[kind]) ? changes[kind].join(', ') : changes[kind];
+        const key = { added: 'backupAdded', updated: 'backupUpdated', removed: 'backupRemoved' }[kind];
+        return <span key={kind} className="sheet-modal__muted">{label(key)}: {value}</span>;
+      });
+
+    return lines.length ? lines : <span className="sheet-modal__muted">{label('backupNoChanges')}</span>;
+  };
+
+  return (
+    <div
+      className="sheet-modal"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="backup-import-title"
+      onClick={onClose}
+    >
+      <div
+        className="sheet-modal__panel glass-panel"
+        style={{ color: currentColors.text }}
+        onClick={(event) => event.stopPropagation()}
+      >
+        <header className="sheet-modal__header">
+          <div>
+            <div className="sheet-modal__eyebrow">
+              <BackupIcon />
+              <span>{t('breathingApp')}</span>
+            </div>
+            <h2 id="backup-import-title" className="sheet-modal__title">
+              {label('importBackup')}
+            </h2>
+          </div>
+
+          <button
+            type="button"
+            className="sheet-modal__close"
+            onClick={onClose}
+            aria-label={t('close')}
+          >
+            <CloseIcon />
+          </button>
+        </header>
+
+        <div className="sheet-modal__body">
+          {result ? (
+            <section className="sheet-modal__section">
+              <p className="sheet-modal__copy" role="status">{label('backupImported')}</p>
+              {skipped > 0 ? (
+                <span className="sheet-modal__muted">{label('backupSkipped')}: {skipped}</span>
+              ) : null}
+            </section>
+          ) : (
+            <>
+              <section className="sheet-modal__section">
+                {exportedAt ? (
+                  <p className="sheet-modal__copy">{label('backupFrom')} {exportedAt}</p>
+                ) : null}
+                <div className="settings-modal__choice-row">
+                  <CustomRadio
+                    name="backupImportMode"
+                    checked={mode === BACKUP_IMPORT_MODES.MERGE}
+                    onChange={() => setMode(BACKUP_IMPORT_MODES.MERGE)}
+                    label={label('backupMerge')}
+                    colors={modalColors}
+                  />
+                  <CustomRadio
+                    name="backupImportMode"
+                    checked={mode === BACKUP_IMPORT_MODES.REPLACE}
+                    onChange={() => setMode(BACKUP_IMPORT_MODES.REPLACE)}
+                    label={label('backupReplace')}
+                    colors={modalColors}
+                  />
+                </div>
+                <span className="sheet-modal__muted">
+                  {mode === BACKUP_IMPORT_MODES.REPLACE ? label('backupReplaceHint') : label('backupMergeHint')}
+                </span>
+              </section>
+
+              <section className="sheet-modal__section">
+                <ul className="sheet-modal__list">
+                  <li className="sheet-modal__list-item">
+                    <span>
+                      {label('backupSettings')}
+                      <span className="sheet-modal__muted">
+                        {preview.preferences.changed.length
+                          ? `${label('backupChanged')}: ${preview.preferences.changed.length}`
+                          : label('backupNoChanges')}
+                      </span>
+                    </span>
+                  </li>
+                  <li className="sheet-modal__list-item">
+                    <span>
+                      {label('customTechniques')}
+                      {renderChanges(preview.customTechniques)}
+                    </span>
+                  </li>
+                  <li className="sheet-modal__list-item">
+                    <span>
+                      {label('sessionPrograms')}
+                      {renderChanges(preview.programs)}
+                    </span>
+                  </li>
+                  <li className="sheet-modal__list-item">
+                    <span>
+                      {label('sessionHistory')}
+                      {renderChanges(preview.sessions)}
+                    </span>
+                  </li>
+                </ul>
+              </section>
+            </>
+          )}
+
+          {error ? (
+            <ul className="sheet-modal__errors" role="alert">
+              <li>{error}</li>
+            </ul>
+          ) : null}
+
+          <div className="sheet-modal__actions">
+            {result ? (
+              <button type="button" className="sheet-modal__button sheet-modal__button--primary" onClick={onClose}>
+                {t('close')}
+              </button>
+            ) : (
+              <>
+                <button type="button" className="sheet-modal__button" onClick={onClose}>
+                  {label('cancel')}
+                </button>
+                <button
+                  type="button"
+                  className="sheet-modal__button sheet-modal__button--primary"
+                  onClick={handleImport}
+                  disabled={isImporting}
+                >
+                  {label('importBackup')}
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BackupImportSheet;
@@ -0,0 +1,101 @@
+import React from 'react';
+import { useLocalization } from '../../contexts/LocalizationContext.jsx';
+
+const LABEL_FALLBACKS = {
+  backup: { en: 'Backup', uk: 'Резервна копія' },
+  backupHint: {
+    en: 'Save settings, custom techniques, programs and history to a file, and restore them on another device.',
+    uk: 'Збережіть налаштування, власні техніки, програми та історію у файл і відновіть їх на іншому пристрої.'
+  },
+  exportBackup: { en: 'Export backup', uk: 'Експортувати копію' },
+  importBackup: { en: 'Import backup', uk: 'Імпортувати копію' },
+  readingBackup: { en: 'Reading…', uk: 'Читання…' },
+  backupErrorExport: { en: 'The backup could not be saved.', uk: 'Не вдалося зберегти копію.' },
+  backupErrorSize: { en: 'This file is empty or too large.', uk: 'Файл порожній або завеликий.' },
+  backupErrorFormat: { en: 'This file is not a backup of this app.', uk: 'Цей файл не є копією цього застосунку.' },
+  backupErrorVersion: {
+    en: 'This backup comes from a newer version of the app.',
+    uk: 'Ця копія створена новішою версією застосунку.'
+  },
+  backupErrorSchema: { en: 'This backup is damaged.', uk: 'Ця копія пошкоджена.' }
+};
+
+// Validation failures name what was wrong (see BackupService.parseBackup)
+const ERROR_LABEL_KEYS = {
+  size: 'backupErrorSize',
+  json: 'backupErrorFormat',
+  format: 'backupErrorFormat',
+  version: 'backupErrorVersion',
+  schema: 'backupErrorSchema'
+};
+
+/**
+ * Backup Section
+ * Exports a backup file and picks one to import; the import itself is
+ * previewed and confirmed in BackupImportSheet
+ */
+const BackupSection = ({ onExport, onImport }) => {
+  const { t } = useLocalization();
+  const [error, setError] = React.useState('');
+  const [isReading, setIsReading] = React.useState(false);
+
+  const label = React.useCallback(
+    (key) => t(key, { fallback: LABEL_FALLBACKS[key] }),
+    [t]
+  );
+
+  const handleExport = () => {
+    setError('');
+    try {
+      onExport();
+    } catch {
+      setError(label('backupErrorExport'));
+    }
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    // Clear the input so picking the same file again still triggers a change
+    event.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setIsReading(true);
+    try {
+      await onImport(file);
+    } catch (importError) {
+      const reason = importError?.context?.reason;
+      setError(label(ERROR_LABEL_KEYS[reason] || 'backupErrorSchema'));
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  return (
+    <section className="settings-modal__field">
+      <label className="settings-modal__label">{label('backup')}</label>
+      <span className="sheet-modal__muted">{label('backupHint')}</span>
+
+      <button type="button" className="settings-modal__action" onClick={handleExport}>
+        {label('exportBackup')}
+      </button>
+
+      <label className="settings-modal__action" aria-disabled={isReading}>
+        {isReading ? label('readingBackup') : label('importBackup')}
+        <input
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFileChange}
+          disabled={isReading}
+          hidden
+        />
+      </label>
+
+      {error ? (
+        <span className="settings-modal__warning" role="alert">{error}</span>
+      ) : null}
+    </section>
+  );
+};
+
+export default BackupSection;
@@ -0,0 +1,194 @@
+import React from 'react';
+import { useLocalization } from '../../contexts/LocalizationContext.jsx';
+import { useStorageAdapter } from '../../contexts/ServicesContext.jsx';
+import { ENCRYPTION_SETTINGS } from '../../adapters/EncryptedStorageAdapter.js';
+
+const LABEL_FALLBACKS = {
+  encryption: { en: 'Encryption', uk: 'Шифрування' },
+  encryptionHint: {
+    en: 'Encrypt your history and settings on this device with a passphrase. Without it the data cannot be recovered.',
+    uk: 'Зашифруйте історію та налаштування на цьому пристрої парольною фразою. Без неї дані неможливо відновити.'
+  },
+  encryptionOn: { en: 'Data on this device is encrypted.', uk: 'Дані на цьому пристрої зашифровано.' },
+  encryptionSyncNote: {
+    en: 'Encryption covers what is stored on this device. Sync between devices sends your data to the sync server without it.',
+    uk: 'Шифрування захищає дані, збережені на цьому пристрої. Синхронізація між пристроями надсилає ваші дані на сервер синхронізації без нього.'
+  },
+  passphrase: { en: 'Passphrase', uk: 'Парольна фраза' },
+  currentPassphrase: { en: 'Current passphrase', uk: 'Поточна парольна фраза' },
+  newPassphrase: { en: 'New passphrase', uk: 'Нова парольна фраза' },
+  confirmPassphrase: { en: 'Repeat passphrase', uk: 'Повторіть парольну фразу' },
+  encryptData: { en: 'Encrypt data', uk: 'Зашифрувати дані' },
+  lockNow: { en: 'Lock now', uk: 'Заблокувати зараз' },
+  changePassphrase: { en: 'Change passphrase', uk: 'Змінити парольну фразу' },
+  disableEncryption: { en: 'Turn off encryption', uk: 'Вимкнути шифрування' },
+  cancel: { en: 'Cancel', uk: 'Скасувати' },
+  encryptionWorking: { en: 'Working…', uk: 'Виконується…' },
+  encryptionDone: { en: 'Done.', uk: 'Готово.' },
+  encryptionErrorLength: {
+    en: 'Use at least 8 characters.',
+    uk: 'Використайте щонайменше 8 символів.'
+  },
+  encryptionErrorMatch: { en: 'The passphrases do not match.', uk: 'Парольні фрази не збігаються.' },
+  encryptionErrorPassphrase: { en: 'That passphrase is not right.', uk: 'Неправильна парольна фраза.' },
+  encryptionErrorFailed: { en: 'Something went wrong. Nothing was changed.', uk: 'Щось пішло не так. Нічого не змінено.' }
+};
+
+// Failures name what was wrong (see EncryptedStorageAdapter)
+const ERROR_LABEL_KEYS = {
+  length: 'encryptionErrorLength',
+  passphrase: 'encryptionErrorPassphrase'
+};
+
+/**
+ * Encryption Section
+ * Turns encryption at rest on and off, changes the passphrase and locks the app
+ */
+const EncryptionSection = () => {
+  const { t } = useLocalization();
+  const storageAdapter = useStorageAdapter();
+  const [isEncrypted, setIsEncrypted] = React.useState(() => storageAdapter.isEncrypted());
+  // null, 'change' or 'disable' while one of those forms is open
+  const [mode, setMode] = React.useState(null);
+  const [current, setCurrent] = React.useState('');
+  const [next, setNext] = React.useState('');
+  const [confirm, setConfirm] = React.useState('');
+  const [isWorking, setIsWorking] = React.useState(false);
+  const [message, setMessage] = React.useState('');
+  const [error, setError] = React.useState('');
+
+  const label = React.useCallback(
+    (key) => t(key, { fallback: LABEL_FALLBACKS[key] }),
+    [t]
+  );
+
+  const reset = (nextMode = null) => {
+    setMode(nextMode);
+    setCurrent('');
+    setNext('');
+    setConfirm('');
+    setError('');
+  };
+
+  const run = async (action) => {
+    setMessage('');
+    setError('');
+    if (mode !== 'disable' && next.length < ENCRYPTION_SETTINGS.minPassphraseLength) {
+      setError(label('encryptionErrorLength'));
+      return;
+    }
+    if (mode !== 'disable' && next !== confirm) {
+      setError(label('encryptionErrorMatch'));
+      return;
+    }
+
+    setIsWorking(true);
+    try {
+      await action();
+      setIsEncrypted(storageAdapter.isEncrypted());
+      reset();
+      setMessage(label('encryptionDone'));
+    } catch (actionError) {
+      setError(label(ERROR_LABEL_KEYS[actionError?.context?.reason] || 'encryptionErrorFailed'));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleLock = () => {
+    storageAdapter.lock();
+    // Loaded data stays in memory until the app starts again behind the unlock screen
+    window.location.reload();
+  };
+
+  if (!storageAdapter.isSupported()) return null;
+
+  const passphraseInput = (value, onChange, key, autoComplete) => (
+    <input
+      className="settings-modal__input"
+      type="password"
+      autoComplete={autoComplete}
+      value={value}
+      placeholder={label(key)}
+      aria-label={label(key)}
+      onChange={(event) => onChange(event.target.value)}
+    />
+  );
+
+  return (
+    <section className="settings-modal__field">
+      <label className="settings-modal__label">{label('encryption')}</label>
+      <span className="sheet-modal__muted">
+        {isEncrypted ? label('encryptionOn') : label('encryptionHint')}
+      </span>
+      <span className="sheet-modal__muted">{label('encryptionSyncNote')}</span>
+
+      {!isEncrypted ? (
+        <>
+          {passphraseInput(next, setNext, 'passphrase', 'new-password')}
+          {passphraseInput(confirm, setConfirm, 'confirmPassphrase', 'new-password')}
+          <button
+            type="button"
+            className="settings-modal__action"
+            onClick={() => run(() => storageAdapter.enable(next))}
+            disabled={isWorking || !next}
+          >
+            {isWorking ? label('encryptionWorking') : label('encryptData')}
+          </button>
+        </>
+      ) : null}
+
+      {isEncrypted && mode === null ? (
+        <>
+          <button type="button" className="settings-modal__action" onClick={handleLock}>
+            {label('lockNow')}
+          </button>
+          <button type="button" className="settings-modal__action" onClick={() => reset('change')}>
+            {label('changePassphrase')}
+          </button>
+          <button type="button" className="settings-modal__action" onClick={() => reset('disable')}>
+            {label('disableEncryption')}
+          </button>
+        </>
+      ) : null}
+
+      {isEncrypted && mode !== null ? (
+        <>
+          {passphraseInput(current, setCurrent, 'currentPassphrase', 'current-password')}
+          {mode === 'change' ? (
+            <>
+              {passphraseInput(next, setNext, 'newPassphrase', 'new-password')}
+              {passphraseInput(confirm, setConfirm, 'confirmPassphrase', 'new-password')}
+            </>
+          ) : null}
+          <button
+            type="button"
+            className="settings-modal__action"
+            onClick={() => run(() => (
+              mode === 'change'
+                ? storageAdapter.changePassphrase(current, next)
+                : storageAdapter.disable(current)
+            ))}
+            disabled={isWorking || !current}
+          >
+            {isWorking
+              ? label('encryptionWorking')
+              : label(mode === 'change' ? 'changePassphrase' : 'disableEncryption')}
+          </button>
+          <button type="button" className="settings-modal__action" onClick={() => reset()}>
+            {label('cancel')}
+          </button>
+        </>
+      ) : null}
+
+      {message ? (
+        <span className="sheet-modal__muted" role="status">{message}</span>
+      ) : null}
+      {error ? (
+        <span className="settings-modal__warning" role="alert">{error}</span>
+      ) : null}
+    </section>
+  );
+};
+
+export default EncryptionSection;
@@ -0,0 +1,152 @@
+import React from 'react';
+import { useLocalization } from '../../contexts/LocalizationContext.jsx';
+import CustomDropdown from '../Common/CustomDropdown.jsx';
+import CustomRadio from '../Common/CustomRadio.jsx';
+import { HAPTIC_SHAPES, HAPTIC_SLOTS, HAPTIC_STRENGTHS, normalizeHapticProfile } from '../../utils/hapticPatterns.js';
+
+const LABEL_FALLBACKS = {
+  breathHaptics: { en: 'Breath haptics', uk: 'Дихальна вібрація' },
+  breathHapticsHint: {
+    en: 'Pulses follow each phase, so you can breathe along with the screen off.',
+    uk: 'Імпульси відтворюють кожну фазу, тож можна дихати з вимкненим екраном.'
+  },
+  hapticRamp: { en: 'Pulses grow denser', uk: 'Імпульси частішають' },
+  hapticSteady: { en: 'Steady low pulse', uk: 'Рівний слабкий імпульс' },
+  hapticDecay: { en: 'Pulses fade out', uk: 'Імпульси згасають' },
+  hapticStrength: { en: 'Strength', uk: 'Сила' },
+  hapticLight: { en: 'Light', uk: 'Слабка' },
+  hapticMedium: { en: 'Medium', uk: 'Середня' },
+  hapticStrong: { en: 'Strong', uk: 'Сильна' },
+  previewHaptics: { en: 'Feel', uk: 'Відчути' },
+  soundSlotInhale: { en: 'Inhale', uk: 'Вдих' },
+  soundSlotExhale: { en: 'Exhale', uk: 'Видих' },
+  soundSlotHold: { en: 'Hold', uk: 'Затримка' }
+};
+
+const SLOT_LABEL_KEYS = {
+  inhale: 'soundSlotInhale',
+  hold: 'soundSlotHold',
+  exhale: 'soundSlotExhale'
+};
+
+const STRENGTH_LABEL_KEYS = {
+  light: 'hapticLight',
+  medium: 'hapticMedium',
+  strong: 'hapticStrong'
+};
+
+/**
+ * Draw a vibration pattern as pulses along the phase; taller bars are longer pulses
+ */
+const PatternStrip = ({ pattern, color }) => {
+  const totalMs = pattern.reduce((sum, value) => sum + value, 0);
+  const longestPulse = Math.max(...pattern.filter((_, index) => index % 2 === 0));
+  let time = 0;
+
+  return (
+    <svg viewBox={`0 0 ${totalMs} 10`} preserveAspectRatio="none" width="100%" height="12" aria-hidden="true">
+      {pattern.map((value, index) => {
+        const start = time;
+        time += value;
+        if (index % 2 === 1) return null;
+        const height = 10 * value / longestPulse;
+        return <rect key={index} x={start} y={10 - height} width={value} height={height} fill={color} />;
+      })}
+    </svg>
+  );
+};
+
+/**
+ * Haptic Pattern Section
+ * Edits the breath haptics profile and previews the patterns it generates
+ * for the selected technique's phases
+ */
+const HapticPatternSection = ({ profile, phases = [], onChange, onPreview, colors }) => {
+  const { t } = useLocalization();
+  const haptics = normalizeHapticProfile(profile);
+
+  const label = React.useCallback(
+    (key) => t(key, { fallback: LABEL_FALLBACKS[key] }),
+    [t]
+  );
+
+  const shapeOptions = React.useMemo(() => ([
+    { value: HAPTIC_SHAPES.RAMP, label: label('hapticRamp') },
+    { value: HAPTIC_SHAPES.STEADY, label: label('hapticSteady') },
+    { value: HAPTIC_SHAPES.DECAY, label: label('hapticDecay') },
+    { value: HAPTIC_SHAPES.OFF, label: t('off') }
+  ]), [label, t]);
+
+  const strengthOptions = React.useMemo(() => (
+    Object.keys(HAPTIC_STRENGTHS).map(strength => ({
+      value: strength,
+      label: label(STRENGTH_LABEL_KEYS[strength])
+    }))
+  ), [label]);
+
+  return (
+    <section className="settings-modal__field">
+      <label className="settings-modal__label">{label('breathHaptics')}</label>
+      <div className="settings-modal__choice-row">
+        <CustomRadio
+          name="breathHaptics"
+          checked={haptics.enabled}
+          onChange={() => onChange({ enabled: true })}
+          label={t('on')}
+          colors={colors}
+        />
+        <CustomRadio
+          name="breathHaptics"
+          checked={!haptics.enabled}
+          onChange={() => onChange({ enabled: false })}
+          label={t('off')}
+          colors={colors}
+        />
+      </div>
+      <span className="sheet-modal__muted">{label('breathHapticsHint')}</span>
+
+      {haptics.enabled ? (
+        <>
+          {HAPTIC_SLOTS.map(slot => (
+            <div key={slot} className="sheet-modal__list-item">
+              <span>{label(SLOT_LABEL_KEYS[slot])}</span>
+              <CustomDropdown
+                value={haptics[slot]}
+                options={shapeOptions}
+                onChange={(shape) => onChange({ [slot]: shape })}
+                colors={colors}
+              />
+            </div>
+          ))}
+          <div className="sheet-modal__list-item">
+            <span>{label('hapticStrength')}</span>
+            <CustomDropdown
+              value={haptics.strength}
+              options={strengthOptions}
+              onChange={(strength) => onChange({ strength })}
+              colors={colors}
+            />
+          </div>
+
+          {phases.length > 0 ? (
+            <ul className="sheet-modal__list">
+              {phases.map(phase => (
+                <li key={phase.key} className="sheet-modal__list-item">
+                  <span>
+                    {t(phase.key, { fallback: phase.name })}
+                    <PatternStrip pattern={phase.pattern} color={colors?.accent || 'currentColor'} />
+                  </span>
+                  <button type="button" className="sheet-modal__button" onClick={() => onPreview(phase.key)}>
+                    {label('previewHaptics')}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : null}
+        </>
+      ) : null}
+    </section>
+  );
+};
+
+export default HapticPatternSection;
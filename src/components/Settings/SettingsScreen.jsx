@@ -3,6 +3,18 @@ import { useLocalization } from '../../contexts/LocalizationContext.jsx';
 import { useThemeColors } from '../../contexts/ThemeContext.jsx';
 import CustomDropdown from '../Common/CustomDropdown.jsx';
 import CustomRadio from '../Common/CustomRadio.jsx';
+import SoundPackSection from './SoundPackSection.jsx';
+import HapticPatternSection from './HapticPatternSection.jsx';
+import BackupSection from './BackupSection.jsx';
+import SyncSection from './SyncSection.jsx';
+import EncryptionSection from './EncryptionSection.jsx';
+import { GOAL_LABEL_FALLBACKS } from '../Session/goalLabels.js';
+import { SESSION_GOAL_TYPES, normalizeSessionGoal } from '../../utils/sessionGoal.js';
+
+const DEFAULT_GOAL_VALUES = {
+  [SESSION_GOAL_TYPES.MINUTES]: 5,
+  [SESSION_GOAL_TYPES.CYCLES]: 10
+};
 
 const SettingsIcon = () => (
   <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.7" aria-hidden="true">
@@ -35,8 +47,58 @@ const SettingsScreen = ({
   onLanguageChange,
   soundOn,
   onSoundChange,
+  soundStyle = 'beeps',
+  onSoundStyleChange,
+  soundSamples = [],
+  soundAssignments,
+  onSoundImport,
+  onSoundRemove,
+  onSoundPreview,
+  onSoundAssign,
+  ambience = 'off',
+  onAmbienceChange,
+  ambienceVolume = 0.3,
+  onAmbienceVolumeChange,
+  entrainmentMode = 'off',
+  onEntrainmentModeChange,
+  entrainmentPreset = 'technique',
+  techniqueEntrainmentPreset,
+  onEntrainmentPresetChange,
+  entrainmentVolume = 0.5,
+  onEntrainmentVolumeChange,
   vibrateOn,
-  onVibrationChange
+  onVibrationChange,
+  hapticProfile,
+  hapticPhases = [],
+  onHapticProfileChange,
+  onHapticPreview,
+  onEditCueTimeline,
+  keepScreenOn,
+  keepScreenOnSupported,
+  onKeepScreenOnChange,
+  backgroundBehavior,
+  onBackgroundBehaviorChange,
+  voiceGuidanceOn,
+  voiceGuidanceAvailable,
+  onVoiceGuidanceChange,
+  speechVoices = [],
+  speechVoiceURI,
+  onSpeechVoiceChange,
+  speechRate = 1,
+  onSpeechRateChange,
+  speechPitch = 1,
+  onSpeechPitchChange,
+  onSpeechPreview,
+  onManageCustomTechniques,
+  onManagePrograms,
+  onShowHistory,
+  onShowStats,
+  onBackupExport,
+  onBackupImport,
+  showSync,
+  showEncryption,
+  sessionGoal,
+  onSessionGoalChange
 }) => {
   const { t, availableLanguages } = useLocalization();
   const currentColors = useThemeColors();
@@ -48,6 +110,49 @@ const SettingsScreen = ({
     }));
   }, [availableLanguages]);
 
+  const soundStyleOptions = React.useMemo(() => ([
+    { value: 'beeps', label: t('soundStyleBeeps', { fallback: { en: 'Beep every second', uk: 'Сигнал щосекунди' } }) },
+    { value: 'tone', label: t('soundStyleTone', { fallback: { en: 'Rising and falling tone', uk: 'Тон, що піднімається й спадає' } }) },
+    { value: 'noise', label: t('soundStyleNoise', { fallback: { en: 'Breath-like noise', uk: 'Шум, схожий на дихання' } }) }
+  ]), [t]);
+
+  const ambienceOptions = React.useMemo(() => ([
+    { value: 'off', label: t('off') },
+    { value: 'brown', label: t('ambienceBrown', { fallback: { en: 'Brown noise', uk: 'Коричневий шум' } }) },
+    { value: 'pink', label: t('ambiencePink', { fallback: { en: 'Pink noise', uk: 'Рожевий шум' } }) },
+    { value: 'rain', label: t('ambienceRain', { fallback: { en: 'Rain', uk: 'Дощ' } }) },
+    { value: 'drone', label: t('ambienceDrone', { fallback: { en: 'Drone in the technique\'s key', uk: 'Гудіння в тональності техніки' } }) }
+  ]), [t]);
+
+  const entrainmentModeOptions = React.useMemo(() => ([
+    { value: 'off', label: t('off') },
+    { value: 'binaural', label: t('entrainmentBinaural', { fallback: { en: 'Binaural beats', uk: 'Бінауральні ритми' } }) },
+    { value: 'isochronic', label: t('entrainmentIsochronic', { fallback: { en: 'Isochronic tones', uk: 'Ізохронні тони' } }) }
+  ]), [t]);
+
+  const entrainmentPresetOptions = React.useMemo(() => {
+    const presets = [
+      { value: 'delta', label: t('entrainmentDelta', { fallback: { en: 'Delta · 2 Hz', uk: 'Дельта · 2 Гц' } }) },
+      { value: 'theta', label: t('entrainmentTheta', { fallback: { en: 'Theta · 6 Hz', uk: 'Тета · 6 Гц' } }) },
+      { value: 'alpha', label: t('entrainmentAlpha', { fallback: { en: 'Alpha · 10 Hz', uk: 'Альфа · 10 Гц' } }) },
+      { value: 'beta', label: t('entrainmentBeta', { fallback: { en: 'Beta · 16 Hz', uk: 'Бета · 16 Гц' } }) }
+    ];
+    const linked = typeof techniqueEntrainmentPreset === 'string'
+      ? presets.find(preset => preset.value === techniqueEntrainmentPreset)?.label
+      : techniqueEntrainmentPreset && `${techniqueEntrainmentPreset.beat} Hz`;
+    const techniqueLabel = t('entrainmentTechnique', { fallback: { en: 'Technique preset', uk: 'Пресет техніки' } });
+
+    return [
+      { value: 'technique', label: linked ? `${techniqueLabel} (${linked})` : techniqueLabel },
+      ...presets
+    ];
+  }, [t, techniqueEntrainmentPreset]);
+
+  const voiceOptions = React.useMemo(() => ([
+    { value: '', label: t('defaultVoice', { fallback: { en: 'Default voice', uk: 'Голос за замовчуванням' } }) },
+    ...speechVoices.map((voice) => ({ value: voice.voiceURI, label: voice.name }))
+  ]), [speechVoices, t]);
+
   const modalColors = React.useMemo(() => ({
     panel: currentColors.panel,
     text: currentColors.text,
@@ -55,6 +160,24 @@ const SettingsScreen = ({
     accent: currentColors.accent
   }), [currentColors.accent, currentColors.border, currentColors.panel, currentColors.text]);
 
+  const goal = normalizeSessionGoal(sessionGoal);
+  const goalTypeOptions = React.useMemo(() => ([
+    { value: SESSION_GOAL_TYPES.NONE, label: t('goalNone', { fallback: GOAL_LABEL_FALLBACKS.goalNone }) },
+    { value: SESSION_GOAL_TYPES.MINUTES, label: t('goalMinutes', { fallback: GOAL_LABEL_FALLBACKS.goalMinutes }) },
+    { value: SESSION_GOAL_TYPES.CYCLES, label: t('goalCycles', { fallback: GOAL_LABEL_FALLBACKS.goalCycles }) }
+  ]), [t]);
+
+  const handleGoalTypeChange = (type) => {
+    onSessionGoalChange({ type, value: DEFAULT_GOAL_VALUES[type] || 0 });
+  };
+
+  const handleGoalValueChange = (event) => {
+    const value = Number(event.target.value);
+    if (value > 0) {
+      onSessionGoalChange({ type: goal.type, value });
+    }
+  };
+
   return (
     <div
       className="settings-modal"
@@ -100,6 +223,103 @@ const SettingsScreen = ({
             />
           </section>
 
+          {onManageCustomTechniques ? (
+            <section className="settings-modal__field">
+              <label className="settings-modal__label">
+                {t('customTechniques', { fallback: { en: 'Custom techniques', uk: 'Власні техніки' } })}
+              </label>
+              <button
+                type="button"
+                className="settings-modal__action"
+                onClick={onManageCustomTechniques}
+              >
+                {t('manageCustomTechniques', { fallback: { en: 'Create & edit', uk: 'Створити та редагувати' } })}
+              </button>
+            </section>
+          ) : null}
+
+          {onManagePrograms ? (
+            <section className="settings-modal__field">
+              <label className="settings-modal__label">
+                {t('sessionPrograms', { fallback: { en: 'Programs', uk: 'Програми' } })}
+              </label>
+              <button
+                type="button"
+                className="settings-modal__action"
+                onClick={onManagePrograms}
+              >
+                {t('managePrograms', { fallback: { en: 'Create & edit', uk: 'Створити та редагувати' } })}
+              </button>
+            </section>
+          ) : null}
+
+          {onShowHistory ? (
+            <section className="settings-modal__field">
+              <label className="settings-modal__label">
+                {t('sessionHistory', { fallback: { en: 'Session history', uk: 'Історія сесій' } })}
+              </label>
+              <button
+                type="button"
+                className="settings-modal__action"
+                onClick={onShowHistory}
+              >
+                {t('viewHistory', { fallback: { en: 'View sessions', uk: 'Переглянути сесії' } })}
+              </button>
+            </section>
+          ) : null}
+
+          {onShowStats ? (
+            <section className="settings-modal__field">
+              <label className="settings-modal__label">
+                {t('statistics', { fallback: { en: 'Statistics', uk: 'Статистика' } })}
+              </label>
+              <button
+                type="button"
+                className="settings-modal__action"
+                onClick={onShowStats}
+              >
+                {t('viewStatistics', { fallback: { en: 'View statistics', uk: 'Переглянути статистику' } })}
+              </button>
+            </section>
+          ) : null}
+
+          {onBackupExport && onBackupImport ? (
+            <BackupSection onExport={onBackupExport} onImport={onBackupImport} />
+          ) : null}
+
+          {showSync ? <SyncSection /> : null}
+
+          {showEncryption ? <EncryptionSection /> : null}
+
+          {onSessionGoalChange ? (
+            <section className="settings-modal__field">
+              <label className="settings-modal__label">
+                {t('sessionGoal', { fallback: GOAL_LABEL_FALLBACKS.sessionGoal })}
+              </label>
+              <div className="settings-modal__choice-row">
+                <CustomDropdown
+                  value={goal.type}
+                  options={goalTypeOptions}
+                  onChange={handleGoalTypeChange}
+                  colors={modalColors}
+                />
+                {goal.type !== SESSION_GOAL_TYPES.NONE ? (
+                  <input
+                    key={goal.type}
+                    className="settings-modal__input settings-modal__input--narrow"
+                    type="number"
+                    min="1"
+                    max={goal.type === SESSION_GOAL_TYPES.MINUTES ? 180 : 1000}
+                    step="1"
+                    defaultValue={goal.value}
+                    aria-label={goalTypeOptions.find(option => option.value === goal.type)?.label}
+                    onChange={handleGoalValueChange}
+                  />
+                ) : null}
+              </div>
+            </section>
+          ) : null}
+
           <section className="settings-modal__field">
             <label className="settings-modal__label">{t('theme')}</label>
             <CustomDropdown
@@ -138,8 +358,30 @@ const SettingsScreen = ({
                 colors={modalColors}
               />
             </div>
+            {soundOn && onSoundStyleChange ? (
+              <CustomDropdown
+                value={soundStyle}
+                options={soundStyleOptions}
+                onChange={onSoundStyleChange}
+                colors={modalColors}
+              />
+            ) : null}
           </section>
 
+          {soundOn && soundStyle === 'beeps' && onSoundImport ? (
+            <SoundPackSection
+              samples={soundSamples}
+              assignments={soundAssignments}
+              techniqueId={selectedTechniqueId}
+              techniqueName={techniqueOptions.find(option => option.value === selectedTechniqueId)?.label || selectedTechniqueId}
+              onImport={onSoundImport}
+              onRemove={onSoundRemove}
+              onPreview={onSoundPreview}
+              onAssign={onSoundAssign}
+              colors={modalColors}
+            />
+          ) : null}
+
           <section className="settings-modal__field">
             <label className="settings-modal__label">{t('vibration')}</label>
             <div className="settings-modal__choice-row">
@@ -159,6 +401,240 @@ const SettingsScreen = ({
               />
             </div>
           </section>
+
+          {vibrateOn && onHapticProfileChange ? (
+            <HapticPatternSection
+              profile={hapticProfile}
+              phases={hapticPhases}
+              onChange={onHapticProfileChange}
+              onPreview={onHapticPreview}
+              colors={modalColors}
+            />
+          ) : null}
+
+          {onEditCueTimeline ? (
+            <section className="settings-modal__field">
+              <label className="settings-modal__label">
+                {t('cueTimeline', { fallback: { en: 'Cue timeline', uk: 'Шкала сигналів' } })}
+              </label>
+              <span className="sheet-modal__muted">
+                {t('cueTimelineSettingsHint', {
+                  fallback: {
+                    en: 'Place sounds and vibrations on the selected technique\'s cycle.',
+                    uk: 'Розставте звуки й вібрацію на циклі вибраної техніки.'
+                  }
+                })}
+              </span>
+              <button type="button" className="settings-modal__action" onClick={onEditCueTimeline}>
+                {t('editCueTimeline', { fallback: { en: 'Edit timeline', uk: 'Редагувати шкалу' } })}
+              </button>
+            </section>
+          ) : null}
+
+          {soundOn && onAmbienceChange ? (
+            <section className="settings-modal__field">
+              <label className="settings-modal__label">
+                {t('ambience', { fallback: { en: 'Ambience', uk: 'Фоновий звук' } })}
+              </label>
+              <CustomDropdown
+                value={ambience}
+                options={ambienceOptions}
+                onChange={onAmbienceChange}
+                colors={modalColors}
+              />
+              {ambience !== 'off' && onAmbienceVolumeChange ? (
+                <label className="settings-modal__range">
+                  <span>{t('ambienceVolume', { fallback: { en: 'Volume', uk: 'Гучність' } })}</span>
+                  <input
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={ambienceVolume}
+                    onChange={(event) => onAmbienceVolumeChange(Number(event.target.value))}
+                  />
+                  <span>{Math.round(ambienceVolume * 100)}%</span>
+                </label>
+              ) : null}
+            </section>
+          ) : null}
+
+          {soundOn && onEntrainmentModeChange ? (
+            <section className="settings-modal__field">
+              <label className="settings-modal__label">
+                {t('entrainment', { fallback: { en: 'Brainwave tones', uk: 'Тони для мозкових хвиль' } })}
+              </label>
+              <CustomDropdown
+                value={entrainmentMode}
+                options={entrainmentModeOptions}
+                onChange={onEntrainmentModeChange}
+                colors={modalColors}
+              />
+              {entrainmentMode !== 'off' ? (
+                <>
+                  {entrainmentMode === 'binaural' ? (
+                    <span className="settings-modal__warning" role="note">
+                      {t('headphonesRequired', {
+                        fallback: {
+                          en: 'Binaural beats only work with headphones. On speakers, choose isochronic tones.',
+                          uk: 'Бінауральні ритми працюють лише в навушниках. Для динаміків оберіть ізохронні тони.'
+                        }
+                      })}
+                    </span>
+                  ) : null}
+                  <CustomDropdown
+                    value={entrainmentPreset}
+                    options={entrainmentPresetOptions}
+                    onChange={onEntrainmentPresetChange}
+                    colors={modalColors}
+                  />
+                  <label className="settings-modal__range">
+                    <span>{t('ambienceVolume', { fallback: { en: 'Volume', uk: 'Гучність' } })}</span>
+                    <input
+                      type="range"
+                      min="0"
+                      max="1"
+                      step="0.05"
+                      value={entrainmentVolume}
+                      onChange={(event) => onEntrainmentVolumeChange?.(Number(event.target.value))}
+                    />
+                    <span>{Math.round(entrainmentVolume * 100)}%</span>
+                  </label>
+                </>
+              ) : null}
+            </section>
+          ) : null}
+
+          {onVoiceGuidanceChange ? (
+            <section className="settings-modal__field">
+              <label className="settings-modal__label">
+                {t('voiceGuidance', { fallback: { en: 'Voice guidance', uk: 'Голосові підказки' } })}
+              </label>
+              <div className="settings-modal__choice-row">
+                <CustomRadio
+                  name="voiceGuidance"
+                  checked={voiceGuidanceOn}
+                  onChange={() => onVoiceGuidanceChange(true)}
+                  label={t('on')}
+                  colors={modalColors}
+                />
+                <CustomRadio
+                  name="voiceGuidance"
+                  checked={!voiceGuidanceOn}
+                  onChange={() => onVoiceGuidanceChange(false)}
+                  label={t('off')}
+                  colors={modalColors}
+                />
+              </div>
+              {!voiceGuidanceAvailable ? (
+                <span className="sheet-modal__muted">
+                  {t('voiceGuidanceUnavailable', {
+                    fallback: {
+                      en: 'No voice for this language, tones are used instead',
+                      uk: 'Немає голосу для цієї мови, замість нього звучать сигнали'
+                    }
+                  })}
+                </span>
+              ) : null}
+              {voiceGuidanceOn && voiceGuidanceAvailable ? (
+                <>
+                  <CustomDropdown
+                    value={speechVoiceURI || ''}
+                    options={voiceOptions}
+                    onChange={onSpeechVoiceChange}
+                    colors={modalColors}
+                  />
+                  <label className="settings-modal__range">
+                    <span>{t('speechRate', { fallback: { en: 'Rate', uk: 'Швидкість' } })}</span>
+                    <input
+                      type="range"
+                      min="0.5"
+                      max="2"
+                      step="0.1"
+                      value={speechRate}
+                      onChange={(event) => onSpeechRateChange?.(Number(event.target.value))}
+                    />
+                    <span>{Number(speechRate).toFixed(1)}</span>
+                  </label>
+                  <label className="settings-modal__range">
+                    <span>{t('speechPitch', { fallback: { en: 'Pitch', uk: 'Тон' } })}</span>
+                    <input
+                      type="range"
+                      min="0.5"
+                      max="2"
+                      step="0.1"
+                      value={speechPitch}
+                      onChange={(event) => onSpeechPitchChange?.(Number(event.target.value))}
+                    />
+                    <span>{Number(speechPitch).toFixed(1)}</span>
+                  </label>
+                  {onSpeechPreview ? (
+                    <button type="button" className="sheet-modal__button" onClick={onSpeechPreview}>
+                      {t('previewVoice', { fallback: { en: 'Preview', uk: 'Прослухати' } })}
+                    </button>
+                  ) : null}
+                </>
+              ) : null}
+            </section>
+          ) : null}
+
+          {onKeepScreenOnChange ? (
+            <section className="settings-modal__field">
+              <label className="settings-modal__label">
+                {t('keepScreenOn', { fallback: { en: 'Keep screen on', uk: 'Не вимикати екран' } })}
+              </label>
+              <div className="settings-modal__choice-row">
+                <CustomRadio
+                  name="keepScreenOn"
+                  checked={keepScreenOn}
+                  onChange={() => onKeepScreenOnChange(true)}
+                  label={t('on')}
+                  colors={modalColors}
+                />
+                <CustomRadio
+                  name="keepScreenOn"
+                  checked={!keepScreenOn}
+                  onChange={() => onKeepScreenOnChange(false)}
+                  label={t('off')}
+                  colors={modalColors}
+                />
+              </div>
+              {!keepScreenOnSupported ? (
+                <span className="sheet-modal__muted">
+                  {t('keepScreenOnUnsupported', {
+                    fallback: {
+                      en: 'This browser cannot keep the screen on',
+                      uk: 'Цей браузер не може утримувати екран увімкненим'
+                    }
+                  })}
+                </span>
+              ) : null}
+            </section>
+          ) : null}
+
+          {onBackgroundBehaviorChange ? (
+            <section className="settings-modal__field">
+              <label className="settings-modal__label">
+                {t('inBackground', { fallback: { en: 'When the app is in the background', uk: 'Коли застосунок у фоні' } })}
+              </label>
+              <div className="settings-modal__choice-row">
+                <CustomRadio
+                  name="backgroundBehavior"
+                  checked={backgroundBehavior !== 'pause'}
+                  onChange={() => onBackgroundBehaviorChange('continue')}
+                  label={t('keepCounting', { fallback: { en: 'Keep counting', uk: 'Продовжувати' } })}
+                  colors={modalColors}
+                />
+                <CustomRadio
+                  name="backgroundBehavior"
+                  checked={backgroundBehavior === 'pause'}
+                  onChange={() => onBackgroundBehaviorChange('pause')}
+                  label={t('pause')}
+                  colors={modalColors}
+                />
+              </div>
+            </section>
+          ) : null}
         </div>
       </div>
     </div>
@@ -0,0 +1,173 @@
+import React from 'react';
+import { useLocalization } from '../../contexts/LocalizationContext.jsx';
+import CustomDropdown from '../Common/CustomDropdown.jsx';
+import { SOUND_SLOTS, normalizeSoundAssignments } from '../../utils/soundAssignments.js';
+import { SOUND_SAMPLE_LIMITS } from '../../services/SoundLibraryService.js';
+
+const LABEL_FALLBACKS = {
+  soundPack: { en: 'Sound pack', uk: 'Набір звуків' },
+  soundPackHint: {
+    en: 'Import short WAV, OGG or MP3 files to use as cues.',
+    uk: 'Імпортуйте короткі файли WAV, OGG або MP3 як сигнали.'
+  },
+  importSound: { en: 'Import sound', uk: 'Імпортувати звук' },
+  importingSound: { en: 'Importing…', uk: 'Імпорт…' },
+  previewSound: { en: 'Play', uk: 'Відтворити' },
+  delete: { en: 'Delete', uk: 'Видалити' },
+  soundScopeAll: { en: 'All techniques', uk: 'Усі техніки' },
+  soundScopeTechnique: { en: 'Only', uk: 'Лише' },
+  builtInTone: { en: 'Built-in tone', uk: 'Вбудований тон' },
+  sameAsAllTechniques: { en: 'Same as all techniques', uk: 'Як для всіх технік' },
+  soundSlotInhale: { en: 'Inhale', uk: 'Вдих' },
+  soundSlotExhale: { en: 'Exhale', uk: 'Видих' },
+  soundSlotHold: { en: 'Hold', uk: 'Затримка' },
+  soundSlotTick: { en: 'Count tick', uk: 'Відлік' },
+  soundErrorType: { en: 'Choose a WAV, OGG or MP3 file.', uk: 'Оберіть файл WAV, OGG або MP3.' },
+  soundErrorSize: { en: 'This file is too large.', uk: 'Файл завеликий.' },
+  soundErrorDuration: { en: 'This sound is too long.', uk: 'Звук задовгий.' },
+  soundErrorCount: { en: 'The sound library is full. Delete a sound first.', uk: 'Бібліотека звуків заповнена. Спершу видаліть звук.' },
+  soundErrorDecode: { en: 'This file could not be read as audio.', uk: 'Не вдалося прочитати файл як аудіо.' }
+};
+
+const SLOT_LABEL_KEYS = {
+  inhale: 'soundSlotInhale',
+  exhale: 'soundSlotExhale',
+  hold: 'soundSlotHold',
+  tick: 'soundSlotTick'
+};
+
+// Validation failures name what was wrong (see SoundLibraryService.validateFile)
+const ERROR_LABEL_KEYS = {
+  type: 'soundErrorType',
+  size: 'soundErrorSize',
+  duration: 'soundErrorDuration',
+  count: 'soundErrorCount'
+};
+
+const ACCEPTED_FILES = 'audio/wav,audio/x-wav,audio/wave,audio/ogg,audio/mpeg,.wav,.ogg,.mp3';
+
+/**
+ * Sound Pack Section
+ * Imports, previews and deletes sound samples and assigns them to cue slots,
+ * for all techniques or only the selected one
+ */
+const SoundPackSection = ({
+  samples = [],
+  assignments,
+  techniqueId,
+  techniqueName,
+  onImport,
+  onRemove,
+  onPreview,
+  onAssign,
+  colors
+}) => {
+  const { t } = useLocalization();
+  const [scope, setScope] = React.useState('all');
+  const [error, setError] = React.useState('');
+  const [isImporting, setIsImporting] = React.useState(false);
+
+  const label = React.useCallback(
+    (key) => t(key, { fallback: LABEL_FALLBACKS[key] }),
+    [t]
+  );
+
+  const limits = `${Math.round(SOUND_SAMPLE_LIMITS.maxBytes / 1024)} KB · ${SOUND_SAMPLE_LIMITS.maxSeconds} s`;
+  const scopeTechniqueId = scope === 'technique' ? techniqueId : null;
+  const normalized = normalizeSoundAssignments(assignments);
+  const slots = scopeTechniqueId ? normalized.techniques[scopeTechniqueId] || {} : normalized.default;
+
+  const scopeOptions = React.useMemo(() => ([
+    { value: 'all', label: label('soundScopeAll') },
+    { value: 'technique', label: `${label('soundScopeTechnique')} ${techniqueName}` }
+  ]), [label, techniqueName]);
+
+  const sampleOptions = React.useMemo(() => ([
+    { value: '', label: scope === 'technique' ? label('sameAsAllTechniques') : label('builtInTone') },
+    ...samples.map(sample => ({ value: sample.id, label: sample.name }))
+  ]), [label, samples, scope]);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    // Clear the input so picking the same file again still triggers a change
+    event.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setIsImporting(true);
+    try {
+      await onImport(file);
+    } catch (importError) {
+      const reason = importError?.context?.reason;
+      setError(label(ERROR_LABEL_KEYS[reason] || 'soundErrorDecode'));
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <section className="settings-modal__field">
+      <label className="settings-modal__label">{label('soundPack')}</label>
+      <span className="sheet-modal__muted">{label('soundPackHint')} {limits}</span>
+
+      {samples.length > 0 ? (
+        <ul className="sheet-modal__list">
+          {samples.map(sample => (
+            <li key={sample.id} className="sheet-modal__list-item">
+              <span>
+                {sample.name}
+                <span className="sheet-modal__muted">
+                  {sample.format.toUpperCase()} · {sample.duration.toFixed(1)} s
+                </span>
+              </span>
+              <span className="sheet-modal__actions">
+                <button type="button" className="sheet-modal__button" onClick={() => onPreview(sample.id)}>
+                  {label('previewSound')}
+                </button>
+                <button type="button" className="sheet-modal__button" onClick={() => onRemove(sample.id)}>
+                  {label('delete')}
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+
+      <label className="settings-modal__action" aria-disabled={isImporting}>
+        {isImporting ? label('importingSound') : label('importSound')}
+        <input
+          type="file"
+          accept={ACCEPTED_FILES}
+          onChange={handleFileChange}
+          disabled={isImporting}
+          hidden
+        />
+      </label>
+
+      {error ? (
+        <span className="settings-modal__warning" role="alert">{error}</span>
+      ) : null}
+
+      {samples.length > 0 ? (
+        <>
+          {techniqueId ? (
+            <CustomDropdown value={scope} options={scopeOptions} onChange={setScope} colors={colors} />
+          ) : null}
+          {SOUND_SLOTS.map(slot => (
+            <div key={slot} className="sheet-modal__list-item">
+              <span>{label(SLOT_LABEL_KEYS[slot])}</span>
+              <CustomDropdown
+                value={slots[slot] || ''}
+                options={sampleOptions}
+                onChange={(sampleId) => onAssign(slot, sampleId || null, scopeTechniqueId)}
+                colors={colors}
+              />
+            </div>
+          ))}
+        </>
+      ) : null}
+    </section>
+  );
+};
+
+export default SoundPackSection;
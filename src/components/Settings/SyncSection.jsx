@@ -0,0 +1,126 @@
+import React from 'react';
+import { useLocalization } from '../../contexts/LocalizationContext.jsx';
+import { useSync } from '../../hooks/useSync.js';
+import { SYNC_STATUS } from '../../services/SyncService.js';
+
+const LABEL_FALLBACKS = {
+  sync: { en: 'Sync between devices', uk: 'Синхронізація між пристроями' },
+  syncHint: {
+    en: 'Keep settings, custom techniques and history the same on your devices through a sync server of your choice.',
+    uk: 'Тримайте налаштування, власні техніки та історію однаковими на всіх пристроях через обраний сервер синхронізації.'
+  },
+  syncEndpoint: { en: 'Server address', uk: 'Адреса сервера' },
+  syncSave: { en: 'Save server', uk: 'Зберегти сервер' },
+  syncNow: { en: 'Sync now', uk: 'Синхронізувати зараз' },
+  syncErrorEndpoint: { en: 'Enter an http or https address.', uk: 'Введіть адресу http або https.' },
+  syncStatusDisabled: { en: 'Sync is off.', uk: 'Синхронізацію вимкнено.' },
+  syncStatusIdle: { en: 'Up to date.', uk: 'Синхронізовано.' },
+  syncStatusSyncing: { en: 'Syncing…', uk: 'Синхронізація…' },
+  syncStatusOffline: {
+    en: 'Offline. Changes will sync when the server can be reached.',
+    uk: 'Немає з’єднання. Зміни синхронізуються, щойно сервер стане доступним.'
+  },
+  syncStatusError: { en: 'The last sync failed.', uk: 'Остання синхронізація не вдалася.' },
+  syncPending: { en: 'Changes waiting', uk: 'Змін в очікуванні' },
+  syncLastSynced: { en: 'Last synced', uk: 'Остання синхронізація' },
+  syncConflict: {
+    en: 'Some data changed on two devices at once; the newest copy was kept and history was combined.',
+    uk: 'Деякі дані змінилися на двох пристроях одночасно; збережено новішу копію, а історію об’єднано.'
+  }
+};
+
+const STATUS_LABEL_KEYS = {
+  [SYNC_STATUS.DISABLED]: 'syncStatusDisabled',
+  [SYNC_STATUS.IDLE]: 'syncStatusIdle',
+  [SYNC_STATUS.SYNCING]: 'syncStatusSyncing',
+  [SYNC_STATUS.OFFLINE]: 'syncStatusOffline',
+  [SYNC_STATUS.ERROR]: 'syncStatusError'
+};
+
+/**
+ * Sync Section
+ * Configures the sync server and shows how syncing is going
+ */
+const SyncSection = () => {
+  const { t, currentLanguage } = useLocalization();
+  const { status, setEndpoint, syncNow } = useSync();
+  const [endpoint, setEndpointDraft] = React.useState(() => status?.endpoint || '');
+  const [error, setError] = React.useState('');
+
+  const label = React.useCallback(
+    (key) => t(key, { fallback: LABEL_FALLBACKS[key] }),
+    [t]
+  );
+
+  if (!status) return null;
+
+  const lastSyncedAt = status.lastSyncedAt
+    ? new Intl.DateTimeFormat(currentLanguage === 'uk' ? 'uk-UA' : 'en-US', {
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    }).format(new Date(status.lastSyncedAt))
+    : null;
+
+  const handleSave = async () => {
+    setError('');
+    try {
+      await setEndpoint(endpoint);
+    } catch {
+      setError(label('syncErrorEndpoint'));
+    }
+  };
+
+  return (
+    <section className="settings-modal__field">
+      <label className="settings-modal__label" htmlFor="sync-endpoint">{label('sync')}</label>
+      <span className="sheet-modal__muted">{label('syncHint')}</span>
+
+      <input
+        id="sync-endpoint"
+        className="settings-modal__input"
+        type="url"
+        inputMode="url"
+        placeholder="https://"
+        value={endpoint}
+        aria-label={label('syncEndpoint')}
+        onChange={(event) => setEndpointDraft(event.target.value)}
+      />
+
+      <button
+        type="button"
+        className="settings-modal__action"
+        onClick={handleSave}
+        disabled={endpoint.trim() === status.endpoint}
+      >
+        {label('syncSave')}
+      </button>
+
+      {status.endpoint ? (
+        <button
+          type="button"
+          className="settings-modal__action"
+          onClick={syncNow}
+          disabled={status.status === SYNC_STATUS.SYNCING}
+        >
+          {label('syncNow')}
+        </button>
+      ) : null}
+
+      <span className="sheet-modal__muted" role="status">
+        {label(STATUS_LABEL_KEYS[status.status])}
+        {status.pending > 0 && status.endpoint ? ` ${label('syncPending')}: ${status.pending}.` : ''}
+        {lastSyncedAt ? ` ${label('syncLastSynced')}: ${lastSyncedAt}.` : ''}
+      </span>
+
+      {status.lastConflict ? (
+        <span className="sheet-modal__muted">{label('syncConflict')}</span>
+      ) : null}
+
+      {error ? (
+        <span className="settings-modal__warning" role="alert">{error}</span>
+      ) : null}
+    </section>
+  );
+};
+
+export default SyncSection;
@@ -0,0 +1,203 @@
+import React from 'react';
+import { useLocalization } from '../../contexts/LocalizationContext.jsx';
+import { useThemeColors } from '../../contexts/ThemeContext.jsx';
+import { useSessionStats } from '../../hooks/useSessionStats.js';
+import { HEATMAP_LEVELS } from '../../utils/sessionStatistics.js';
+import { formatSessionTime } from '../../utils/sessionGoal.js';
+import { mixHexColors, isValidHexColor } from '../../utils/colorUtils.js';
+
+const LABEL_FALLBACKS = {
+  statistics: { en: 'Statistics', uk: 'Статистика' },
+  today: { en: 'Today', uk: 'Сьогодні' },
+  thisWeek: { en: 'This week', uk: 'Цього тижня' },
+  thisMonth: { en: 'This month', uk: 'Цього місяця' },
+  currentStreak: { en: 'Current streak', uk: 'Поточна серія' },
+  longestStreak: { en: 'Longest streak', uk: 'Найдовша серія' },
+  averageSession: { en: 'Average session', uk: 'Середня сесія' },
+  sessionsCount: { en: 'Sessions', uk: 'Сесії' },
+  favoriteTechniques: { en: 'Favorite techniques', uk: 'Улюблені техніки' },
+  practiceCalendar: { en: 'Practice calendar', uk: 'Календар практики' },
+  minutesShort: { en: 'min', uk: 'хв' },
+  daysShort: { en: 'd', uk: 'дн' },
+  less: { en: 'Less', uk: 'Менше' },
+  more: { en: 'More', uk: 'Більше' },
+  noSessionsYet: { en: 'No sessions recorded yet', uk: 'Ще немає записаних сесій' }
+};
+
+// Share of the accent color mixed into the panel color for each heatmap level
+const HEATMAP_INTENSITY = [0.12, 0.35, 0.6, 0.8, 1];
+
+const ChartIcon = () => (
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" aria-hidden="true">
+    <path d="M4 20h16" strokeLinecap="round" />
+    <path d="M7 16v-5M12 16V7M17 16v-8" strokeLinecap="round" />
+  </svg>
+);
+
+const CloseIcon = () => (
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" aria-hidden="true">
+    <path d="M6 6l12 12" strokeLinecap="round" />
+    <path d="M18 6L6 18" strokeLinecap="round" />
+  </svg>
+);
+
+/**
+ * Derive heatmap level colors from the active theme
+ * @param {object} colors - Theme colors from ThemeService
+ * @returns {string[]} - One color per level (0 = no practice)
+ */
+const getHeatmapPalette = (colors) => {
+  if (!isValidHexColor(colors.panel) || !isValidHexColor(colors.accent)) {
+    return HEATMAP_INTENSITY.map(() => colors.accent);
+  }
+  return HEATMAP_INTENSITY.map(ratio => mixHexColors(colors.panel, colors.accent, ratio));
+};
+
+const StatsDashboardSheet = ({ techniqueOptions = [], onClose }) => {
+  const { t, currentLanguage } = useLocalization();
+  const currentColors = useThemeColors();
+  const { stats } = useSessionStats({ weekStartsOn: currentLanguage === 'uk' ? 1 : 0 });
+
+  const label = React.useCallback(
+    (key) => t(key, { fallback: LABEL_FALLBACKS[key] }),
+    [t]
+  );
+
+  const palette = React.useMemo(
+    () => getHeatmapPalette(currentColors),
+    [currentColors]
+  );
+
+  const techniqueNames = React.useMemo(() => (
+    new Map(techniqueOptions.map(option => [option.value, option.label]))
+  ), [techniqueOptions]);
+
+  const dateFormatter = React.useMemo(() => (
+    new Intl.DateTimeFormat(currentLanguage === 'uk' ? 'uk-UA' : 'en-US', { dateStyle: 'medium' })
+  ), [currentLanguage]);
+
+  const formatMinutes = (minutes) => `${Math.round(minutes)} ${label('minutesShort')}`;
+  const formatDays = (days) => `${days} ${label('daysShort')}`;
+
+  const summaryStats = [
+    { key: 'today', value: formatMinutes(stats.todayMinutes) },
+    { key: 'thisWeek', value: formatMinutes(stats.weekMinutes) },
+    { key: 'thisMonth', value: formatMinutes(stats.monthMinutes) },
+    { key: 'currentStreak', value: formatDays(stats.currentStreak) },
+    { key: 'longestStreak', value: formatDays(stats.longestStreak) },
+    { key: 'averageSession', value: formatSessionTime(stats.averageSessionSeconds) },
+    { key: 'sessionsCount', value: stats.totalSessions }
+  ];
+
+  return (
+    <div
+      className="sheet-modal"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="stats-dashboard-title"
+      onClick={onClose}
+    >
+      <div
+        className="sheet-modal__panel glass-panel"
+        style={{ color: currentColors.text }}
+        onClick={(event) => event.stopPropagation()}
+      >
+        <header className="sheet-modal__header">
+          <div>
+            <div className="sheet-modal__eyebrow">
+              <ChartIcon />
+              <span>{t('breathingApp')}</span>
+            </div>
+            <h2 id="stats-dashboard-title" className="sheet-modal__title">
+              {label('statistics')}
+            </h2>
+          </div>
+
+          <button
+            type="button"
+            className="sheet-modal__close"
+            onClick={onClose}
+            aria-label={t('close')}
+          >
+            <CloseIcon />
+          </button>
+        </header>
+
+        <div className="sheet-modal__body">
+          <dl className="sheet-modal__stats">
+            {summaryStats.map(stat => (
+              <div key={stat.key} className="sheet-modal__stat">
+                <dt>{label(stat.key)}</dt>
+                <dd>{stat.value}</dd>
+              </div>
+            ))}
+          </dl>
+
+          <section className="sheet-modal__section">
+            <h3 className="sheet-modal__section-title">{label('practiceCalendar')}</h3>
+            <div
+              className="stats-heatmap"
+              role="img"
+              aria-label={`${label('practiceCalendar')}: ${formatMinutes(stats.monthMinutes)} ${label('thisMonth').toLowerCase()}`}
+            >
+              {stats.heatmap.weeks.map(week => (
+                <div key={week[0].key} className="stats-heatmap__week">
+                  {week.map(day => (
+                    <span
+                      key={day.key}
+                      className={`stats-heatmap__day${day.isFuture ? ' is-future' : ''}`}
+                      style={{ backgroundColor: palette[day.level] }}
+                      title={`${dateFormatter.format(new Date(day.date))}: ${formatMinutes(day.minutes)}`}
+                    />
+                  ))}
+                </div>
+              ))}
+            </div>
+            <div className="stats-heatmap__legend" aria-hidden="true">
+              <span>{label('less')}</span>
+              {Array.from({ length: HEATMAP_LEVELS + 1 }, (_, level) => (
+                <span
+                  key={level}
+                  className="stats-heatmap__day"
+                  style={{ backgroundColor: palette[level] }}
+                />
+              ))}
+              <span>{label('more')}</span>
+            </div>
+          </section>
+
+          <section className="sheet-modal__section">
+            <h3 className="sheet-modal__section-title">{label('favoriteTechniques')}</h3>
+            {stats.favoriteTechniques.length ? (
+              <ul className="sheet-modal__list">
+                {stats.favoriteTechniques.map(favorite => (
+                  <li key={favorite.techniqueId} className="stats-favorite">
+                    <span className="stats-favorite__label">
+                      {techniqueNames.get(favorite.techniqueId) || favorite.techniqueId}
+                      <span className="sheet-modal__muted">
+                        {`${formatMinutes(favorite.minutes)} · ${label('sessionsCount')}: ${favorite.sessions}`}
+                      </span>
+                    </span>
+                    <span className="stats-favorite__track" aria-hidden="true">
+                      <span
+                        className="stats-favorite__bar"
+                        style={{
+                          width: `${Math.round(favorite.share * 100)}%`,
+                          backgroundColor: currentColors.accent
+                        }}
+                      />
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="sheet-modal__copy">{label('noSessionsYet')}</p>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StatsDashboardSheet;
@@ -0,0 +1,400 @@
+import React from 'react';
+import { useLocalization } from '../../contexts/LocalizationContext.jsx';
+import { useThemeColors } from '../../contexts/ThemeContext.jsx';
+import { createDefaultCueProfile } from '../../services/CueScheduler.js';
+import {
+  CUE_PROFILE_LIMITS,
+  CUE_SOUNDS,
+  CUE_TRACKS,
+  getMarkerTime,
+  locateCycleTime,
+  normalizeCueProfile
+} from '../../utils/cueProfiles.js';
+
+const LABEL_FALLBACKS = {
+  cueTimeline: { en: 'Cue timeline', uk: 'Шкала сигналів' },
+  cueTimelineHint: {
+    en: 'One cycle of the technique. Drag markers to move them; arrow keys nudge the selected one.',
+    uk: 'Один цикл техніки. Перетягуйте позначки; стрілки зсувають вибрану.'
+  },
+  cueTrackPhases: { en: 'Phases', uk: 'Фази' },
+  cueTrackSounds: { en: 'Sounds', uk: 'Звуки' },
+  cueTrackVibration: { en: 'Vibration', uk: 'Вібрація' },
+  addSoundCue: { en: 'Add sound', uk: 'Додати звук' },
+  addVibrationCue: { en: 'Add vibration', uk: 'Додати вібрацію' },
+  removeCue: { en: 'Remove', uk: 'Видалити' },
+  previewCue: { en: 'Play', uk: 'Відтворити' },
+  previewCycle: { en: 'Play cycle', uk: 'Відтворити цикл' },
+  stopPreview: { en: 'Stop', uk: 'Зупинити' },
+  restoreDefaultCues: { en: 'Restore default', uk: 'Відновити типові' },
+  save: { en: 'Save', uk: 'Зберегти' },
+  cancel: { en: 'Cancel', uk: 'Скасувати' },
+  cueSoundTick: { en: 'Count tick', uk: 'Відлік' },
+  cueSoundWarning: { en: 'Last-second beep', uk: 'Сигнал останньої секунди' },
+  cueSoundPhaseStart: { en: 'Phase tone', uk: 'Тон фази' },
+  cueSoundTransition: { en: 'Transition chord', uk: 'Акорд переходу' },
+  cueSoundCycleComplete: { en: 'Cycle chime', uk: 'Дзвін циклу' },
+  breathPattern: { en: 'Breath pattern', uk: 'Дихальний патерн' }
+};
+
+const SOUND_LABEL_KEYS = {
+  tick: 'cueSoundTick',
+  warning: 'cueSoundWarning',
+  phaseStart: 'cueSoundPhaseStart',
+  transition: 'cueSoundTransition',
+  cycleComplete: 'cueSoundCycleComplete'
+};
+
+// Markers move in quarter seconds
+const SNAP_SECONDS = 0.25;
+
+const TimelineIcon = () => (
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" aria-hidden="true">
+    <path d="M3 12h18" strokeLinecap="round" />
+    <path d="M7 8v8M12 6v12M17 9v6" strokeLinecap="round" />
+  </svg>
+);
+
+const CloseIcon = () => (
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" aria-hidden="true">
+    <path d="M6 6l12 12" strokeLinecap="round" />
+    <path d="M18 6L6 18" strokeLinecap="round" />
+  </svg>
+);
+
+const VALUE_KEYS = {
+  [CUE_TRACKS.AUDIO]: 'sound',
+  [CUE_TRACKS.HAPTIC]: 'pattern'
+};
+
+/**
+ * Cue Timeline Editor
+ * Shows one cycle of a technique with tracks for phases, sound cues and vibrations.
+ * Markers are dragged along the cycle and saved as the technique's cue profile
+ */
+const CueTimelineEditor = ({
+  technique,
+  techniqueName,
+  cueProfile,
+  patterns = {},
+  onSave,
+  onReset,
+  onPreview,
+  onStopPreview,
+  onClose
+}) => {
+  const { t } = useLocalization();
+  const currentColors = useThemeColors();
+  const [draft, setDraft] = React.useState(() => (
+    normalizeCueProfile(cueProfile) || createDefaultCueProfile(technique)
+  ));
+  const [selected, setSelected] = React.useState(null);
+  const [isPreviewing, setIsPreviewing] = React.useState(false);
+  const dragRef = React.useRef(null);
+  const audioLaneRef = React.useRef(null);
+  const hapticLaneRef = React.useRef(null);
+  const laneRefs = { [CUE_TRACKS.AUDIO]: audioLaneRef, [CUE_TRACKS.HAPTIC]: hapticLaneRef };
+
+  const label = React.useCallback(
+    (key) => t(key, { fallback: LABEL_FALLBACKS[key] }),
+    [t]
+  );
+
+  const phases = technique.getPhases();
+  const durations = technique.getDurationsForCycle(0);
+  const totalDuration = durations.reduce((sum, duration) => sum + duration, 0);
+  const phaseName = (index) => t(phases[index].key, { fallback: phases[index].name });
+
+  // Built-in patterns and this technique's breath patterns (see VibrationService.registerTechniquePatterns)
+  const patternOptions = React.useMemo(() => {
+    const breathPrefix = `${technique.getId()}:`;
+    return Object.keys(patterns)
+      .filter(name => !name.includes(':') || name.startsWith(breathPrefix))
+      .map((name) => {
+        if (!name.startsWith(breathPrefix)) {
+          return { value: name, label: name.charAt(0).toUpperCase() + name.slice(1) };
+        }
+        const phaseKey = name.slice(breathPrefix.length);
+        const phase = phases.find(candidate => candidate.key === phaseKey);
+        return {
+          value: name,
+          label: `${label('breathPattern')} · ${t(phaseKey, { fallback: phase?.name || phaseKey })}`
+        };
+      });
+  }, [patterns, technique, phases, label, t]);
+
+  const describeValue = (track, marker) => (track === CUE_TRACKS.AUDIO
+    ? label(SOUND_LABEL_KEYS[marker.sound])
+    : patternOptions.find(option => option.value === marker.pattern)?.label || marker.pattern);
+
+  const selectedMarker = selected
+    ? draft[selected.track].find(marker => marker.id === selected.id) || null
+    : null;
+
+  const updateMarker = (track, id, changes) => {
+    setDraft(current => ({
+      ...current,
+      [track]: current[track].map(marker => (marker.id === id ? { ...marker, ...changes } : marker))
+    }));
+  };
+
+  const moveMarker = (track, id, time) => {
+    const snapped = Math.round(time / SNAP_SECONDS) * SNAP_SECONDS;
+    updateMarker(track, id, locateCycleTime(Math.min(Math.max(0, snapped), totalDuration), durations));
+  };
+
+  const addMarker = (track) => {
+    const time = selectedMarker ? getMarkerTime(selectedMarker, durations) + 1 : 0;
+    const marker = {
+      id: `${VALUE_KEYS[track]}-${Date.now().toString(36)}`,
+      ...locateCycleTime(Math.min(time, totalDuration), durations),
+      [VALUE_KEYS[track]]: track === CUE_TRACKS.AUDIO ? 'tick' : patternOptions[0]?.value
+    };
+    setDraft(current => ({ ...current, [track]: [...current[track], marker] }));
+    setSelected({ track, id: marker.id });
+  };
+
+  const removeMarker = (track, id) => {
+    setDraft(current => ({ ...current, [track]: current[track].filter(marker => marker.id !== id) }));
+    setSelected(null);
+  };
+
+  const handlePointerDown = (track, marker) => (event) => {
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    dragRef.current = { track, id: marker.id };
+    setSelected({ track, id: marker.id });
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    const lane = drag && laneRefs[drag.track].current;
+    if (!lane) return;
+
+    const rect = lane.getBoundingClientRect();
+    moveMarker(drag.track, drag.id, ((event.clientX - rect.left) / rect.width) * totalDuration);
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const handleMarkerKeyDown = (track, marker) => (event) => {
+    const step = { ArrowLeft: -SNAP_SECONDS, ArrowRight: SNAP_SECONDS }[event.key];
+    if (!step) return;
+    event.preventDefault();
+    moveMarker(track, marker.id, getMarkerTime(marker, durations) + step);
+  };
+
+  const stopPreview = () => {
+    onStopPreview?.();
+    setIsPreviewing(false);
+  };
+
+  const previewCycle = async () => {
+    const started = await onPreview?.(draft);
+    setIsPreviewing(!!started);
+  };
+
+  const previewMarker = () => {
+    const track = selected.track;
+    onPreview?.(
+      { audio: [], haptic: [], [track]: [selectedMarker] },
+      { from: getMarkerTime(selectedMarker, durations) }
+    );
+  };
+
+  // Stop any preview still playing when the editor closes
+  React.useEffect(() => () => onStopPreview?.(), [onStopPreview]);
+
+  React.useEffect(() => {
+    if (!isPreviewing) return undefined;
+    const timer = setTimeout(() => setIsPreviewing(false), (totalDuration + 0.5) * 1000);
+    return () => clearTimeout(timer);
+  }, [isPreviewing, totalDuration]);
+
+  const renderTrack = (track, titleKey) => (
+    <div className="cue-timeline__track">
+      <span className="cue-timeline__label">{label(titleKey)}</span>
+      <div className="cue-timeline__lane" ref={laneRefs[track]}>
+        {draft[track].map((marker) => {
+          const time = getMarkerTime(marker, durations);
+          if (time === null) return null;
+          const isSelected = selected?.track === track && selected.id === marker.id;
+          return (
+            <button
+              key={marker.id}
+              type="button"
+              className={`cue-timeline__marker cue-timeline__marker--${track}${isSelected ? ' is-selected' : ''}`}
+              style={{ left: `${(time / totalDuration) * 100}%` }}
+              aria-label={`${describeValue(track, marker)} · ${time.toFixed(2)} s`}
+              aria-pressed={isSelected}
+              onPointerDown={handlePointerDown(track, marker)}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={handlePointerUp}
+              onKeyDown={handleMarkerKeyDown(track, marker)}
+              onClick={() => setSelected({ track, id: marker.id })}
+            />
+          );
+        })}
+      </div>
+    </div>
+  );
+
+  return (
+    <div
+      className="sheet-modal"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="cue-timeline-title"
+      onClick={onClose}
+    >
+      <div
+        className="sheet-modal__panel glass-panel"
+        style={{ color: currentColors.text }}
+        onClick={(event) => event.stopPropagation()}
+      >
+        <header className="sheet-modal__header">
+          <div>
+            <div className="sheet-modal__eyebrow">
+              <TimelineIcon />
+              <span>{techniqueName}</span>
+            </div>
+            <h2 id="cue-timeline-title" className="sheet-modal__title">
+              {label('cueTimeline')}
+            </h2>
+          </div>
+
+          <button
+            type="button"
+            className="sheet-modal__close"
+            onClick={onClose}
+            aria-label={t('close')}
+          >
+            <CloseIcon />
+          </button>
+        </header>
+
+        <div className="sheet-modal__body">
+          <section className="sheet-modal__section">
+            <span className="sheet-modal__muted">{label('cueTimelineHint')}</span>
+            <div className="cue-timeline">
+              <div className="cue-timeline__track">
+                <span className="cue-timeline__label">{label('cueTrackPhases')}</span>
+                <div className="cue-timeline__lane cue-timeline__lane--phases">
+                  {phases.map((phase, index) => {
+                    const phaseColors = technique.getPhaseColors?.(phase.key);
+                    return (
+                      <span
+                        key={phase.key}
+                        className="cue-timeline__phase"
+                        style={{
+                          flexGrow: durations[index],
+                          background: phaseColors
+                            ? `linear-gradient(90deg, ${phaseColors.from}, ${phaseColors.to})`
+                            : undefined
+                        }}
+                      >
+                        {phaseName(index)}
+                      </span>
+                    );
+                  })}
+                </div>
+              </div>
+              {renderTrack(CUE_TRACKS.AUDIO, 'cueTrackSounds')}
+              {renderTrack(CUE_TRACKS.HAPTIC, 'cueTrackVibration')}
+              <div className="cue-timeline__scale">
+                <span>0 s</span>
+                <span>{totalDuration} s</span>
+              </div>
+            </div>
+
+            <div className="sheet-modal__actions">
+              <button
+                type="button"
+                className="sheet-modal__button"
+                onClick={() => addMarker(CUE_TRACKS.AUDIO)}
+                disabled={draft.audio.length >= CUE_PROFILE_LIMITS.maxMarkers}
+              >
+                {label('addSoundCue')}
+              </button>
+              <button
+                type="button"
+                className="sheet-modal__button"
+                onClick={() => addMarker(CUE_TRACKS.HAPTIC)}
+                disabled={draft.haptic.length >= CUE_PROFILE_LIMITS.maxMarkers || patternOptions.length === 0}
+              >
+                {label('addVibrationCue')}
+              </button>
+              <button
+                type="button"
+                className="sheet-modal__button"
+                onClick={isPreviewing ? stopPreview : previewCycle}
+              >
+                {isPreviewing ? label('stopPreview') : label('previewCycle')}
+              </button>
+            </div>
+          </section>
+
+          {selectedMarker ? (
+            <section className="sheet-modal__section">
+              <h3 className="sheet-modal__section-title">
+                {phaseName(selectedMarker.phaseIndex)} · {getMarkerTime(selectedMarker, durations).toFixed(2)} s
+              </h3>
+              <select
+                className="sheet-modal__input"
+                value={selectedMarker[VALUE_KEYS[selected.track]]}
+                aria-label={label(selected.track === CUE_TRACKS.AUDIO ? 'cueTrackSounds' : 'cueTrackVibration')}
+                onChange={(event) => updateMarker(selected.track, selectedMarker.id, {
+                  [VALUE_KEYS[selected.track]]: event.target.value
+                })}
+              >
+                {(selected.track === CUE_TRACKS.AUDIO
+                  ? CUE_SOUNDS.map(sound => ({ value: sound, label: label(SOUND_LABEL_KEYS[sound]) }))
+                  : patternOptions
+                ).map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <div className="sheet-modal__actions">
+                <button type="button" className="sheet-modal__button" onClick={previewMarker}>
+                  {label('previewCue')}
+                </button>
+                <button
+                  type="button"
+                  className="sheet-modal__button"
+                  onClick={() => removeMarker(selected.track, selectedMarker.id)}
+                >
+                  {label('removeCue')}
+                </button>
+              </div>
+            </section>
+          ) : null}
+
+          <div className="sheet-modal__actions">
+            <button
+              type="button"
+              className="sheet-modal__button"
+              onClick={onReset}
+              disabled={!cueProfile}
+            >
+              {label('restoreDefaultCues')}
+            </button>
+            <button type="button" className="sheet-modal__button" onClick={onClose}>
+              {label('cancel')}
+            </button>
+            <button
+              type="button"
+              className="sheet-modal__button sheet-modal__button--primary"
+              onClick={() => onSave(draft)}
+            >
+              {label('save')}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CueTimelineEditor;
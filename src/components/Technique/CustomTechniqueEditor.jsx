@@ -0,0 +1,363 @@
+import React from 'react';
+import { useLocalization } from '../../contexts/LocalizationContext.jsx';
+import { useThemeColors } from '../../contexts/ThemeContext.jsx';
+import { useCustomTechniques } from '../../hooks/useCustomTechniques.js';
+import Logger from '../../utils/Logger.js';
+
+const PHASE_KEYS = ['inhale', 'hold1', 'exhale', 'hold2'];
+
+const DEFAULT_PHASE_COLORS = {
+  inhale: '#34D399',
+  hold1: '#60A5FA',
+  exhale: '#9CA3AF',
+  hold2: '#F87171'
+};
+
+const LABEL_FALLBACKS = {
+  customTechniques: { en: 'Custom techniques', uk: 'Власні техніки' },
+  newTechnique: { en: 'New technique', uk: 'Нова техніка' },
+  techniqueName: { en: 'Name', uk: 'Назва' },
+  techniqueDescription: { en: 'Description', uk: 'Опис' },
+  phases: { en: 'Phases', uk: 'Фази' },
+  phaseType: { en: 'Phase', uk: 'Фаза' },
+  durationSeconds: { en: 'Seconds', uk: 'Секунди' },
+  phaseColor: { en: 'Color', uk: 'Колір' },
+  addPhase: { en: 'Add phase', uk: 'Додати фазу' },
+  removePhase: { en: 'Remove phase', uk: 'Видалити фазу' },
+  instructionsOnePerLine: { en: 'Instructions (one per line)', uk: 'Інструкції (по одній на рядок)' },
+  save: { en: 'Save', uk: 'Зберегти' },
+  edit: { en: 'Edit', uk: 'Редагувати' },
+  delete: { en: 'Delete', uk: 'Видалити' },
+  cancel: { en: 'Cancel', uk: 'Скасувати' },
+  noCustomTechniques: { en: 'No custom techniques yet', uk: 'Ще немає власних технік' }
+};
+
+const CloseIcon = () => (
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" aria-hidden="true">
+    <path d="M6 6l12 12" strokeLinecap="round" />
+    <path d="M18 6L6 18" strokeLinecap="round" />
+  </svg>
+);
+
+const EditIcon = () => (
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" aria-hidden="true">
+    <path d="M5 19h4L19 9l-4-4L5 15z" strokeLinejoin="round" />
+    <path d="M13 7l4 4" strokeLinecap="round" />
+  </svg>
+);
+
+const createEmptyDraft = () => ({
+  id: null,
+  name: '',
+  description: '',
+  phases: [
+    { key: 'inhale', duration: 4, color: DEFAULT_PHASE_COLORS.inhale },
+    { key: 'hold1', duration: 4, color: DEFAULT_PHASE_COLORS.hold1 },
+    { key: 'exhale', duration: 6, color: DEFAULT_PHASE_COLORS.exhale },
+    { key: 'hold2', duration: 2, color: DEFAULT_PHASE_COLORS.hold2 }
+  ],
+  instructions: ''
+});
+
+const toDraft = (technique) => {
+  const definition = technique.toJSON();
+
+  return {
+    id: definition.id,
+    name: definition.name,
+    description: definition.description,
+    phases: definition.phases.map(phase => ({
+      key: phase.key,
+      duration: phase.duration,
+      color: phase.color || DEFAULT_PHASE_COLORS[phase.key] || DEFAULT_PHASE_COLORS.inhale
+    })),
+    instructions: definition.instructions.join('\n')
+  };
+};
+
+const CustomTechniqueEditor = ({ onClose, onSaved }) => {
+  const { t } = useLocalization();
+  const currentColors = useThemeColors();
+  const { customTechniques, saveTechnique, deleteTechnique, validateTechnique } = useCustomTechniques();
+  const [draft, setDraft] = React.useState(null);
+  const [errors, setErrors] = React.useState([]);
+
+  const label = React.useCallback(
+    (key) => t(key, { fallback: LABEL_FALLBACKS[key] }),
+    [t]
+  );
+
+  const toDefinition = React.useCallback((value) => ({
+    id: value.id || undefined,
+    name: value.name,
+    description: value.description,
+    phases: value.phases.map(phase => ({
+      key: phase.key,
+      name: t(phase.key),
+      duration: Number(phase.duration),
+      color: phase.color
+    })),
+    instructions: value.instructions.split('\n')
+  }), [t]);
+
+  const updatePhase = (index, changes) => {
+    setDraft(current => ({
+      ...current,
+      phases: current.phases.map((phase, phaseIndex) => (
+        phaseIndex === index ? { ...phase, ...changes } : phase
+      ))
+    }));
+  };
+
+  const addPhase = () => {
+    setDraft(current => {
+      const usedKeys = current.phases.map(phase => phase.key);
+      const key = PHASE_KEYS.find(phaseKey => !usedKeys.includes(phaseKey));
+      if (!key) return current;
+
+      return {
+        ...current,
+        phases: [...current.phases, { key, duration: 4, color: DEFAULT_PHASE_COLORS[key] }]
+      };
+    });
+  };
+
+  const removePhase = (index) => {
+    setDraft(current => ({
+      ...current,
+      phases: current.phases.filter((_, phaseIndex) => phaseIndex !== index)
+    }));
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    const definition = toDefinition(draft);
+    const result = validateTechnique(definition);
+
+    if (!result.isValid) {
+      setErrors(result.errors);
+      return;
+    }
+
+    try {
+      const technique = await saveTechnique(definition);
+      setErrors([]);
+      setDraft(null);
+      onSaved?.(technique.id);
+    } catch (error) {
+      Logger.error('component', 'Failed to save custom technique', error);
+      setErrors(error.context?.errors || [{ field: 'technique', message: error.message }]);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteTechnique(id);
+    } catch (error) {
+      Logger.error('component', 'Failed to delete custom technique', error);
+    }
+  };
+
+  return (
+    <div
+      className="sheet-modal"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="custom-technique-title"
+      onClick={onClose}
+    >
+      <div
+        className="sheet-modal__panel glass-panel"
+        style={{ color: currentColors.text }}
+        onClick={(event) => event.stopPropagation()}
+      >
+        <header className="sheet-modal__header">
+          <div>
+            <div className="sheet-modal__eyebrow">
+              <EditIcon />
+              <span>{t('breathingApp')}</span>
+            </div>
+            <h2 id="custom-technique-title" className="sheet-modal__title">
+              {label('customTechniques')}
+            </h2>
+          </div>
+
+          <button
+            type="button"
+            className="sheet-modal__close"
+            onClick={onClose}
+            aria-label={t('close')}
+          >
+            <CloseIcon />
+          </button>
+        </header>
+
+        <div className="sheet-modal__body">
+          {draft ? (
+            <form className="sheet-modal__form" onSubmit={handleSave}>
+              <section className="sheet-modal__section">
+                <label className="sheet-modal__section-title" htmlFor="custom-technique-name">
+                  {label('techniqueName')}
+                </label>
+                <input
+                  id="custom-technique-name"
+                  className="sheet-modal__input"
+                  value={draft.name}
+                  onChange={(event) => setDraft({ ...draft, name: event.target.value })}
+                  maxLength={60}
+                  required
+                />
+                <label className="sheet-modal__section-title" htmlFor="custom-technique-description">
+                  {label('techniqueDescription')}
+                </label>
+                <input
+                  id="custom-technique-description"
+                  className="sheet-modal__input"
+                  value={draft.description}
+                  onChange={(event) => setDraft({ ...draft, description: event.target.value })}
+                  maxLength={160}
+                />
+              </section>
+
+              <section className="sheet-modal__section">
+                <h3 className="sheet-modal__section-title">{label('phases')}</h3>
+                {draft.phases.map((phase, index) => (
+                  <div key={`${phase.key}-${index}`} className="sheet-modal__row">
+                    <select
+                      className="sheet-modal__input"
+                      value={phase.key}
+                      aria-label={label('phaseType')}
+                      onChange={(event) => updatePhase(index, { key: event.target.value })}
+                    >
+                      {PHASE_KEYS.map(key => (
+                        <option key={key} value={key}>
+                          {`${t(key)} (${key})`}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      className="sheet-modal__input sheet-modal__input--narrow"
+                      type="number"
+                      min="0.1"
+                      max="300"
+                      step="0.1"
+                      value={phase.duration}
+                      aria-label={label('durationSeconds')}
+                      onChange={(event) => updatePhase(index, { duration: event.target.value })}
+                    />
+                    <input
+                      className="sheet-modal__color"
+                      type="color"
+                      value={phase.color}
+                      aria-label={label('phaseColor')}
+                      onChange={(event) => updatePhase(index, { color: event.target.value })}
+                    />
+                    <button
+                      type="button"
+                      className="sheet-modal__icon-button"
+                      onClick={() => removePhase(index)}
+                      aria-label={label('removePhase')}
+                      disabled={draft.phases.length <= 1}
+                    >
+                      <CloseIcon />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  className="sheet-modal__button"
+                  onClick={addPhase}
+                  disabled={draft.phases.length >= PHASE_KEYS.length}
+                >
+                  {label('addPhase')}
+                </button>
+              </section>
+
+              <section className="sheet-modal__section">
+                <label className="sheet-modal__section-title" htmlFor="custom-technique-instructions">
+                  {label('instructionsOnePerLine')}
+                </label>
+                <textarea
+                  id="custom-technique-instructions"
+                  className="sheet-modal__input"
+                  rows={4}
+                  value={draft.instructions}
+                  onChange={(event) => setDraft({ ...draft, instructions: event.target.value })}
+                />
+              </section>
+
+              {errors.length ? (
+                <ul className="sheet-modal__errors" role="alert">
+                  {errors.map((error, index) => (
+                    <li key={`${error.field}-${index}`}>{error.message}</li>
+                  ))}
+                </ul>
+              ) : null}
+
+              <div className="sheet-modal__actions">
+                <button
+                  type="button"
+                  className="sheet-modal__button"
+                  onClick={() => {
+                    setDraft(null);
+                    setErrors([]);
+                  }}
+                >
+                  {label('cancel')}
+                </button>
+                <button type="submit" className="sheet-modal__button sheet-modal__button--primary">
+                  {label('save')}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <>
+              <section className="sheet-modal__section">
+                {customTechniques.length ? (
+                  <ul className="sheet-modal__list">
+                    {customTechniques.map(technique => (
+                      <li key={technique.id} className="sheet-modal__list-item">
+                        <span>
+                          {technique.name}
+                          <span className="sheet-modal__muted">{technique.pattern}</span>
+                        </span>
+                        <span className="sheet-modal__actions">
+                          <button
+                            type="button"
+                            className="sheet-modal__button"
+                            onClick={() => setDraft(toDraft(technique))}
+                          >
+                            {label('edit')}
+                          </button>
+                          <button
+                            type="button"
+                            className="sheet-modal__button"
+                            onClick={() => handleDelete(technique.id)}
+                          >
+                            {label('delete')}
+                          </button>
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="sheet-modal__copy">{label('noCustomTechniques')}</p>
+                )}
+              </section>
+
+              <button
+                type="button"
+                className="sheet-modal__button sheet-modal__button--primary"
+                onClick={() => setDraft(createEmptyDraft())}
+              >
+                {label('newTechnique')}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CustomTechniqueEditor;
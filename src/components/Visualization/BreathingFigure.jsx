@@ -134,7 +134,7 @@ const BreathingFigure = ({
         width={figureDimensions.width}
         height={figureDimensions.height}
         viewBox="0 0 260 340" 
-        aria-label={`${t('currentPhase')}: ${localizedPhaseName}. ${t('timeRemaining')}: ${safeCurrentPhase?.timeLeft || 0}`}
+        aria-label={`${t('currentPhase')}: ${localizedPhaseName}. ${t('timeRemaining')}: ${Math.ceil(safeCurrentPhase?.timeLeft || 0)}`}
       >
         {/* Head */}
         <circle 
@@ -2,8 +2,9 @@ import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { motion } from 'framer-motion';
 import { useLocalization } from '../../contexts/LocalizationContext.jsx';
 import { useTheme, useThemeColors } from '../../contexts/ThemeContext.jsx';
-import { useAccessibility, useBreathingSession, useTechnique } from '../../hooks/index.js';
+import { useAccessibility, useBreathingSession, useRegisterCommands, useTechnique } from '../../hooks/index.js';
 import { computeLungPaintFromTechnique, generateThemeColors } from '../../utils/colorUtils.js';
+import { getStepCount, getStepIndex } from '../../utils/phaseSteps.js';
 import { visualizationModeManager } from '../../visualizations/index.js';
 import BreathingSphere from './BreathingSphere.jsx';
 
@@ -26,6 +27,9 @@ const MODE_FALLBACK_LABELS = {
   rotating: { en: 'Rotating Layers', uk: 'Обертальні Шари' },
   'spiral-dance': { en: 'Spiral Dance', uk: 'Спіральний Танець' }
 };
+const COMMAND_FALLBACK_LABELS = {
+  commandGroupVisualization: { en: 'Visualization', uk: 'Візуалізація' }
+};
 
 const PHASE_COLORS = {
   inhale: '#2dd4bf',
@@ -130,9 +134,10 @@ const VisualizationContainer = () => {
     const duration = displayPhase?.duration || 4;
     const timeInPhase = displayPhase?.timeInPhase || 0;
     const timeLeft = displayPhase?.timeLeft ?? duration;
+    // Rounded to the millisecond so fractional updates within one phase share a key
     const phaseStartElapsed = Math.max(
       0,
-      (sessionStats?.elapsedSeconds || 0) - timeInPhase
+      Math.round(((sessionStats?.elapsedSeconds || 0) - timeInPhase) * 1000) / 1000
     );
     const progress = duration > 0 ? Math.min(Math.max(timeInPhase / duration, 0), 1) : 0;
 
@@ -154,12 +159,12 @@ const VisualizationContainer = () => {
       return 0;
     }
 
-    const durations = currentTechnique.getDurationsSec();
-    const phaseOffset = durations
+    const stepCounts = currentTechnique.getPhaseStepCounts(displayPhase.cycleIndex ?? 0);
+    const phaseOffset = stepCounts
       .slice(0, displayPhase.phaseIndex || 0)
-      .reduce((sum, duration) => sum + duration, 0);
+      .reduce((sum, steps) => sum + steps, 0);
 
-    return phaseOffset + Math.min(displayPhase.timeInPhase || 0, Math.max((displayPhase.duration || 1) - 1, 0));
+    return phaseOffset + getStepIndex(displayPhase.timeInPhase, displayPhase.duration);
   }, [displayPhase, currentTechnique]);
 
   const lungData = useMemo(() => {
@@ -176,8 +181,8 @@ const VisualizationContainer = () => {
     const paint = computeLungPaintFromTechnique(
       currentTechnique,
       displayPhase.phase.key,
-      displayPhase.timeInPhase,
-      displayPhase.duration
+      getStepIndex(displayPhase.timeInPhase, displayPhase.duration),
+      getStepCount(displayPhase.duration)
     );
 
     return { scaling, paint };
@@ -224,21 +229,23 @@ const VisualizationContainer = () => {
   }
 
   const goPrevMode = useCallback(() => {
-    setCurrentModeKey((modeKey) => {
-      const currentIndex = MODE_ORDER.indexOf(modeKey);
-      const nextIndex = currentIndex <= 0 ? MODE_ORDER.length - 1 : currentIndex - 1;
-      return MODE_ORDER[nextIndex];
-    });
+    setCurrentModeKey((modeKey) => visualizationModeManager.getPrevKey(modeKey, MODE_ORDER));
   }, []);
 
   const goNextMode = useCallback(() => {
-    setCurrentModeKey((modeKey) => {
-      const currentIndex = MODE_ORDER.indexOf(modeKey);
-      const nextIndex = currentIndex === MODE_ORDER.length - 1 ? 0 : currentIndex + 1;
-      return MODE_ORDER[nextIndex];
-    });
+    setCurrentModeKey((modeKey) => visualizationModeManager.getNextKey(modeKey, MODE_ORDER));
   }, []);
 
+  const modeCommands = useMemo(() => {
+    const group = t('commandGroupVisualization', { fallback: COMMAND_FALLBACK_LABELS.commandGroupVisualization });
+    return [
+      { id: 'visualization.previous', title: t('previousMode'), group, shortcut: 'ArrowLeft', run: goPrevMode },
+      { id: 'visualization.next', title: t('nextMode'), group, shortcut: 'ArrowRight', run: goNextMode }
+    ];
+  }, [t, goPrevMode, goNextMode]);
+
+  useRegisterCommands(modeCommands);
+
   const handleTouchStart = useCallback((event) => {
     touchStartXRef.current = event.changedTouches[0]?.clientX ?? null;
   }, []);
@@ -270,7 +277,8 @@ const VisualizationContainer = () => {
   });
   const isGeometricMode = currentModeKey === 'geometric-cascade';
   const isCompactStage = containerDimensions.width < 300;
-  const totalVisualizationSteps = currentTechnique?.getTotalDuration?.() || visualizationPoints?.length || 0;
+  const totalVisualizationSteps = currentTechnique?.getTotalSteps?.(displayPhase?.cycleIndex ?? 0) ||
+    visualizationPoints?.length || 0;
   const legacyLayout = useMemo(() => {
     if (isGeometricMode || !isCompactStage) {
       return { sizeRatio: 1, offsetY: 0 };
@@ -3,33 +3,120 @@
  * Provides breathing session state and functionality
  */
 
-import React, { createContext, useContext, useMemo, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useMemo, useEffect, useCallback, useState } from 'react';
 import { useServices } from './ServicesContext.jsx';
+import { useLocalization } from './LocalizationContext.jsx';
 import { AppError, ERROR_CODES } from '../errors/AppError.js';
+import { errorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../errors/ErrorHandler.js';
 import { BreathingSessionState } from '../state/BreathingSessionState.js';
 import { CommandInvoker, StartBreathingCommand, PauseBreathingCommand, ChangeTechniqueCommand } from '../commands/Command.js';
 import { StateObserver } from '../state/Observer.js';
 import Logger from '../utils/Logger.js';
+import { STEP_EPSILON, getStepIndex, getStepCount } from '../utils/phaseSteps.js';
+import { SESSION_GOAL_TYPES } from '../utils/sessionGoal.js';
+import { PAUSE_REASONS } from '../services/TimerService.js';
+import { getTechniqueRootFrequency } from '../services/AmbienceGenerator.js';
+import { getTechniqueEntrainmentPreset } from '../services/EntrainmentGenerator.js';
+import { resolveSoundAssignments, getAssignedSampleIds } from '../utils/soundAssignments.js';
+import { normalizeHapticProfile } from '../utils/hapticPatterns.js';
+import { normalizeCueProfiles } from '../utils/cueProfiles.js';
 
 /**
  * Breathing Context
  */
 const BreathingContext = createContext(null);
 
+// Sessions shorter than this are accidental taps and are not kept in history
+const MIN_RECORDED_SESSION_MS = 1000;
+
+// Rising two-note cue marking the move to the next program stage
+const STAGE_CHIME_FREQUENCIES = [440, 587.33];
+
+/**
+ * Whether phase-long breath patterns replace the vibration on every second
+ * @param {object} preferences - Preferences state
+ * @returns {boolean}
+ */
+const isHapticGuideOn = (preferences) =>
+  !!preferences?.vibrationEnabled && normalizeHapticProfile(preferences.hapticProfile).enabled;
+
+/**
+ * Get the cue profile attached to a technique
+ * A technique with a cue profile plays its markers instead of the built-in sounds and vibration
+ * @param {object} preferences - Preferences state
+ * @param {object} technique - Technique
+ * @returns {object|null} - Cue profile or null
+ */
+const getTechniqueCueProfile = (preferences, technique) =>
+  normalizeCueProfiles(preferences?.cueProfiles)[technique?.getId?.()] || null;
+
+/**
+ * Text spoken for a step: the phase name on its first step, then the count
+ * Counts are spoken as digits so the voice reads them in its own language
+ * @param {object} phaseInfo - Phase info from the timer
+ * @param {Function} t - Translate function
+ * @returns {string} - Cue text
+ */
+const getSpokenCue = (phaseInfo, t) => {
+  const stepIndex = getStepIndex(phaseInfo.timeInPhase, phaseInfo.duration);
+  if (stepIndex > 0) {
+    return String(stepIndex + 1);
+  }
+
+  const phaseKey = phaseInfo.phase?.key || phaseInfo.key;
+  return t(phaseKey, { fallback: phaseInfo.phase?.name || phaseKey });
+};
+
+// Lung scaling range (see VisualizationMixin.getLungScaling) mapped onto breath level 0-1
+const LUNG_SCALING_EMPTY = 0.8;
+const LUNG_SCALING_FULL = 1.2;
+
+/**
+ * Where the breath guide should be by the end of the current step
+ * Uses the same lung scaling as the visualization so sound and lungs move together
+ * @param {object} technique - Active technique
+ * @param {object} phaseInfo - Phase info from the timer
+ * @returns {{level: number, seconds: number}} - Breath level (0-1) and time left in the step
+ */
+const getBreathTarget = (technique, phaseInfo) => {
+  const { timeInPhase, duration } = phaseInfo;
+  const phaseKey = phaseInfo.phase?.key || phaseInfo.key;
+  const scaling = technique?.getLungScaling?.(phaseKey, timeInPhase, duration) ?? 1;
+  const level = (scaling - LUNG_SCALING_EMPTY) / (LUNG_SCALING_FULL - LUNG_SCALING_EMPTY);
+
+  const stepIndex = getStepIndex(timeInPhase, duration);
+  const stepEnd = stepIndex + 1 < getStepCount(duration) ? stepIndex + 1 : duration;
+
+  return {
+    level: Math.max(0, Math.min(1, level)),
+    seconds: Math.max(0, stepEnd - timeInPhase)
+  };
+};
+
 /**
  * Breathing Provider Component
  * Provides breathing session state and functionality
  */
 export const BreathingProvider = ({ children }) => {
   const services = useServices();
+  const { t } = useLocalization();
   const {
     sessionState,
     timerService,
     commandInvoker,
     audioService,
     vibrationService,
-    preferencesState
+    wakeLockService,
+    speechService,
+    soundLibraryService,
+    cueScheduler,
+    preferencesState,
+    sessionHistoryService,
+    sessionCheckpointService,
+    tabCoordinationService
   } = services;
+  // Session cut short by a reload or crash, waiting for the user to resume or log it
+  const [pendingCheckpoint, setPendingCheckpoint] = useState(null);
 
   // Initialize session state and timer service with technique from preferences
   useEffect(() => {
@@ -186,7 +273,7 @@ export const BreathingProvider = ({ children }) => {
       }
       
       // data.currentPhase already contains all needed info: phaseIndex, phase, duration, timeInPhase, timeLeft
-      sessionState.updateTimer(data.currentTime, data.currentPhase);
+      sessionState.updateTimer(data.currentTime, data.currentPhase, data.cycleIndex);
       Logger.debug('context', 'Session state updated, new state:', sessionState.getState());
       
       const soundEnabled = preferencesState?.state.soundEnabled;
@@ -194,36 +281,27 @@ export const BreathingProvider = ({ children }) => {
       const isSessionStart = data.currentTime === 0;
       const isNewSecond = data.currentTime !== previousElapsedSeconds;
       
-      // Play sound and vibration on every second
-      if (isSessionStart || isNewSecond) {
-        // ULTRA STRICT: Only last second if timeLeft is EXACTLY 1 (number type, strict equality)
+      // Speak and vibrate on every second; tones are scheduled ahead by the cue scheduler
+      // Steps passed while the app was in the background are not cued after the fact
+      if (!data.isCatchUp && (isSessionStart || isNewSecond)) {
+        // Last step of the phase: timeLeft is fractional, so compare the remaining whole steps
         const timeLeft = data.currentPhase?.timeLeft;
-        const isLastSecond = (timeLeft === 1 && typeof timeLeft === 'number');
+        const isLastSecond = typeof timeLeft === 'number' && Math.ceil(timeLeft - STEP_EPSILON) === 1;
+
+        if (soundEnabled && speechService?.getEnabled()) {
+          speechService.speak(getSpokenCue(data.currentPhase, t));
+        }
         
-        if (isLastSecond) {
-          // Special sound and vibration on LAST second of phase
-          if (soundEnabled && audioService) {
-            audioService.playBeep(600, 150, 0.3);
-          }
-          
-          if (vibrationEnabled && vibrationService) {
-            vibrationService.vibrate(50);
-          }
-        } else {
-          // Regular sound and vibration on all other seconds
-          if (soundEnabled && audioService) {
-            audioService.playBeep(440, 80, 0.12);
-          }
-          
-          if (vibrationEnabled && vibrationService) {
-            vibrationService.vibrate(10);
-          }
+        if (vibrationEnabled && vibrationService && !isHapticGuideOn(preferencesState.state) &&
+          !getTechniqueCueProfile(preferencesState.state, timerService?.technique)) {
+          // Stronger vibration on the LAST second of the phase
+          vibrationService.vibrate(isLastSecond ? 50 : 10);
         }
       }
     } else {
       Logger.warn('context', 'Missing sessionState or currentPhase in timer update');
     }
-  }, [sessionState, audioService, vibrationService, preferencesState]);
+  }, [sessionState, timerService, vibrationService, speechService, preferencesState, t]);
 
   // Cycle complete handler
   const handleCycleComplete = useCallback((_data) => {
@@ -232,18 +310,489 @@ export const BreathingProvider = ({ children }) => {
     // to become strong (50ms) instead of regular (10ms) after first cycle
   }, []);
 
+  // Program stage change: show the new stage's technique and cue the transition
+  const handleStageChange = useCallback((data) => {
+    Logger.info('context', `Program stage ${data.stageIndex + 1}/${data.stageCount}:`, data.techniqueId);
+    sessionState?.enterProgramStage(data);
+
+    // Stages passed while the app was in the background are not cued after the fact
+    if (data.isCatchUp) return;
+
+    if (preferencesState?.state.soundEnabled && audioService) {
+      audioService.playChime(STAGE_CHIME_FREQUENCIES, 180).catch((error) => {
+        Logger.warn('context', 'Failed to play stage chime:', error);
+      });
+    }
+
+    if (preferencesState?.state.vibrationEnabled && vibrationService) {
+      vibrationService.playPattern('stage').catch((error) => {
+        Logger.warn('context', 'Failed to play stage vibration:', error);
+      });
+    }
+  }, [sessionState, audioService, vibrationService, preferencesState]);
+
+  // Persist a finished session; failures are reported but never block the UI
+  const recordSessionHistory = useCallback((sessionData) => {
+    if (!sessionHistoryService || !sessionData?.startTime || sessionData.activeMs < MIN_RECORDED_SESSION_MS) {
+      return;
+    }
+
+    sessionHistoryService.recordSession(sessionData).catch((error) => {
+      errorHandler.handleError(error, ERROR_SEVERITY.MEDIUM, ERROR_CATEGORY.STORAGE);
+    });
+  }, [sessionHistoryService]);
+
+  // Keep what was done in a session that will not be resumed
+  const logCheckpoint = useCallback((checkpoint) => {
+    recordSessionHistory(sessionCheckpointService.toSessionRecord(checkpoint));
+  }, [sessionCheckpointService, recordSessionHistory]);
+
+  // Session goal reached: the timer has already stopped on a cycle boundary
+  const handleSessionComplete = useCallback((data) => {
+    Logger.info('context', 'Session goal reached:', data);
+    sessionState?.completeSession(data);
+    if (sessionState) {
+      recordSessionHistory(sessionState.exportSessionData());
+    }
+
+    if (preferencesState?.state.soundEnabled && audioService) {
+      audioService.playChime().catch((error) => {
+        Logger.warn('context', 'Failed to play completion chime:', error);
+      });
+    }
+
+    if (preferencesState?.state.vibrationEnabled && vibrationService) {
+      vibrationService.playPattern('complete').catch((error) => {
+        Logger.warn('context', 'Failed to play completion vibration:', error);
+      });
+    }
+  }, [sessionState, audioService, vibrationService, preferencesState, recordSessionHistory]);
+
   // Set up timer listeners
   useEffect(() => {
     if (!timerService) return;
 
     const unsubscribeUpdate = timerService.addListener('update', handleTimerUpdate);
     const unsubscribeCycleComplete = timerService.addListener('cycleComplete', handleCycleComplete);
+    const unsubscribeComplete = timerService.addListener('complete', handleSessionComplete);
+    const unsubscribeStageChange = timerService.addListener('stageChange', handleStageChange);
 
     return () => {
       unsubscribeUpdate();
       unsubscribeCycleComplete();
+      unsubscribeComplete();
+      unsubscribeStageChange();
+    };
+  }, [timerService, handleTimerUpdate, handleCycleComplete, handleSessionComplete, handleStageChange]);
+
+  // Hidden pages get throttled timers; the timer pauses or catches up per the user's choice
+  useEffect(() => {
+    if (!timerService || typeof document === 'undefined') return;
+
+    const handleVisibilityChange = () => {
+      timerService.setPageVisible(document.visibilityState === 'visible');
+    };
+    const unsubscribePause = timerService.addListener('pause', (data) => {
+      if (data.reason === PAUSE_REASONS.BACKGROUND || data.reason === PAUSE_REASONS.OTHER_TAB) {
+        sessionState?.pauseSession(data.reason);
+      }
+    });
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      unsubscribePause();
+    };
+  }, [timerService, sessionState]);
+
+  // A session cut short by a reload or crash is offered for resume if recent, otherwise logged
+  useEffect(() => {
+    if (!sessionCheckpointService) return;
+
+    let isCancelled = false;
+    sessionCheckpointService.load()
+      .then((checkpoint) => {
+        if (isCancelled || !checkpoint) return;
+
+        if (sessionCheckpointService.isRecent(checkpoint)) {
+          setPendingCheckpoint(checkpoint);
+          return;
+        }
+        logCheckpoint(checkpoint);
+        sessionCheckpointService.clear();
+      })
+      .catch((error) => {
+        errorHandler.handleError(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.STORAGE);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [sessionCheckpointService, logCheckpoint]);
+
+  // Save the session every few seconds and on pause; it is forgotten once it ends
+  useEffect(() => {
+    if (!timerService || !sessionState || !sessionCheckpointService) return;
+
+    let saveTimer = null;
+    let isTracking = false;
+
+    const save = () => {
+      if (!isTracking || !sessionState.isSessionActive()) return;
+
+      const { state } = sessionState;
+      const position = timerService.getPosition();
+      sessionCheckpointService.save({
+        techniqueId: state.currentTechniqueId,
+        startTime: state.sessionStartTime,
+        elapsedSeconds: position.elapsedSeconds,
+        cyclesCompleted: state.cyclesCompleted,
+        pausedMs: sessionState.getPausedDuration(),
+        goal: state.goal,
+        programStage: state.programStage,
+        position
+      });
+    };
+    const stopSaving = () => {
+      clearInterval(saveTimer);
+      saveTimer = null;
+    };
+    const startSaving = () => {
+      stopSaving();
+      isTracking = true;
+      save();
+      saveTimer = setInterval(save, sessionCheckpointService.getInterval());
+    };
+    // Stops also come from setting a technique on an idle timer, which has nothing saved
+    const end = () => {
+      stopSaving();
+      if (!isTracking) return;
+      isTracking = false;
+      sessionCheckpointService.clear();
+    };
+
+    const unsubscribers = [
+      timerService.addListener('start', startSaving),
+      timerService.addListener('resume', startSaving),
+      timerService.addListener('pause', () => {
+        stopSaving();
+        save();
+      }),
+      timerService.addListener('stop', end),
+      timerService.addListener('complete', end)
+    ];
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', save);
+    }
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      stopSaving();
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('pagehide', save);
+      }
+    };
+  }, [timerService, sessionState, sessionCheckpointService]);
+
+  // Only one tab runs a session: running here takes over, and another tab taking over pauses this one
+  useEffect(() => {
+    if (!timerService || !tabCoordinationService) return;
+
+    const unsubscribers = [
+      timerService.addListener('start', () => {
+        tabCoordinationService.setRunning(true);
+        tabCoordinationService.claimLeadership();
+      }),
+      timerService.addListener('resume', () => {
+        tabCoordinationService.setRunning(true);
+        tabCoordinationService.claimLeadership();
+      }),
+      timerService.addListener('pause', () => tabCoordinationService.setRunning(false)),
+      timerService.addListener('stop', () => {
+        tabCoordinationService.setRunning(false);
+        tabCoordinationService.releaseLeadership();
+      }),
+      timerService.addListener('complete', () => {
+        tabCoordinationService.setRunning(false);
+        tabCoordinationService.releaseLeadership();
+      }),
+      tabCoordinationService.addListener((state) => {
+        if (state.isSupported && !state.isLeader && timerService.isRunning && !timerService.isPaused) {
+          timerService.pause(PAUSE_REASONS.OTHER_TAB);
+        }
+      })
+    ];
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
     };
-  }, [timerService, handleTimerUpdate, handleCycleComplete]);
+  }, [timerService, tabCoordinationService]);
+
+  // Keep the screen on while the timer runs; the visual guide and timer stop when it locks
+  useEffect(() => {
+    if (!timerService || !wakeLockService) return;
+
+    const acquire = () => {
+      wakeLockService.acquire();
+    };
+    const release = () => {
+      wakeLockService.release();
+    };
+
+    const unsubscribers = [
+      timerService.addListener('start', acquire),
+      timerService.addListener('resume', acquire),
+      timerService.addListener('pause', release),
+      timerService.addListener('stop', release),
+      timerService.addListener('complete', release)
+    ];
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      wakeLockService.release();
+    };
+  }, [timerService, wakeLockService]);
+
+  // Sustained breath sound: rises on inhale, holds, falls on exhale and fades on pause
+  useEffect(() => {
+    if (!timerService || !audioService || !preferencesState) return;
+
+    let lastPhase = null;
+
+    const getStyle = () => {
+      const { soundEnabled, soundStyle } = preferencesState.state;
+      return soundEnabled && soundStyle && soundStyle !== 'beeps' ? soundStyle : null;
+    };
+    const follow = () => {
+      if (!lastPhase || !audioService.isBreathGuideActive()) return;
+      const { level, seconds } = getBreathTarget(timerService.technique, lastPhase);
+      audioService.setBreathLevel(level, seconds);
+    };
+    const start = () => {
+      const style = getStyle();
+      if (!style) {
+        audioService.stopBreathGuide();
+        return;
+      }
+      audioService.startBreathGuide(style)
+        .then(follow)
+        .catch((error) => {
+          errorHandler.handleError(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.AUDIO);
+        });
+    };
+    const stop = () => {
+      lastPhase = null;
+      audioService.stopBreathGuide();
+    };
+
+    const unsubscribers = [
+      timerService.addListener('start', start),
+      timerService.addListener('resume', start),
+      timerService.addListener('pause', () => audioService.pauseBreathGuide()),
+      timerService.addListener('stop', stop),
+      timerService.addListener('complete', stop),
+      timerService.addListener('update', (data) => {
+        lastPhase = data.currentPhase;
+        follow();
+      }),
+      // Switching the style or sound mid-session takes effect right away
+      preferencesState.subscribe((data) => {
+        const { changes } = data || {};
+        if (!changes || !('soundStyle' in changes || 'soundEnabled' in changes)) return;
+        if (timerService.isCurrentlyRunning()) {
+          start();
+        } else if (!getStyle()) {
+          audioService.stopBreathGuide();
+        }
+      })
+    ];
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      audioService.stopBreathGuide();
+    };
+  }, [timerService, audioService, preferencesState]);
+
+  // Tones from the technique's cue profile, scheduled ahead on the audio clock
+  useEffect(() => {
+    if (!timerService || !cueScheduler || !preferencesState) return;
+
+    cueScheduler.setShouldPlay(() => {
+      const { soundEnabled, soundStyle } = preferencesState.state;
+      // A sustained breath sound or spoken guidance replaces the tones;
+      // without a usable voice the tones play as before
+      return soundEnabled && (soundStyle || 'beeps') === 'beeps' &&
+        !(speechService?.getEnabled() && speechService.isAvailable());
+    });
+
+    // Vibration markers of cue profiles follow the vibration setting
+    cueScheduler.setShouldVibrate(() => !!preferencesState.state.vibrationEnabled);
+    cueScheduler.setCueProfileResolver(technique => getTechniqueCueProfile(preferencesState.state, technique));
+
+    // Imported samples replace built-in tones once decoded; until then the tones play
+    const preloadSamples = () => {
+      soundLibraryService?.preload(getAssignedSampleIds(preferencesState.state.soundAssignments));
+    };
+    cueScheduler.setSampleResolver((technique) => {
+      if (!soundLibraryService) return {};
+      const slots = resolveSoundAssignments(preferencesState.state.soundAssignments, technique?.getId?.());
+      return Object.fromEntries(
+        Object.entries(slots)
+          .map(([slot, sampleId]) => [slot, soundLibraryService.getLoadedSample(sampleId)])
+          .filter(([, buffer]) => buffer)
+      );
+    });
+
+    const start = () => {
+      preloadSamples();
+      cueScheduler.start();
+    };
+    const stop = () => cueScheduler.stop();
+
+    const unsubscribers = [
+      timerService.addListener('start', start),
+      timerService.addListener('resume', start),
+      timerService.addListener('pause', stop),
+      timerService.addListener('stop', stop),
+      timerService.addListener('complete', stop),
+      timerService.addListener('update', (data) => cueScheduler.sync(data)),
+      timerService.addListener('stageChange', () => cueScheduler.syncStage()),
+      preferencesState.subscribe((data) => {
+        if (data?.changes && 'soundAssignments' in data.changes) {
+          preloadSamples();
+        }
+      })
+    ];
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      stop();
+    };
+  }, [timerService, cueScheduler, speechService, soundLibraryService, preferencesState]);
+
+  // Haptic breath guide: one pattern per phase, generated from the technique's durations
+  useEffect(() => {
+    if (!timerService || !vibrationService || !preferencesState) return;
+
+    let registeredFor = null;
+    let lastPhaseStart = null;
+
+    const register = (technique, cycleIndex) => {
+      const profile = preferencesState.state.hapticProfile;
+      // Techniques whose durations change per cycle get new patterns each cycle
+      const signature = JSON.stringify([technique.getId(), technique.getDurationsForCycle(cycleIndex), profile]);
+      if (signature === registeredFor) return;
+      vibrationService.registerTechniquePatterns(technique, profile, cycleIndex);
+      registeredFor = signature;
+    };
+    const play = (data) => {
+      const technique = timerService.technique;
+      const phaseInfo = data?.currentPhase;
+      if (!technique || !phaseInfo) return;
+
+      // Registered even without the guide, so cue profiles can use the breath patterns
+      register(technique, phaseInfo.cycleIndex ?? 0);
+      if (data.isCatchUp || !isHapticGuideOn(preferencesState.state) ||
+        getTechniqueCueProfile(preferencesState.state, technique)) return;
+
+      // Only from the first step; a pattern started later would run into the next phase
+      const phaseStart = `${data.stageIndex}:${data.cycleIndex}:${phaseInfo.phaseIndex}`;
+      if (phaseStart === lastPhaseStart || getStepIndex(phaseInfo.timeInPhase, phaseInfo.duration) !== 0) return;
+      lastPhaseStart = phaseStart;
+
+      vibrationService.playPhasePattern(technique.getId(), phaseInfo.phase?.key).catch((error) => {
+        Logger.warn('context', 'Failed to play phase vibration:', error);
+      });
+    };
+    // The rest of a phase's pattern must not keep buzzing while paused or stopped
+    const cancel = () => {
+      if (isHapticGuideOn(preferencesState.state)) {
+        vibrationService.stop();
+      }
+    };
+
+    const unsubscribers = [
+      timerService.addListener('update', play),
+      timerService.addListener('pause', cancel),
+      timerService.addListener('stop', () => {
+        lastPhaseStart = null;
+        cancel();
+      }),
+      timerService.addListener('complete', () => {
+        lastPhaseStart = null;
+      })
+    ];
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    };
+  }, [timerService, vibrationService, preferencesState]);
+
+  // Background layers under the cues (ambience, binaural or isochronic tones),
+  // crossfaded in and out with the session
+  useEffect(() => {
+    if (!timerService || !audioService || !preferencesState) return;
+
+    const layers = [
+      {
+        keys: ['ambience'],
+        // Drones follow the active technique's key, so program stages crossfade between keys
+        start: ({ ambience }, technique) => ambience && ambience !== 'off' &&
+          audioService.startAmbience(ambience, { rootFrequency: getTechniqueRootFrequency(technique) }),
+        stop: () => audioService.stopAmbience()
+      },
+      {
+        keys: ['entrainmentMode', 'entrainmentPreset'],
+        start: ({ entrainmentMode, entrainmentPreset }, technique) => entrainmentMode && entrainmentMode !== 'off' &&
+          audioService.startEntrainment(
+            entrainmentMode,
+            entrainmentPreset === 'technique' ? getTechniqueEntrainmentPreset(technique) : entrainmentPreset
+          ),
+        stop: () => audioService.stopEntrainment()
+      }
+    ];
+
+    const startLayer = (layer) => {
+      const state = preferencesState.state;
+      const started = state.soundEnabled && layer.start(state, timerService.technique);
+      if (!started) {
+        layer.stop();
+        return;
+      }
+      started.catch((error) => {
+        errorHandler.handleError(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.AUDIO);
+      });
+    };
+    const start = () => {
+      layers.forEach(startLayer);
+    };
+    const stop = () => {
+      layers.forEach(layer => layer.stop());
+    };
+
+    const unsubscribers = [
+      timerService.addListener('start', start),
+      timerService.addListener('resume', start),
+      timerService.addListener('stageChange', start),
+      timerService.addListener('pause', stop),
+      timerService.addListener('stop', stop),
+      timerService.addListener('complete', stop),
+      // Changes made mid-session are heard right away
+      preferencesState.subscribe((data) => {
+        const { changes } = data || {};
+        if (!changes || !timerService.isCurrentlyRunning()) return;
+        layers
+          .filter(layer => 'soundEnabled' in changes || layer.keys.some(key => key in changes))
+          .forEach(startLayer);
+      })
+    ];
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      stop();
+    };
+  }, [timerService, audioService, preferencesState]);
 
   // Warm up audio context on session start to avoid first-beep delay
   useEffect(() => {
@@ -267,12 +816,23 @@ export const BreathingProvider = ({ children }) => {
   // Breathing session actions
   const startSession = useCallback(async (techniqueId, technique) => {
     try {
+      // Starting over instead of resuming keeps the unfinished session in history;
+      // the new session's checkpoint replaces it
+      if (pendingCheckpoint) {
+        logCheckpoint(pendingCheckpoint);
+        setPendingCheckpoint(null);
+      }
+
       // Ensure technique is set in timer service before starting
       if (timerService && technique) {
         timerService.setTechnique(technique);
       }
       
-      const command = new StartBreathingCommand(techniqueId, technique);
+      // Programs set their own length, which the goal progress then tracks
+      const goal = technique?.isProgram
+        ? { type: SESSION_GOAL_TYPES.MINUTES, value: technique.getProgramDuration() / 60 }
+        : preferencesState?.getSessionGoal?.() || null;
+      const command = new StartBreathingCommand(techniqueId, technique, goal);
       return await commandInvoker.executeCommand(command, commandContext);
     } catch (error) {
       Logger.error('context', 'Failed to start breathing session:', error);
@@ -282,7 +842,48 @@ export const BreathingProvider = ({ children }) => {
         { originalError: error.message }
       );
     }
-  }, [commandInvoker, commandContext, timerService]);
+  }, [commandInvoker, commandContext, timerService, preferencesState, pendingCheckpoint, logCheckpoint]);
+
+  // Continue the session cut short by a reload or crash where it was saved
+  const resumeCheckpoint = useCallback(async () => {
+    const checkpoint = pendingCheckpoint;
+    if (!checkpoint) {
+      return { success: false };
+    }
+    setPendingCheckpoint(null);
+
+    try {
+      const { techniqueRegistry } = await import('../techniques/TechniqueRegistry.js');
+      if (!techniqueRegistry.hasTechnique(checkpoint.techniqueId)) {
+        // Deleted since (e.g. a custom technique); what was done is still kept
+        Logger.warn('context', 'Checkpoint technique no longer exists:', checkpoint.techniqueId);
+        logCheckpoint(checkpoint);
+        sessionCheckpointService.clear();
+        return { success: false };
+      }
+
+      const technique = techniqueRegistry.getTechnique(checkpoint.techniqueId);
+      preferencesState?.setSelectedTechniqueId?.(checkpoint.techniqueId);
+      const command = new StartBreathingCommand(checkpoint.techniqueId, technique, checkpoint.goal, checkpoint);
+      return await commandInvoker.executeCommand(command, commandContext);
+    } catch (error) {
+      Logger.error('context', 'Failed to resume breathing session:', error);
+      throw new AppError(
+        'Failed to resume breathing session',
+        ERROR_CODES.COMMAND_EXECUTION_FAILED,
+        { originalError: error.message }
+      );
+    }
+  }, [commandInvoker, commandContext, preferencesState, sessionCheckpointService, pendingCheckpoint, logCheckpoint]);
+
+  // Log the session cut short by a reload or crash instead of resuming it
+  const discardCheckpoint = useCallback(() => {
+    if (!pendingCheckpoint) return;
+
+    logCheckpoint(pendingCheckpoint);
+    sessionCheckpointService.clear();
+    setPendingCheckpoint(null);
+  }, [sessionCheckpointService, pendingCheckpoint, logCheckpoint]);
 
   const pauseSession = useCallback(async () => {
     try {
@@ -312,6 +913,12 @@ export const BreathingProvider = ({ children }) => {
 
   const stopSession = useCallback(async () => {
     try {
+      if (sessionState?.isSessionActive()) {
+        recordSessionHistory({
+          ...sessionState.exportSessionData(),
+          activeMs: Math.round((timerService?.getElapsedTime() ?? sessionState.state.elapsedSeconds) * 1000)
+        });
+      }
       if (sessionState) {
         sessionState.stopSession();
       }
@@ -326,7 +933,7 @@ export const BreathingProvider = ({ children }) => {
         { originalError: error.message }
       );
     }
-  }, [sessionState, timerService]);
+  }, [sessionState, timerService, recordSessionHistory]);
 
   const changeTechnique = useCallback(async (techniqueId, technique) => {
     try {
@@ -408,6 +1015,18 @@ export const BreathingProvider = ({ children }) => {
     return sessionState?.getCycleProgress() || 0;
   }, [sessionState]);
 
+  const getGoalProgress = useCallback(() => {
+    return sessionState?.getGoalProgress() || 0;
+  }, [sessionState]);
+
+  const getSessionSummary = useCallback(() => {
+    return sessionState?.state.sessionSummary || null;
+  }, [sessionState]);
+
+  const dismissSessionSummary = useCallback(() => {
+    sessionState?.clearSessionSummary();
+  }, [sessionState]);
+
   const isSessionActive = useCallback(() => {
     return sessionState?.isSessionActive() || false;
   }, [sessionState]);
@@ -446,6 +1065,11 @@ export const BreathingProvider = ({ children }) => {
     changeTechnique,
     resetSession,
     
+    // Unfinished session from before a reload or crash
+    pendingCheckpoint,
+    resumeCheckpoint,
+    discardCheckpoint,
+    
     // Undo/Redo
     undo,
     redo,
@@ -455,6 +1079,9 @@ export const BreathingProvider = ({ children }) => {
     getCurrentPhase,
     getSessionProgress,
     getCycleProgress,
+    getGoalProgress,
+    getSessionSummary,
+    dismissSessionSummary,
     isSessionActive,
     isSessionRunning,
     isSessionPaused,
@@ -477,12 +1104,18 @@ export const BreathingProvider = ({ children }) => {
     stopSession,
     changeTechnique,
     resetSession,
+    pendingCheckpoint,
+    resumeCheckpoint,
+    discardCheckpoint,
     undo,
     redo,
     getSessionStats,
     getCurrentPhase,
     getSessionProgress,
     getCycleProgress,
+    getGoalProgress,
+    getSessionSummary,
+    dismissSessionSummary,
     isSessionActive,
     isSessionRunning,
     isSessionPaused,
@@ -534,6 +1167,9 @@ export const useBreathingSession = () => {
     sessionStats: breathing.getSessionStats(),
     progress: breathing.getSessionProgress(),
     cycleProgress: breathing.getCycleProgress(),
+    goalProgress: breathing.getGoalProgress(),
+    sessionSummary: breathing.getSessionSummary(),
+    pendingCheckpoint: breathing.pendingCheckpoint,
     
     // Actions
     start: breathing.startSession,
@@ -542,6 +1178,9 @@ export const useBreathingSession = () => {
     stop: breathing.stopSession,
     reset: breathing.resetSession,
     changeTechnique: breathing.changeTechnique,
+    dismissSummary: breathing.dismissSessionSummary,
+    resumeCheckpoint: breathing.resumeCheckpoint,
+    discardCheckpoint: breathing.discardCheckpoint,
     
     // Undo/Redo
     undo: breathing.undo,
@@ -20,9 +20,22 @@ export const ServicesProvider = ({ children, services = {} }) => {
     // Core services
     audioService: services.audioService,
     vibrationService: services.vibrationService,
+    wakeLockService: services.wakeLockService,
+    speechService: services.speechService,
+    soundLibraryService: services.soundLibraryService,
     themeService: services.themeService,
     storageService: services.storageService,
+    storageAdapter: services.storageAdapter,
     timerService: services.timerService,
+    cueScheduler: services.cueScheduler,
+    customTechniqueService: services.customTechniqueService,
+    sessionHistoryService: services.sessionHistoryService,
+    sessionProgramService: services.sessionProgramService,
+    sessionCheckpointService: services.sessionCheckpointService,
+    serviceWorkerService: services.serviceWorkerService,
+    backupService: services.backupService,
+    syncService: services.syncService,
+    tabCoordinationService: services.tabCoordinationService,
     
     // State managers
     appStateManager: services.appStateManager,
@@ -35,6 +48,7 @@ export const ServicesProvider = ({ children, services = {} }) => {
     
     // Command invoker
     commandInvoker: services.commandInvoker,
+    commandRegistry: services.commandRegistry,
     
     // Utilities
     errorHandler: services.errorHandler,
@@ -118,6 +132,24 @@ export const useAudioService = () => useService('audioService');
  */
 export const useVibrationService = () => useService('vibrationService');
 
+/**
+ * Hook to use wake lock service
+ * @returns {object} - Wake lock service
+ */
+export const useWakeLockService = () => useService('wakeLockService');
+
+/**
+ * Hook to use speech service
+ * @returns {object} - Speech service
+ */
+export const useSpeechService = () => useService('speechService');
+
+/**
+ * Hook to use sound library service
+ * @returns {object} - Sound library service
+ */
+export const useSoundLibraryService = () => useService('soundLibraryService');
+
 /**
  * Hook to use theme service
  * @returns {object} - Theme service
@@ -136,6 +168,66 @@ export const useStorageService = () => useService('storageService');
  */
 export const useTimerService = () => useService('timerService');
 
+/**
+ * Hook to use cue scheduler
+ * @returns {object} - Cue scheduler
+ */
+export const useCueScheduler = () => useService('cueScheduler');
+
+/**
+ * Hook to use custom technique service
+ * @returns {object} - Custom technique service
+ */
+export const useCustomTechniqueService = () => useService('customTechniqueService');
+
+/**
+ * Hook to use session history service
+ * @returns {object} - Session history service
+ */
+export const useSessionHistoryService = () => useService('sessionHistoryService');
+
+/**
+ * Hook to use session program service
+ * @returns {object} - Session program service
+ */
+export const useSessionProgramService = () => useService('sessionProgramService');
+
+/**
+ * Hook to use session checkpoint service
+ * @returns {object} - Session checkpoint service
+ */
+export const useSessionCheckpointService = () => useService('sessionCheckpointService');
+
+/**
+ * Hook to use service worker service
+ * @returns {object} - Service worker service
+ */
+export const useServiceWorkerService = () => useService('serviceWorkerService');
+
+/**
+ * Hook to use backup service
+ * @returns {object} - Backup service
+ */
+export const useBackupService = () => useService('backupService');
+
+/**
+ * Hook to use sync service
+ * @returns {object} - Sync service
+ */
+export const useSyncService = () => useService('syncService');
+
+/**
+ * Hook to use tab coordination service
+ * @returns {object} - Tab coordination service
+ */
+export const useTabCoordinationService = () => useService('tabCoordinationService');
+
+/**
+ * Hook to use the storage adapter, which handles encryption at rest
+ * @returns {object} - Encrypted storage adapter
+ */
+export const useStorageAdapter = () => useService('storageAdapter');
+
 /**
  * Hook to use app state manager
  * @returns {object} - App state manager
@@ -160,6 +252,12 @@ export const usePreferencesState = () => useService('preferencesState');
  */
 export const useCommandInvoker = () => useService('commandInvoker');
 
+/**
+ * Hook to use command registry
+ * @returns {object} - Command registry
+ */
+export const useCommandRegistry = () => useService('commandRegistry');
+
 /**
  * Hook to use visualization strategy manager
  * @returns {object} - Visualization strategy manager
@@ -1,16 +1,32 @@
 /**
  * Analytics Enhanced Technique Decorator
  * Adds analytics and tracking capabilities to any technique
+ * Usage metrics are derived from recorded session history rather than kept separately
  * Implements IAnalytics interface
  */
 
 import { TechniqueDecorator } from './TechniqueDecorator.js';
 import { IAnalytics } from '../techniques/interfaces/ITechnique.js';
+import { getTechniqueMetrics } from '../utils/sessionStatistics.js';
+import { TechniqueError } from '../errors/AppError.js';
 import Logger from '../utils/Logger.js';
 
 export class AnalyticsEnhancedTechnique extends TechniqueDecorator {
+  /**
+   * @param {object} technique - Technique to decorate
+   * @param {object} analyticsConfig - Analytics configuration
+   * @param {object} analyticsConfig.historySource - Source of recorded sessions with
+   *   querySessions({techniqueId}), e.g. SessionHistoryService
+   */
   constructor(technique, analyticsConfig = {}) {
     super(technique);
+    if (typeof analyticsConfig.historySource?.querySessions !== 'function') {
+      throw new TechniqueError(
+        'AnalyticsEnhancedTechnique requires a session history source',
+        technique?.getId?.()
+      );
+    }
+
     this.analyticsConfig = {
       enabled: true,
       trackUsage: true,
@@ -18,14 +34,7 @@ export class AnalyticsEnhancedTechnique extends TechniqueDecorator {
       trackErrors: true,
       ...analyticsConfig
     };
-    this.metrics = {
-      totalSessions: 0,
-      totalDuration: 0,
-      averageSessionDuration: 0,
-      lastUsed: null,
-      errorCount: 0,
-      successRate: 1.0
-    };
+    this.errorCount = 0;
   }
 
   /**
@@ -46,25 +55,26 @@ export class AnalyticsEnhancedTechnique extends TechniqueDecorator {
       ...data
     };
 
-    // Update internal metrics
-    this.metrics.totalSessions++;
-    this.metrics.totalDuration += usageData.sessionDuration;
-    this.metrics.averageSessionDuration = this.metrics.totalDuration / this.metrics.totalSessions;
-    this.metrics.lastUsed = new Date().toISOString();
-
-    // Store in localStorage for persistence
-    this.persistMetrics();
-
+    // Sessions themselves are recorded by the history source
     // Send to analytics service (if available)
     this.sendToAnalytics(usageData);
   }
 
   /**
-   * Get technique metrics
-   * @returns {object} - Technique metrics
+   * Get technique metrics aggregated from session history
+   * @returns {object} - Technique metrics (durations in ms)
    */
   getMetrics() {
-    return { ...this.metrics };
+    const records = this.analyticsConfig.historySource.querySessions({ techniqueId: this.getId() });
+    const usage = getTechniqueMetrics(records, this.getId());
+
+    return {
+      ...usage,
+      errorCount: this.errorCount,
+      successRate: usage.totalSessions > 0
+        ? Math.max(0, (usage.totalSessions - this.errorCount) / usage.totalSessions)
+        : 1.0
+    };
   }
 
   /**
@@ -97,8 +107,7 @@ export class AnalyticsEnhancedTechnique extends TechniqueDecorator {
       return;
     }
 
-    this.metrics.errorCount++;
-    this.metrics.successRate = (this.metrics.totalSessions - this.metrics.errorCount) / this.metrics.totalSessions;
+    this.errorCount++;
 
     const errorInfo = {
       techniqueId: this.getId(),
@@ -109,7 +118,6 @@ export class AnalyticsEnhancedTechnique extends TechniqueDecorator {
       ...errorData
     };
 
-    this.persistMetrics();
     this.sendToAnalytics(errorInfo, 'error');
   }
 
@@ -138,45 +146,11 @@ export class AnalyticsEnhancedTechnique extends TechniqueDecorator {
   }
 
   /**
-   * Reset metrics
+   * Reset error tracking
+   * Usage metrics follow session history; clear history to reset them
    */
   resetMetrics() {
-    this.metrics = {
-      totalSessions: 0,
-      totalDuration: 0,
-      averageSessionDuration: 0,
-      lastUsed: null,
-      errorCount: 0,
-      successRate: 1.0
-    };
-    this.persistMetrics();
-  }
-
-  /**
-   * Persist metrics to localStorage
-   */
-  persistMetrics() {
-    try {
-      const key = `analytics_${this.getId()}`;
-      localStorage.setItem(key, JSON.stringify(this.metrics));
-    } catch (error) {
-      Logger.warn("decorator", 'Failed to persist analytics metrics:', error);
-    }
-  }
-
-  /**
-   * Load metrics from localStorage
-   */
-  loadMetrics() {
-    try {
-      const key = `analytics_${this.getId()}`;
-      const stored = localStorage.getItem(key);
-      if (stored) {
-        this.metrics = { ...this.metrics, ...JSON.parse(stored) };
-      }
-    } catch (error) {
-      Logger.warn("decorator", 'Failed to load analytics metrics:', error);
-    }
+    this.errorCount = 0;
   }
 
   /**
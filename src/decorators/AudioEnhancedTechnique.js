@@ -16,6 +16,8 @@ export class AudioEnhancedTechnique extends TechniqueDecorator {
       beepFrequency: 800,
       customTones: false,
       phaseTransitions: true,
+      // Entrainment preset key (see ENTRAINMENT_PRESETS) or {carrier, beat}; null uses the category's
+      entrainment: null,
       ...audioConfig
     };
   }
@@ -135,6 +137,14 @@ export class AudioEnhancedTechnique extends TechniqueDecorator {
     };
   }
 
+  /**
+   * Get the binaural/isochronic preset linked to this technique
+   * @returns {string|object|null} - Preset key, {carrier, beat} or null when none is linked
+   */
+  getEntrainmentPreset() {
+    return this.audioConfig.entrainment;
+  }
+
   /**
    * Update audio configuration
    * @param {object} config - New audio configuration
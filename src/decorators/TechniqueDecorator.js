@@ -17,13 +17,20 @@ export class TechniqueDecorator {
   getPattern() { return this.technique.getPattern(); }
   getPhases() { return this.technique.getPhases(); }
   getDurationsSec() { return this.technique.getDurationsSec(); }
-  getTotalDuration() { return this.technique.getTotalDuration(); }
+  getCategory() { return this.technique.getCategory?.() ?? null; }
+  getDurationsForCycle(cycleIndex) {
+    return this.technique.getDurationsForCycle?.(cycleIndex) || this.technique.getDurationsSec();
+  }
+  getTotalDuration(cycleIndex) { return this.technique.getTotalDuration(cycleIndex); }
+  getCycleStartTime(cycleIndex) { return this.technique.getCycleStartTime?.(cycleIndex) ?? cycleIndex * this.getTotalDuration(); }
+  getPhaseStepCounts(cycleIndex) { return this.technique.getPhaseStepCounts(cycleIndex); }
+  getTotalSteps(cycleIndex) { return this.technique.getTotalSteps(cycleIndex); }
   getCurrentPhase(elapsedSeconds) { return this.technique.getCurrentPhase(elapsedSeconds); }
   validate() { return this.technique.validate(); }
 
   // Optional methods - delegate if they exist
-  getVisualizationPoints() { 
-    return this.technique.getVisualizationPoints?.() || []; 
+  getVisualizationPoints(cycleIndex) { 
+    return this.technique.getVisualizationPoints?.(cycleIndex) || []; 
   }
   getLungScaling(phaseKey, timeInPhase, duration) { 
     return this.technique.getLungScaling?.(phaseKey, timeInPhase, duration) || 1.0; 
@@ -105,6 +105,11 @@ export const ERROR_CODES = {
   STORAGE_READ_FAILED: 'STORAGE_READ_FAILED',
   STORAGE_WRITE_FAILED: 'STORAGE_WRITE_FAILED',
   STORAGE_CLEAR_FAILED: 'STORAGE_CLEAR_FAILED',
+  STORAGE_NOT_SUPPORTED: 'STORAGE_NOT_SUPPORTED',
+  STORAGE_ALREADY_ENCRYPTED: 'STORAGE_ALREADY_ENCRYPTED',
+  STORAGE_NOT_ENCRYPTED: 'STORAGE_NOT_ENCRYPTED',
+  STORAGE_WRONG_PASSPHRASE: 'STORAGE_WRONG_PASSPHRASE',
+  STORAGE_LOCKED: 'STORAGE_LOCKED',
   AUDIO_CONTEXT_FAILED: 'AUDIO_CONTEXT_FAILED',
   AUDIO_PLAYBACK_FAILED: 'AUDIO_PLAYBACK_FAILED',
   VIBRATION_NOT_SUPPORTED: 'VIBRATION_NOT_SUPPORTED',
@@ -24,7 +24,9 @@ export const useBreathingSession = () => {
     currentPhase: null,
     sessionStats: {},
     progress: 0,
-    cycleProgress: 0
+    cycleProgress: 0,
+    goalProgress: 0,
+    sessionSummary: null
   });
   
   // Subscribe to session state changes
@@ -43,7 +45,9 @@ export const useBreathingSession = () => {
           currentPhase: breathing.getCurrentPhase(),
           sessionStats: breathing.getSessionStats(),
           progress: breathing.getSessionProgress(),
-          cycleProgress: breathing.getCycleProgress()
+          cycleProgress: breathing.getCycleProgress(),
+          goalProgress: breathing.getGoalProgress(),
+          sessionSummary: breathing.getSessionSummary()
         };
         Logger.debug("hook", 'useBreathingSession: Updating state:', newState);
         setSessionState(newState);
@@ -78,6 +82,7 @@ export const useBreathingSession = () => {
     stop: breathing?.stopSession,
     reset: breathing?.resetSession,
     changeTechnique: breathing?.changeTechnique,
+    dismissSummary: breathing?.dismissSessionSummary,
     
     // Undo/Redo
     undo: breathing?.undo,
@@ -141,9 +146,13 @@ export const useTechnique = () => {
           Logger.debug("hook", 'useTechnique: Setting technique:', technique.getId());
           setCurrentTechnique(technique);
           
-          // Generate visualization points
+          // Generate visualization points for the running cycle; techniques whose
+          // durations change per cycle (ProgressiveTechnique) get new points each cycle
           if (visualizationStrategyManager) {
-            const points = visualizationStrategyManager.generatePoints(technique);
+            const cycleIndex = technique === sessionState?.state.technique
+              ? sessionState.getCurrentCycleIndex?.() ?? 0
+              : 0;
+            const points = visualizationStrategyManager.generatePoints(technique, cycleIndex);
             setVisualizationPoints(points);
           }
         }
@@ -205,12 +214,12 @@ export const useTechnique = () => {
     return currentTechnique?.getPhases() || [];
   }, [currentTechnique]);
   
-  const getTechniqueDurations = useCallback(() => {
-    return currentTechnique?.getDurationsSec() || [];
+  const getTechniqueDurations = useCallback((cycleIndex = 0) => {
+    return currentTechnique?.getDurationsForCycle?.(cycleIndex) || currentTechnique?.getDurationsSec() || [];
   }, [currentTechnique]);
   
-  const getTotalDuration = useCallback(() => {
-    return currentTechnique?.getTotalDuration() || 0;
+  const getTotalDuration = useCallback((cycleIndex = 0) => {
+    return currentTechnique?.getTotalDuration(cycleIndex) || 0;
   }, [currentTechnique]);
   
   const getCurrentPhase = useCallback((elapsedSeconds) => {
@@ -801,3 +810,11 @@ export const useAccessibility = () => {
 
 // Export all hooks
 export { usePreferences } from './usePreferences.js';
+export { useCustomTechniques } from './useCustomTechniques.js';
+export { useSessionHistory } from './useSessionHistory.js';
+export { useSessionStats } from './useSessionStats.js';
+export { useSessionPrograms } from './useSessionPrograms.js';
+export { useAppUpdate } from './useAppUpdate.js';
+export { useSync } from './useSync.js';
+export { useTabCoordination } from './useTabCoordination.js';
+export { useRegisterCommands, useKeyboardShortcuts, useCommands } from './useCommands.js';
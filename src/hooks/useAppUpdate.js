@@ -0,0 +1,64 @@
+/**
+ * Hook for offline readiness and app updates
+ * Reflects the service worker lifecycle tracked by AppStateManager
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useServices } from '../contexts/ServicesContext.jsx';
+
+/**
+ * Read the update-related flags from the app state
+ * @param {object} appStateManager - App state manager
+ * @returns {object} - {isOnline, isOfflineReady, isUpdateAvailable}
+ */
+const readStatus = (appStateManager) => ({
+  isOnline: appStateManager?.isOnline() ?? true,
+  isOfflineReady: appStateManager?.isOfflineReady() ?? false,
+  isUpdateAvailable: appStateManager?.isUpdateAvailable() ?? false
+});
+
+/**
+ * Hook for app update state
+ * @returns {object} - Status flags and update actions
+ */
+export const useAppUpdate = () => {
+  const { appStateManager } = useServices();
+  const [status, setStatus] = useState(() => readStatus(appStateManager));
+
+  useEffect(() => {
+    if (!appStateManager) return undefined;
+
+    // App state also changes on user activity; only re-render when a flag changes
+    const update = () => {
+      const next = readStatus(appStateManager);
+      setStatus(current => (
+        current.isOnline === next.isOnline &&
+        current.isOfflineReady === next.isOfflineReady &&
+        current.isUpdateAvailable === next.isUpdateAvailable
+          ? current
+          : next
+      ));
+    };
+
+    update();
+    return appStateManager.subscribe(update);
+  }, [appStateManager]);
+
+  const applyUpdate = useCallback(
+    () => appStateManager?.applyUpdate(),
+    [appStateManager]
+  );
+
+  const dismissUpdate = useCallback(
+    () => appStateManager?.dismissUpdate(),
+    [appStateManager]
+  );
+
+  return {
+    ...status,
+    applyUpdate,
+    dismissUpdate
+  };
+};
+
+export default useAppUpdate;
@@ -0,0 +1,64 @@
+/**
+ * Hooks for commands
+ * Register commands, run their keyboard shortcuts and list them for the command palette
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useServices } from '../contexts/ServicesContext.jsx';
+
+/**
+ * Register commands while the calling component is mounted
+ * @param {object[]} commands - Commands (see CommandRegistry.register); memoize them,
+ *   every new array registers again
+ */
+export const useRegisterCommands = (commands) => {
+  const { commandRegistry } = useServices();
+
+  useEffect(() => {
+    if (!commandRegistry || !commands?.length) return undefined;
+    return commandRegistry.register(commands);
+  }, [commandRegistry, commands]);
+};
+
+/**
+ * Run registered commands from their keyboard shortcuts
+ */
+export const useKeyboardShortcuts = () => {
+  const { commandRegistry } = useServices();
+
+  useEffect(() => {
+    if (!commandRegistry || typeof document === 'undefined') return undefined;
+
+    const handleKeyDown = (event) => {
+      commandRegistry.handleKeyDown(event);
+    };
+    document.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [commandRegistry]);
+};
+
+/**
+ * Hook for the registered commands
+ * @returns {object} - {commands, run, isEnabled}
+ */
+export const useCommands = () => {
+  const { commandRegistry } = useServices();
+  const [commands, setCommands] = useState(() => commandRegistry?.getCommands() || []);
+
+  useEffect(() => {
+    if (!commandRegistry) return undefined;
+
+    setCommands(commandRegistry.getCommands());
+    return commandRegistry.addListener(setCommands);
+  }, [commandRegistry]);
+
+  const run = useCallback((command) => commandRegistry?.run(command) || false, [commandRegistry]);
+  const isEnabled = useCallback((command) => commandRegistry?.isEnabled(command) ?? false, [commandRegistry]);
+
+  return { commands, run, isEnabled };
+};
+
+export default useCommands;
@@ -0,0 +1,49 @@
+/**
+ * Hook for user-defined techniques
+ * Provides reactive access to custom techniques and their CRUD actions
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useServices } from '../contexts/ServicesContext.jsx';
+
+/**
+ * Hook for custom technique management
+ * @returns {object} - Custom techniques and actions
+ */
+export const useCustomTechniques = () => {
+  const { customTechniqueService } = useServices();
+  const [customTechniques, setCustomTechniques] = useState(
+    () => customTechniqueService?.getCustomTechniques() || []
+  );
+
+  useEffect(() => {
+    if (!customTechniqueService) return undefined;
+
+    setCustomTechniques(customTechniqueService.getCustomTechniques());
+    return customTechniqueService.addListener(setCustomTechniques);
+  }, [customTechniqueService]);
+
+  const saveTechnique = useCallback(
+    (definition) => customTechniqueService.saveTechnique(definition),
+    [customTechniqueService]
+  );
+
+  const deleteTechnique = useCallback(
+    (id) => customTechniqueService.deleteTechnique(id),
+    [customTechniqueService]
+  );
+
+  const validateTechnique = useCallback(
+    (definition) => customTechniqueService.validate(definition),
+    [customTechniqueService]
+  );
+
+  return {
+    customTechniques,
+    saveTechnique,
+    deleteTechnique,
+    validateTechnique
+  };
+};
+
+export default useCustomTechniques;
@@ -8,6 +8,29 @@ import { useServices } from '../contexts/ServicesContext.jsx';
 import { StateObserver } from '../state/Observer.js';
 import Logger from '../utils/Logger.js';
 
+/**
+ * Flatten speech preferences into preference fields
+ * @param {object} speech - Speech preferences {enabled, voiceURI, rate, pitch}
+ * @returns {object} - Preference fields
+ */
+const getSpeechState = (speech) => ({
+  voiceGuidanceEnabled: speech.enabled,
+  speechVoiceURI: speech.voiceURI,
+  speechRate: speech.rate,
+  speechPitch: speech.pitch
+});
+
+/**
+ * Flatten entrainment preferences into preference fields
+ * @param {object} entrainment - Entrainment preferences {mode, preset, volume}
+ * @returns {object} - Preference fields
+ */
+const getEntrainmentState = (entrainment) => ({
+  entrainmentMode: entrainment.mode,
+  entrainmentPreset: entrainment.preset,
+  entrainmentVolume: entrainment.volume
+});
+
 /**
  * Hook for preferences management
  * @returns {object} - Preferences state and actions
@@ -25,7 +48,14 @@ export const usePreferences = () => {
         return {
           soundEnabled: preferencesState.isSoundEnabled(),
           soundVolume: preferencesState.getSoundVolume(),
+          soundStyle: preferencesState.getSoundStyle(),
+          ambience: preferencesState.getAmbience(),
+          ambienceVolume: preferencesState.getAmbienceVolume(),
+          ...getEntrainmentState(preferencesState.getEntrainmentPreferences()),
           vibrationEnabled: preferencesState.isVibrationEnabled(),
+          keepScreenOn: preferencesState.isKeepScreenOnEnabled(),
+          backgroundBehavior: preferencesState.getBackgroundBehavior(),
+          ...getSpeechState(preferencesState.getSpeechPreferences()),
           currentTheme: preferencesState.getCurrentTheme(),
           currentLanguage: preferencesState.getCurrentLanguage(),
           selectedTechniqueId: preferencesState.getSelectedTechniqueId(),
@@ -36,7 +66,11 @@ export const usePreferences = () => {
           highContrast: preferencesState.getHighContrast(),
           fontSize: preferencesState.getFontSize(),
           colorBlindMode: preferencesState.getColorBlindMode(),
-          accessibilityMode: preferencesState.getAccessibilityMode()
+          accessibilityMode: preferencesState.getAccessibilityMode(),
+          sessionGoal: preferencesState.getSessionGoal(),
+          soundAssignments: preferencesState.getSoundAssignments(),
+          hapticProfile: preferencesState.getHapticProfile(),
+          cueProfiles: preferencesState.getCueProfiles()
         };
       } catch (error) {
         Logger.warn("hook", 'Failed to load preferences from state, using defaults:', error);
@@ -47,7 +81,19 @@ export const usePreferences = () => {
     return {
       soundEnabled: true,
       soundVolume: 0.25,
+      soundStyle: 'beeps',
+      ambience: 'off',
+      ambienceVolume: 0.3,
+      entrainmentMode: 'off',
+      entrainmentPreset: 'technique',
+      entrainmentVolume: 0.5,
       vibrationEnabled: false,
+      keepScreenOn: true,
+      backgroundBehavior: 'continue',
+      voiceGuidanceEnabled: false,
+      speechVoiceURI: '',
+      speechRate: 1,
+      speechPitch: 1,
       currentTheme: 'dark',
       currentLanguage: 'en',
       selectedTechniqueId: 'box4',
@@ -58,7 +104,11 @@ export const usePreferences = () => {
       highContrast: false,
       fontSize: 'medium',
       colorBlindMode: false,
-      accessibilityMode: false
+      accessibilityMode: false,
+      sessionGoal: { type: 'none', value: 0 },
+      soundAssignments: { default: {}, techniques: {} },
+      hapticProfile: { enabled: false, inhale: 'ramp', hold: 'steady', exhale: 'decay', strength: 'medium' },
+      cueProfiles: {}
     };
   };
 
@@ -76,7 +126,14 @@ export const usePreferences = () => {
         setPreferences({
           soundEnabled: preferencesState.isSoundEnabled(),
           soundVolume: preferencesState.getSoundVolume(),
+          soundStyle: preferencesState.getSoundStyle(),
+          ambience: preferencesState.getAmbience(),
+          ambienceVolume: preferencesState.getAmbienceVolume(),
+          ...getEntrainmentState(preferencesState.getEntrainmentPreferences()),
           vibrationEnabled: preferencesState.isVibrationEnabled(),
+          keepScreenOn: preferencesState.isKeepScreenOnEnabled(),
+          backgroundBehavior: preferencesState.getBackgroundBehavior(),
+          ...getSpeechState(preferencesState.getSpeechPreferences()),
           currentTheme: preferencesState.getCurrentTheme(),
           currentLanguage: preferencesState.getCurrentLanguage(),
           selectedTechniqueId: preferencesState.getSelectedTechniqueId(),
@@ -87,7 +144,11 @@ export const usePreferences = () => {
           highContrast: preferencesState.getHighContrast(),
           fontSize: preferencesState.getFontSize(),
           colorBlindMode: preferencesState.getColorBlindMode(),
-          accessibilityMode: preferencesState.getAccessibilityMode()
+          accessibilityMode: preferencesState.getAccessibilityMode(),
+          sessionGoal: preferencesState.getSessionGoal(),
+          soundAssignments: preferencesState.getSoundAssignments(),
+          hapticProfile: preferencesState.getHapticProfile(),
+          cueProfiles: preferencesState.getCueProfiles()
         });
       } catch (error) {
         Logger.warn("hook", 'Failed to load preferences from state:', error);
@@ -112,7 +173,19 @@ export const usePreferences = () => {
         setPreferences({
           soundEnabled: data.currentState.soundEnabled,
           soundVolume: data.currentState.soundVolume,
+          soundStyle: data.currentState.soundStyle,
+          ambience: data.currentState.ambience,
+          ambienceVolume: data.currentState.ambienceVolume,
+          entrainmentMode: data.currentState.entrainmentMode,
+          entrainmentPreset: data.currentState.entrainmentPreset,
+          entrainmentVolume: data.currentState.entrainmentVolume,
           vibrationEnabled: data.currentState.vibrationEnabled,
+          keepScreenOn: data.currentState.keepScreenOn,
+          backgroundBehavior: data.currentState.backgroundBehavior,
+          voiceGuidanceEnabled: data.currentState.voiceGuidanceEnabled,
+          speechVoiceURI: data.currentState.speechVoiceURI,
+          speechRate: data.currentState.speechRate,
+          speechPitch: data.currentState.speechPitch,
           currentTheme: data.currentState.currentTheme,
           currentLanguage: data.currentState.currentLanguage,
           selectedTechniqueId: data.currentState.selectedTechniqueId,
@@ -123,7 +196,11 @@ export const usePreferences = () => {
           highContrast: data.currentState.highContrast,
           fontSize: data.currentState.fontSize,
           colorBlindMode: data.currentState.colorBlindMode,
-          accessibilityMode: data.currentState.accessibilityMode
+          accessibilityMode: data.currentState.accessibilityMode,
+          sessionGoal: data.currentState.sessionGoal,
+          soundAssignments: data.currentState.soundAssignments,
+          hapticProfile: data.currentState.hapticProfile,
+          cueProfiles: data.currentState.cueProfiles
         });
       }
     });
@@ -169,6 +246,78 @@ export const usePreferences = () => {
     }
   }, [preferencesState]);
 
+  const setSoundStyle = useCallback((style) => {
+    if (preferencesState && typeof preferencesState.setSoundStyle === 'function') {
+      preferencesState.setSoundStyle(style);
+    }
+  }, [preferencesState]);
+
+  const setAmbience = useCallback((ambience) => {
+    if (preferencesState && typeof preferencesState.setAmbience === 'function') {
+      preferencesState.setAmbience(ambience);
+    }
+  }, [preferencesState]);
+
+  const setAmbienceVolume = useCallback((volume) => {
+    if (preferencesState && typeof preferencesState.setAmbienceVolume === 'function') {
+      preferencesState.setAmbienceVolume(volume);
+    }
+  }, [preferencesState]);
+
+  const setEntrainmentMode = useCallback((mode) => {
+    if (preferencesState && typeof preferencesState.setEntrainmentMode === 'function') {
+      preferencesState.setEntrainmentMode(mode);
+    }
+  }, [preferencesState]);
+
+  const setEntrainmentPreset = useCallback((preset) => {
+    if (preferencesState && typeof preferencesState.setEntrainmentPreset === 'function') {
+      preferencesState.setEntrainmentPreset(preset);
+    }
+  }, [preferencesState]);
+
+  const setEntrainmentVolume = useCallback((volume) => {
+    if (preferencesState && typeof preferencesState.setEntrainmentVolume === 'function') {
+      preferencesState.setEntrainmentVolume(volume);
+    }
+  }, [preferencesState]);
+
+  const setKeepScreenOn = useCallback((enabled) => {
+    if (preferencesState && typeof preferencesState.setKeepScreenOn === 'function') {
+      preferencesState.setKeepScreenOn(enabled);
+    }
+  }, [preferencesState]);
+
+  const setBackgroundBehavior = useCallback((behavior) => {
+    if (preferencesState && typeof preferencesState.setBackgroundBehavior === 'function') {
+      preferencesState.setBackgroundBehavior(behavior);
+    }
+  }, [preferencesState]);
+
+  const setVoiceGuidanceEnabled = useCallback((enabled) => {
+    if (preferencesState && typeof preferencesState.setVoiceGuidanceEnabled === 'function') {
+      preferencesState.setVoiceGuidanceEnabled(enabled);
+    }
+  }, [preferencesState]);
+
+  const setSpeechVoice = useCallback((voiceURI) => {
+    if (preferencesState && typeof preferencesState.setSpeechVoice === 'function') {
+      preferencesState.setSpeechVoice(voiceURI);
+    }
+  }, [preferencesState]);
+
+  const setSpeechRate = useCallback((rate) => {
+    if (preferencesState && typeof preferencesState.setSpeechRate === 'function') {
+      preferencesState.setSpeechRate(rate);
+    }
+  }, [preferencesState]);
+
+  const setSpeechPitch = useCallback((pitch) => {
+    if (preferencesState && typeof preferencesState.setSpeechPitch === 'function') {
+      preferencesState.setSpeechPitch(pitch);
+    }
+  }, [preferencesState]);
+
   const setCurrentTheme = useCallback((theme) => {
     Logger.debug("hook", 'usePreferences.setCurrentTheme called with:', theme);
     if (preferencesState && typeof preferencesState.setCurrentTheme === 'function') {
@@ -240,6 +389,36 @@ export const usePreferences = () => {
     }
   }, [preferencesState]);
 
+  const setSessionGoal = useCallback((goal) => {
+    if (preferencesState && typeof preferencesState.setSessionGoal === 'function') {
+      preferencesState.setSessionGoal(goal);
+    }
+  }, [preferencesState]);
+
+  const setSoundAssignment = useCallback((slot, sampleId, techniqueId) => {
+    if (preferencesState && typeof preferencesState.setSoundAssignment === 'function') {
+      preferencesState.setSoundAssignment(slot, sampleId, techniqueId);
+    }
+  }, [preferencesState]);
+
+  const removeSoundAssignments = useCallback((sampleId) => {
+    if (preferencesState && typeof preferencesState.removeSoundAssignments === 'function') {
+      preferencesState.removeSoundAssignments(sampleId);
+    }
+  }, [preferencesState]);
+
+  const setHapticProfile = useCallback((profile) => {
+    if (preferencesState && typeof preferencesState.setHapticProfile === 'function') {
+      preferencesState.setHapticProfile(profile);
+    }
+  }, [preferencesState]);
+
+  const setCueProfile = useCallback((techniqueId, profile) => {
+    if (preferencesState && typeof preferencesState.setCueProfile === 'function') {
+      preferencesState.setCueProfile(techniqueId, profile);
+    }
+  }, [preferencesState]);
+
   const updatePreferences = useCallback((updates) => {
     if (preferencesState && typeof preferencesState.updatePreferences === 'function') {
       preferencesState.updatePreferences(updates);
@@ -260,6 +439,18 @@ export const usePreferences = () => {
     setSoundEnabled: setSoundEnabled || (() => {}),
     setSoundVolume: setSoundVolume || (() => {}),
     setVibrationEnabled: setVibrationEnabled || (() => {}),
+    setKeepScreenOn: setKeepScreenOn || (() => {}),
+    setBackgroundBehavior: setBackgroundBehavior || (() => {}),
+    setSoundStyle: setSoundStyle || (() => {}),
+    setAmbience: setAmbience || (() => {}),
+    setAmbienceVolume: setAmbienceVolume || (() => {}),
+    setEntrainmentMode: setEntrainmentMode || (() => {}),
+    setEntrainmentPreset: setEntrainmentPreset || (() => {}),
+    setEntrainmentVolume: setEntrainmentVolume || (() => {}),
+    setVoiceGuidanceEnabled: setVoiceGuidanceEnabled || (() => {}),
+    setSpeechVoice: setSpeechVoice || (() => {}),
+    setSpeechRate: setSpeechRate || (() => {}),
+    setSpeechPitch: setSpeechPitch || (() => {}),
     setCurrentTheme: setCurrentTheme || (() => {}),
     setCurrentLanguage: setCurrentLanguage || (() => {}),
     setSelectedTechniqueId: setSelectedTechniqueId || (() => {}),
@@ -271,6 +462,11 @@ export const usePreferences = () => {
     setFontSize: setFontSize || (() => {}),
     setColorBlindMode: setColorBlindMode || (() => {}),
     setAccessibilityMode: setAccessibilityMode || (() => {}),
+    setSessionGoal: setSessionGoal || (() => {}),
+    setSoundAssignment: setSoundAssignment || (() => {}),
+    removeSoundAssignments: removeSoundAssignments || (() => {}),
+    setHapticProfile: setHapticProfile || (() => {}),
+    setCueProfile: setCueProfile || (() => {}),
     updatePreferences: updatePreferences || (() => {}),
     resetToDefaults: resetToDefaults || (() => {})
   };
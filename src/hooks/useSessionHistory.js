@@ -0,0 +1,50 @@
+/**
+ * Hook for session history
+ * Provides reactive access to recorded sessions and history actions
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useServices } from '../contexts/ServicesContext.jsx';
+import { filterSessionRecords } from '../services/SessionHistoryService.js';
+
+/**
+ * Hook for session history
+ * @returns {object} - Recorded sessions and actions
+ */
+export const useSessionHistory = () => {
+  const { sessionHistoryService } = useServices();
+  const [sessions, setSessions] = useState(
+    () => sessionHistoryService?.getSessions() || []
+  );
+
+  useEffect(() => {
+    if (!sessionHistoryService) return undefined;
+
+    setSessions(sessionHistoryService.getSessions());
+    return sessionHistoryService.addListener(setSessions);
+  }, [sessionHistoryService]);
+
+  const querySessions = useCallback(
+    (query) => filterSessionRecords(sessions, query),
+    [sessions]
+  );
+
+  const deleteSession = useCallback(
+    (id) => sessionHistoryService.deleteSession(id),
+    [sessionHistoryService]
+  );
+
+  const clearHistory = useCallback(
+    () => sessionHistoryService.clearHistory(),
+    [sessionHistoryService]
+  );
+
+  return {
+    sessions,
+    querySessions,
+    deleteSession,
+    clearHistory
+  };
+};
+
+export default useSessionHistory;
@@ -0,0 +1,49 @@
+/**
+ * Hook for multi-stage session programs
+ * Provides reactive access to programs and their CRUD actions
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useServices } from '../contexts/ServicesContext.jsx';
+
+/**
+ * Hook for session program management
+ * @returns {object} - Programs and actions
+ */
+export const useSessionPrograms = () => {
+  const { sessionProgramService } = useServices();
+  const [programs, setPrograms] = useState(
+    () => sessionProgramService?.getPrograms() || []
+  );
+
+  useEffect(() => {
+    if (!sessionProgramService) return undefined;
+
+    setPrograms(sessionProgramService.getPrograms());
+    return sessionProgramService.addListener(setPrograms);
+  }, [sessionProgramService]);
+
+  const saveProgram = useCallback(
+    (definition) => sessionProgramService.saveProgram(definition),
+    [sessionProgramService]
+  );
+
+  const deleteProgram = useCallback(
+    (id) => sessionProgramService.deleteProgram(id),
+    [sessionProgramService]
+  );
+
+  const validateProgram = useCallback(
+    (definition) => sessionProgramService.validate(definition),
+    [sessionProgramService]
+  );
+
+  return {
+    programs,
+    saveProgram,
+    deleteProgram,
+    validateProgram
+  };
+};
+
+export default useSessionPrograms;
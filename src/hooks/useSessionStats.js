@@ -0,0 +1,29 @@
+/**
+ * Hook for session statistics
+ * Aggregates recorded session history into dashboard statistics
+ */
+
+import { useMemo } from 'react';
+import { useSessionHistory } from './useSessionHistory.js';
+import { aggregateSessionStats } from '../utils/sessionStatistics.js';
+
+/**
+ * Hook for session statistics
+ * @param {object} options - Aggregation options {weekStartsOn, heatmapWeeks, favoriteLimit}
+ * @returns {object} - Aggregated statistics and the underlying sessions
+ */
+export const useSessionStats = ({ weekStartsOn = 1, heatmapWeeks, favoriteLimit } = {}) => {
+  const { sessions } = useSessionHistory();
+
+  const stats = useMemo(
+    () => aggregateSessionStats(sessions, { weekStartsOn, heatmapWeeks, favoriteLimit }),
+    [sessions, weekStartsOn, heatmapWeeks, favoriteLimit]
+  );
+
+  return {
+    sessions,
+    stats
+  };
+};
+
+export default useSessionStats;
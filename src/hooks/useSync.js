@@ -0,0 +1,43 @@
+/**
+ * Hook for cross-device sync
+ * Provides reactive sync status and sync actions
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useServices } from '../contexts/ServicesContext.jsx';
+
+/**
+ * Hook for cross-device sync
+ * @returns {object} - Sync status and actions
+ */
+export const useSync = () => {
+  const { syncService } = useServices();
+  const [status, setStatus] = useState(
+    () => syncService?.getStatus() || null
+  );
+
+  useEffect(() => {
+    if (!syncService) return undefined;
+
+    setStatus(syncService.getStatus());
+    return syncService.addListener(setStatus);
+  }, [syncService]);
+
+  const setEndpoint = useCallback(
+    (endpoint) => syncService.setEndpoint(endpoint),
+    [syncService]
+  );
+
+  const syncNow = useCallback(
+    () => syncService.sync(),
+    [syncService]
+  );
+
+  return {
+    status,
+    setEndpoint,
+    syncNow
+  };
+};
+
+export default useSync;
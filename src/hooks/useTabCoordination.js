@@ -0,0 +1,31 @@
+/**
+ * Hook for tab coordination
+ * Provides reactive access to whether a session runs in another tab
+ */
+
+import { useState, useEffect } from 'react';
+import { useServices } from '../contexts/ServicesContext.jsx';
+
+const INITIAL_STATE = { isSupported: false, isLeader: false, isOtherTabRunning: false };
+
+/**
+ * Hook for tab coordination
+ * @returns {object} - {isSupported, isLeader, isOtherTabRunning}
+ */
+export const useTabCoordination = () => {
+  const { tabCoordinationService } = useServices();
+  const [state, setState] = useState(
+    () => tabCoordinationService?.getState() || INITIAL_STATE
+  );
+
+  useEffect(() => {
+    if (!tabCoordinationService) return undefined;
+
+    setState(tabCoordinationService.getState());
+    return tabCoordinationService.addListener(setState);
+  }, [tabCoordinationService]);
+
+  return state;
+};
+
+export default useTabCoordination;
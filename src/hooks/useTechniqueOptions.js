@@ -1,20 +1,29 @@
 import { useMemo } from 'react';
 import { useLocalization } from '../contexts/LocalizationContext.jsx';
 import { techniqueRegistry } from '../techniques/TechniqueRegistry.js';
+import { useCustomTechniques } from './useCustomTechniques.js';
 
 export function useTechniqueOptions() {
   const { t } = useLocalization();
+  const { customTechniques } = useCustomTechniques();
 
   const options = useMemo(() => {
+    const customIds = new Set(customTechniques.map((technique) => technique.id));
+    const translate = (technique, field) => (
+      customIds.has(technique.id)
+        ? technique[field]
+        : t(`techniques.${technique.id}.${field}`, { fallback: technique[field] })
+    );
+
     return techniqueRegistry.getTechniqueMetadata().map((technique) => ({
       ...technique,
-      name: t(`techniques.${technique.id}.name`) || technique.name,
-      description: t(`techniques.${technique.id}.description`) || technique.description,
-      benefits: t(`techniques.${technique.id}.benefits`) || technique.benefits,
+      name: translate(technique, 'name'),
+      description: translate(technique, 'description'),
+      benefits: translate(technique, 'benefits'),
       value: technique.id,
-      label: t(`techniques.${technique.id}.name`) || technique.name
+      label: translate(technique, 'name')
     }));
-  }, [t]);
+  }, [t, customTechniques]);
 
   return options;
 }
@@ -0,0 +1,103 @@
+/**
+ * Offline Service Worker
+ * Precaches the built app and the locale files and serves them without a connection;
+ * a new version waits until the page asks it to take over (see ServiceWorkerService)
+ * The precache list and version are filled in at build time by vite/precacheServiceWorker.js
+ */
+
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST__ || [];
+const CACHE_VERSION = self.__PRECACHE_VERSION__ || 'dev';
+const CACHE_PREFIX = 'breathing-app-precache-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+const APP_SHELL = 'index.html';
+
+/**
+ * Resolve a precache path against the service worker scope (the app base URL)
+ * @param {string} path - Path relative to the build output
+ * @returns {string} - Absolute URL
+ */
+const toScopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+/**
+ * Serve from the cache, falling back to the network
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} - Response
+ */
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  return cached || fetch(request);
+};
+
+/**
+ * Serve the cached copy and refresh it in the background
+ * Locale files can change without a new bundle, so they are kept up to date when online
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} - Response
+ */
+const staleWhileRevalidate = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const refresh = fetch(request)
+    .then(response => {
+      if (response.ok) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => null);
+
+  return cached || (await refresh) || Response.error();
+};
+
+/**
+ * Serve the app shell for navigations so the app opens offline
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} - Response
+ */
+const serveAppShell = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const shell = await cache.match(toScopeUrl(APP_SHELL));
+  return shell || fetch(request);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_MANIFEST.map(toScopeUrl)))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(serveAppShell(request));
+  } else if (url.pathname.endsWith('.yaml')) {
+    event.respondWith(staleWhileRevalidate(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
@@ -0,0 +1,276 @@
+/**
+ * Ambience Generator
+ * Builds procedural background soundscapes in Web Audio following Single Responsibility Principle
+ * Everything is synthesized in the browser, so no audio assets are downloaded
+ */
+
+import { ServiceError } from '../errors/AppError.js';
+
+export const AMBIENCE_TYPES = {
+  BROWN: 'brown',
+  PINK: 'pink',
+  RAIN: 'rain',
+  DRONE: 'drone'
+};
+
+// Noise is rendered once per context into a loop long enough not to sound repetitive
+const NOISE_LOOP_SECONDS = 8;
+const RAIN_DROPS_PER_SECOND = 60;
+
+// Relative loudness so every soundscape sits at a similar level under the cues
+const LAYER_LEVELS = {
+  [AMBIENCE_TYPES.BROWN]: 0.5,
+  [AMBIENCE_TYPES.PINK]: 0.35,
+  [AMBIENCE_TYPES.RAIN]: 0.5,
+  [AMBIENCE_TYPES.DRONE]: 0.3
+};
+
+// Drone roots sit between A1 and A2, low enough to stay in the background
+const DRONE_RANGE = { min: 55, max: 110 };
+const DRONE_ROOTS = [55, 61.74, 65.41, 73.42, 82.41, 87.31, 98];
+
+/**
+ * Fold a frequency by octaves into the drone range
+ * @param {number} frequency - Frequency in Hz
+ * @returns {number} - Frequency between DRONE_RANGE.min and DRONE_RANGE.max
+ */
+const foldIntoDroneRange = (frequency) => {
+  let folded = frequency;
+  while (folded >= DRONE_RANGE.max) folded /= 2;
+  while (folded < DRONE_RANGE.min) folded *= 2;
+  return folded;
+};
+
+/**
+ * Get the key a technique's drone is played in
+ * Uses audioConfig.rootFrequency (see AudioEnhancedTechnique), then the technique's
+ * custom exhale tone, then a root picked from the technique id so each technique keeps its own key
+ * @param {object} technique - Technique
+ * @returns {number} - Root frequency in Hz
+ */
+export const getTechniqueRootFrequency = (technique) => {
+  const rootFrequency = technique?.getAudioConfig?.()?.rootFrequency;
+  if (rootFrequency > 0) {
+    return foldIntoDroneRange(rootFrequency);
+  }
+
+  const toneFrequency = technique?.getCustomTones?.()?.exhale?.frequency;
+  if (toneFrequency > 0) {
+    return foldIntoDroneRange(toneFrequency);
+  }
+
+  const id = String(technique?.getId?.() || '');
+  const hash = [...id].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+  return DRONE_ROOTS[hash % DRONE_ROOTS.length];
+};
+
+/**
+ * Fill with brown noise (integrated white noise)
+ * The drift is removed so the loop's end meets its start without a click
+ * @param {Float32Array} data - Samples
+ */
+const fillBrownNoise = (data) => {
+  let last = 0;
+  for (let i = 0; i < data.length; i++) {
+    last = (last + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+    data[i] = last * 3.5;
+  }
+
+  const drift = data[data.length - 1] - data[0];
+  for (let i = 0; i < data.length; i++) {
+    data[i] -= drift * (i / (data.length - 1));
+  }
+};
+
+/**
+ * Fill with pink noise (Paul Kellet's filter on white noise)
+ * @param {Float32Array} data - Samples
+ */
+const fillPinkNoise = (data) => {
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+  for (let i = 0; i < data.length; i++) {
+    const white = Math.random() * 2 - 1;
+    b0 = 0.99886 * b0 + white * 0.0555179;
+    b1 = 0.99332 * b1 + white * 0.0750759;
+    b2 = 0.96900 * b2 + white * 0.1538520;
+    b3 = 0.86650 * b3 + white * 0.3104856;
+    b4 = 0.55000 * b4 + white * 0.5329522;
+    b5 = -0.7616 * b5 - white * 0.0168980;
+    data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+    b6 = white * 0.115926;
+  }
+};
+
+/**
+ * Fill with rain: a soft pink bed plus granular drops, each a short burst of noise
+ * @param {Float32Array} data - Samples
+ * @param {number} sampleRate - Sample rate
+ */
+const fillRain = (data, sampleRate) => {
+  fillPinkNoise(data);
+  for (let i = 0; i < data.length; i++) {
+    data[i] *= 0.3;
+  }
+
+  const dropCount = Math.floor((data.length / sampleRate) * RAIN_DROPS_PER_SECOND);
+  for (let drop = 0; drop < dropCount; drop++) {
+    const start = Math.floor(Math.random() * data.length);
+    const amplitude = 0.15 + Math.random() * 0.5;
+    const decay = sampleRate * (0.004 + Math.random() * 0.016);
+    const length = Math.floor(decay * 5);
+
+    // Wrap around so drops near the end continue at the start of the loop
+    for (let t = 0; t < length; t++) {
+      const index = (start + t) % data.length;
+      data[index] += (Math.random() * 2 - 1) * amplitude * Math.exp(-t / decay);
+    }
+  }
+};
+
+/**
+ * Ambience Generator class
+ * Creates ambience layers for one audio context
+ */
+export class AmbienceGenerator {
+  /**
+   * @param {AudioContext} context - Audio context layers are created in
+   */
+  constructor(context) {
+    this.context = context;
+    this.buffers = new Map();
+  }
+
+  /**
+   * Create a running ambience layer
+   * @param {string} type - One of AMBIENCE_TYPES
+   * @param {object} [options] - {rootFrequency: drone key in Hz}
+   * @returns {object} - Layer {type, output, stop(time)}; output is a GainNode to connect and fade
+   */
+  createLayer(type, { rootFrequency = DRONE_ROOTS[0] } = {}) {
+    if (!LAYER_LEVELS[type]) {
+      throw new ServiceError(
+        `Unknown ambience type: ${type}`,
+        'AmbienceGenerator',
+        { type, validTypes: Object.values(AMBIENCE_TYPES) }
+      );
+    }
+
+    const output = this.context.createGain();
+    output.gain.value = 0;
+    const level = this.context.createGain();
+    level.gain.value = LAYER_LEVELS[type];
+    level.connect(output);
+
+    const sources = type === AMBIENCE_TYPES.DRONE
+      ? this.createDrone(level, rootFrequency)
+      : this.createNoise(level, type);
+
+    const startTime = this.context.currentTime;
+    sources.forEach(source => source.start(startTime));
+
+    return {
+      type,
+      rootFrequency: type === AMBIENCE_TYPES.DRONE ? rootFrequency : null,
+      output,
+      stop: (time = this.context.currentTime) => {
+        sources.forEach(source => source.stop(time));
+        sources[0].onended = () => output.disconnect();
+      }
+    };
+  }
+
+  /**
+   * Create a looping noise source, shaped for rain
+   * @param {AudioNode} destination - Node to connect to
+   * @param {string} type - Noise type
+   * @returns {AudioScheduledSourceNode[]} - Sources to start
+   */
+  createNoise(destination, type) {
+    const source = this.context.createBufferSource();
+    source.buffer = this.getBuffer(type);
+    source.loop = true;
+
+    if (type === AMBIENCE_TYPES.RAIN) {
+      // Keep the patter and hiss, drop the rumble and the harshest highs
+      const highpass = this.context.createBiquadFilter();
+      highpass.type = 'highpass';
+      highpass.frequency.value = 500;
+      const lowpass = this.context.createBiquadFilter();
+      lowpass.type = 'lowpass';
+      lowpass.frequency.value = 7000;
+      source.connect(highpass).connect(lowpass).connect(destination);
+    } else {
+      source.connect(destination);
+    }
+
+    return [source];
+  }
+
+  /**
+   * Create a drone on the root, fifth and octave with a slow swell
+   * @param {AudioNode} destination - Node to connect to
+   * @param {number} rootFrequency - Root in Hz
+   * @returns {AudioScheduledSourceNode[]} - Sources to start
+   */
+  createDrone(destination, rootFrequency) {
+    const filter = this.context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = rootFrequency * 8;
+
+    const swell = this.context.createGain();
+    swell.gain.value = 0.8;
+    filter.connect(swell).connect(destination);
+
+    // A slightly detuned second root makes the drone beat gently
+    const voices = [
+      { ratio: 1, gain: 0.5, type: 'sine' },
+      { ratio: 1.003, gain: 0.35, type: 'sine' },
+      { ratio: 1.5, gain: 0.3, type: 'sine' },
+      { ratio: 2, gain: 0.15, type: 'triangle' }
+    ];
+
+    const oscillators = voices.map(({ ratio, gain, type }) => {
+      const osc = this.context.createOscillator();
+      const voiceGain = this.context.createGain();
+      osc.type = type;
+      osc.frequency.value = rootFrequency * ratio;
+      voiceGain.gain.value = gain;
+      osc.connect(voiceGain).connect(filter);
+      return osc;
+    });
+
+    const lfo = this.context.createOscillator();
+    const lfoDepth = this.context.createGain();
+    lfo.type = 'sine';
+    lfo.frequency.value = 0.07;
+    lfoDepth.gain.value = 0.15;
+    lfo.connect(lfoDepth).connect(swell.gain);
+
+    return [...oscillators, lfo];
+  }
+
+  /**
+   * Get the rendered loop for a noise type, rendering it on first use
+   * @param {string} type - Noise type
+   * @returns {AudioBuffer} - Mono buffer
+   */
+  getBuffer(type) {
+    if (!this.buffers.has(type)) {
+      const length = Math.floor(this.context.sampleRate * NOISE_LOOP_SECONDS);
+      const buffer = this.context.createBuffer(1, length, this.context.sampleRate);
+      const data = buffer.getChannelData(0);
+
+      if (type === AMBIENCE_TYPES.BROWN) {
+        fillBrownNoise(data);
+      } else if (type === AMBIENCE_TYPES.RAIN) {
+        fillRain(data, this.context.sampleRate);
+      } else {
+        fillPinkNoise(data);
+      }
+
+      this.buffers.set(type, buffer);
+    }
+
+    return this.buffers.get(type);
+  }
+}
@@ -5,6 +5,56 @@
 
 import { ServiceError, ERROR_CODES } from '../errors/AppError.js';
 import { errorHandler } from '../errors/ErrorHandler.js';
+import { AmbienceGenerator } from './AmbienceGenerator.js';
+import { EntrainmentGenerator, requiresHeadphones, resolveEntrainmentPreset } from './EntrainmentGenerator.js';
+
+// Sustained sounds that follow the breath instead of a beep every second
+export const BREATH_GUIDE_STYLES = {
+  TONE: 'tone',
+  NOISE: 'noise'
+};
+
+// How the breath level (0 = empty lungs, 1 = full) maps onto the sound
+const BREATH_GUIDE_SHAPES = {
+  [BREATH_GUIDE_STYLES.TONE]: {
+    frequency: { min: 196, max: 392 },
+    cutoff: { min: 2400, max: 2400 },
+    swell: { min: 0.7, max: 1 }
+  },
+  [BREATH_GUIDE_STYLES.NOISE]: {
+    frequency: null,
+    cutoff: { min: 280, max: 2200 },
+    swell: { min: 0.25, max: 1 }
+  }
+};
+
+// Fades are long enough to avoid clicks but short enough to feel immediate
+const BREATH_GUIDE_FADE_SECONDS = 0.12;
+const BREATH_GUIDE_MIN_RAMP_SECONDS = 0.03;
+const BREATH_GUIDE_LEVEL = 0.6;
+const NOISE_BUFFER_SECONDS = 2;
+
+// Ambience fades in and out slowly when sessions start and stop
+export const AMBIENCE_CROSSFADE_SECONDS = 2.5;
+
+// Steady tones are tiring well below cue loudness, so the entrainment bus never
+// goes above this gain however the volume is set, and it eases in slowly
+export const ENTRAINMENT_MAX_GAIN = 0.2;
+export const ENTRAINMENT_FADE_SECONDS = 4;
+
+/**
+ * Interpolate between the ends of a range
+ * Frequencies are interpolated on a log scale so equal steps sound equal
+ * @param {object} range - {min, max}
+ * @param {number} level - Level (0-1)
+ * @returns {number} - Value
+ */
+const interpolate = (range, level) => {
+  if (range.min > 0 && range.max > range.min) {
+    return range.min * Math.pow(range.max / range.min, level);
+  }
+  return range.min + (range.max - range.min) * level;
+};
 
 /**
  * Audio Service class
@@ -18,6 +68,21 @@ export class AudioService {
     this.isInitialized = false;
     this.gainNode = null;
     this.isPlaying = false;
+    this.breathGuide = null;
+    this.breathGuideRequest = null;
+    this.masterNode = null;
+    this.ambienceNode = null;
+    this.ambienceVolume = 0.3;
+    this.ambience = null;
+    this.ambienceRequest = null;
+    this.ambienceGenerator = null;
+    this.entrainmentNode = null;
+    this.entrainmentVolume = 0.5;
+    this.entrainment = null;
+    this.entrainmentRequest = null;
+    this.entrainmentGenerator = null;
+    // Cue voices scheduled ahead on the audio clock, mapped to their start time
+    this.scheduledCues = new Map();
   }
 
   /**
@@ -31,11 +96,25 @@ export class AudioService {
       // Create audio context
       this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
       
+      // Mixer: cues and ambience have their own bus so their volumes stay independent
+      this.masterNode = this.audioContext.createGain();
+      this.masterNode.connect(this.audioContext.destination);
+
       // Create gain node for volume control
       this.gainNode = this.audioContext.createGain();
-      this.gainNode.connect(this.audioContext.destination);
+      this.gainNode.connect(this.masterNode);
       this.gainNode.gain.value = this.volume;
 
+      this.ambienceNode = this.audioContext.createGain();
+      this.ambienceNode.connect(this.masterNode);
+      this.ambienceNode.gain.value = this.ambienceVolume;
+      this.ambienceGenerator = new AmbienceGenerator(this.audioContext);
+
+      this.entrainmentNode = this.audioContext.createGain();
+      this.entrainmentNode.connect(this.masterNode);
+      this.entrainmentNode.gain.value = this.entrainmentVolume * ENTRAINMENT_MAX_GAIN;
+      this.entrainmentGenerator = new EntrainmentGenerator(this.audioContext);
+
       this.isInitialized = true;
     } catch (error) {
       throw new ServiceError(
@@ -80,6 +159,11 @@ export class AudioService {
    */
   setEnabled(enabled) {
     this.isEnabled = enabled;
+    if (!enabled) {
+      this.stopBreathGuide();
+      this.stopAmbience();
+      this.stopEntrainment();
+    }
   }
 
   /**
@@ -110,6 +194,46 @@ export class AudioService {
     return this.volume;
   }
 
+  /**
+   * Set ambience volume, independent of the cue volume
+   * @param {number} volume - Volume level (0-1)
+   */
+  setAmbienceVolume(volume) {
+    this.ambienceVolume = Math.max(0, Math.min(1, Number(volume) || 0));
+
+    if (this.ambienceNode && this.audioContext) {
+      this.rampParam(this.ambienceNode.gain, this.ambienceVolume, BREATH_GUIDE_FADE_SECONDS);
+    }
+  }
+
+  /**
+   * Get ambience volume
+   * @returns {number} - Ambience volume level
+   */
+  getAmbienceVolume() {
+    return this.ambienceVolume;
+  }
+
+  /**
+   * Set entrainment volume; 1 maps to ENTRAINMENT_MAX_GAIN
+   * @param {number} volume - Volume level (0-1)
+   */
+  setEntrainmentVolume(volume) {
+    this.entrainmentVolume = Math.max(0, Math.min(1, Number(volume) || 0));
+
+    if (this.entrainmentNode && this.audioContext) {
+      this.rampParam(this.entrainmentNode.gain, this.entrainmentVolume * ENTRAINMENT_MAX_GAIN, BREATH_GUIDE_FADE_SECONDS);
+    }
+  }
+
+  /**
+   * Get entrainment volume
+   * @returns {number} - Entrainment volume level (0-1)
+   */
+  getEntrainmentVolume() {
+    return this.entrainmentVolume;
+  }
+
   /**
    * Play a beep sound
    * @param {number} frequency - Frequency in Hz
@@ -236,14 +360,606 @@ export class AudioService {
     }
   }
 
+  /**
+   * Play a short ascending chime, e.g. when a session goal is reached
+   * Notes are scheduled on the audio clock so they stay evenly spaced
+   * @param {number[]} frequencies - Note frequencies in Hz
+   * @param {number} noteDuration - Duration of each note in milliseconds
+   * @param {number} volume - Volume override (optional)
+   * @returns {Promise<void>}
+   */
+  async playChime(frequencies = [523.25, 659.25, 783.99], noteDuration = 220, volume = null) {
+    if (!this.isEnabled) return;
+
+    const context = this.ensureAudioContext();
+    if (!context) return;
+
+    try {
+      const startTime = context.currentTime;
+      const noteLength = noteDuration / 1000;
+      const volumeLevel = volume !== null ? volume : this.volume;
+
+      frequencies.forEach((frequency, index) => {
+        const osc = context.createOscillator();
+        const gain = context.createGain();
+        const noteStart = startTime + index * noteLength;
+        // The last note rings out a little longer
+        const noteEnd = noteStart + noteLength * (index === frequencies.length - 1 ? 2 : 1);
+
+        gain.gain.setValueAtTime(0, noteStart);
+        gain.gain.linearRampToValueAtTime(volumeLevel, noteStart + 0.02);
+        gain.gain.linearRampToValueAtTime(0.0001, noteEnd);
+
+        osc.type = 'sine';
+        osc.frequency.value = frequency;
+        osc.connect(gain).connect(context.destination);
+        osc.start(noteStart);
+        osc.stop(noteEnd);
+      });
+
+      this.isPlaying = true;
+
+      setTimeout(() => {
+        this.isPlaying = false;
+      }, noteDuration * (frequencies.length + 1));
+
+    } catch (error) {
+      throw new ServiceError(
+        'Failed to play chime',
+        'AudioService',
+        {
+          frequencies,
+          noteDuration,
+          volume,
+          originalError: error.message
+        }
+      );
+    }
+  }
+
+  /**
+   * Schedule a cue sound at a time on the audio clock
+   * Cues are sample-accurate however late timer callbacks run; ones already due play now
+   * @param {object} sound - {frequency, duration (s), volume, type: 'beep'|'tone', envelope, pattern: 'single'|'double', chord: frequency ratios},
+   *   or {buffer, volume} for an imported sample
+   * @param {number} when - Audio context time to play at
+   * @returns {boolean} - True if the cue was scheduled
+   */
+  scheduleCue(sound, when) {
+    if (!this.isEnabled || !sound) return false;
+
+    const context = this.ensureAudioContext();
+    if (!context) return false;
+
+    const {
+      frequency = 440,
+      duration = 0.1,
+      volume = this.volume,
+      envelope = null,
+      pattern = 'single',
+      chord = [1]
+    } = sound;
+    const startTime = Math.max(when, context.currentTime);
+    // A double cue repeats after a short gap
+    const offsets = pattern === 'double' ? [0, duration * 1.5] : [0];
+
+    try {
+      if (sound.buffer) {
+        this.scheduleSample(context, sound.buffer, volume, startTime);
+        return true;
+      }
+
+      offsets.forEach((offset) => {
+        chord.forEach((ratio) => {
+          this.scheduleVoice(context, {
+            frequency: frequency * ratio,
+            duration,
+            volume: volume / chord.length,
+            envelope
+          }, startTime + offset);
+        });
+      });
+      return true;
+    } catch (error) {
+      throw new ServiceError(
+        'Failed to schedule cue',
+        'AudioService',
+        { sound, when, originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Schedule one oscillator with a beep ramp or an ADSR envelope
+   * @param {AudioContext} context - Audio context
+   * @param {object} voice - {frequency, duration (s), volume, envelope}
+   * @param {number} startTime - Audio context time to start at
+   */
+  scheduleVoice(context, { frequency, duration, volume, envelope }, startTime) {
+    const osc = context.createOscillator();
+    const gain = context.createGain();
+    const endTime = startTime + duration;
+
+    gain.gain.setValueAtTime(0, startTime);
+    if (envelope) {
+      const { attack = 0.02, decay = 0.1, sustain = 0.7, release = 0.3 } = envelope;
+      gain.gain.linearRampToValueAtTime(volume, startTime + attack);
+      gain.gain.linearRampToValueAtTime(volume * sustain, startTime + attack + decay);
+      gain.gain.setValueAtTime(volume * sustain, Math.max(startTime + attack + decay, endTime - release));
+      gain.gain.linearRampToValueAtTime(0, endTime);
+    } else {
+      gain.gain.linearRampToValueAtTime(volume, startTime + Math.min(0.02, duration / 2));
+      gain.gain.linearRampToValueAtTime(0.0001, endTime);
+    }
+
+    osc.type = 'sine';
+    osc.frequency.value = frequency;
+    osc.connect(gain).connect(this.masterNode || context.destination);
+    osc.start(startTime);
+    osc.stop(endTime);
+
+    this.scheduledCues.set(osc, startTime);
+    osc.onended = () => {
+      this.scheduledCues.delete(osc);
+      gain.disconnect();
+    };
+  }
+
+  /**
+   * Schedule a decoded sample
+   * @param {AudioContext} context - Audio context
+   * @param {AudioBuffer} buffer - Decoded sample
+   * @param {number} volume - Volume level (0-1)
+   * @param {number} startTime - Audio context time to start at
+   * @returns {AudioBufferSourceNode} - Scheduled source
+   */
+  scheduleSample(context, buffer, volume, startTime) {
+    const source = context.createBufferSource();
+    const gain = context.createGain();
+    source.buffer = buffer;
+    gain.gain.value = volume;
+    source.connect(gain).connect(this.masterNode || context.destination);
+    source.start(startTime);
+
+    this.scheduledCues.set(source, startTime);
+    source.onended = () => {
+      this.scheduledCues.delete(source);
+      gain.disconnect();
+    };
+    return source;
+  }
+
+  /**
+   * Play a decoded sample right away, e.g. to preview an imported sound
+   * @param {AudioBuffer} buffer - Decoded sample
+   * @param {number} volume - Volume override (optional)
+   * @returns {Promise<void>}
+   */
+  async playSample(buffer, volume = null) {
+    if (!this.isEnabled || !buffer) return;
+
+    const context = this.ensureAudioContext();
+    if (!context) return;
+
+    try {
+      this.scheduleSample(context, buffer, volume !== null ? volume : this.volume, context.currentTime);
+    } catch (error) {
+      throw new ServiceError(
+        'Failed to play sample',
+        'AudioService',
+        { originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Decode an encoded audio file (WAV, OGG, MP3) into a sample
+   * @param {ArrayBuffer} data - Encoded audio; decoding detaches it, so pass a copy to keep the original
+   * @returns {Promise<AudioBuffer>} - Decoded sample
+   */
+  async decodeAudioData(data) {
+    await this.initialize();
+
+    try {
+      // Older Safari only supports the callback form
+      return await new Promise((resolve, reject) => {
+        const result = this.audioContext.decodeAudioData(data, resolve, reject);
+        result?.then?.(resolve, reject);
+      });
+    } catch (error) {
+      throw new ServiceError(
+        'Failed to decode audio',
+        'AudioService',
+        { size: data?.byteLength, originalError: error?.message || String(error) }
+      );
+    }
+  }
+
+  /**
+   * Cancel scheduled cues that have not started yet
+   * @param {number} [fromTime] - Audio context time; cues starting at or after it are cancelled
+   */
+  cancelScheduledCues(fromTime = this.audioContext?.currentTime ?? 0) {
+    this.scheduledCues.forEach((startTime, osc) => {
+      if (startTime < fromTime) return;
+      try {
+        // Stopping before the start time means the voice never sounds
+        osc.stop();
+      } catch {
+        // Already stopped
+      }
+      this.scheduledCues.delete(osc);
+    });
+  }
+
+  /**
+   * Start the breath guide: a long-lived graph whose pitch or filtered noise
+   * follows the breath through setBreathLevel
+   * source -> lowpass filter -> swell gain -> fade gain -> master gain
+   * @param {string} style - One of BREATH_GUIDE_STYLES
+   * @returns {Promise<boolean>} - True if the guide is running
+   */
+  async startBreathGuide(style = BREATH_GUIDE_STYLES.TONE) {
+    if (!this.isEnabled) return false;
+
+    const shape = BREATH_GUIDE_SHAPES[style];
+    if (!shape) {
+      throw new ServiceError(
+        `Unknown breath guide style: ${style}`,
+        'AudioService',
+        { style, validStyles: Object.values(BREATH_GUIDE_STYLES) }
+      );
+    }
+
+    if (this.breathGuide?.style === style) {
+      this.resumeBreathGuide();
+      return true;
+    }
+    this.stopBreathGuide();
+
+    const request = { style };
+    this.breathGuideRequest = request;
+    await this.initialize();
+
+    // Stopped or restarted with another style while the context was starting
+    if (this.breathGuideRequest !== request) return false;
+    this.breathGuideRequest = null;
+
+    const context = this.ensureAudioContext();
+    if (!context) return false;
+
+    try {
+      const currentTime = context.currentTime;
+      const source = style === BREATH_GUIDE_STYLES.NOISE
+        ? this.createNoiseSource(context)
+        : context.createOscillator();
+      const filter = context.createBiquadFilter();
+      const swell = context.createGain();
+      const fade = context.createGain();
+
+      if (shape.frequency) {
+        source.type = 'sine';
+        source.frequency.setValueAtTime(shape.frequency.min, currentTime);
+      }
+      filter.type = 'lowpass';
+      filter.Q.value = 0.7;
+      filter.frequency.setValueAtTime(shape.cutoff.min, currentTime);
+      swell.gain.setValueAtTime(shape.swell.min, currentTime);
+
+      // Fade in from silence so the first sample does not click
+      fade.gain.setValueAtTime(0, currentTime);
+      fade.gain.linearRampToValueAtTime(BREATH_GUIDE_LEVEL, currentTime + BREATH_GUIDE_FADE_SECONDS);
+
+      source.connect(filter).connect(swell).connect(fade).connect(this.gainNode);
+      source.start(currentTime);
+
+      this.breathGuide = { style, shape, source, filter, swell, fade, level: 0, isPaused: false };
+      return true;
+    } catch (error) {
+      throw new ServiceError(
+        'Failed to start breath guide',
+        'AudioService',
+        { style, originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Create a looping white noise source
+   * @param {AudioContext} context - Audio context
+   * @returns {AudioBufferSourceNode} - Noise source
+   */
+  createNoiseSource(context) {
+    const length = Math.floor(context.sampleRate * NOISE_BUFFER_SECONDS);
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+    return source;
+  }
+
+  /**
+   * Glide an audio parameter from wherever it is now to a target value
+   * @param {AudioParam} param - Parameter
+   * @param {number} value - Target value
+   * @param {number} seconds - Ramp length
+   */
+  rampParam(param, value, seconds) {
+    const currentTime = this.audioContext.currentTime;
+
+    // Hold the in-flight value so a new ramp never jumps
+    if (typeof param.cancelAndHoldAtTime === 'function') {
+      param.cancelAndHoldAtTime(currentTime);
+    } else {
+      param.cancelScheduledValues(currentTime);
+      param.setValueAtTime(param.value, currentTime);
+    }
+    param.linearRampToValueAtTime(value, currentTime + Math.max(BREATH_GUIDE_MIN_RAMP_SECONDS, seconds));
+  }
+
+  /**
+   * Move the breath guide towards a breath level
+   * @param {number} level - 0 for empty lungs, 1 for full
+   * @param {number} seconds - Time to reach the level
+   */
+  setBreathLevel(level, seconds = BREATH_GUIDE_MIN_RAMP_SECONDS) {
+    const guide = this.breathGuide;
+    if (!guide || !this.audioContext) return;
+
+    const clampedLevel = Math.max(0, Math.min(1, Number(level) || 0));
+    const { shape } = guide;
+
+    if (shape.frequency) {
+      this.rampParam(guide.source.frequency, interpolate(shape.frequency, clampedLevel), seconds);
+    }
+    this.rampParam(guide.filter.frequency, interpolate(shape.cutoff, clampedLevel), seconds);
+    this.rampParam(guide.swell.gain, interpolate(shape.swell, clampedLevel), seconds);
+    guide.level = clampedLevel;
+  }
+
+  /**
+   * Fade the breath guide out while keeping the graph alive
+   */
+  pauseBreathGuide() {
+    const guide = this.breathGuide;
+    if (!guide || guide.isPaused || !this.audioContext) return;
+
+    guide.isPaused = true;
+    this.rampParam(guide.fade.gain, 0, BREATH_GUIDE_FADE_SECONDS);
+  }
+
+  /**
+   * Fade a paused breath guide back in
+   */
+  resumeBreathGuide() {
+    const guide = this.breathGuide;
+    if (!guide || !guide.isPaused || !this.audioContext) return;
+
+    guide.isPaused = false;
+    this.ensureAudioContext();
+    this.rampParam(guide.fade.gain, BREATH_GUIDE_LEVEL, BREATH_GUIDE_FADE_SECONDS);
+  }
+
+  /**
+   * Fade the breath guide out and tear the graph down
+   */
+  stopBreathGuide() {
+    this.breathGuideRequest = null;
+
+    const guide = this.breathGuide;
+    if (!guide) return;
+    this.breathGuide = null;
+
+    if (!this.audioContext) return;
+
+    try {
+      this.rampParam(guide.fade.gain, 0, BREATH_GUIDE_FADE_SECONDS);
+      guide.source.onended = () => {
+        guide.source.disconnect();
+        guide.fade.disconnect();
+      };
+      guide.source.stop(this.audioContext.currentTime + BREATH_GUIDE_FADE_SECONDS);
+    } catch (error) {
+      errorHandler.handleError(
+        new ServiceError(
+          'Failed to stop breath guide',
+          'AudioService',
+          { originalError: error.message }
+        )
+      );
+    }
+  }
+
+  /**
+   * Check if the breath guide graph is running
+   * @returns {boolean} - True while the guide exists, paused or not
+   */
+  isBreathGuideActive() {
+    return !!this.breathGuide;
+  }
+
+  /**
+   * Start or change the background ambience, crossfading from what is playing
+   * @param {string} type - One of AMBIENCE_TYPES
+   * @param {object} [options] - {rootFrequency: drone key in Hz, fadeSeconds}
+   * @returns {Promise<boolean>} - True if the ambience is playing
+   */
+  async startAmbience(type, { rootFrequency, fadeSeconds = AMBIENCE_CROSSFADE_SECONDS } = {}) {
+    if (!this.isEnabled) return false;
+
+    // Keep the playing layer when nothing audible changes (drones also keep their key)
+    const current = this.ambience;
+    const isSameLayer = current?.type === type &&
+      (rootFrequency === undefined || current.rootFrequency === null || current.rootFrequency === rootFrequency);
+    if (isSameLayer) {
+      this.ambienceRequest = null;
+      this.rampParam(current.output.gain, 1, fadeSeconds);
+      return true;
+    }
+
+    const request = { type };
+    this.ambienceRequest = request;
+    await this.initialize();
+
+    // Stopped or changed again while the context was starting
+    if (this.ambienceRequest !== request) return false;
+    this.ambienceRequest = null;
+
+    const context = this.ensureAudioContext();
+    if (!context) return false;
+
+    try {
+      const layer = this.ambienceGenerator.createLayer(type, { rootFrequency });
+      layer.output.connect(this.ambienceNode);
+      this.rampParam(layer.output.gain, 1, fadeSeconds);
+
+      this.fadeOutLayer(this.ambience, fadeSeconds);
+      this.ambience = layer;
+      return true;
+    } catch (error) {
+      throw new ServiceError(
+        'Failed to start ambience',
+        'AudioService',
+        { type, originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Fade the background ambience out and stop it
+   * @param {object} [options] - {fadeSeconds}
+   */
+  stopAmbience({ fadeSeconds = AMBIENCE_CROSSFADE_SECONDS } = {}) {
+    this.ambienceRequest = null;
+    this.fadeOutLayer(this.ambience, fadeSeconds);
+    this.ambience = null;
+  }
+
+  /**
+   * Fade an ambience layer to silence, then stop its sources
+   * @param {object|null} layer - Ambience layer
+   * @param {number} fadeSeconds - Fade length
+   */
+  fadeOutLayer(layer, fadeSeconds) {
+    if (!layer || !this.audioContext) return;
+
+    try {
+      this.rampParam(layer.output.gain, 0, fadeSeconds);
+      layer.stop(this.audioContext.currentTime + Math.max(BREATH_GUIDE_MIN_RAMP_SECONDS, fadeSeconds));
+    } catch (error) {
+      errorHandler.handleError(
+        new ServiceError(
+          'Failed to stop ambience',
+          'AudioService',
+          { type: layer.type, originalError: error.message }
+        )
+      );
+    }
+  }
+
+  /**
+   * Get the playing ambience type
+   * @returns {string|null} - Ambience type or null when silent
+   */
+  getAmbienceType() {
+    return this.ambience?.type || null;
+  }
+
+  /**
+   * Start or change binaural beats or isochronic tones, crossfading from what is playing
+   * @param {string} mode - One of ENTRAINMENT_MODES
+   * @param {string|object} preset - Preset key or {carrier, beat}
+   * @param {object} [options] - {fadeSeconds}
+   * @returns {Promise<boolean>} - True if entrainment is playing
+   */
+  async startEntrainment(mode, preset, { fadeSeconds = ENTRAINMENT_FADE_SECONDS } = {}) {
+    if (!this.isEnabled) return false;
+
+    const frequencies = resolveEntrainmentPreset(preset);
+
+    // Keep the playing layer when nothing audible changes
+    const current = this.entrainment;
+    if (current?.mode === mode && current.carrier === frequencies.carrier && current.beat === frequencies.beat) {
+      this.entrainmentRequest = null;
+      this.rampParam(current.output.gain, 1, fadeSeconds);
+      return true;
+    }
+
+    const request = { mode, preset };
+    this.entrainmentRequest = request;
+    await this.initialize();
+
+    // Stopped or changed again while the context was starting
+    if (this.entrainmentRequest !== request) return false;
+    this.entrainmentRequest = null;
+
+    const context = this.ensureAudioContext();
+    if (!context) return false;
+
+    try {
+      const layer = this.entrainmentGenerator.createLayer(mode, frequencies);
+
+      layer.output.connect(this.entrainmentNode);
+      this.rampParam(layer.output.gain, 1, fadeSeconds);
+
+      this.fadeOutLayer(this.entrainment, fadeSeconds);
+      this.entrainment = layer;
+      return true;
+    } catch (error) {
+      throw new ServiceError(
+        'Failed to start entrainment',
+        'AudioService',
+        { mode, preset, originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Fade binaural beats or isochronic tones out and stop them
+   * @param {object} [options] - {fadeSeconds}
+   */
+  stopEntrainment({ fadeSeconds = AMBIENCE_CROSSFADE_SECONDS } = {}) {
+    this.entrainmentRequest = null;
+    this.fadeOutLayer(this.entrainment, fadeSeconds);
+    this.entrainment = null;
+  }
+
+  /**
+   * Get what the entrainment layer is playing
+   * @returns {object|null} - {mode, carrier, beat, requiresHeadphones} or null when silent
+   */
+  getEntrainment() {
+    if (!this.entrainment) return null;
+
+    const { mode, carrier, beat } = this.entrainment;
+    return { mode, carrier, beat, requiresHeadphones: requiresHeadphones(mode) };
+  }
+
   /**
    * Stop all audio playback
    */
   stopAll() {
+    this.scheduledCues.clear();
+    this.breathGuide = null;
+    this.breathGuideRequest = null;
+    this.ambience = null;
+    this.ambienceRequest = null;
+    this.entrainment = null;
+    this.entrainmentRequest = null;
     if (this.audioContext) {
       // Close and recreate context to stop all sounds
       this.audioContext.close();
       this.audioContext = null;
+      this.masterNode = null;
+      this.ambienceNode = null;
+      this.ambienceGenerator = null;
+      this.entrainmentNode = null;
+      this.entrainmentGenerator = null;
       this.isInitialized = false;
       this.isPlaying = false;
     }
@@ -284,7 +1000,14 @@ export class AudioService {
       enabled: this.isEnabled,
       volume: this.volume,
       contextState: this.getContextState(),
-      isPlaying: this.isPlaying
+      isPlaying: this.isPlaying,
+      breathGuide: this.breathGuide
+        ? { style: this.breathGuide.style, level: this.breathGuide.level, isPaused: this.breathGuide.isPaused }
+        : null,
+      ambience: this.getAmbienceType(),
+      ambienceVolume: this.ambienceVolume,
+      entrainment: this.getEntrainment(),
+      entrainmentVolume: this.entrainmentVolume
     };
   }
 
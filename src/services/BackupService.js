@@ -0,0 +1,303 @@
+/**
+ * Backup Service
+ * Exports preferences, custom techniques, programs and session history to a portable
+ * JSON file and imports them back following Single Responsibility Principle
+ */
+
+import { ServiceError, ValidationError } from '../errors/AppError.js';
+import { pickPreferences } from '../state/UserPreferencesState.js';
+import { isSameValue } from '../utils/valueEquality.js';
+import Logger from '../utils/Logger.js';
+
+export const BACKUP_FORMAT = 'breathing-app-backup';
+export const BACKUP_VERSION = 1;
+
+export const BACKUP_IMPORT_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace'
+};
+
+export const BACKUP_LIMITS = {
+  maxBytes: 20 * 1024 * 1024
+};
+
+const BACKUP_SECTIONS = ['customTechniques', 'programs', 'sessions'];
+
+/**
+ * Compare stored entries with imported ones by ID
+ * @param {object[]} current - Stored entries
+ * @param {object[]} incoming - Imported entries
+ * @param {string} mode - One of BACKUP_IMPORT_MODES
+ * @returns {object} - {added, updated, removed} lists of entries
+ */
+const diffEntries = (current, incoming, mode) => {
+  const currentById = new Map(current.map(entry => [entry.id, entry]));
+  const incomingIds = new Set(incoming.map(entry => entry.id));
+
+  return {
+    added: incoming.filter(entry => !currentById.has(entry.id)),
+    updated: incoming.filter(entry => currentById.has(entry.id) && !isSameValue(currentById.get(entry.id), entry)),
+    removed: mode === BACKUP_IMPORT_MODES.REPLACE
+      ? current.filter(entry => !incomingIds.has(entry.id))
+      : []
+  };
+};
+
+const toNames = ({ added, updated, removed }) => ({
+  added: added.map(entry => entry.name),
+  updated: updated.map(entry => entry.name),
+  removed: removed.map(entry => entry.name)
+});
+
+const toCounts = ({ added, updated, removed }) => ({
+  added: added.length,
+  updated: updated.length,
+  removed: removed.length
+});
+
+/**
+ * Backup Service class
+ */
+export class BackupService {
+  /**
+   * @param {object} options - Options
+   * @param {UserPreferencesState} options.preferencesState - Preferences
+   * @param {CustomTechniqueService} options.customTechniqueService - Custom techniques
+   * @param {SessionProgramService} options.sessionProgramService - Programs
+   * @param {SessionHistoryService} options.sessionHistoryService - Session history
+   * @param {Function} [options.now] - Clock
+   */
+  constructor({
+    preferencesState,
+    customTechniqueService,
+    sessionProgramService,
+    sessionHistoryService,
+    now = () => Date.now()
+  }) {
+    if (!preferencesState || !customTechniqueService || !sessionProgramService || !sessionHistoryService) {
+      throw new ServiceError(
+        'BackupService requires preferences, custom technique, program and history services',
+        'BackupService'
+      );
+    }
+
+    this.preferencesState = preferencesState;
+    this.customTechniqueService = customTechniqueService;
+    this.sessionProgramService = sessionProgramService;
+    this.sessionHistoryService = sessionHistoryService;
+    this.now = now;
+  }
+
+  /**
+   * Collect everything a backup holds
+   * @returns {object} - Backup {format, version, exportedAt, data}
+   */
+  createBackup() {
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: this.now(),
+      data: this.getCurrentData()
+    };
+  }
+
+  /**
+   * Get the stored data in backup form
+   * @returns {object} - {preferences, customTechniques, programs, sessions}
+   */
+  getCurrentData() {
+    return {
+      preferences: pickPreferences(this.preferencesState.getState()),
+      customTechniques: this.customTechniqueService.getCustomTechniques().map(technique => technique.toJSON()),
+      programs: this.sessionProgramService.getPrograms().map(program => program.toJSON()),
+      // Oldest first, the order the history is stored in
+      sessions: [...this.sessionHistoryService.getSessions()].reverse()
+    };
+  }
+
+  /**
+   * Get the file name for a backup
+   * @param {object} backup - Backup
+   * @returns {string} - File name with the export date
+   */
+  getFilename(backup) {
+    const date = new Date(backup.exportedAt).toISOString().slice(0, 10);
+    return `breathing-backup-${date}.json`;
+  }
+
+  /**
+   * Create a backup and offer it as a file download
+   * @returns {object} - The downloaded backup
+   */
+  downloadBackup() {
+    if (typeof document === 'undefined' || typeof URL?.createObjectURL !== 'function') {
+      throw new ServiceError('File downloads are not supported in this environment', 'BackupService');
+    }
+
+    const backup = this.createBackup();
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = this.getFilename(backup);
+    link.click();
+    // The click starts the download synchronously, so the URL can go right away
+    URL.revokeObjectURL(url);
+
+    Logger.debug('service', `Exported backup with ${backup.data.sessions.length} sessions`);
+    return backup;
+  }
+
+  /**
+   * Read and validate a backup file
+   * @param {File} file - Picked file
+   * @returns {Promise<object>} - Validated backup
+   * @throws {ValidationError} - When the file is too large or not a valid backup
+   */
+  async readFile(file) {
+    if (!file || !(file.size > 0) || file.size > BACKUP_LIMITS.maxBytes) {
+      throw new ValidationError(
+        'Backup file is empty or too large',
+        'file',
+        file?.size ?? null,
+        { reason: 'size', maxBytes: BACKUP_LIMITS.maxBytes }
+      );
+    }
+
+    return this.parseBackup(await file.text());
+  }
+
+  /**
+   * Parse and validate backup JSON
+   * @param {string} text - File contents
+   * @returns {object} - Validated backup {format, version, exportedAt, data}
+   * @throws {ValidationError} - When the contents do not match the backup schema
+   */
+  parseBackup(text) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (error) {
+      throw new ValidationError('Backup file is not valid JSON', 'file', null, { reason: 'json', originalError: error.message });
+    }
+
+    if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+      throw new ValidationError('File is not a breathing app backup', 'format', backup?.format ?? null, { reason: 'format' });
+    }
+
+    if (!Number.isInteger(backup.version) || backup.version < 1 || backup.version > BACKUP_VERSION) {
+      // Backups from a newer app version may hold data this one would drop
+      throw new ValidationError(
+        `Backup version ${backup.version} is not supported`,
+        'version',
+        backup.version,
+        { reason: 'version', supportedVersion: BACKUP_VERSION }
+      );
+    }
+
+    const data = backup.data;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new ValidationError('Backup has no data', 'data', data ?? null, { reason: 'schema' });
+    }
+
+    if (data.preferences !== undefined && (!data.preferences || typeof data.preferences !== 'object' || Array.isArray(data.preferences))) {
+      throw new ValidationError('Backup preferences must be an object', 'data.preferences', data.preferences, { reason: 'schema' });
+    }
+
+    BACKUP_SECTIONS.forEach(section => {
+      if (data[section] === undefined) return;
+
+      const entries = data[section];
+      if (!Array.isArray(entries) || entries.some(entry => !entry || typeof entry !== 'object')) {
+        throw new ValidationError(`Backup ${section} must be a list of objects`, `data.${section}`, null, { reason: 'schema' });
+      }
+    });
+
+    const exportedAt = Number(backup.exportedAt);
+    return {
+      format: BACKUP_FORMAT,
+      version: backup.version,
+      exportedAt: Number.isFinite(exportedAt) ? exportedAt : null,
+      data: {
+        preferences: data.preferences ? pickPreferences(this.preferencesState.normalizePreferences(data.preferences)) : null,
+        customTechniques: data.customTechniques || [],
+        programs: data.programs || [],
+        sessions: data.sessions || []
+      }
+    };
+  }
+
+  /**
+   * Describe what importing a backup would change
+   * @param {object} backup - Validated backup
+   * @param {string} [mode] - One of BACKUP_IMPORT_MODES
+   * @returns {object} - {preferences: {changed}, customTechniques and programs: {added, updated, removed} names,
+   *   sessions: {added, updated, removed} counts}
+   */
+  previewImport(backup, mode = BACKUP_IMPORT_MODES.MERGE) {
+    const current = this.getCurrentData();
+    const { preferences, customTechniques, programs } = backup.data;
+    // Compare records the way they would be stored; malformed ones are skipped on import
+    const records = backup.data.sessions.reduce((normalized, session) => {
+      try {
+        normalized.push(this.sessionHistoryService.normalizeRecord(session));
+      } catch {
+        // Not imported, so not part of the preview
+      }
+      return normalized;
+    }, []);
+    // Sessions already counted in a compacted record are not added again on import
+    const absorbed = new Set([
+      ...(mode === BACKUP_IMPORT_MODES.MERGE ? this.sessionHistoryService.getAbsorbedIds() : []),
+      ...this.sessionHistoryService.getAbsorbedIds(records)
+    ]);
+    const sessions = records.filter(record => !absorbed.has(record.id));
+
+    return {
+      mode,
+      preferences: {
+        changed: preferences
+          ? Object.keys(preferences).filter(key => !isSameValue(current.preferences[key], preferences[key]))
+          : []
+      },
+      customTechniques: toNames(diffEntries(current.customTechniques, customTechniques, mode)),
+      programs: toNames(diffEntries(current.programs, programs, mode)),
+      sessions: toCounts(diffEntries(current.sessions, sessions, mode))
+    };
+  }
+
+  /**
+   * Import a backup
+   * Backed up preferences overwrite the current ones in both modes; merge keeps
+   * techniques, programs and sessions missing from the backup, replace drops them
+   * @param {object} backup - Validated backup
+   * @param {string} [mode] - One of BACKUP_IMPORT_MODES
+   * @returns {Promise<object>} - {customTechniques, programs, sessions}: {imported, skipped}
+   */
+  async importBackup(backup, mode = BACKUP_IMPORT_MODES.MERGE) {
+    const replace = mode === BACKUP_IMPORT_MODES.REPLACE;
+    const { preferences, customTechniques, programs, sessions } = backup.data;
+
+    try {
+      // Programs and the selected technique can refer to custom techniques, so those go first
+      const result = {
+        customTechniques: await this.customTechniqueService.importTechniques(customTechniques, { replace }),
+        programs: await this.sessionProgramService.importPrograms(programs, { replace }),
+        sessions: await this.sessionHistoryService.importSessions(sessions, { replace })
+      };
+
+      if (preferences) {
+        this.preferencesState.updatePreferences(preferences);
+      }
+
+      Logger.debug('service', `Imported backup (${mode})`, result);
+      return result;
+    } catch (error) {
+      throw new ServiceError(
+        'Failed to import backup',
+        'BackupService',
+        { mode, originalError: error.message }
+      );
+    }
+  }
+}
@@ -0,0 +1,581 @@
+/**
+ * Cue Scheduler
+ * Schedules a technique's audio cues ahead on the audio clock following Single Responsibility Principle
+ * Timer callbacks only decide what comes next; the sounds themselves are placed on the
+ * AudioContext timeline, so they stay sample-accurate when callbacks run late or the tab is throttled
+ */
+
+import { errorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../errors/ErrorHandler.js';
+import Logger from '../utils/Logger.js';
+import { STEP_EPSILON, getStepCount, getStepIndex } from '../utils/phaseSteps.js';
+import { getSoundSlotForPhase } from '../utils/soundAssignments.js';
+import { CUE_TRACKS, getMarkerTime, normalizeCueProfile } from '../utils/cueProfiles.js';
+
+export const CUE_KINDS = {
+  PHASE_START: 'phaseStart',
+  TICK: 'tick',
+  WARNING: 'warning',
+  TRANSITION: 'transition',
+  CYCLE_COMPLETE: 'cycleComplete'
+};
+
+// Browsers throttle background timers to about once a second, so look further ahead than that
+const DEFAULT_LOOKAHEAD_SECONDS = 1.5;
+const DEFAULT_INTERVAL_MS = 250;
+// Cues this late are dropped rather than played out of time
+const MISSED_CUE_SECONDS = 0.25;
+// The timer and audio clocks drift apart slowly; re-anchor once they are this far apart
+const MAX_DRIFT_SECONDS = 0.05;
+// Guards against techniques reporting zero-length phases
+const MAX_CUES_PER_PASS = 256;
+
+// Techniques without audio settings keep the classic tick and last-second beep
+const DEFAULT_CUE_PROFILE = {
+  phaseStart: () => null,
+  tick: { frequency: 440, duration: 0.08, volume: 0.12 },
+  warning: { frequency: 600, duration: 0.15, volume: 0.3 },
+  transition: null,
+  cycleComplete: null
+};
+
+const SILENT_CUE_PROFILE = {
+  isSilent: true,
+  phaseStart: () => null,
+  tick: null,
+  warning: null,
+  transition: null,
+  cycleComplete: null
+};
+
+// Technique volumes are set for one-off sounds; cues play every second, so they sit lower
+const TECHNIQUE_CUE_LEVEL = 0.45;
+const TICK_LEVEL = 0.4;
+// Major triad on the transition tone
+const TRANSITION_CHORD = [1, 1.25, 1.5];
+
+// Timeline markers can pick sounds the technique does not define; these stand in
+const MARKER_FALLBACK_SOUNDS = {
+  phaseStart: { frequency: 523.25, duration: 0.2, volume: 0.2 },
+  transition: { frequency: 660, duration: 0.15, volume: 0.15, chord: TRANSITION_CHORD },
+  cycleComplete: { frequency: 880, duration: 0.3, volume: 0.2 }
+};
+
+// Cues that mark moving from one phase or cycle to the next
+const BOUNDARY_KINDS = [CUE_KINDS.TRANSITION, CUE_KINDS.CYCLE_COMPLETE];
+
+// Lead time before a previewed cycle starts, so its first cue is not clipped
+const PREVIEW_DELAY_SECONDS = 0.1;
+
+/**
+ * Scale a technique sound to cue loudness
+ * @param {object|null} sound - Sound settings
+ * @param {number} fallbackVolume - Volume for sounds that do not set one
+ * @returns {object|null} - Sound with scaled volume
+ */
+const toCueSound = (sound, fallbackVolume) => sound
+  ? { ...sound, volume: (sound.volume ?? fallbackVolume) * TECHNIQUE_CUE_LEVEL }
+  : null;
+
+/**
+ * Build the cue profile for a technique from its audio configuration
+ * Techniques decorated with AudioEnhancedTechnique get their phase start tones
+ * (custom tones first), transition chord and cycle cue; others keep the default ticks
+ * @param {object} technique - Technique
+ * @returns {object} - Profile {phaseStart(phaseKey), tick, warning, transition, cycleComplete};
+ * isSilent is set when the technique has its audio turned off
+ */
+export const getCueProfile = (technique) => {
+  const audioConfig = technique?.getAudioConfig?.();
+  if (!audioConfig || typeof technique.getPhaseAudio !== 'function') {
+    return DEFAULT_CUE_PROFILE;
+  }
+  if (audioConfig.enabled === false) {
+    return SILENT_CUE_PROFILE;
+  }
+
+  const volume = audioConfig.volume ?? 0.7;
+  const customTones = technique.getCustomTones?.() || {};
+  const transitions = audioConfig.phaseTransitions ? technique.getTransitionAudio?.() || {} : {};
+
+  return {
+    phaseStart: (phaseKey) => {
+      // Both holds of box-style techniques share the hold tone
+      const key = /^hold\d*$/.test(phaseKey) ? 'hold' : phaseKey;
+      return toCueSound(customTones[phaseKey] || customTones[key] || technique.getPhaseAudio(key), volume);
+    },
+    tick: toCueSound({ frequency: audioConfig.beepFrequency || 800, duration: 0.05, volume: volume * TICK_LEVEL }, volume),
+    warning: toCueSound(transitions.phaseEnd, volume),
+    transition: transitions.phaseStart
+      ? toCueSound({ ...transitions.phaseStart, chord: TRANSITION_CHORD }, volume)
+      : null,
+    cycleComplete: toCueSound(transitions.cycleComplete, volume)
+  };
+};
+
+// Imported samples are normalized by nobody, so they play a little under full cue level
+const SAMPLE_VOLUME = { phase: 0.5, tick: 0.3 };
+
+/**
+ * Swap in imported samples for the slots they are assigned to
+ * @param {object} profile - Cue profile
+ * @param {object} samples - {slot: AudioBuffer} (inhale, exhale, hold, tick)
+ * @returns {object} - Profile playing the samples
+ */
+export const applySoundSamples = (profile, samples = {}) => {
+  if (!samples || Object.keys(samples).length === 0) {
+    return profile;
+  }
+
+  return {
+    ...profile,
+    phaseStart: (phaseKey) => {
+      const buffer = samples[getSoundSlotForPhase(phaseKey)];
+      return buffer ? { buffer, volume: SAMPLE_VOLUME.phase } : profile.phaseStart(phaseKey);
+    },
+    tick: samples.tick ? { buffer: samples.tick, volume: SAMPLE_VOLUME.tick } : profile.tick
+  };
+};
+
+/**
+ * Get the cues for one step of a phase
+ * @param {object} profile - Cue profile
+ * @param {object} step - {phaseKey, phaseIndex, stepIndex, stepCount, isBoundary}
+ * @returns {object[]} - Cues {kind, sound}
+ */
+const getStepCues = (profile, { phaseKey, phaseIndex, stepIndex, stepCount, isBoundary }) => {
+  const cues = [];
+
+  if (stepIndex === 0 && isBoundary) {
+    const isCycleStart = phaseIndex === 0 && profile.cycleComplete;
+    const boundary = isCycleStart
+      ? { kind: CUE_KINDS.CYCLE_COMPLETE, sound: profile.cycleComplete }
+      : { kind: CUE_KINDS.TRANSITION, sound: profile.transition };
+    if (boundary.sound) cues.push(boundary);
+  }
+
+  const phaseStart = stepIndex === 0 ? profile.phaseStart(phaseKey) : null;
+  if (phaseStart) {
+    cues.push({ kind: CUE_KINDS.PHASE_START, sound: phaseStart });
+  } else if (stepIndex === stepCount - 1 && profile.warning) {
+    cues.push({ kind: CUE_KINDS.WARNING, sound: profile.warning });
+  } else if (profile.tick) {
+    cues.push({ kind: CUE_KINDS.TICK, sound: profile.tick });
+  }
+
+  return cues;
+};
+
+/**
+ * Build the cue profile that reproduces the built-in cues of a technique's first cycle
+ * The timeline editor starts from it: the technique's sounds on every step and
+ * a short vibration each second, a longer one on the last second of a phase
+ * @param {object} technique - Technique
+ * @returns {object} - Cue profile {audio, haptic}
+ */
+export const createDefaultCueProfile = (technique) => {
+  const profile = getCueProfile(technique);
+  const audio = [];
+  const haptic = [];
+
+  technique.getPhases().forEach((phase, phaseIndex) => {
+    const duration = technique.getDurationsForCycle(0)[phaseIndex];
+    const stepCount = getStepCount(duration);
+    for (let stepIndex = 0; stepIndex < stepCount; stepIndex++) {
+      const offset = stepIndex / duration;
+      getStepCues(profile, { phaseKey: phase.key, phaseIndex, stepIndex, stepCount, isBoundary: true })
+        .forEach(cue => audio.push({ id: `sound-${audio.length}`, phaseIndex, offset, sound: cue.kind }));
+      haptic.push({
+        id: `pattern-${haptic.length}`,
+        phaseIndex,
+        offset,
+        pattern: stepIndex === stepCount - 1 ? 'medium' : 'short'
+      });
+    }
+  });
+
+  return normalizeCueProfile({ audio, haptic });
+};
+
+/**
+ * Get a marker's sound from the technique's cue sounds
+ * @param {object} profile - Cue profile of the technique
+ * @param {string} sound - One of CUE_SOUNDS
+ * @param {string} phaseKey - Phase the marker sits in
+ * @returns {object|null} - Sound, or null when the technique is silent
+ */
+const resolveMarkerSound = (profile, sound, phaseKey) => {
+  const resolved = sound === CUE_KINDS.PHASE_START ? profile.phaseStart(phaseKey) : profile[sound];
+  return resolved || (profile.isSilent ? null : MARKER_FALLBACK_SOUNDS[sound] || null);
+};
+
+/**
+ * Get the cues a cue profile places on one cycle of a technique
+ * @param {object} technique - Technique
+ * @param {object} cueProfile - Cue profile {audio, haptic}
+ * @param {object} profile - Cue sounds of the technique (see getCueProfile)
+ * @param {number} [cycleIndex] - Cycle whose durations place the markers
+ * @returns {object[]} - Cues {time, track, kind, sound} or {time, track, pattern}, seconds from the cycle start
+ */
+export const getCycleMarkerCues = (technique, cueProfile, profile, cycleIndex = 0) => {
+  const phases = technique.getPhases();
+  const durations = technique.getDurationsForCycle(cycleIndex);
+  const cues = [];
+
+  cueProfile.audio.forEach((marker) => {
+    const time = getMarkerTime(marker, durations);
+    const sound = time === null ? null : resolveMarkerSound(profile, marker.sound, phases[marker.phaseIndex].key);
+    if (sound) {
+      cues.push({ time, track: CUE_TRACKS.AUDIO, kind: marker.sound, sound });
+    }
+  });
+  cueProfile.haptic.forEach((marker) => {
+    const time = getMarkerTime(marker, durations);
+    if (time !== null) {
+      cues.push({ time, track: CUE_TRACKS.HAPTIC, pattern: marker.pattern });
+    }
+  });
+
+  return cues.sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Cue Scheduler class
+ * Keeps the next few seconds of cues scheduled while a session runs
+ */
+export class CueScheduler {
+  /**
+   * @param {object} options - Options
+   * @param {AudioService} options.audioService - Plays the cues
+   * @param {TimerService} options.timerService - Session clock and technique
+   * @param {VibrationService} [options.vibrationService] - Plays the vibration markers of cue profiles
+   * @param {number} [options.lookaheadSeconds] - How far ahead cues are scheduled
+   * @param {number} [options.intervalMs] - How often the schedule is topped up
+   */
+  constructor({
+    audioService,
+    timerService,
+    vibrationService = null,
+    lookaheadSeconds = DEFAULT_LOOKAHEAD_SECONDS,
+    intervalMs = DEFAULT_INTERVAL_MS
+  }) {
+    this.audioService = audioService;
+    this.timerService = timerService;
+    this.vibrationService = vibrationService;
+    this.lookaheadSeconds = lookaheadSeconds;
+    this.intervalMs = intervalMs;
+    this.shouldPlay = () => true;
+    this.shouldVibrate = () => false;
+    this.resolveSamples = () => ({});
+    this.resolveCueProfile = () => null;
+    this.intervalId = null;
+    // Vibration cannot be placed on the audio clock, so vibration markers wait on timers
+    this.vibrationTimers = new Set();
+    // Audio time at session time zero, and the session time cues are scheduled up to
+    this.audioOffset = null;
+    this.scheduledUntil = null;
+
+    this.schedule = this.schedule.bind(this);
+  }
+
+  /**
+   * Decide whether cues play, e.g. off when sound is off or speech replaces them
+   * Checked on every pass, so changes apply within the lookahead
+   * @param {Function} predicate - Returns true when cues should play
+   */
+  setShouldPlay(predicate) {
+    this.shouldPlay = typeof predicate === 'function' ? predicate : () => true;
+  }
+
+  /**
+   * Decide whether the vibration markers of cue profiles play
+   * @param {Function} predicate - Returns true when vibration markers should play
+   */
+  setShouldVibrate(predicate) {
+    this.shouldVibrate = typeof predicate === 'function' ? predicate : () => false;
+  }
+
+  /**
+   * Provide the cue profiles that replace a technique's built-in cues
+   * @param {Function} resolver - Called with the technique, returns a cue profile or null
+   */
+  setCueProfileResolver(resolver) {
+    this.resolveCueProfile = typeof resolver === 'function' ? resolver : () => null;
+  }
+
+  /**
+   * Provide the imported samples that replace built-in tones
+   * @param {Function} resolver - Called with the technique, returns {slot: AudioBuffer}
+   */
+  setSampleResolver(resolver) {
+    this.resolveSamples = typeof resolver === 'function' ? resolver : () => ({});
+  }
+
+  /**
+   * Start scheduling from the current session time
+   */
+  start() {
+    this.stop();
+    this.intervalId = setInterval(this.schedule, this.intervalMs);
+    this.schedule();
+  }
+
+  /**
+   * Stop scheduling and cancel cues that have not played yet
+   */
+  stop() {
+    if (this.intervalId !== null) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.reset();
+  }
+
+  /**
+   * Check if the scheduler is running
+   * @returns {boolean} - True while scheduling
+   */
+  isRunning() {
+    return this.intervalId !== null;
+  }
+
+  /**
+   * Drop the pending schedule so the next pass starts over from now
+   */
+  reset() {
+    this.cancelPending();
+    this.audioOffset = null;
+    this.scheduledUntil = null;
+  }
+
+  /**
+   * Cancel sounds and vibrations that have not played yet
+   */
+  cancelPending() {
+    this.audioService?.cancelScheduledCues?.();
+    this.vibrationTimers.forEach(timer => clearTimeout(timer));
+    this.vibrationTimers.clear();
+  }
+
+  /**
+   * Follow a timer update; re-anchors when the clocks have drifted apart
+   * @param {object} [data] - Timer update payload; catch-up updates always re-anchor
+   */
+  sync(data = {}) {
+    if (!this.isRunning()) return;
+
+    const context = this.audioService?.ensureAudioContext();
+    if (this.audioOffset !== null && context) {
+      const offset = context.currentTime - this.timerService.getElapsedMs() / 1000;
+      if (data.isCatchUp || Math.abs(offset - this.audioOffset) > MAX_DRIFT_SECONDS) {
+        Logger.debug('service', 'CueScheduler: re-anchoring to the timer');
+        // Cues that have not started yet are placed again on the new anchor
+        this.cancelPending();
+        this.scheduledUntil = Math.min(this.scheduledUntil ?? Infinity, context.currentTime - this.audioOffset);
+        this.audioOffset = offset;
+      }
+    }
+    this.schedule();
+  }
+
+  /**
+   * Follow a move to the next program stage
+   * Cues stop at the end of a stage, so the new stage is scheduled from its start
+   */
+  syncStage() {
+    if (!this.isRunning()) return;
+
+    if (this.scheduledUntil !== null) {
+      this.scheduledUntil = Math.min(this.scheduledUntil, this.timerService.stageStartTime);
+    }
+    this.schedule();
+  }
+
+  /**
+   * Schedule every cue from where the last pass stopped up to the lookahead
+   */
+  schedule() {
+    if (!this.isRunning() || !this.timerService?.technique) return;
+
+    const context = this.audioService?.ensureAudioContext();
+    if (!context) return;
+
+    try {
+      if (this.audioOffset === null) {
+        this.audioOffset = context.currentTime - this.timerService.getElapsedMs() / 1000;
+      }
+
+      const now = context.currentTime - this.audioOffset;
+      // A fresh session includes its first cue; a resumed one does not repeat the cue it paused after
+      const start = this.scheduledUntil ?? (now < MISSED_CUE_SECONDS ? 0 : now);
+      const from = Math.max(start, now - MISSED_CUE_SECONDS);
+      const to = now + this.lookaheadSeconds;
+      if (to <= from) return;
+
+      const playSounds = this.shouldPlay();
+      const vibrate = !!this.vibrationService && this.shouldVibrate();
+      if (playSounds || vibrate) {
+        this.getCues(from, to).forEach((cue) => {
+          const when = cue.time + this.audioOffset;
+          if (cue.track === CUE_TRACKS.HAPTIC) {
+            if (vibrate) this.scheduleVibration(cue.pattern, when - context.currentTime);
+          } else if (playSounds) {
+            this.audioService.scheduleCue(cue.sound, when);
+          }
+        });
+      }
+      this.scheduledUntil = to;
+    } catch (error) {
+      errorHandler.handleError(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.AUDIO);
+    }
+  }
+
+  /**
+   * Play a vibration pattern after a delay
+   * @param {string} pattern - Registered pattern name
+   * @param {number} delaySeconds - Seconds from now
+   */
+  scheduleVibration(pattern, delaySeconds) {
+    const timer = setTimeout(() => {
+      this.vibrationTimers.delete(timer);
+      this.vibrationService.playPattern(pattern).catch((error) => {
+        errorHandler.handleError(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.SYSTEM);
+      });
+    }, Math.max(0, delaySeconds * 1000));
+    this.vibrationTimers.add(timer);
+  }
+
+  /**
+   * Get the cues of the current stage between two session times
+   * A technique with a cue profile plays its markers; others play their built-in cues.
+   * Stops at the boundary where the stage or session ends; the next stage is
+   * scheduled once the timer has moved on to it
+   * @param {number} from - Session time in seconds (inclusive)
+   * @param {number} to - Session time in seconds (exclusive)
+   * @returns {object[]} - Cues {time, track, kind, sound} (or {time, track, pattern}) in session time
+   */
+  getCues(from, to) {
+    const { technique, stageStartTime = 0, stageCycleOffset = 0 } = this.timerService;
+    const profile = applySoundSamples(getCueProfile(technique), this.resolveSamples(technique));
+    const cueProfile = normalizeCueProfile(this.resolveCueProfile(technique));
+    if (cueProfile) {
+      return this.getMarkerCues(from, to, cueProfile, profile);
+    }
+
+    const cues = [];
+    let time = Math.max(from, stageStartTime);
+
+    for (let pass = 0; time < to && pass < MAX_CUES_PER_PASS; pass++) {
+      const stageSeconds = time - stageStartTime;
+      const phase = technique.getCurrentPhase(stageSeconds + STEP_EPSILON);
+      const phaseStart = stageSeconds + STEP_EPSILON - phase.timeInPhase;
+      const stepIndex = getStepIndex(phase.timeInPhase, phase.duration);
+      const stepCount = getStepCount(phase.duration);
+      const stepTime = stageStartTime + phaseStart + stepIndex;
+      const isBoundary = stepTime > stageStartTime + STEP_EPSILON;
+
+      if (stepTime >= from - STEP_EPSILON && stepTime < to - STEP_EPSILON) {
+        if (isBoundary && stepIndex === 0 && phase.phaseIndex === 0) {
+          const stageCycle = phase.cycleIndex ?? Math.round(stageSeconds / technique.getTotalDuration());
+          const cyclesCompleted = stageCycleOffset + stageCycle;
+          if (this.timerService.endsStageAt?.(stepTime, cyclesCompleted)) break;
+        }
+
+        getStepCues(profile, {
+          phaseKey: phase.phase?.key || phase.key,
+          phaseIndex: phase.phaseIndex,
+          stepIndex,
+          stepCount,
+          isBoundary
+        }).forEach(cue => cues.push({ ...cue, track: CUE_TRACKS.AUDIO, time: stepTime }));
+      }
+
+      time = stageStartTime + phaseStart + (stepIndex + 1 < stepCount ? stepIndex + 1 : phase.duration);
+    }
+
+    return cues;
+  }
+
+  /**
+   * Get the markers of a cue profile between two session times, cycle by cycle
+   * @param {number} from - Session time in seconds (inclusive)
+   * @param {number} to - Session time in seconds (exclusive)
+   * @param {object} cueProfile - Cue profile
+   * @param {object} profile - Cue sounds of the technique
+   * @returns {object[]} - Cues in session time
+   */
+  getMarkerCues(from, to, cueProfile, profile) {
+    const { technique, stageStartTime = 0, stageCycleOffset = 0 } = this.timerService;
+    const cues = [];
+    let time = Math.max(from, stageStartTime);
+
+    for (let pass = 0; time < to && pass < MAX_CUES_PER_PASS; pass++) {
+      const phase = technique.getCurrentPhase(time - stageStartTime + STEP_EPSILON);
+      const cycleIndex = phase.cycleIndex ?? 0;
+      const cycleStart = stageStartTime + (phase.cycleStartTime ?? cycleIndex * technique.getTotalDuration());
+      if (cycleStart > stageStartTime + STEP_EPSILON &&
+        this.timerService.endsStageAt?.(cycleStart, stageCycleOffset + cycleIndex)) break;
+
+      getCycleMarkerCues(technique, cueProfile, profile, cycleIndex).forEach((cue) => {
+        const cueTime = cycleStart + cue.time;
+        // Like the built-in cues, nothing marks a transition into the very start of a stage
+        const isStageStart = cueTime <= stageStartTime + STEP_EPSILON;
+        if (isStageStart && BOUNDARY_KINDS.includes(cue.kind)) return;
+        if (cueTime >= from - STEP_EPSILON && cueTime < to - STEP_EPSILON) {
+          cues.push({ ...cue, time: cueTime });
+        }
+      });
+
+      const cycleLength = technique.getTotalDuration(cycleIndex);
+      if (!(cycleLength > 0)) break;
+      time = cycleStart + cycleLength;
+    }
+
+    return cues;
+  }
+
+  /**
+   * Play one cycle of a cue profile right away, e.g. from the timeline editor
+   * Does nothing while a session is running
+   * @param {object} technique - Technique
+   * @param {object} cueProfile - Cue profile
+   * @param {object} [options] - {from: seconds into the cycle to start at}
+   * @returns {Promise<boolean>} - True if the preview started
+   */
+  async previewCycle(technique, cueProfile, { from = 0 } = {}) {
+    const normalized = normalizeCueProfile(cueProfile);
+    if (this.isRunning() || !technique || !normalized) return false;
+
+    await this.audioService.initialize();
+    const context = this.audioService.ensureAudioContext();
+    if (!context) return false;
+
+    this.cancelPending();
+    const profile = applySoundSamples(getCueProfile(technique), this.resolveSamples(technique));
+    getCycleMarkerCues(technique, normalized, profile).forEach((cue) => {
+      if (cue.time < from - STEP_EPSILON) return;
+      const delay = PREVIEW_DELAY_SECONDS + cue.time - from;
+      if (cue.track === CUE_TRACKS.HAPTIC) {
+        if (this.vibrationService) this.scheduleVibration(cue.pattern, delay);
+      } else {
+        this.audioService.scheduleCue(cue.sound, context.currentTime + delay);
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Stop a preview that is still playing
+   */
+  stopPreview() {
+    if (!this.isRunning()) {
+      this.cancelPending();
+    }
+  }
+
+  /**
+   * Dispose of the cue scheduler
+   */
+  dispose() {
+    this.stop();
+  }
+}
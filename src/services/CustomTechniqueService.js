@@ -0,0 +1,478 @@
+/**
+ * Custom Technique Service
+ * Validates, registers and persists user-defined breathing techniques
+ * Follows Single Responsibility Principle - custom technique lifecycle only
+ */
+
+import { ValidationError, TechniqueError, ServiceError } from '../errors/AppError.js';
+import { errorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../errors/ErrorHandler.js';
+import { CustomTechnique, CUSTOM_TECHNIQUE_ID_PREFIX } from '../techniques/CustomTechnique.js';
+import { techniqueRegistry } from '../techniques/TechniqueRegistry.js';
+import { ValidationChain } from '../validators/ValidationChain.js';
+import { TechniqueValidator } from '../validators/TechniqueValidator.js';
+import { DurationValidator } from '../validators/DurationValidator.js';
+import { PhaseValidator } from '../validators/PhaseValidator.js';
+import Logger from '../utils/Logger.js';
+
+export const CUSTOM_TECHNIQUES_STORAGE_KEY = 'breathing-app-custom-techniques';
+
+/**
+ * Check if a stored entry records a deletion ({id, deleted: true, deletedAt})
+ * @param {object} entry - Stored entry
+ * @returns {boolean} - True for a tombstone
+ */
+const isTombstone = (entry) => Boolean(entry?.deleted);
+
+/**
+ * Custom Technique Service class
+ */
+export class CustomTechniqueService {
+  constructor(storageService, registry = techniqueRegistry) {
+    if (!storageService) {
+      throw new ServiceError(
+        'CustomTechniqueService requires a StorageService instance',
+        'CustomTechniqueService'
+      );
+    }
+
+    this.storageService = storageService;
+    this.registry = registry;
+    this.techniques = new Map();
+    // Stored definitions this device cannot register (e.g. from a newer version), kept as they are
+    this.unregisteredDefinitions = new Map();
+    // Deletion times by ID; stored as tombstones so synced devices delete the technique too
+    this.deletedAt = new Map();
+    this.listeners = new Set();
+    this.isInitialized = false;
+
+    this.techniqueChain = new ValidationChain()
+      .addValidator(new TechniqueValidator())
+      .addValidator(new DurationValidator());
+    this.phaseValidator = new PhaseValidator();
+  }
+
+  /**
+   * Load stored custom techniques and register them
+   * Invalid stored entries are reported and kept unregistered instead of breaking startup
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    const stored = await this.storageService.get(CUSTOM_TECHNIQUES_STORAGE_KEY, []);
+    const definitions = Array.isArray(stored) ? stored : [];
+
+    definitions.forEach(definition => {
+      if (isTombstone(definition)) {
+        this.deletedAt.set(definition.id, Number(definition.deletedAt) || 0);
+        return;
+      }
+
+      try {
+        this.registerDefinition(definition);
+      } catch (error) {
+        this.keepUnregistered(definition);
+        errorHandler.handleError(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.TECHNIQUE);
+      }
+    });
+
+    this.isInitialized = true;
+    Logger.debug('service', `Loaded ${this.techniques.size} custom techniques`);
+    this.notifyListeners();
+  }
+
+  /**
+   * Validate a custom technique definition
+   * @param {object} definition - Plain technique definition
+   * @returns {object} - Validation result {isValid, errors, warnings}
+   */
+  validate(definition) {
+    const normalized = this.normalizeDefinition(definition);
+    const config = {
+      id: normalized.id,
+      name: normalized.name,
+      description: normalized.description,
+      benefits: normalized.benefits,
+      phases: normalized.phases,
+      durationsSec: normalized.phases.map(phase => phase.duration),
+      pattern: normalized.phases.map(phase => phase.duration).join('-')
+    };
+
+    const result = this.techniqueChain.validate(config);
+
+    if (normalized.phases.length === 0) {
+      result.isValid = false;
+      result.errors.push({
+        field: 'phases',
+        message: 'At least one phase is required',
+        type: 'required_field'
+      });
+    }
+
+    const seenKeys = new Set();
+    normalized.phases.forEach((phase, index) => {
+      const phaseResult = this.phaseValidator.validate(phase);
+      const prefix = `phases[${index}]`;
+
+      if (!phaseResult.isValid) {
+        result.isValid = false;
+        result.errors.push(...phaseResult.errors.map(error => ({ ...error, field: `${prefix}.${error.field}` })));
+      }
+      result.warnings.push(...phaseResult.warnings.map(warning => ({ ...warning, field: `${prefix}.${warning.field}` })));
+
+      if (!Number.isFinite(phase.duration)) {
+        result.isValid = false;
+        result.errors.push({
+          field: `${prefix}.duration`,
+          message: 'Phase duration must be a finite number',
+          type: 'type_error'
+        });
+      }
+
+      if (seenKeys.has(phase.key)) {
+        result.isValid = false;
+        result.errors.push({
+          field: `${prefix}.key`,
+          message: `Phase key '${phase.key}' is used more than once`,
+          type: 'duplicate_key'
+        });
+      }
+      seenKeys.add(phase.key);
+    });
+
+    if (this.isBuiltInId(normalized.id)) {
+      result.isValid = false;
+      result.errors.push({
+        field: 'id',
+        message: `ID '${normalized.id}' is reserved by a built-in technique`,
+        type: 'reserved_id'
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Create or update a custom technique
+   * @param {object} definition - Plain technique definition
+   * @returns {Promise<CustomTechnique>} - Registered technique
+   */
+  async saveTechnique(definition) {
+    const existing = definition.id ? this.techniques.get(definition.id) : null;
+    const technique = this.registerDefinition({
+      ...definition,
+      id: definition.id || this.generateId(),
+      createdAt: existing?.createdAt,
+      updatedAt: Date.now()
+    });
+
+    await this.persist();
+    Logger.debug('service', `Saved custom technique ${technique.id}`);
+    this.notifyListeners();
+
+    return technique;
+  }
+
+  /**
+   * Delete a custom technique
+   * @param {string} id - Technique ID
+   * @returns {Promise<boolean>} - True if a technique was removed
+   */
+  async deleteTechnique(id) {
+    if (!this.techniques.has(id)) {
+      return false;
+    }
+
+    this.removeDefinition(id);
+
+    await this.persist();
+    Logger.debug('service', `Deleted custom technique ${id}`);
+    this.notifyListeners();
+
+    return true;
+  }
+
+  /**
+   * Import technique definitions, e.g. from a backup
+   * Definitions keep their IDs and timestamps; invalid ones are skipped and reported
+   * @param {object[]} definitions - Plain technique definitions
+   * @param {object} [options] - {replace: remove custom techniques first}
+   * @returns {Promise<object>} - {imported, skipped}
+   */
+  async importTechniques(definitions, { replace = false } = {}) {
+    if (replace) {
+      [...this.techniques.keys(), ...this.unregisteredDefinitions.keys()].forEach(id => this.removeDefinition(id));
+    }
+
+    let imported = 0;
+    definitions.forEach(definition => {
+      try {
+        this.registerDefinition({ ...definition, id: definition.id || this.generateId() });
+        imported++;
+      } catch (error) {
+        errorHandler.handleError(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.TECHNIQUE);
+      }
+    });
+
+    await this.persist();
+    Logger.debug('service', `Imported ${imported} custom techniques`);
+    this.notifyListeners();
+
+    return { imported, skipped: definitions.length - imported };
+  }
+
+  /**
+   * Apply technique definitions synced from another device, ID by ID
+   * The newer version of each technique wins. Techniques missing from the list stay, since
+   * the other device may not have seen them yet; only tombstones delete. Definitions this
+   * device cannot register are kept as they are instead of being dropped
+   * @param {object[]} entries - Stored definitions and tombstones
+   * @returns {Promise<object>} - {imported, deleted, skipped}
+   */
+  async applyTechniques(entries) {
+    const result = { imported: 0, deleted: 0, skipped: 0 };
+
+    (Array.isArray(entries) ? entries : []).forEach(entry => {
+      if (!entry?.id || typeof entry.id !== 'string') {
+        result.skipped++;
+        return;
+      }
+
+      const local = this.techniques.get(entry.id);
+      const localUpdatedAt = local?.updatedAt ?? this.unregisteredDefinitions.get(entry.id)?.updatedAt ?? -Infinity;
+
+      if (isTombstone(entry)) {
+        const deletedAt = Number(entry.deletedAt) || 0;
+        // Edited here after it was deleted there
+        if (localUpdatedAt > deletedAt) return;
+        if (this.removeDefinition(entry.id, deletedAt)) {
+          result.deleted++;
+        }
+        return;
+      }
+
+      const updatedAt = Number(entry.updatedAt) || 0;
+      if (localUpdatedAt >= updatedAt || (this.deletedAt.get(entry.id) ?? -Infinity) >= updatedAt) return;
+
+      try {
+        this.registerDefinition(entry);
+        result.imported++;
+      } catch (error) {
+        // A local version stays usable; the newer one is stored so it is not overwritten
+        this.keepUnregistered(entry);
+        result.skipped++;
+        errorHandler.handleError(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.TECHNIQUE);
+      }
+    });
+
+    await this.persist();
+    Logger.debug('service', 'Applied synced custom techniques', result);
+    this.notifyListeners();
+
+    return result;
+  }
+
+  /**
+   * Get all custom techniques
+   * @returns {CustomTechnique[]} - Custom techniques
+   */
+  getCustomTechniques() {
+    return Array.from(this.techniques.values());
+  }
+
+  /**
+   * Get a custom technique by ID
+   * @param {string} id - Technique ID
+   * @returns {CustomTechnique|null} - Technique or null
+   */
+  getTechnique(id) {
+    return this.techniques.get(id) || null;
+  }
+
+  /**
+   * Check if technique ID belongs to a custom technique
+   * @param {string} id - Technique ID
+   * @returns {boolean} - True if custom
+   */
+  isCustomTechnique(id) {
+    return this.techniques.has(id);
+  }
+
+  /**
+   * Subscribe to custom technique changes
+   * @param {Function} callback - Called with the list of custom techniques
+   * @returns {Function} - Unsubscribe function
+   */
+  addListener(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Validate, build and register a definition
+   * @param {object} definition - Plain technique definition
+   * @returns {CustomTechnique} - Registered technique
+   */
+  registerDefinition(definition) {
+    const normalized = this.normalizeDefinition(definition);
+    const result = this.validate(normalized);
+
+    if (!result.isValid) {
+      const [firstError] = result.errors;
+      throw new ValidationError(
+        `Invalid custom technique: ${firstError.message}`,
+        firstError.field,
+        normalized,
+        { errors: result.errors, warnings: result.warnings }
+      );
+    }
+
+    try {
+      const technique = new CustomTechnique(normalized);
+      this.registry.register(technique);
+      this.techniques.set(technique.id, technique);
+      this.unregisteredDefinitions.delete(technique.id);
+      this.deletedAt.delete(technique.id);
+      return technique;
+    } catch (error) {
+      throw new TechniqueError(
+        'Failed to register custom technique',
+        normalized.id,
+        { originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Keep a stored definition that cannot be registered, so saving does not delete it
+   * @param {object} definition - Raw definition
+   */
+  keepUnregistered(definition) {
+    if (definition?.id && typeof definition.id === 'string') {
+      this.unregisteredDefinitions.set(definition.id, definition);
+    }
+  }
+
+  /**
+   * Remove a technique and record its deletion
+   * @param {string} id - Technique ID
+   * @param {number} [deletedAt] - Deletion time
+   * @returns {boolean} - True if a technique or kept definition was removed
+   */
+  removeDefinition(id, deletedAt = Date.now()) {
+    const registered = this.techniques.delete(id);
+    if (registered) {
+      this.registry.unregister(id);
+    }
+    const unregistered = this.unregisteredDefinitions.delete(id);
+    this.deletedAt.set(id, deletedAt);
+
+    return registered || unregistered;
+  }
+
+  /**
+   * Normalize raw definition (trim strings, coerce durations)
+   * @param {object} definition - Raw definition
+   * @returns {object} - Normalized definition
+   */
+  normalizeDefinition(definition = {}) {
+    const phases = Array.isArray(definition.phases)
+      ? definition.phases.map(phase => ({
+        ...phase,
+        key: typeof phase.key === 'string' ? phase.key.trim() : phase.key,
+        name: typeof phase.name === 'string' ? phase.name.trim() : phase.name,
+        duration: typeof phase.duration === 'string' ? Number(phase.duration) : phase.duration
+      }))
+      : [];
+    const name = typeof definition.name === 'string' ? definition.name.trim() : definition.name;
+    const pattern = phases.map(phase => phase.duration).join('-');
+    const description = definition.description?.trim?.() || `Custom pattern ${pattern}`;
+
+    return {
+      ...definition,
+      name,
+      description,
+      benefits: definition.benefits?.trim?.() || description,
+      phases,
+      instructions: Array.isArray(definition.instructions)
+        ? definition.instructions.map(line => String(line).trim()).filter(Boolean)
+        : []
+    };
+  }
+
+  /**
+   * Check whether an ID belongs to a registered non-custom technique
+   * @param {string} id - Technique ID
+   * @returns {boolean} - True if reserved
+   */
+  isBuiltInId(id) {
+    return Boolean(id) && this.registry.hasTechnique(id) && !this.techniques.has(id);
+  }
+
+  /**
+   * Generate a unique custom technique ID
+   * @returns {string} - New ID
+   */
+  generateId() {
+    let id;
+    do {
+      id = `${CUSTOM_TECHNIQUE_ID_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    } while (this.registry.hasTechnique(id));
+    return id;
+  }
+
+  /**
+   * Persist all custom techniques, kept definitions and tombstones
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    const entries = new Map(this.getCustomTechniques().map(technique => [technique.id, technique.toJSON()]));
+    this.unregisteredDefinitions.forEach((definition, id) => entries.set(id, definition));
+    this.deletedAt.forEach((deletedAt, id) => {
+      if (!entries.has(id)) {
+        entries.set(id, { id, deleted: true, deletedAt });
+      }
+    });
+
+    await this.storageService.set(CUSTOM_TECHNIQUES_STORAGE_KEY, [...entries.values()]);
+  }
+
+  /**
+   * Notify listeners about changes
+   */
+  notifyListeners() {
+    const techniques = this.getCustomTechniques();
+    this.listeners.forEach(callback => {
+      try {
+        callback(techniques);
+      } catch (error) {
+        errorHandler.handleError(
+          new ServiceError(
+            'Error in custom technique listener',
+            'CustomTechniqueService',
+            { originalError: error.message }
+          )
+        );
+      }
+    });
+  }
+
+  /**
+   * Get service capabilities
+   * @returns {object} - Service capabilities
+   */
+  getCapabilities() {
+    return {
+      isInitialized: this.isInitialized,
+      customTechniqueCount: this.techniques.size,
+      storageKey: CUSTOM_TECHNIQUES_STORAGE_KEY
+    };
+  }
+
+  /**
+   * Dispose of service resources
+   */
+  dispose() {
+    this.listeners.clear();
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * Entrainment Generator
+ * Builds binaural beats and isochronic tones in Web Audio following Single Responsibility Principle
+ * Binaural beats only form in the head when each ear hears its own tone, so they need headphones;
+ * isochronic pulses work on speakers
+ */
+
+import { ServiceError } from '../errors/AppError.js';
+
+export const ENTRAINMENT_MODES = {
+  BINAURAL: 'binaural',
+  ISOCHRONIC: 'isochronic'
+};
+
+// Carrier and beat frequencies in Hz
+export const ENTRAINMENT_PRESETS = {
+  delta: { carrier: 150, beat: 2 },
+  theta: { carrier: 180, beat: 6 },
+  alpha: { carrier: 200, beat: 10 },
+  beta: { carrier: 220, beat: 16 }
+};
+
+export const ENTRAINMENT_LIMITS = {
+  carrier: { min: 100, max: 500 },
+  beat: { min: 0.5, max: 30 }
+};
+
+export const DEFAULT_ENTRAINMENT_PRESET = 'alpha';
+
+// Technique categories (see BaseTechnique.getCategory) mapped to the preset that suits them
+const CATEGORY_PRESETS = {
+  sleep: 'theta',
+  relaxation: 'theta',
+  balance: 'alpha',
+  focus: 'alpha',
+  energy: 'beta'
+};
+
+/**
+ * Clamp a frequency into a limit range
+ * @param {number} value - Frequency in Hz
+ * @param {object} range - {min, max}
+ * @returns {number} - Clamped frequency
+ */
+const clampFrequency = (value, range) => Math.max(range.min, Math.min(range.max, Number(value)));
+
+/**
+ * Check if a mode needs headphones to work
+ * @param {string} mode - One of ENTRAINMENT_MODES
+ * @returns {boolean} - True for binaural beats
+ */
+export const requiresHeadphones = (mode) => mode === ENTRAINMENT_MODES.BINAURAL;
+
+/**
+ * Resolve a preset key or a {carrier, beat} config to frequencies within the limits
+ * @param {string|object} preset - Preset key or {carrier, beat}
+ * @returns {{carrier: number, beat: number}} - Frequencies in Hz
+ */
+export const resolveEntrainmentPreset = (preset) => {
+  const config = typeof preset === 'string' ? ENTRAINMENT_PRESETS[preset] : preset;
+  if (!config || !Number.isFinite(Number(config.carrier)) || !Number.isFinite(Number(config.beat))) {
+    throw new ServiceError(
+      `Unknown entrainment preset: ${typeof preset === 'string' ? preset : JSON.stringify(preset)}`,
+      'EntrainmentGenerator',
+      { preset, validPresets: Object.keys(ENTRAINMENT_PRESETS) }
+    );
+  }
+
+  return {
+    carrier: clampFrequency(config.carrier, ENTRAINMENT_LIMITS.carrier),
+    beat: clampFrequency(config.beat, ENTRAINMENT_LIMITS.beat)
+  };
+};
+
+/**
+ * Get the preset linked to a technique
+ * audioConfig.entrainment (see AudioEnhancedTechnique) wins over the technique's category
+ * @param {object} technique - Technique
+ * @returns {string|object} - Preset key or {carrier, beat}
+ */
+export const getTechniqueEntrainmentPreset = (technique) => {
+  const linkedPreset = technique?.getAudioConfig?.()?.entrainment;
+  if (linkedPreset) {
+    return linkedPreset;
+  }
+
+  return CATEGORY_PRESETS[technique?.getCategory?.()] || DEFAULT_ENTRAINMENT_PRESET;
+};
+
+/**
+ * Entrainment Generator class
+ * Creates entrainment layers for one audio context
+ */
+export class EntrainmentGenerator {
+  /**
+   * @param {AudioContext} context - Audio context layers are created in
+   */
+  constructor(context) {
+    this.context = context;
+  }
+
+  /**
+   * Create a running entrainment layer
+   * @param {string} mode - One of ENTRAINMENT_MODES
+   * @param {string|object} preset - Preset key or {carrier, beat}
+   * @returns {object} - Layer {mode, carrier, beat, output, stop(time)}; output is a GainNode to connect and fade
+   */
+  createLayer(mode, preset) {
+    if (!Object.values(ENTRAINMENT_MODES).includes(mode)) {
+      throw new ServiceError(
+        `Unknown entrainment mode: ${mode}`,
+        'EntrainmentGenerator',
+        { mode, validModes: Object.values(ENTRAINMENT_MODES) }
+      );
+    }
+
+    const { carrier, beat } = resolveEntrainmentPreset(preset);
+    const output = this.context.createGain();
+    output.gain.value = 0;
+
+    const sources = mode === ENTRAINMENT_MODES.BINAURAL
+      ? this.createBinaural(output, carrier, beat)
+      : this.createIsochronic(output, carrier, beat);
+
+    const startTime = this.context.currentTime;
+    sources.forEach(source => source.start(startTime));
+
+    return {
+      mode,
+      carrier,
+      beat,
+      output,
+      stop: (time = this.context.currentTime) => {
+        sources.forEach(source => source.stop(time));
+        sources[0].onended = () => output.disconnect();
+      }
+    };
+  }
+
+  /**
+   * Two tones half a beat either side of the carrier, one per ear
+   * @param {AudioNode} destination - Node to connect to
+   * @param {number} carrier - Carrier in Hz
+   * @param {number} beat - Beat in Hz
+   * @returns {OscillatorNode[]} - Sources to start
+   */
+  createBinaural(destination, carrier, beat) {
+    const merger = this.context.createChannelMerger(2);
+    merger.connect(destination);
+
+    return [carrier - beat / 2, carrier + beat / 2].map((frequency, channel) => {
+      const osc = this.context.createOscillator();
+      osc.type = 'sine';
+      osc.frequency.value = frequency;
+      osc.connect(merger, 0, channel);
+      return osc;
+    });
+  }
+
+  /**
+   * A carrier tone pulsed on and off at the beat frequency
+   * The pulse is a band-limited square so its edges do not click
+   * @param {AudioNode} destination - Node to connect to
+   * @param {number} carrier - Carrier in Hz
+   * @param {number} beat - Beat in Hz
+   * @returns {OscillatorNode[]} - Sources to start
+   */
+  createIsochronic(destination, carrier, beat) {
+    const tone = this.context.createOscillator();
+    tone.type = 'sine';
+    tone.frequency.value = carrier;
+
+    const pulse = this.context.createGain();
+    pulse.gain.value = 0.5;
+    tone.connect(pulse).connect(destination);
+
+    const lfo = this.context.createOscillator();
+    // Odd harmonics 1, 1/3, 1/5 of a square wave
+    lfo.setPeriodicWave(this.context.createPeriodicWave(
+      new Float32Array([0, 0, 0, 0, 0, 0]),
+      new Float32Array([0, 1, 0, 1 / 3, 0, 1 / 5])
+    ));
+    lfo.frequency.value = beat;
+
+    const depth = this.context.createGain();
+    depth.gain.value = 0.45;
+    lfo.connect(depth).connect(pulse.gain);
+
+    return [tone, lfo];
+  }
+}
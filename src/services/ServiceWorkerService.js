@@ -0,0 +1,245 @@
+/**
+ * Service Worker Service
+ * Registers the offline service worker and reports when the app is ready offline
+ * or a new version is waiting to take over
+ * Follows Single Responsibility Principle - service worker lifecycle only
+ */
+
+import { ServiceError } from '../errors/AppError.js';
+import { errorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../errors/ErrorHandler.js';
+import Logger from '../utils/Logger.js';
+
+export const SERVICE_WORKER_EVENTS = {
+  OFFLINE_READY: 'offlineReady',
+  UPDATE_AVAILABLE: 'updateAvailable'
+};
+
+// Message understood by the service worker (see pwa/serviceWorker.js)
+export const SKIP_WAITING_MESSAGE = { type: 'SKIP_WAITING' };
+
+/**
+ * Service Worker Service class
+ */
+export class ServiceWorkerService {
+  /**
+   * @param {object} options - Options
+   * @param {string} [options.scriptUrl] - Service worker URL
+   * @param {boolean} [options.enabled] - Register at all (off in development, where nothing is precached)
+   * @param {object} [options.container] - ServiceWorkerContainer (navigator.serviceWorker)
+   * @param {Function} [options.reload] - Reloads the page once the new version controls it
+   */
+  constructor({
+    scriptUrl = `${import.meta.env.BASE_URL}sw.js`,
+    enabled = import.meta.env.PROD,
+    container = typeof navigator !== 'undefined' ? navigator.serviceWorker : undefined,
+    reload = () => window.location.reload()
+  } = {}) {
+    this.scriptUrl = scriptUrl;
+    this.enabled = enabled;
+    this.container = container;
+    this.reload = reload;
+    this.registration = null;
+    this.waitingWorker = null;
+    this.isOfflineReady = false;
+    this.isApplyingUpdate = false;
+    this.listeners = new Map();
+    this.handleControllerChange = this.handleControllerChange.bind(this);
+  }
+
+  /**
+   * Check if service workers are available
+   * @returns {boolean} - True if supported
+   */
+  isSupported() {
+    return Boolean(this.container && typeof this.container.register === 'function');
+  }
+
+  /**
+   * Register the service worker
+   * @returns {Promise<ServiceWorkerRegistration|null>} - Registration or null when disabled/unsupported
+   */
+  async register() {
+    if (!this.enabled || !this.isSupported()) {
+      Logger.debug('service', 'ServiceWorkerService: registration skipped');
+      return null;
+    }
+
+    try {
+      this.registration = await this.container.register(this.scriptUrl);
+      this.container.addEventListener('controllerchange', this.handleControllerChange);
+
+      // A worker may already be waiting from an earlier visit
+      if (this.registration.waiting && this.container.controller) {
+        this.setWaitingWorker(this.registration.waiting);
+      } else if (this.registration.active && this.container.controller) {
+        this.markOfflineReady();
+      }
+
+      this.registration.addEventListener('updatefound', () => {
+        this.trackInstallingWorker(this.registration.installing);
+      });
+
+      Logger.debug('service', 'ServiceWorkerService: registered', this.registration.scope);
+      return this.registration;
+    } catch (error) {
+      errorHandler.handleError(
+        new ServiceError(
+          'Failed to register service worker',
+          'ServiceWorkerService',
+          { originalError: error.message }
+        ),
+        ERROR_SEVERITY.LOW,
+        ERROR_CATEGORY.NETWORK
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Follow an installing worker until it is installed
+   * The first worker makes the app available offline; later ones are updates
+   * @param {ServiceWorker|null} worker - Installing worker
+   */
+  trackInstallingWorker(worker) {
+    if (!worker) return;
+
+    worker.addEventListener('statechange', () => {
+      if (worker.state !== 'installed') return;
+
+      if (this.container.controller) {
+        this.setWaitingWorker(worker);
+      } else {
+        this.markOfflineReady();
+      }
+    });
+  }
+
+  /**
+   * Remember a waiting worker and announce the update
+   * @param {ServiceWorker} worker - Waiting worker
+   */
+  setWaitingWorker(worker) {
+    this.waitingWorker = worker;
+    Logger.debug('service', 'ServiceWorkerService: update available');
+    this.notifyListeners(SERVICE_WORKER_EVENTS.UPDATE_AVAILABLE, { registration: this.registration });
+  }
+
+  /**
+   * Announce that everything needed offline is cached
+   */
+  markOfflineReady() {
+    if (this.isOfflineReady) return;
+
+    this.isOfflineReady = true;
+    this.notifyListeners(SERVICE_WORKER_EVENTS.OFFLINE_READY, { registration: this.registration });
+  }
+
+  /**
+   * Look for a new version (e.g. when the connection comes back)
+   * @returns {Promise<void>}
+   */
+  async checkForUpdate() {
+    if (!this.registration) return;
+
+    try {
+      await this.registration.update();
+    } catch (error) {
+      Logger.warn('service', 'ServiceWorkerService: update check failed', error);
+    }
+  }
+
+  /**
+   * Activate the waiting version; the page reloads once it takes control
+   * @returns {boolean} - True if an update was applied
+   */
+  applyUpdate() {
+    if (!this.waitingWorker) {
+      return false;
+    }
+
+    this.isApplyingUpdate = true;
+    this.waitingWorker.postMessage(SKIP_WAITING_MESSAGE);
+    this.waitingWorker = null;
+    return true;
+  }
+
+  /**
+   * Reload when an applied update takes over, so the page and cache match again
+   * The first worker also claims the page; that must not reload it
+   */
+  handleControllerChange() {
+    if (!this.isApplyingUpdate) return;
+
+    this.isApplyingUpdate = false;
+    this.reload();
+  }
+
+  /**
+   * Check if an update is waiting
+   * @returns {boolean} - True if an update is waiting
+   */
+  hasUpdate() {
+    return Boolean(this.waitingWorker);
+  }
+
+  /**
+   * Add event listener
+   * @param {string} event - Event name (see SERVICE_WORKER_EVENTS)
+   * @param {Function} callback - Callback function
+   * @returns {Function} - Unsubscribe function
+   */
+  addListener(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(callback);
+
+    return () => {
+      this.listeners.get(event)?.delete(callback);
+    };
+  }
+
+  /**
+   * Notify listeners of an event
+   * @param {string} event - Event name
+   * @param {object} data - Event data
+   */
+  notifyListeners(event, data) {
+    this.listeners.get(event)?.forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        errorHandler.handleError(
+          new ServiceError(
+            'Error in service worker listener',
+            'ServiceWorkerService',
+            { event, originalError: error.message }
+          )
+        );
+      }
+    });
+  }
+
+  /**
+   * Get service capabilities
+   * @returns {object} - Service capabilities
+   */
+  getCapabilities() {
+    return {
+      isSupported: this.isSupported(),
+      isEnabled: Boolean(this.enabled),
+      isRegistered: Boolean(this.registration),
+      isOfflineReady: this.isOfflineReady,
+      hasUpdate: this.hasUpdate(),
+      scriptUrl: this.scriptUrl
+    };
+  }
+
+  /**
+   * Dispose of service resources
+   */
+  dispose() {
+    this.container?.removeEventListener?.('controllerchange', this.handleControllerChange);
+    this.listeners.clear();
+  }
+}
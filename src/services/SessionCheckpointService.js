@@ -0,0 +1,157 @@
+/**
+ * Session Checkpoint Service
+ * Saves the running session now and then so it survives a reload or crash
+ * Follows Single Responsibility Principle - checkpoint persistence only
+ *
+ * A recent checkpoint can be resumed where it stopped; an old one is only worth
+ * keeping as a partial session in the history
+ */
+
+import { ServiceError } from '../errors/AppError.js';
+import { errorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../errors/ErrorHandler.js';
+import Logger from '../utils/Logger.js';
+
+export const SESSION_CHECKPOINT_STORAGE_KEY = 'breathing-app-session-checkpoint';
+
+const CHECKPOINT_VERSION = 1;
+
+const DEFAULT_OPTIONS = {
+  // How often a running session is saved
+  intervalMs: 5000,
+  // Checkpoints older than this are logged to history instead of offered for resume
+  maxResumeAgeMs: 30 * 60 * 1000
+};
+
+/**
+ * Check for a finite number
+ * @param {any} value - Value to check
+ * @returns {boolean} - True for a finite number
+ */
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Session Checkpoint Service class
+ */
+export class SessionCheckpointService {
+  constructor(storageService, options = {}) {
+    if (!storageService) {
+      throw new ServiceError(
+        'SessionCheckpointService requires a StorageService instance',
+        'SessionCheckpointService'
+      );
+    }
+
+    const { now, ...checkpointOptions } = options;
+
+    this.storageService = storageService;
+    this.options = { ...DEFAULT_OPTIONS, ...checkpointOptions };
+    this.now = now || (() => Date.now());
+  }
+
+  /**
+   * Get how often a running session should be saved
+   * @returns {number} - Interval in milliseconds
+   */
+  getInterval() {
+    return this.options.intervalMs;
+  }
+
+  /**
+   * Save the running session
+   * Failures are reported and otherwise ignored; the next checkpoint tries again
+   * @param {object} checkpoint - {techniqueId, startTime, elapsedSeconds, cyclesCompleted, pausedMs, goal, programStage, position}
+   * @returns {Promise<void>}
+   */
+  async save(checkpoint) {
+    try {
+      await this.storageService.set(SESSION_CHECKPOINT_STORAGE_KEY, {
+        ...checkpoint,
+        version: CHECKPOINT_VERSION,
+        savedAt: this.now()
+      });
+    } catch (error) {
+      errorHandler.handleError(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.STORAGE);
+    }
+  }
+
+  /**
+   * Load the saved session
+   * A malformed checkpoint is dropped
+   * @returns {Promise<object|null>} - Checkpoint or null if there is none
+   */
+  async load() {
+    const stored = await this.storageService.get(SESSION_CHECKPOINT_STORAGE_KEY, null);
+    if (!stored) return null;
+
+    const checkpoint = this.normalizeCheckpoint(stored);
+    if (!checkpoint) {
+      Logger.warn('service', 'SessionCheckpointService: dropping malformed checkpoint');
+      await this.clear();
+    }
+    return checkpoint;
+  }
+
+  /**
+   * Forget the saved session, e.g. once it ended, was resumed or logged
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    try {
+      await this.storageService.remove(SESSION_CHECKPOINT_STORAGE_KEY);
+    } catch (error) {
+      errorHandler.handleError(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.STORAGE);
+    }
+  }
+
+  /**
+   * Check if a checkpoint is recent enough to resume
+   * @param {object} checkpoint - Checkpoint
+   * @returns {boolean} - True if it can be offered for resume
+   */
+  isRecent(checkpoint) {
+    return this.now() - checkpoint.savedAt <= this.options.maxResumeAgeMs;
+  }
+
+  /**
+   * Turn a checkpoint into a history record of the session up to the checkpoint
+   * @param {object} checkpoint - Checkpoint
+   * @returns {object} - Session data (see BreathingSessionState.exportSessionData)
+   */
+  toSessionRecord(checkpoint) {
+    return {
+      techniqueId: checkpoint.techniqueId,
+      startTime: checkpoint.startTime,
+      endTime: checkpoint.savedAt,
+      duration: checkpoint.savedAt - checkpoint.startTime,
+      activeMs: Math.round(checkpoint.elapsedSeconds * 1000),
+      pausedMs: checkpoint.pausedMs,
+      cyclesCompleted: checkpoint.cyclesCompleted,
+      averageCycleTime: checkpoint.cyclesCompleted > 0 ? checkpoint.elapsedSeconds / checkpoint.cyclesCompleted : 0,
+      goal: checkpoint.goal,
+      goalReached: false
+    };
+  }
+
+  /**
+   * Validate a stored checkpoint
+   * @param {object} stored - Stored value
+   * @returns {object|null} - Checkpoint or null if it cannot be used
+   */
+  normalizeCheckpoint(stored) {
+    if (typeof stored !== 'object' || stored.version !== CHECKPOINT_VERSION ||
+      typeof stored.techniqueId !== 'string' || !stored.techniqueId ||
+      !isNumber(stored.startTime) || !isNumber(stored.savedAt) ||
+      !isNumber(stored.elapsedSeconds) || stored.elapsedSeconds < 0) {
+      return null;
+    }
+
+    return {
+      ...stored,
+      cyclesCompleted: isNumber(stored.cyclesCompleted) ? Math.max(0, stored.cyclesCompleted) : 0,
+      pausedMs: isNumber(stored.pausedMs) ? Math.max(0, stored.pausedMs) : 0,
+      goal: stored.goal || null,
+      programStage: stored.programStage || null,
+      position: { ...stored.position, elapsedSeconds: stored.elapsedSeconds }
+    };
+  }
+}
@@ -0,0 +1,496 @@
+/**
+ * Session History Service
+ * Records finished breathing sessions, answers history queries and keeps the store bounded
+ * Follows Single Responsibility Principle - session history persistence only
+ */
+
+import { ServiceError, ValidationError } from '../errors/AppError.js';
+import { errorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../errors/ErrorHandler.js';
+import Logger from '../utils/Logger.js';
+
+export const SESSION_HISTORY_STORAGE_KEY = 'breathing-app-session-history';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  // Hard cap on stored records; oldest records are dropped beyond it
+  maxRecords: 1000,
+  // Records older than this are deleted
+  retentionDays: 365,
+  // Records older than this are merged into one record per technique per day
+  compactAfterDays: 30
+};
+
+/**
+ * Get the local start of day for a timestamp
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @returns {number} - Start of day timestamp
+ */
+const startOfDay = (timestamp) => {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+/**
+ * Filter session records by date range and technique
+ * @param {object[]} records - Session records in any order
+ * @param {object} query - Query options
+ * @param {number|Date} [query.from] - Inclusive lower bound for session start
+ * @param {number|Date} [query.to] - Exclusive upper bound for session start
+ * @param {string|string[]} [query.techniqueId] - Technique ID(s) to match
+ * @param {number} [query.limit] - Maximum number of records
+ * @returns {object[]} - Matching records, newest first
+ */
+export function filterSessionRecords(records, { from, to, techniqueId, limit } = {}) {
+  const fromTime = from !== undefined && from !== null ? new Date(from).getTime() : -Infinity;
+  const toTime = to !== undefined && to !== null ? new Date(to).getTime() : Infinity;
+  const techniqueIds = techniqueId
+    ? new Set(Array.isArray(techniqueId) ? techniqueId : [techniqueId])
+    : null;
+
+  const matches = records
+    .filter(record => record.startTime >= fromTime && record.startTime < toTime)
+    .filter(record => !techniqueIds || techniqueIds.has(record.techniqueId))
+    .sort((a, b) => b.startTime - a.startTime);
+
+  return typeof limit === 'number' ? matches.slice(0, Math.max(0, limit)) : matches;
+}
+
+/**
+ * Get the IDs of the sessions a record stands for
+ * @param {object} record - Normalized record
+ * @returns {string[]} - Its own ID, or the IDs a compacted record absorbed
+ */
+const getSourceIds = (record) => (record.compacted ? record.sourceIds : [record.id]);
+
+/**
+ * Check if a stored entry records a deletion ({id, deleted: true, deletedAt, startTime})
+ * @param {object} entry - Stored entry
+ * @returns {boolean} - True for a tombstone
+ */
+const isTombstone = (entry) => Boolean(entry?.deleted);
+
+/**
+ * Session History Service class
+ */
+export class SessionHistoryService {
+  constructor(storageService, options = {}) {
+    if (!storageService) {
+      throw new ServiceError(
+        'SessionHistoryService requires a StorageService instance',
+        'SessionHistoryService'
+      );
+    }
+
+    const { now, ...retentionOptions } = options;
+
+    this.storageService = storageService;
+    this.options = { ...DEFAULT_OPTIONS, ...retentionOptions };
+    this.records = [];
+    // Deleted records by ID; stored as tombstones so syncing does not bring them back
+    this.tombstones = new Map();
+    this.listeners = new Set();
+    this.isInitialized = false;
+    this.now = now || (() => Date.now());
+  }
+
+  /**
+   * Load stored history, dropping malformed entries and applying retention
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    const stored = await this.storageService.get(SESSION_HISTORY_STORAGE_KEY, []);
+    const entries = Array.isArray(stored) ? stored : [];
+
+    this.records = entries.reduce((records, entry) => {
+      if (isTombstone(entry)) {
+        this.addTombstone(entry);
+        return records;
+      }
+
+      try {
+        records.push(this.normalizeRecord(entry));
+      } catch (error) {
+        errorHandler.handleError(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.STORAGE);
+      }
+      return records;
+    }, []);
+    this.sortRecords();
+
+    const changed = this.applyRetention() ||
+      this.records.length + this.tombstones.size !== entries.length;
+    if (changed) {
+      await this.persist();
+    }
+
+    this.isInitialized = true;
+    Logger.debug('service', `Loaded ${this.records.length} session history records`);
+    this.notifyListeners();
+  }
+
+  /**
+   * Record a finished session
+   * @param {object} session - Session data (see BreathingSessionState.exportSessionData)
+   * @returns {Promise<object>} - Stored record
+   */
+  async recordSession(session) {
+    const record = this.normalizeRecord({
+      ...session,
+      id: session.id || this.generateId(session.startTime)
+    });
+
+    this.records.push(record);
+    this.sortRecords();
+    this.applyRetention();
+
+    await this.persist();
+    Logger.debug('service', `Recorded session ${record.id} for ${record.techniqueId}`);
+    this.notifyListeners();
+
+    return record;
+  }
+
+  /**
+   * Import session records, e.g. from a backup or another device
+   * Records with the ID of a stored one replace it; malformed ones are skipped and reported.
+   * Tombstones delete the record they name; deletions made here are kept on replace
+   * @param {object[]} sessions - Session records and tombstones
+   * @param {object} [options] - {replace: drop the stored history first}
+   * @returns {Promise<object>} - {imported, deleted, skipped}
+   */
+  async importSessions(sessions, { replace = false } = {}) {
+    const records = new Map(replace ? [] : this.records.map(record => [record.id, record]));
+    let imported = 0;
+    let deleted = 0;
+
+    sessions.forEach(session => {
+      if (isTombstone(session)) {
+        records.delete(String(session.id));
+        this.addTombstone(session);
+        deleted++;
+        return;
+      }
+
+      try {
+        const record = this.normalizeRecord(session);
+        records.set(record.id, record);
+        this.tombstones.delete(record.id);
+        imported++;
+      } catch (error) {
+        errorHandler.handleError(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.STORAGE);
+      }
+    });
+
+    this.records = [...records.values()];
+    this.sortRecords();
+    this.applyRetention();
+
+    await this.persist();
+    Logger.debug('service', `Imported ${imported} session history records`);
+    this.notifyListeners();
+
+    return { imported, deleted, skipped: sessions.length - imported - deleted };
+  }
+
+  /**
+   * Query recorded sessions
+   * @param {object} query - Query options {from, to, techniqueId, limit}
+   * @returns {object[]} - Matching records, newest first
+   */
+  querySessions(query = {}) {
+    return filterSessionRecords(this.records, query);
+  }
+
+  /**
+   * Get all sessions, newest first
+   * @returns {object[]} - Session records
+   */
+  getSessions() {
+    return this.querySessions();
+  }
+
+  /**
+   * Get the IDs of the sessions compacted records absorbed
+   * Importing those sessions again adds nothing (see mergeRecords)
+   * @param {object[]} [records] - Normalized records; the stored ones by default
+   * @returns {Set<string>} - Session IDs
+   */
+  getAbsorbedIds(records = this.records) {
+    return new Set(records.filter(record => record.compacted).flatMap(getSourceIds));
+  }
+
+  /**
+   * Delete a single record
+   * @param {string} id - Record ID
+   * @returns {Promise<boolean>} - True if a record was removed
+   */
+  async deleteSession(id) {
+    const record = this.records.find(entry => entry.id === id);
+    if (!record) {
+      return false;
+    }
+
+    this.records = this.records.filter(entry => entry !== record);
+    this.deleteRecords([record]);
+
+    await this.persist();
+    this.notifyListeners();
+    return true;
+  }
+
+  /**
+   * Remove all history
+   * @returns {Promise<void>}
+   */
+  async clearHistory() {
+    this.deleteRecords(this.records);
+    this.records = [];
+    await this.persist();
+    this.notifyListeners();
+  }
+
+  /**
+   * Compact and trim history now
+   * @returns {Promise<boolean>} - True if the store changed
+   */
+  async compact() {
+    const changed = this.applyRetention();
+
+    if (changed) {
+      await this.persist();
+      this.notifyListeners();
+    }
+
+    return changed;
+  }
+
+  /**
+   * Leave tombstones for deleted records
+   * A compacted record's absorbed sessions are covered too, since other devices may still hold them
+   * @param {object[]} records - Deleted records
+   */
+  deleteRecords(records) {
+    const deletedAt = this.now();
+    records.forEach(record => {
+      new Set([record.id, ...getSourceIds(record)]).forEach(id => {
+        this.addTombstone({ id, deletedAt, startTime: record.startTime });
+      });
+    });
+  }
+
+  /**
+   * Store a tombstone
+   * @param {object} tombstone - {id, deletedAt, startTime}; the start time lets it expire with the record
+   */
+  addTombstone({ id, deletedAt, startTime }) {
+    this.tombstones.set(String(id), {
+      id: String(id),
+      deleted: true,
+      deletedAt: Number(deletedAt) || 0,
+      startTime: Number(startTime) || 0
+    });
+  }
+
+  /**
+   * Subscribe to history changes
+   * @param {Function} callback - Called with records, newest first
+   * @returns {Function} - Unsubscribe function
+   */
+  addListener(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Apply retention rules: drop expired records, merge old records per day
+   * and technique, then enforce the record cap
+   * @returns {boolean} - True if records changed
+   */
+  applyRetention() {
+    const now = this.now();
+    const retentionCutoff = now - this.options.retentionDays * DAY_MS;
+    const compactionCutoff = startOfDay(now - this.options.compactAfterDays * DAY_MS);
+    const before = this.records;
+
+    const retained = before.filter(record => record.startTime >= retentionCutoff);
+    // A tombstone is not needed once its record would have expired anyway
+    let prunedTombstones = false;
+    this.tombstones.forEach((tombstone, id) => {
+      if (tombstone.startTime < retentionCutoff) {
+        this.tombstones.delete(id);
+        prunedTombstones = true;
+      }
+    });
+    const recent = retained.filter(record => record.startTime >= compactionCutoff);
+    const old = retained.filter(record => record.startTime < compactionCutoff);
+
+    const buckets = new Map();
+    old.forEach(record => {
+      const day = startOfDay(record.startTime);
+      const key = `${day}:${record.techniqueId}`;
+      const bucket = buckets.get(key);
+      buckets.set(key, bucket ? this.mergeRecords(bucket, record, day) : record);
+    });
+
+    let records = [...buckets.values(), ...recent];
+    records.sort((a, b) => a.startTime - b.startTime);
+
+    if (records.length > this.options.maxRecords) {
+      records = records.slice(records.length - this.options.maxRecords);
+    }
+
+    const changed = prunedTombstones || records.length !== before.length ||
+      records.some((record, index) => record !== before[index]);
+
+    this.records = records;
+    return changed;
+  }
+
+  /**
+   * Merge two records into a daily compacted record
+   * Sessions the target already absorbed are not counted again, e.g. raw records imported
+   * from a backup or another device next to the compacted record made from them
+   * @param {object} target - Existing record (possibly already compacted)
+   * @param {object} record - Record to merge in
+   * @param {number} day - Start of day timestamp
+   * @returns {object} - Compacted record
+   */
+  mergeRecords(target, record, day) {
+    const targetIds = getSourceIds(target);
+    const recordIds = getSourceIds(record);
+    const absorbed = new Set(targetIds);
+
+    if (recordIds.some(id => absorbed.has(id))) {
+      // Totals cannot be split per session, so the record covering more sessions wins
+      return recordIds.length > targetIds.length ? record : target;
+    }
+
+    return {
+      id: `compact-${day}-${target.techniqueId}`,
+      techniqueId: target.techniqueId,
+      startTime: Math.min(target.startTime, record.startTime),
+      endTime: Math.max(target.endTime, record.endTime),
+      activeMs: target.activeMs + record.activeMs,
+      pausedMs: target.pausedMs + record.pausedMs,
+      cyclesCompleted: target.cyclesCompleted + record.cyclesCompleted,
+      goal: null,
+      goalReached: target.goalReached && record.goalReached,
+      goalsReached: target.goalsReached + record.goalsReached,
+      sessionCount: target.sessionCount + record.sessionCount,
+      compacted: true,
+      sourceIds: [...targetIds, ...recordIds]
+    };
+  }
+
+  /**
+   * Validate and normalize a record
+   * @param {object} session - Raw session data
+   * @returns {object} - Normalized record
+   */
+  normalizeRecord(session = {}) {
+    const startTime = Number(session.startTime);
+    const endTime = Number(session.endTime ?? startTime);
+
+    if (!session.techniqueId || typeof session.techniqueId !== 'string') {
+      throw new ValidationError('Session record requires a technique ID', 'techniqueId', session.techniqueId);
+    }
+
+    if (!Number.isFinite(startTime) || !Number.isFinite(endTime) || endTime < startTime) {
+      throw new ValidationError('Session record has invalid timestamps', 'startTime', { startTime, endTime });
+    }
+
+    const toNonNegative = (value) => (Number.isFinite(Number(value)) ? Math.max(0, Number(value)) : 0);
+    const sessionCount = Math.max(1, Math.round(toNonNegative(session.sessionCount) || 1));
+    const goalReached = Boolean(session.goalReached);
+    const compacted = Boolean(session.compacted);
+
+    return {
+      id: String(session.id || this.generateId(startTime)),
+      techniqueId: session.techniqueId,
+      startTime,
+      endTime,
+      activeMs: Math.round(toNonNegative(session.activeMs)),
+      pausedMs: Math.round(toNonNegative(session.pausedMs)),
+      cyclesCompleted: Math.floor(toNonNegative(session.cyclesCompleted)),
+      goal: session.goal || null,
+      goalReached,
+      goalsReached: session.goalsReached !== undefined
+        ? Math.floor(toNonNegative(session.goalsReached))
+        : (goalReached ? 1 : 0),
+      sessionCount,
+      compacted,
+      ...(compacted
+        ? { sourceIds: Array.isArray(session.sourceIds) ? session.sourceIds.map(String) : [] }
+        : {})
+    };
+  }
+
+  /**
+   * Keep records ordered by start time (oldest first)
+   */
+  sortRecords() {
+    this.records.sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * Generate a record ID
+   * @param {number} startTime - Session start time
+   * @returns {string} - New ID
+   */
+  generateId(startTime = this.now()) {
+    return `session-${Number(startTime).toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  /**
+   * Persist history and tombstones
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    await this.storageService.set(SESSION_HISTORY_STORAGE_KEY, [...this.records, ...this.tombstones.values()]);
+  }
+
+  /**
+   * Notify listeners about changes
+   */
+  notifyListeners() {
+    const sessions = this.getSessions();
+    this.listeners.forEach(callback => {
+      try {
+        callback(sessions);
+      } catch (error) {
+        errorHandler.handleError(
+          new ServiceError(
+            'Error in session history listener',
+            'SessionHistoryService',
+            { originalError: error.message }
+          )
+        );
+      }
+    });
+  }
+
+  /**
+   * Get service capabilities
+   * @returns {object} - Service capabilities
+   */
+  getCapabilities() {
+    return {
+      isInitialized: this.isInitialized,
+      recordCount: this.records.length,
+      storageKey: SESSION_HISTORY_STORAGE_KEY,
+      maxRecords: this.options.maxRecords,
+      retentionDays: this.options.retentionDays,
+      compactAfterDays: this.options.compactAfterDays
+    };
+  }
+
+  /**
+   * Dispose of service resources
+   */
+  dispose() {
+    this.listeners.clear();
+  }
+}
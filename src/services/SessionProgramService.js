@@ -0,0 +1,383 @@
+/**
+ * Session Program Service
+ * Validates, registers and persists multi-stage session programs
+ * (e.g. warm-up → main → cool-down)
+ * Follows Single Responsibility Principle - program lifecycle only
+ */
+
+import { ValidationError, TechniqueError, ServiceError } from '../errors/AppError.js';
+import { errorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../errors/ErrorHandler.js';
+import { ProgramTechnique, PROGRAM_ID_PREFIX } from '../techniques/ProgramTechnique.js';
+import { techniqueRegistry } from '../techniques/TechniqueRegistry.js';
+import Logger from '../utils/Logger.js';
+
+export const SESSION_PROGRAMS_STORAGE_KEY = 'breathing-app-programs';
+
+export const PROGRAM_LIMITS = {
+  maxStages: 10,
+  minStageMinutes: 0.5,
+  maxStageMinutes: 60,
+  maxNameLength: 60
+};
+
+// Seeded on first launch; users may edit or delete it like any other program
+export const DEFAULT_PROGRAMS = [
+  {
+    id: `${PROGRAM_ID_PREFIX}wind-down`,
+    name: 'Wind down',
+    description: 'Coherent breathing to settle, box breathing to focus, 4-7-8 to relax',
+    stages: [
+      { techniqueId: 'coherent', minutes: 2 },
+      { techniqueId: 'box4', minutes: 5 },
+      { techniqueId: '478', minutes: 3 }
+    ]
+  }
+];
+
+/**
+ * Session Program Service class
+ */
+export class SessionProgramService {
+  constructor(storageService, registry = techniqueRegistry) {
+    if (!storageService) {
+      throw new ServiceError(
+        'SessionProgramService requires a StorageService instance',
+        'SessionProgramService'
+      );
+    }
+
+    this.storageService = storageService;
+    this.registry = registry;
+    this.programs = new Map();
+    this.listeners = new Set();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Load stored programs and register them
+   * Seeds the default programs when nothing has been stored yet; invalid entries
+   * (e.g. referring to a deleted custom technique) are skipped and reported
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    const stored = await this.storageService.get(SESSION_PROGRAMS_STORAGE_KEY, null);
+    const definitions = Array.isArray(stored) ? stored : DEFAULT_PROGRAMS;
+
+    definitions.forEach(definition => {
+      try {
+        this.registerDefinition(definition);
+      } catch (error) {
+        errorHandler.handleError(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.TECHNIQUE);
+      }
+    });
+
+    if (!Array.isArray(stored)) {
+      await this.persist();
+    }
+
+    this.isInitialized = true;
+    Logger.debug('service', `Loaded ${this.programs.size} session programs`);
+    this.notifyListeners();
+  }
+
+  /**
+   * Validate a program definition
+   * @param {object} definition - Plain program definition
+   * @returns {object} - Validation result {isValid, errors, warnings}
+   */
+  validate(definition) {
+    const normalized = this.normalizeDefinition(definition);
+    const errors = [];
+    const warnings = [];
+
+    if (!normalized.name) {
+      errors.push({ field: 'name', message: 'Program name is required', type: 'required_field' });
+    } else if (normalized.name.length > PROGRAM_LIMITS.maxNameLength) {
+      errors.push({
+        field: 'name',
+        message: `Program name must be at most ${PROGRAM_LIMITS.maxNameLength} characters`,
+        type: 'length_error'
+      });
+    }
+
+    if (normalized.stages.length === 0) {
+      errors.push({ field: 'stages', message: 'At least one stage is required', type: 'required_field' });
+    } else if (normalized.stages.length > PROGRAM_LIMITS.maxStages) {
+      errors.push({
+        field: 'stages',
+        message: `A program can have at most ${PROGRAM_LIMITS.maxStages} stages`,
+        type: 'range_error'
+      });
+    }
+
+    normalized.stages.forEach((stage, index) => {
+      const prefix = `stages[${index}]`;
+
+      if (!stage.techniqueId || !this.registry.hasTechnique(stage.techniqueId)) {
+        errors.push({
+          field: `${prefix}.techniqueId`,
+          message: `Unknown technique '${stage.techniqueId}'`,
+          type: 'not_found'
+        });
+      } else if (this.isProgramId(stage.techniqueId)) {
+        errors.push({
+          field: `${prefix}.techniqueId`,
+          message: 'A program cannot include another program',
+          type: 'nested_program'
+        });
+      }
+
+      if (!Number.isFinite(stage.minutes) ||
+          stage.minutes < PROGRAM_LIMITS.minStageMinutes ||
+          stage.minutes > PROGRAM_LIMITS.maxStageMinutes) {
+        errors.push({
+          field: `${prefix}.minutes`,
+          message: `Stage length must be between ${PROGRAM_LIMITS.minStageMinutes} and ${PROGRAM_LIMITS.maxStageMinutes} minutes`,
+          type: 'range_error'
+        });
+      }
+
+      if (index > 0 && normalized.stages[index - 1].techniqueId === stage.techniqueId) {
+        warnings.push({
+          field: `${prefix}.techniqueId`,
+          message: 'Consecutive stages use the same technique',
+          type: 'redundant_stage'
+        });
+      }
+    });
+
+    if (normalized.id && this.registry.hasTechnique(normalized.id) && !this.programs.has(normalized.id)) {
+      errors.push({
+        field: 'id',
+        message: `ID '${normalized.id}' is reserved by another technique`,
+        type: 'reserved_id'
+      });
+    }
+
+    return { isValid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * Create or update a program
+   * @param {object} definition - Plain program definition
+   * @returns {Promise<ProgramTechnique>} - Registered program
+   */
+  async saveProgram(definition) {
+    const existing = definition.id ? this.programs.get(definition.id) : null;
+    const program = this.registerDefinition({
+      ...definition,
+      id: definition.id || this.generateId(),
+      createdAt: existing?.createdAt,
+      updatedAt: Date.now()
+    });
+
+    await this.persist();
+    Logger.debug('service', `Saved session program ${program.id}`);
+    this.notifyListeners();
+
+    return program;
+  }
+
+  /**
+   * Delete a program
+   * @param {string} id - Program ID
+   * @returns {Promise<boolean>} - True if a program was removed
+   */
+  async deleteProgram(id) {
+    if (!this.programs.has(id)) {
+      return false;
+    }
+
+    this.programs.delete(id);
+    this.registry.unregister(id);
+
+    await this.persist();
+    Logger.debug('service', `Deleted session program ${id}`);
+    this.notifyListeners();
+
+    return true;
+  }
+
+  /**
+   * Import program definitions, e.g. from a backup
+   * Run after the custom techniques they refer to are imported; invalid ones are skipped and reported
+   * @param {object[]} definitions - Plain program definitions
+   * @param {object} [options] - {replace: remove programs first}
+   * @returns {Promise<object>} - {imported, skipped}
+   */
+  async importPrograms(definitions, { replace = false } = {}) {
+    if (replace) {
+      this.programs.forEach((_, id) => this.registry.unregister(id));
+      this.programs.clear();
+    }
+
+    let imported = 0;
+    definitions.forEach(definition => {
+      try {
+        this.registerDefinition({ ...definition, id: definition.id || this.generateId() });
+        imported++;
+      } catch (error) {
+        errorHandler.handleError(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.TECHNIQUE);
+      }
+    });
+
+    await this.persist();
+    Logger.debug('service', `Imported ${imported} session programs`);
+    this.notifyListeners();
+
+    return { imported, skipped: definitions.length - imported };
+  }
+
+  /**
+   * Get all programs
+   * @returns {ProgramTechnique[]} - Programs
+   */
+  getPrograms() {
+    return Array.from(this.programs.values());
+  }
+
+  /**
+   * Get a program by ID
+   * @param {string} id - Program ID
+   * @returns {ProgramTechnique|null} - Program or null
+   */
+  getProgram(id) {
+    return this.programs.get(id) || null;
+  }
+
+  /**
+   * Check if an ID belongs to a program
+   * @param {string} id - Technique or program ID
+   * @returns {boolean} - True if it is a program
+   */
+  isProgramId(id) {
+    return this.programs.has(id) || Boolean(this.registry.hasTechnique(id) && this.registry.getTechnique(id).isProgram);
+  }
+
+  /**
+   * Subscribe to program changes
+   * @param {Function} callback - Called with the list of programs
+   * @returns {Function} - Unsubscribe function
+   */
+  addListener(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Validate, build and register a definition
+   * @param {object} definition - Plain program definition
+   * @returns {ProgramTechnique} - Registered program
+   */
+  registerDefinition(definition) {
+    const normalized = this.normalizeDefinition(definition);
+    const result = this.validate(normalized);
+
+    if (!result.isValid) {
+      const [firstError] = result.errors;
+      throw new ValidationError(
+        `Invalid session program: ${firstError.message}`,
+        firstError.field,
+        normalized,
+        { errors: result.errors, warnings: result.warnings }
+      );
+    }
+
+    try {
+      const program = new ProgramTechnique(normalized, id => this.registry.getTechnique(id));
+      this.registry.register(program);
+      this.programs.set(program.id, program);
+      return program;
+    } catch (error) {
+      throw new TechniqueError(
+        'Failed to register session program',
+        normalized.id,
+        { originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Normalize raw definition (trim strings, coerce stage lengths)
+   * @param {object} definition - Raw definition
+   * @returns {object} - Normalized definition
+   */
+  normalizeDefinition(definition = {}) {
+    const stages = Array.isArray(definition.stages)
+      ? definition.stages.map(stage => ({
+        techniqueId: typeof stage.techniqueId === 'string' ? stage.techniqueId.trim() : stage.techniqueId,
+        minutes: typeof stage.minutes === 'string' ? Number(stage.minutes) : stage.minutes
+      }))
+      : [];
+
+    return {
+      ...definition,
+      name: typeof definition.name === 'string' ? definition.name.trim() : definition.name,
+      description: definition.description?.trim?.() || '',
+      stages
+    };
+  }
+
+  /**
+   * Generate a unique program ID
+   * @returns {string} - New ID
+   */
+  generateId() {
+    let id;
+    do {
+      id = `${PROGRAM_ID_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    } while (this.registry.hasTechnique(id));
+    return id;
+  }
+
+  /**
+   * Persist all programs
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    const definitions = this.getPrograms().map(program => program.toJSON());
+    await this.storageService.set(SESSION_PROGRAMS_STORAGE_KEY, definitions);
+  }
+
+  /**
+   * Notify listeners about changes
+   */
+  notifyListeners() {
+    const programs = this.getPrograms();
+    this.listeners.forEach(callback => {
+      try {
+        callback(programs);
+      } catch (error) {
+        errorHandler.handleError(
+          new ServiceError(
+            'Error in session program listener',
+            'SessionProgramService',
+            { originalError: error.message }
+          )
+        );
+      }
+    });
+  }
+
+  /**
+   * Get service capabilities
+   * @returns {object} - Service capabilities
+   */
+  getCapabilities() {
+    return {
+      isInitialized: this.isInitialized,
+      programCount: this.programs.size,
+      storageKey: SESSION_PROGRAMS_STORAGE_KEY,
+      limits: { ...PROGRAM_LIMITS }
+    };
+  }
+
+  /**
+   * Dispose of service resources
+   */
+  dispose() {
+    this.listeners.clear();
+  }
+}
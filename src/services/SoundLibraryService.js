@@ -0,0 +1,382 @@
+/**
+ * Sound Library Service
+ * Imports, validates and stores user sound samples for phase cues following Single Responsibility Principle
+ * Encoded files are kept in IndexedDB and decoded once per session through AudioService
+ */
+
+import { ServiceError, StorageError, ValidationError, ERROR_CODES } from '../errors/AppError.js';
+import { errorHandler } from '../errors/ErrorHandler.js';
+import Logger from '../utils/Logger.js';
+
+// Cues play every second or at each phase, so samples are kept short and small
+export const SOUND_SAMPLE_LIMITS = {
+  maxBytes: 1024 * 1024,
+  maxSeconds: 5,
+  maxSamples: 24
+};
+
+export const SOUND_SAMPLE_TYPES = {
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3'
+};
+
+const SOUND_SAMPLE_EXTENSIONS = ['wav', 'ogg', 'mp3'];
+
+const DATABASE_NAME = 'breathing-sound-library';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'samples';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<any>} - Request result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Get the format of a file from its MIME type, falling back to the extension
+ * Some platforms report an empty type for picked files
+ * @param {File} file - File
+ * @returns {string|null} - 'wav', 'ogg', 'mp3' or null
+ */
+export const getSampleFormat = (file) => {
+  const type = String(file?.type || '').toLowerCase().split(';')[0];
+  if (SOUND_SAMPLE_TYPES[type]) {
+    return SOUND_SAMPLE_TYPES[type];
+  }
+
+  const extension = String(file?.name || '').toLowerCase().split('.').pop();
+  return !type && SOUND_SAMPLE_EXTENSIONS.includes(extension) ? extension : null;
+};
+
+/**
+ * IndexedDB store for sample records
+ * Mirrors the StorageAdapter get/set/remove methods, plus getAll for listing
+ */
+class SampleStore {
+  /**
+   * @param {IDBFactory} [indexedDB] - IndexedDB factory
+   */
+  constructor(indexedDB = typeof window !== 'undefined' ? window.indexedDB : undefined) {
+    this.indexedDB = indexedDB;
+    this.database = null;
+  }
+
+  /**
+   * Open the database, creating the store on first use
+   * @returns {Promise<IDBDatabase>} - Database
+   */
+  open() {
+    if (!this.indexedDB) {
+      return Promise.reject(new StorageError(
+        'IndexedDB is not supported in this environment',
+        'STORAGE_NOT_SUPPORTED'
+      ));
+    }
+
+    if (!this.database) {
+      const request = this.indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      this.database = promisifyRequest(request).catch((error) => {
+        this.database = null;
+        throw error;
+      });
+    }
+    return this.database;
+  }
+
+  /**
+   * Run a request against the store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} createRequest - Called with the object store, returns a request
+   * @param {string} errorCode - Code for the StorageError thrown on failure
+   * @returns {Promise<any>} - Request result
+   */
+  async run(mode, createRequest, errorCode) {
+    try {
+      const database = await this.open();
+      const store = database.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+      return await promisifyRequest(createRequest(store));
+    } catch (error) {
+      if (error instanceof StorageError) throw error;
+      throw new StorageError(
+        'Sound library storage failed',
+        errorCode,
+        { originalError: error?.message || String(error) }
+      );
+    }
+  }
+
+  /**
+   * Get a sample record
+   * @param {string} id - Sample id
+   * @returns {Promise<object|null>} - Record or null if not found
+   */
+  async get(id) {
+    const record = await this.run('readonly', store => store.get(id), ERROR_CODES.STORAGE_READ_FAILED);
+    return record || null;
+  }
+
+  /**
+   * Store a sample record
+   * @param {string} id - Sample id
+   * @param {object} record - Record
+   * @returns {Promise<void>}
+   */
+  async set(id, record) {
+    await this.run('readwrite', store => store.put({ ...record, id }), ERROR_CODES.STORAGE_WRITE_FAILED);
+  }
+
+  /**
+   * Remove a sample record
+   * @param {string} id - Sample id
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    await this.run('readwrite', store => store.delete(id), ERROR_CODES.STORAGE_WRITE_FAILED);
+  }
+
+  /**
+   * Get every sample record
+   * @returns {Promise<object[]>} - Records
+   */
+  async getAll() {
+    return this.run('readonly', store => store.getAll(), ERROR_CODES.STORAGE_READ_FAILED);
+  }
+}
+
+/**
+ * Sound Library Service class
+ * Manages imported samples and their decoded buffers
+ */
+export class SoundLibraryService {
+  /**
+   * @param {object} options - Options
+   * @param {AudioService} options.audioService - Decodes samples
+   * @param {object} [options.store] - Record store {get, set, remove, getAll}; IndexedDB by default
+   */
+  constructor({ audioService, store = new SampleStore() }) {
+    this.audioService = audioService;
+    this.store = store;
+    this.buffers = new Map();
+    this.loading = new Map();
+    this.listeners = new Set();
+  }
+
+  /**
+   * Validate a file before it is read
+   * @param {File} file - Picked file
+   * @throws {ValidationError} - When the type or size is not accepted
+   */
+  validateFile(file) {
+    if (!file || !getSampleFormat(file)) {
+      throw new ValidationError(
+        'Sound must be a WAV, OGG or MP3 file',
+        'type',
+        file?.type || null,
+        { reason: 'type', name: file?.name }
+      );
+    }
+
+    if (!(file.size > 0) || file.size > SOUND_SAMPLE_LIMITS.maxBytes) {
+      throw new ValidationError(
+        `Sound must be smaller than ${Math.round(SOUND_SAMPLE_LIMITS.maxBytes / 1024)} KB`,
+        'size',
+        file.size,
+        { reason: 'size', maxBytes: SOUND_SAMPLE_LIMITS.maxBytes }
+      );
+    }
+  }
+
+  /**
+   * Import a file as a sample: validate, decode, check its length and store it
+   * @param {File} file - Picked file
+   * @param {object} [options] - {name: display name; defaults to the file name}
+   * @returns {Promise<object>} - Sample metadata {id, name, format, size, duration, createdAt}
+   */
+  async importSample(file, { name } = {}) {
+    this.validateFile(file);
+
+    const samples = await this.listSamples();
+    if (samples.length >= SOUND_SAMPLE_LIMITS.maxSamples) {
+      throw new ValidationError(
+        `The sound library holds up to ${SOUND_SAMPLE_LIMITS.maxSamples} sounds`,
+        'count',
+        samples.length,
+        { reason: 'count', maxSamples: SOUND_SAMPLE_LIMITS.maxSamples }
+      );
+    }
+
+    const data = await file.arrayBuffer();
+    // Decoding detaches the buffer it is given, and the original is stored
+    const buffer = await this.audioService.decodeAudioData(data.slice(0));
+    if (buffer.duration > SOUND_SAMPLE_LIMITS.maxSeconds) {
+      throw new ValidationError(
+        `Sound must be ${SOUND_SAMPLE_LIMITS.maxSeconds} seconds or shorter`,
+        'duration',
+        buffer.duration,
+        { reason: 'duration', maxSeconds: SOUND_SAMPLE_LIMITS.maxSeconds }
+      );
+    }
+
+    const record = {
+      id: `sample-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name: String(name || file.name.replace(/\.[^.]+$/, '') || 'Sound').slice(0, 60),
+      format: getSampleFormat(file),
+      size: file.size,
+      duration: buffer.duration,
+      createdAt: Date.now(),
+      data
+    };
+
+    await this.store.set(record.id, record);
+    this.buffers.set(record.id, buffer);
+    Logger.debug('service', 'SoundLibraryService: imported sample', record.id);
+    this.notifyListeners();
+
+    return this.toMetadata(record);
+  }
+
+  /**
+   * List imported samples, oldest first
+   * @returns {Promise<object[]>} - Sample metadata
+   */
+  async listSamples() {
+    const records = await this.store.getAll();
+    return records
+      .map(record => this.toMetadata(record))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Delete a sample
+   * @param {string} id - Sample id
+   * @returns {Promise<void>}
+   */
+  async removeSample(id) {
+    await this.store.remove(id);
+    this.buffers.delete(id);
+    this.notifyListeners();
+  }
+
+  /**
+   * Get a decoded sample, decoding it from storage on first use
+   * @param {string} id - Sample id
+   * @returns {Promise<AudioBuffer|null>} - Decoded sample or null if it no longer exists
+   */
+  async loadSample(id) {
+    if (this.buffers.has(id)) {
+      return this.buffers.get(id);
+    }
+
+    if (!this.loading.has(id)) {
+      const loading = this.store.get(id)
+        .then(record => (record ? this.audioService.decodeAudioData(record.data.slice(0)) : null))
+        .then((buffer) => {
+          if (buffer) this.buffers.set(id, buffer);
+          return buffer;
+        })
+        .finally(() => this.loading.delete(id));
+      this.loading.set(id, loading);
+    }
+    return this.loading.get(id);
+  }
+
+  /**
+   * Get a sample only if it is already decoded
+   * Cues are scheduled synchronously, so samples are decoded ahead with preload
+   * @param {string} id - Sample id
+   * @returns {AudioBuffer|null} - Decoded sample or null
+   */
+  getLoadedSample(id) {
+    return this.buffers.get(id) || null;
+  }
+
+  /**
+   * Decode samples ahead of use; failures are reported and the built-in tones play instead
+   * @param {string[]} ids - Sample ids
+   * @returns {Promise<void>}
+   */
+  async preload(ids) {
+    await Promise.all(ids.map(id => this.loadSample(id).catch((error) => {
+      errorHandler.handleError(
+        new ServiceError(
+          'Failed to load sound sample',
+          'SoundLibraryService',
+          { id, originalError: error.message }
+        )
+      );
+    })));
+  }
+
+  /**
+   * Play a sample right away
+   * @param {string} id - Sample id
+   * @returns {Promise<boolean>} - True if the sample was played
+   */
+  async previewSample(id) {
+    const buffer = await this.loadSample(id);
+    if (!buffer) return false;
+
+    await this.audioService.playSample(buffer);
+    return true;
+  }
+
+  /**
+   * Strip the encoded data from a record
+   * @param {object} record - Stored record
+   * @returns {object} - Metadata
+   */
+  toMetadata({ id, name, format, size, duration, createdAt }) {
+    return { id, name, format, size, duration, createdAt };
+  }
+
+  /**
+   * Listen for samples being added or removed
+   * @param {Function} callback - Called after each change
+   * @returns {Function} - Unsubscribe function
+   */
+  addListener(callback) {
+    this.listeners.add(callback);
+    return () => {
+      this.listeners.delete(callback);
+    };
+  }
+
+  /**
+   * Notify listeners of a library change
+   */
+  notifyListeners() {
+    this.listeners.forEach(callback => {
+      try {
+        callback();
+      } catch (error) {
+        errorHandler.handleError(
+          new ServiceError(
+            'Error in sound library listener',
+            'SoundLibraryService',
+            { originalError: error.message }
+          )
+        );
+      }
+    });
+  }
+
+  /**
+   * Dispose of sound library service
+   */
+  dispose() {
+    this.buffers.clear();
+    this.loading.clear();
+    this.listeners.clear();
+  }
+}
@@ -0,0 +1,268 @@
+/**
+ * Speech Service
+ * Speaks phase cues through the Web Speech synthesis API following Single Responsibility Principle
+ * Callers fall back to tones when speech is unavailable (see isAvailable)
+ */
+
+import { ServiceError } from '../errors/AppError.js';
+import { errorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../errors/ErrorHandler.js';
+import Logger from '../utils/Logger.js';
+
+// App language codes mapped to the BCP 47 tags voices are published under
+export const SPEECH_LANGUAGES = {
+  en: 'en-US',
+  uk: 'uk-UA'
+};
+
+export const SPEECH_RATE_RANGE = { min: 0.5, max: 2 };
+export const SPEECH_PITCH_RANGE = { min: 0.5, max: 2 };
+
+/**
+ * Clamp a value into a range, falling back to 1 for non-numbers
+ * @param {number} value - Value
+ * @param {object} range - {min, max}
+ * @returns {number} - Clamped value
+ */
+const clampToRange = (value, range) => {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return 1;
+  return Math.max(range.min, Math.min(range.max, number));
+};
+
+/**
+ * Speech Service class
+ * Manages speech synthesis voices and spoken cues
+ */
+export class SpeechService {
+  /**
+   * @param {object} [options] - Options
+   * @param {SpeechSynthesis} [options.synthesis] - Speech synthesis (window.speechSynthesis)
+   * @param {Function} [options.Utterance] - Utterance constructor (window.SpeechSynthesisUtterance)
+   */
+  constructor({
+    synthesis = typeof window !== 'undefined' ? window.speechSynthesis : undefined,
+    Utterance = typeof window !== 'undefined' ? window.SpeechSynthesisUtterance : undefined
+  } = {}) {
+    this.synthesis = synthesis;
+    this.Utterance = Utterance;
+    this.isEnabled = false;
+    this.language = 'en';
+    this.voiceURI = null;
+    this.rate = 1;
+    this.pitch = 1;
+    this.voices = [];
+    this.listeners = new Set();
+
+    this.handleVoicesChanged = this.handleVoicesChanged.bind(this);
+
+    if (this.isSupported()) {
+      this.voices = this.readVoices();
+      // Most browsers load voices asynchronously
+      this.synthesis.addEventListener?.('voiceschanged', this.handleVoicesChanged);
+    }
+  }
+
+  /**
+   * Check if speech synthesis is supported
+   * @returns {boolean} - True if supported
+   */
+  isSupported() {
+    return !!(this.synthesis && typeof this.synthesis.speak === 'function' && this.Utterance);
+  }
+
+  /**
+   * Check if cues can be spoken in the current language
+   * @returns {boolean} - True if supported and a voice for the language exists
+   */
+  isAvailable() {
+    return this.isSupported() && !!this.resolveVoice();
+  }
+
+  /**
+   * Set voice guidance enabled state
+   * @param {boolean} enabled - Whether cues are spoken
+   */
+  setEnabled(enabled) {
+    this.isEnabled = !!enabled;
+    if (!this.isEnabled) {
+      this.cancel();
+    }
+  }
+
+  /**
+   * Get voice guidance enabled state
+   * @returns {boolean} - Whether cues are spoken
+   */
+  getEnabled() {
+    return this.isEnabled;
+  }
+
+  /**
+   * Set the language cues are spoken in
+   * @param {string} language - App language code
+   */
+  setLanguage(language) {
+    this.language = language || 'en';
+  }
+
+  /**
+   * Apply voice preferences
+   * @param {object} preferences - {voiceURI, rate, pitch}
+   */
+  setPreferences({ voiceURI, rate, pitch } = {}) {
+    if (voiceURI !== undefined) this.voiceURI = voiceURI || null;
+    if (rate !== undefined) this.rate = clampToRange(rate, SPEECH_RATE_RANGE);
+    if (pitch !== undefined) this.pitch = clampToRange(pitch, SPEECH_PITCH_RANGE);
+  }
+
+  /**
+   * Read the installed voices
+   * @returns {SpeechSynthesisVoice[]} - Voices
+   */
+  readVoices() {
+    try {
+      return this.synthesis.getVoices?.() || [];
+    } catch (error) {
+      Logger.warn('service', 'SpeechService: failed to read voices', error);
+      return [];
+    }
+  }
+
+  /**
+   * Refresh voices once the browser has loaded them
+   */
+  handleVoicesChanged() {
+    this.voices = this.readVoices();
+    this.listeners.forEach(callback => {
+      try {
+        callback(this.voices);
+      } catch (error) {
+        errorHandler.handleError(
+          new ServiceError(
+            'Error in speech voices listener',
+            'SpeechService',
+            { originalError: error.message }
+          )
+        );
+      }
+    });
+  }
+
+  /**
+   * Listen for changes to the installed voices
+   * @param {Function} callback - Called with the voice list
+   * @returns {Function} - Unsubscribe function
+   */
+  addVoicesListener(callback) {
+    this.listeners.add(callback);
+    return () => {
+      this.listeners.delete(callback);
+    };
+  }
+
+  /**
+   * Get voices for a language
+   * @param {string} [language] - App language code; defaults to the current one
+   * @returns {SpeechSynthesisVoice[]} - Matching voices
+   */
+  getVoices(language = this.language) {
+    const tag = (SPEECH_LANGUAGES[language] || language).toLowerCase();
+    const prefix = tag.split('-')[0];
+    return this.voices.filter(voice => String(voice.lang).toLowerCase().replace('_', '-').split('-')[0] === prefix);
+  }
+
+  /**
+   * Pick the voice to speak with: the preferred one if it speaks the current
+   * language, else the language's default voice
+   * @returns {SpeechSynthesisVoice|null} - Voice or null if none fits
+   */
+  resolveVoice() {
+    const voices = this.getVoices();
+    if (voices.length === 0) return null;
+
+    const tag = (SPEECH_LANGUAGES[this.language] || this.language).toLowerCase();
+    return voices.find(voice => voice.voiceURI === this.voiceURI) ||
+      voices.find(voice => String(voice.lang).toLowerCase() === tag && voice.default) ||
+      voices.find(voice => String(voice.lang).toLowerCase() === tag) ||
+      voices.find(voice => voice.default) ||
+      voices[0];
+  }
+
+  /**
+   * Speak a cue, cutting off one that is still being spoken so cues stay on the beat
+   * @param {string} text - Text to speak
+   * @param {object} [options] - {force: speak even when guidance is off, e.g. for previews}
+   * @returns {boolean} - True if the cue was handed to the synthesizer
+   */
+  speak(text, { force = false } = {}) {
+    if ((!this.isEnabled && !force) || !text || !this.isSupported()) {
+      return false;
+    }
+
+    const voice = this.resolveVoice();
+    if (!voice) {
+      return false;
+    }
+
+    try {
+      const utterance = new this.Utterance(String(text));
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+      utterance.rate = this.rate;
+      utterance.pitch = this.pitch;
+
+      if (this.synthesis.speaking || this.synthesis.pending) {
+        this.synthesis.cancel();
+      }
+      this.synthesis.speak(utterance);
+      return true;
+    } catch (error) {
+      errorHandler.handleError(
+        new ServiceError(
+          'Failed to speak cue',
+          'SpeechService',
+          { text, originalError: error.message }
+        ),
+        ERROR_SEVERITY.LOW,
+        ERROR_CATEGORY.AUDIO
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Stop speaking
+   */
+  cancel() {
+    if (this.isSupported()) {
+      this.synthesis.cancel();
+    }
+  }
+
+  /**
+   * Get speech capabilities
+   * @returns {object} - Speech capabilities
+   */
+  getCapabilities() {
+    return {
+      supported: this.isSupported(),
+      available: this.isAvailable(),
+      enabled: this.isEnabled,
+      language: this.language,
+      voiceCount: this.getVoices().length,
+      voiceURI: this.resolveVoice()?.voiceURI || null,
+      rate: this.rate,
+      pitch: this.pitch
+    };
+  }
+
+  /**
+   * Dispose of speech service
+   */
+  dispose() {
+    this.cancel();
+    this.synthesis?.removeEventListener?.('voiceschanged', this.handleVoicesChanged);
+    this.listeners.clear();
+    this.isEnabled = false;
+  }
+}
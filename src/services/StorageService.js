@@ -5,6 +5,7 @@
 
 import { ServiceError, ERROR_CODES } from '../errors/AppError.js';
 import { StorageAdapter } from '../adapters/StorageAdapter.js';
+import Logger from '../utils/Logger.js';
 
 /**
  * Storage Service class
@@ -25,6 +26,7 @@ export class StorageService {
     this.cache = new Map();
     this.cacheEnabled = true;
     this.maxCacheSize = 100;
+    this.listeners = new Set();
   }
 
   /**
@@ -110,6 +112,8 @@ export class StorageService {
         { key, value, originalError: error.message }
       );
     }
+
+    this.notifyListeners({ type: 'set', key, value });
   }
 
   /**
@@ -134,6 +138,8 @@ export class StorageService {
         { key, originalError: error.message }
       );
     }
+
+    this.notifyListeners({ type: 'remove', key });
   }
 
   /**
@@ -176,6 +182,8 @@ export class StorageService {
         { originalError: error.message }
       );
     }
+
+    this.notifyListeners({ type: 'clear' });
   }
 
   /**
@@ -301,6 +309,30 @@ export class StorageService {
     }
   }
 
+  /**
+   * Subscribe to writes made through this service
+   * @param {Function} callback - Called with {type: 'set'|'remove'|'clear', key, value}
+   * @returns {Function} - Unsubscribe function
+   */
+  addListener(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Notify listeners about a write
+   * @param {object} change - {type, key, value}
+   */
+  notifyListeners(change) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(change);
+      } catch (error) {
+        Logger.warn('service', 'Error in storage listener', error);
+      }
+    });
+  }
+
   /**
    * Enable or disable caching
    * @param {boolean} enabled - Whether to enable caching
@@ -389,6 +421,7 @@ export class StorageService {
    */
   dispose() {
     this.cache.clear();
+    this.listeners.clear();
     this.isInitialized = false;
   }
 }
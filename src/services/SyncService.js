@@ -0,0 +1,555 @@
+/**
+ * Sync Service
+ * Keeps preferences, custom techniques and session history in step between devices
+ * through a remote backend, on top of StorageService, following Single Responsibility Principle
+ *
+ * Local writes are stamped and queued, so changes made offline are pushed once the
+ * backend can be reached. When both sides changed a key since the last sync, lists of
+ * records are merged record by record and other values go to the last writer;
+ * timestamps come from the writing device's clock
+ */
+
+import { ServiceError, ValidationError } from '../errors/AppError.js';
+import { errorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../errors/ErrorHandler.js';
+import { RemoteStorageAdapter } from '../adapters/RemoteStorageAdapter.js';
+import { PREFERENCES_STORAGE_KEY } from '../state/UserPreferencesState.js';
+import { CUSTOM_TECHNIQUES_STORAGE_KEY } from './CustomTechniqueService.js';
+import { SESSION_HISTORY_STORAGE_KEY } from './SessionHistoryService.js';
+import { isSameValue } from '../utils/valueEquality.js';
+import Logger from '../utils/Logger.js';
+
+export const SYNC_STATE_STORAGE_KEY = 'breathing-app-sync';
+
+export const SYNC_STRATEGIES = {
+  // The most recent write replaces the value as a whole
+  LAST_WRITER_WINS: 'lastWriterWins',
+  // Lists of records with IDs are merged record by record (see mergeRecordsById)
+  MERGE_RECORDS: 'mergeRecords'
+};
+
+export const DEFAULT_SYNC_KEYS = {
+  [PREFERENCES_STORAGE_KEY]: SYNC_STRATEGIES.LAST_WRITER_WINS,
+  [CUSTOM_TECHNIQUES_STORAGE_KEY]: SYNC_STRATEGIES.MERGE_RECORDS,
+  [SESSION_HISTORY_STORAGE_KEY]: SYNC_STRATEGIES.MERGE_RECORDS
+};
+
+export const SYNC_STATUS = {
+  DISABLED: 'disabled',
+  IDLE: 'idle',
+  SYNCING: 'syncing',
+  OFFLINE: 'offline',
+  ERROR: 'error'
+};
+
+const DEFAULT_OPTIONS = {
+  // Quiet time after a local write before pushing, so bursts (e.g. a slider) go out once
+  pushDelayMs: 2000,
+  // How often the backend is checked for changes from other devices
+  pollIntervalMs: 5 * 60 * 1000
+};
+
+/**
+ * Merge two lists of records by ID
+ * For IDs on both sides the later updatedAt wins, the local copy when neither has one.
+ * Tombstones ({id, deleted: true, deletedAt}) are kept and remove the record they name,
+ * so a deletion on one device is not undone by the other, unless the record was updated
+ * after it was deleted. Records another record absorbed
+ * (listed in its sourceIds, e.g. sessions one device compacted into a daily record) are
+ * dropped, so they are not counted twice
+ * @param {object[]} local - Local records
+ * @param {object[]} remote - Remote records
+ * @returns {object[]} - Merged records, ordered by start time when they have one
+ */
+export function mergeRecordsById(local, remote) {
+  const records = new Map();
+  const tombstones = new Map();
+  [...(Array.isArray(remote) ? remote : []), ...(Array.isArray(local) ? local : [])].forEach(record => {
+    if (!record || record.id === undefined) return;
+
+    if (!record.deleted) {
+      if (!(records.get(record.id)?.updatedAt > record.updatedAt)) {
+        records.set(record.id, record);
+      }
+    } else if (!(tombstones.get(record.id)?.deletedAt > record.deletedAt)) {
+      tombstones.set(record.id, record);
+    }
+  });
+
+  records.forEach((record, id) => {
+    if (record.updatedAt > tombstones.get(id)?.deletedAt) {
+      tombstones.delete(id);
+    }
+  });
+
+  const absorbed = new Set(
+    [...records.values()].flatMap(record => (Array.isArray(record.sourceIds) ? record.sourceIds : []))
+  );
+  return [...records.values()]
+    .filter(record => !absorbed.has(record.id) && !tombstones.has(record.id))
+    .concat([...tombstones.values()])
+    .sort((a, b) => (a.startTime ?? 0) - (b.startTime ?? 0));
+}
+
+/**
+ * Normalize stored sync state
+ * @param {object|null} state - Raw state
+ * @returns {object} - {endpoint, records: {[key]: {updatedAt, remoteUpdatedAt}}, queue, lastSyncedAt}
+ */
+const normalizeState = (state) => ({
+  endpoint: typeof state?.endpoint === 'string' ? state.endpoint : '',
+  records: state?.records && typeof state.records === 'object' ? state.records : {},
+  queue: Array.isArray(state?.queue) ? state.queue.filter(key => typeof key === 'string') : [],
+  lastSyncedAt: Number.isFinite(state?.lastSyncedAt) ? state.lastSyncedAt : null
+});
+
+/**
+ * Sync Service class
+ */
+export class SyncService {
+  /**
+   * @param {object} options - Options
+   * @param {StorageService} options.storageService - Local storage to sync
+   * @param {object} [options.appliers] - {[key]: async value => void} to apply pulled values
+   *   through the owning service; values are written to storage directly otherwise
+   * @param {object} [options.selectors] - {[key]: value => value} picking the part of a
+   *   stored value that syncs; the whole value syncs otherwise
+   * @param {object} [options.keys] - {[key]: one of SYNC_STRATEGIES}
+   * @param {Function} [options.createRemote] - Creates the remote adapter for an endpoint
+   * @param {Function} [options.now] - Clock
+   * @param {number} [options.pushDelayMs] - Delay before pushing local writes
+   * @param {number} [options.pollIntervalMs] - Interval between checks for remote changes
+   */
+  constructor({
+    storageService,
+    appliers = {},
+    selectors = {},
+    keys = DEFAULT_SYNC_KEYS,
+    createRemote = endpoint => new RemoteStorageAdapter({ endpoint }),
+    now = () => Date.now(),
+    ...options
+  }) {
+    if (!storageService) {
+      throw new ServiceError(
+        'SyncService requires a StorageService instance',
+        'SyncService'
+      );
+    }
+
+    this.storageService = storageService;
+    this.appliers = appliers;
+    this.selectors = selectors;
+    this.keys = keys;
+    this.createRemote = createRemote;
+    this.now = now;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    this.state = normalizeState(null);
+    this.remote = null;
+    this.status = SYNC_STATUS.DISABLED;
+    this.lastConflict = null;
+    this.listeners = new Set();
+    // Last value seen per key, so rewriting the same value is not taken for a local change
+    this.knownValues = new Map();
+    this.running = null;
+    this.rerun = false;
+    this.pushTimer = null;
+    this.pollTimer = null;
+    this.unsubscribeStorage = null;
+    this.isInitialized = false;
+
+    this.handleOnline = () => {
+      this.sync();
+    };
+  }
+
+  /**
+   * Load sync state, start tracking local writes and connect to the stored endpoint
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    this.state = normalizeState(await this.storageService.get(SYNC_STATE_STORAGE_KEY, null));
+    for (const key of Object.keys(this.keys)) {
+      const stored = await this.storageService.get(key, null);
+      if (stored !== null) {
+        this.knownValues.set(key, this.select(key, stored));
+      }
+    }
+    this.unsubscribeStorage = this.storageService.addListener(change => this.handleStorageChange(change));
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this.handleOnline);
+    }
+
+    this.isInitialized = true;
+    this.connect(this.state.endpoint);
+  }
+
+  /**
+   * Get the configured endpoint
+   * @returns {string} - Endpoint, empty when sync is off
+   */
+  getEndpoint() {
+    return this.state.endpoint;
+  }
+
+  /**
+   * Change the backend; an empty endpoint turns sync off
+   * Everything is queued again, since a different backend has not seen this device's data
+   * @param {string} endpoint - Base URL of the backend
+   * @returns {Promise<void>}
+   * @throws {ValidationError} - When the endpoint is not an http(s) URL
+   */
+  async setEndpoint(endpoint) {
+    const value = String(endpoint || '').trim();
+    if (value && !/^https?:\/\/\S+$/i.test(value)) {
+      throw new ValidationError('Sync endpoint must be an http(s) URL', 'endpoint', value);
+    }
+    if (value === this.state.endpoint) return;
+
+    const records = {};
+    Object.entries(this.state.records).forEach(([key, record]) => {
+      records[key] = { ...record, remoteUpdatedAt: 0 };
+    });
+    this.state = { endpoint: value, records, queue: Object.keys(this.keys), lastSyncedAt: null };
+
+    await this.persistState();
+    this.connect(value);
+  }
+
+  /**
+   * Create the remote adapter for an endpoint and start syncing
+   * @param {string} endpoint - Base URL of the backend, or empty
+   */
+  connect(endpoint) {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+    this.remote = endpoint ? this.createRemote(endpoint) : null;
+
+    if (!this.remote) {
+      this.setStatus(SYNC_STATUS.DISABLED);
+      return;
+    }
+
+    this.setStatus(SYNC_STATUS.IDLE);
+    this.pollTimer = setInterval(() => this.sync(), this.options.pollIntervalMs);
+    this.sync();
+  }
+
+  /**
+   * Track a write made through StorageService
+   * @param {object} change - {type, key, value}
+   */
+  handleStorageChange({ type, key, value }) {
+    if (type !== 'set' || !this.keys[key]) return;
+
+    const synced = this.select(key, value);
+    if (this.knownValues.has(key) && isSameValue(this.knownValues.get(key), synced)) return;
+    this.knownValues.set(key, synced);
+
+    this.state.records[key] = { ...this.getRecordState(key), updatedAt: this.now() };
+    if (!this.state.queue.includes(key)) {
+      this.state.queue.push(key);
+    }
+
+    this.persistState().catch(error => {
+      Logger.warn('service', 'SyncService: failed to save sync state', error);
+    });
+    this.notifyListeners();
+    this.schedulePush();
+  }
+
+  /**
+   * Push queued writes after a quiet period
+   */
+  schedulePush() {
+    if (!this.remote) return;
+
+    clearTimeout(this.pushTimer);
+    this.pushTimer = setTimeout(() => {
+      this.pushTimer = null;
+      this.sync();
+    }, this.options.pushDelayMs);
+  }
+
+  /**
+   * Sync every key with the backend
+   * Calls made while a sync runs are folded into one more pass after it
+   * @returns {Promise<boolean>} - True if the sync completed
+   */
+  sync() {
+    if (!this.remote) return Promise.resolve(false);
+
+    if (this.running) {
+      this.rerun = true;
+      return this.running;
+    }
+
+    this.running = this.runSync(this.remote).finally(() => {
+      this.running = null;
+      if (this.rerun) {
+        this.rerun = false;
+        this.sync();
+      }
+    });
+    return this.running;
+  }
+
+  /**
+   * Run one sync pass
+   * @param {RemoteStorageAdapter} remote - Backend
+   * @returns {Promise<boolean>} - True if the pass completed
+   */
+  async runSync(remote) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      this.setStatus(SYNC_STATUS.OFFLINE);
+      return false;
+    }
+
+    this.setStatus(SYNC_STATUS.SYNCING);
+    try {
+      for (const key of Object.keys(this.keys)) {
+        await this.syncKey(remote, key);
+      }
+
+      this.state.lastSyncedAt = this.now();
+      await this.persistState();
+      this.setStatus(SYNC_STATUS.IDLE);
+      return true;
+    } catch (error) {
+      await this.persistState().catch(() => {});
+
+      if (error?.context?.offline) {
+        // Queued writes stay queued until the backend can be reached
+        Logger.debug('service', 'SyncService: backend unreachable, keeping the queue');
+        this.setStatus(SYNC_STATUS.OFFLINE);
+      } else {
+        errorHandler.handleError(
+          new ServiceError(
+            'Sync failed',
+            'SyncService',
+            { endpoint: this.state.endpoint, originalError: error?.message || String(error) }
+          ),
+          ERROR_SEVERITY.LOW,
+          ERROR_CATEGORY.NETWORK
+        );
+        this.setStatus(SYNC_STATUS.ERROR);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Sync one key: pull remote changes, push local ones and resolve conflicts
+   * @param {RemoteStorageAdapter} remote - Backend
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async syncKey(remote, key) {
+    const record = this.getRecordState(key);
+    const startedAt = record.updatedAt;
+    const pending = this.state.queue.includes(key);
+    const remoteRecord = await remote.getRecord(key);
+    const remoteChanged = Boolean(remoteRecord) && remoteRecord.updatedAt > record.remoteUpdatedAt;
+
+    if (!pending) {
+      if (remoteChanged) {
+        await this.applyRemote(key, remoteRecord.value);
+        this.markSynced(key, startedAt, remoteRecord.updatedAt);
+      }
+      return;
+    }
+
+    const stored = await this.storageService.get(key, null);
+    if (stored === null) {
+      this.markSynced(key, startedAt, remoteRecord?.updatedAt ?? record.remoteUpdatedAt);
+      return;
+    }
+
+    const local = this.select(key, stored);
+    if (!remoteChanged) {
+      const updatedAt = record.updatedAt || this.now();
+      await remote.putRecord(key, local, updatedAt);
+      this.markSynced(key, startedAt, updatedAt);
+      return;
+    }
+
+    if (isSameValue(local, remoteRecord.value)) {
+      this.markSynced(key, startedAt, remoteRecord.updatedAt);
+      return;
+    }
+
+    // Both sides changed since the last sync
+    let resolution;
+    if (this.keys[key] === SYNC_STRATEGIES.MERGE_RECORDS) {
+      const merged = mergeRecordsById(local, remoteRecord.value);
+      const updatedAt = Math.max(this.now(), remoteRecord.updatedAt + 1);
+      await remote.putRecord(key, merged, updatedAt);
+      await this.applyRemote(key, merged);
+      this.markSynced(key, startedAt, updatedAt);
+      resolution = 'merged';
+    } else if (record.updatedAt >= remoteRecord.updatedAt) {
+      await remote.putRecord(key, local, record.updatedAt);
+      this.markSynced(key, startedAt, record.updatedAt);
+      resolution = 'local';
+    } else {
+      await this.applyRemote(key, remoteRecord.value);
+      this.markSynced(key, startedAt, remoteRecord.updatedAt);
+      resolution = 'remote';
+    }
+
+    this.reportConflict(key, resolution, record.updatedAt, remoteRecord.updatedAt);
+  }
+
+  /**
+   * Pick the part of a stored value that syncs
+   * @param {string} key - Storage key
+   * @param {any} value - Stored value
+   * @returns {any} - Synced value
+   */
+  select(key, value) {
+    const selector = this.selectors[key];
+    return selector ? selector(value) : value;
+  }
+
+  /**
+   * Apply a pulled value locally
+   * @param {string} key - Storage key
+   * @param {any} value - Value
+   * @returns {Promise<void>}
+   */
+  async applyRemote(key, value) {
+    this.knownValues.set(key, value);
+    const apply = this.appliers[key] || (next => this.storageService.set(key, next));
+    await apply(value);
+  }
+
+  /**
+   * Record that a key matches the backend
+   * A local write made while the key was syncing stays queued for the next pass
+   * @param {string} key - Storage key
+   * @param {number} startedAt - Local write time when the key started syncing
+   * @param {number} remoteUpdatedAt - Backend timestamp now matched
+   */
+  markSynced(key, startedAt, remoteUpdatedAt) {
+    const record = this.getRecordState(key);
+    this.state.records[key] = { ...record, remoteUpdatedAt };
+
+    if (record.updatedAt === startedAt) {
+      this.state.queue = this.state.queue.filter(queued => queued !== key);
+    }
+  }
+
+  /**
+   * Report a resolved conflict
+   * @param {string} key - Storage key
+   * @param {string} resolution - 'merged', 'local' or 'remote'
+   * @param {number} localUpdatedAt - Local write time
+   * @param {number} remoteUpdatedAt - Remote write time
+   */
+  reportConflict(key, resolution, localUpdatedAt, remoteUpdatedAt) {
+    this.lastConflict = { key, resolution, at: this.now() };
+    errorHandler.handleError(
+      new ServiceError(
+        `Sync conflict on ${key} resolved with ${resolution} data`,
+        'SyncService',
+        { key, resolution, localUpdatedAt, remoteUpdatedAt }
+      ),
+      ERROR_SEVERITY.LOW,
+      ERROR_CATEGORY.STORAGE
+    );
+  }
+
+  /**
+   * Get the sync bookkeeping of a key
+   * @param {string} key - Storage key
+   * @returns {object} - {updatedAt, remoteUpdatedAt}
+   */
+  getRecordState(key) {
+    const record = this.state.records[key];
+    return {
+      updatedAt: Number(record?.updatedAt) || 0,
+      remoteUpdatedAt: Number(record?.remoteUpdatedAt) || 0
+    };
+  }
+
+  /**
+   * Get the sync status
+   * @returns {object} - {status, endpoint, pending, lastSyncedAt, lastConflict}
+   */
+  getStatus() {
+    return {
+      status: this.status,
+      endpoint: this.state.endpoint,
+      pending: this.state.queue.length,
+      lastSyncedAt: this.state.lastSyncedAt,
+      lastConflict: this.lastConflict
+    };
+  }
+
+  /**
+   * Subscribe to status changes
+   * @param {Function} callback - Called with the status (see getStatus)
+   * @returns {Function} - Unsubscribe function
+   */
+  addListener(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Update the status and notify listeners
+   * @param {string} status - One of SYNC_STATUS
+   */
+  setStatus(status) {
+    this.status = status;
+    this.notifyListeners();
+  }
+
+  /**
+   * Notify listeners about changes
+   */
+  notifyListeners() {
+    const status = this.getStatus();
+    this.listeners.forEach(callback => {
+      try {
+        callback(status);
+      } catch (error) {
+        errorHandler.handleError(
+          new ServiceError(
+            'Error in sync listener',
+            'SyncService',
+            { originalError: error.message }
+          )
+        );
+      }
+    });
+  }
+
+  /**
+   * Persist sync state
+   * @returns {Promise<void>}
+   */
+  async persistState() {
+    await this.storageService.set(SYNC_STATE_STORAGE_KEY, {
+      ...this.state,
+      records: { ...this.state.records },
+      queue: [...this.state.queue]
+    });
+  }
+
+  /**
+   * Dispose of the service
+   */
+  dispose() {
+    clearTimeout(this.pushTimer);
+    clearInterval(this.pollTimer);
+    this.unsubscribeStorage?.();
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this.handleOnline);
+    }
+    this.listeners.clear();
+    this.remote = null;
+    this.isInitialized = false;
+  }
+}
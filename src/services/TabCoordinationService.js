@@ -0,0 +1,354 @@
+/**
+ * Tab Coordination Service
+ * Coordinates tabs of the app over BroadcastChannel following Single Responsibility Principle
+ *
+ * The tab that starts or resumes a session claims leadership and is the only one
+ * allowed to run it, so only one tab plays audio; a newer claim takes over and the
+ * previous leader pauses. Preference changes are passed on so every tab shows the same
+ * settings while only the tab that made the change saves it
+ */
+
+import { ServiceError } from '../errors/AppError.js';
+import { errorHandler } from '../errors/ErrorHandler.js';
+import { pickPreferences } from '../state/UserPreferencesState.js';
+import Logger from '../utils/Logger.js';
+
+export const TAB_CHANNEL_NAME = 'breathing-app-tabs';
+
+export const TAB_MESSAGE_TYPES = {
+  // A tab opened and wants to know about a running session
+  HELLO: 'hello',
+  // The leader took over
+  CLAIM: 'claim',
+  // The leader is alive; sent on an interval and when its session starts or stops
+  STATUS: 'status',
+  // The leader stepped down
+  RELEASE: 'release',
+  PREFERENCES: 'preferences'
+};
+
+const DEFAULT_OPTIONS = {
+  heartbeatMs: 2000,
+  // A leader that misses heartbeats this long is taken to be gone (closed, crashed or frozen)
+  leaderTimeoutMs: 6000
+};
+
+/**
+ * Create an ID for this tab
+ * @returns {string} - Tab ID
+ */
+const createTabId = () => (
+  globalThis.crypto?.randomUUID?.() || `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+);
+
+/**
+ * Check if a claim is newer than another; ties go to the higher tab ID so every tab agrees
+ * @param {object} claim - {claimedAt, tabId}
+ * @param {object} other - {claimedAt, tabId}
+ * @returns {boolean} - True if claim wins over other
+ */
+const isNewerClaim = (claim, other) => (
+  claim.claimedAt > other.claimedAt ||
+  (claim.claimedAt === other.claimedAt && claim.tabId > other.tabId)
+);
+
+/**
+ * Tab Coordination Service class
+ */
+export class TabCoordinationService {
+  /**
+   * @param {object} options - Options
+   * @param {UserPreferencesState} [options.preferencesState] - Preferences to keep in step
+   * @param {Function} [options.createChannel] - Creates the BroadcastChannel for a name
+   * @param {string} [options.tabId] - ID of this tab
+   * @param {Function} [options.now] - Clock
+   * @param {number} [options.heartbeatMs] - Interval between leader heartbeats
+   * @param {number} [options.leaderTimeoutMs] - Silence after which the leader is dropped
+   */
+  constructor({
+    preferencesState = null,
+    createChannel = typeof BroadcastChannel !== 'undefined' ? name => new BroadcastChannel(name) : null,
+    tabId = createTabId(),
+    now = () => Date.now(),
+    ...options
+  } = {}) {
+    this.preferencesState = preferencesState;
+    this.createChannel = createChannel;
+    this.tabId = tabId;
+    this.now = now;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    this.channel = null;
+    // Current leader: {tabId, claimedAt, running}, or null
+    this.leader = null;
+    this.isRunning = false;
+    this.listeners = new Set();
+    this.heartbeatTimer = null;
+    this.leaderTimer = null;
+    this.unsubscribePreferences = null;
+
+    this.handleMessage = (event) => this.receive(event.data);
+    this.handlePageHide = () => this.releaseLeadership();
+  }
+
+  /**
+   * Check if tabs can be coordinated
+   * @returns {boolean} - True if BroadcastChannel is available
+   */
+  isSupported() {
+    return Boolean(this.createChannel);
+  }
+
+  /**
+   * Open the channel and ask other tabs for a running session
+   */
+  initialize() {
+    if (this.channel || !this.isSupported()) return;
+
+    try {
+      this.channel = this.createChannel(TAB_CHANNEL_NAME);
+    } catch (error) {
+      Logger.warn('service', 'TabCoordinationService: BroadcastChannel unavailable', error);
+      return;
+    }
+    this.channel.addEventListener('message', this.handleMessage);
+
+    if (this.preferencesState) {
+      this.unsubscribePreferences = this.preferencesState.subscribe(({ changes }) => {
+        this.handlePreferenceChanges(changes);
+      });
+    }
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', this.handlePageHide);
+    }
+
+    this.post(TAB_MESSAGE_TYPES.HELLO);
+  }
+
+  /**
+   * Check if this tab leads
+   * @returns {boolean} - True if this tab holds leadership
+   */
+  isLeader() {
+    return this.leader?.tabId === this.tabId;
+  }
+
+  /**
+   * Get the coordination state
+   * @returns {object} - {isSupported, isLeader, isOtherTabRunning}
+   */
+  getState() {
+    return {
+      isSupported: Boolean(this.channel),
+      isLeader: this.isLeader(),
+      isOtherTabRunning: Boolean(this.leader && !this.isLeader() && this.leader.running)
+    };
+  }
+
+  /**
+   * Take leadership, e.g. when a session starts or resumes here
+   * The previous leader is told and pauses its session
+   */
+  claimLeadership() {
+    if (!this.channel) return;
+
+    this.clearLeaderTimer();
+    this.leader = { tabId: this.tabId, claimedAt: this.now(), running: this.isRunning };
+    this.post(TAB_MESSAGE_TYPES.CLAIM, { claimedAt: this.leader.claimedAt });
+    this.startHeartbeat();
+    this.notifyListeners();
+  }
+
+  /**
+   * Step down, e.g. when the session here ends or the tab closes
+   */
+  releaseLeadership() {
+    if (!this.channel || !this.isLeader()) return;
+
+    this.stopHeartbeat();
+    this.leader = null;
+    this.post(TAB_MESSAGE_TYPES.RELEASE);
+    this.notifyListeners();
+  }
+
+  /**
+   * Report whether a session runs in this tab
+   * @param {boolean} running - True while a session runs
+   */
+  setRunning(running) {
+    this.isRunning = Boolean(running);
+    if (!this.isLeader()) return;
+
+    this.leader = { ...this.leader, running: this.isRunning };
+    this.post(TAB_MESSAGE_TYPES.STATUS);
+  }
+
+  /**
+   * Handle a message from another tab
+   * @param {object} message - {type, tabId, ...}
+   */
+  receive(message) {
+    if (!message || message.tabId === this.tabId) return;
+
+    switch (message.type) {
+      case TAB_MESSAGE_TYPES.HELLO:
+        if (this.isLeader()) {
+          this.post(TAB_MESSAGE_TYPES.STATUS);
+        }
+        break;
+      case TAB_MESSAGE_TYPES.CLAIM:
+      case TAB_MESSAGE_TYPES.STATUS:
+        this.handleLeaderMessage(message);
+        break;
+      case TAB_MESSAGE_TYPES.RELEASE:
+        if (this.leader?.tabId === message.tabId) {
+          this.clearLeaderTimer();
+          this.leader = null;
+          this.notifyListeners();
+        }
+        break;
+      case TAB_MESSAGE_TYPES.PREFERENCES:
+        this.preferencesState?.applyExternalPreferences(message.preferences || {});
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Follow a tab that claims leadership or reports as leader
+   * @param {object} message - {tabId, claimedAt, running}
+   */
+  handleLeaderMessage(message) {
+    // Two leaders (e.g. claims crossing each other): the newer claim wins everywhere
+    if (this.leader && this.leader.tabId !== message.tabId && !isNewerClaim(message, this.leader)) {
+      if (this.isLeader()) {
+        this.post(TAB_MESSAGE_TYPES.STATUS);
+      }
+      return;
+    }
+
+    this.stopHeartbeat();
+    this.leader = { tabId: message.tabId, claimedAt: message.claimedAt, running: Boolean(message.running) };
+    this.startLeaderTimer();
+    this.notifyListeners();
+  }
+
+  /**
+   * Pass preference changes made in this tab on to the others
+   * @param {object} changes - {[key]: {from, to}} from UserPreferencesState
+   */
+  handlePreferenceChanges(changes) {
+    if (!changes || this.preferencesState.isExternalChange()) return;
+
+    const values = {};
+    Object.entries(changes).forEach(([key, change]) => {
+      values[key] = change.to;
+    });
+    const preferences = pickPreferences(values);
+    if (Object.keys(preferences).length > 0) {
+      this.post(TAB_MESSAGE_TYPES.PREFERENCES, { preferences });
+    }
+  }
+
+  /**
+   * Send a message to the other tabs
+   * @param {string} type - One of TAB_MESSAGE_TYPES
+   * @param {object} [payload] - Message fields
+   */
+  post(type, payload = {}) {
+    if (!this.channel) return;
+
+    const leaderFields = this.isLeader()
+      ? { claimedAt: this.leader.claimedAt, running: this.leader.running }
+      : {};
+    try {
+      this.channel.postMessage({ type, tabId: this.tabId, ...leaderFields, ...payload });
+    } catch (error) {
+      Logger.warn('service', 'TabCoordinationService: failed to post message', error);
+    }
+  }
+
+  /**
+   * Send heartbeats while leading
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => this.post(TAB_MESSAGE_TYPES.STATUS), this.options.heartbeatMs);
+  }
+
+  /**
+   * Stop sending heartbeats
+   */
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Drop the leader if it goes quiet
+   */
+  startLeaderTimer() {
+    this.clearLeaderTimer();
+    this.leaderTimer = setTimeout(() => {
+      this.leaderTimer = null;
+      this.leader = null;
+      this.notifyListeners();
+    }, this.options.leaderTimeoutMs);
+  }
+
+  /**
+   * Stop watching the leader
+   */
+  clearLeaderTimer() {
+    clearTimeout(this.leaderTimer);
+    this.leaderTimer = null;
+  }
+
+  /**
+   * Subscribe to coordination changes
+   * @param {Function} callback - Called with the state (see getState)
+   * @returns {Function} - Unsubscribe function
+   */
+  addListener(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Notify listeners about changes
+   */
+  notifyListeners() {
+    const state = this.getState();
+    this.listeners.forEach(callback => {
+      try {
+        callback(state);
+      } catch (error) {
+        errorHandler.handleError(
+          new ServiceError(
+            'Error in tab coordination listener',
+            'TabCoordinationService',
+            { originalError: error.message }
+          )
+        );
+      }
+    });
+  }
+
+  /**
+   * Dispose of the service
+   */
+  dispose() {
+    this.releaseLeadership();
+    this.stopHeartbeat();
+    this.clearLeaderTimer();
+    this.unsubscribePreferences?.();
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', this.handlePageHide);
+    }
+    this.channel?.removeEventListener('message', this.handleMessage);
+    this.channel?.close();
+    this.channel = null;
+    this.listeners.clear();
+  }
+}
@@ -7,6 +7,12 @@ import { ServiceError, ERROR_CODES } from '../errors/AppError.js';
 import { errorHandler } from '../errors/ErrorHandler.js';
 import { StorageAdapter } from '../adapters/StorageAdapter.js';
 
+const CUSTOM_THEMES_STORAGE_KEY = 'custom-themes';
+const THEME_STORAGE_KEY = 'breathing-app-theme';
+
+// Read when the app starts, before anything else is loaded
+export const THEME_STORAGE_KEYS = [CUSTOM_THEMES_STORAGE_KEY, THEME_STORAGE_KEY];
+
 /**
  * Theme Service class
  * Manages theme data, switching, and persistence
@@ -159,7 +165,7 @@ export class ThemeService {
    */
   async loadCustomThemes() {
     try {
-      const customThemes = await this.storageAdapter.safeGet('custom-themes');
+      const customThemes = await this.storageAdapter.safeGet(CUSTOM_THEMES_STORAGE_KEY);
       if (customThemes) {
         for (const [key, theme] of Object.entries(customThemes)) {
           this.themes.set(key, theme);
@@ -189,7 +195,7 @@ export class ThemeService {
           customThemes[key] = theme;
         }
       }
-      await this.storageAdapter.safeSet('custom-themes', customThemes);
+      await this.storageAdapter.safeSet(CUSTOM_THEMES_STORAGE_KEY, customThemes);
     } catch (error) {
       throw new ServiceError(
         'Failed to save custom themes',
@@ -225,7 +231,7 @@ export class ThemeService {
     
     // Save to storage
     try {
-      await this.storageAdapter.safeSet('breathing-app-theme', themeKey);
+      await this.storageAdapter.safeSet(THEME_STORAGE_KEY, themeKey);
     } catch (error) {
       errorHandler.handleError(
         new ServiceError(
@@ -343,7 +349,7 @@ export class ThemeService {
    */
   async loadCurrentTheme() {
     try {
-      const savedTheme = await this.storageAdapter.safeGet('breathing-app-theme');
+      const savedTheme = await this.storageAdapter.safeGet(THEME_STORAGE_KEY);
       if (savedTheme && this.themes.has(savedTheme)) {
         this.currentTheme = savedTheme;
       }
@@ -6,13 +6,62 @@
 import { ServiceError, ERROR_CODES } from '../errors/AppError.js';
 import { errorHandler } from '../errors/ErrorHandler.js';
 import Logger from '../utils/Logger.js';
+import { getStepIndex, STEP_EPSILON } from '../utils/phaseSteps.js';
+import {
+  normalizeSessionGoal,
+  getSessionGoalProgress,
+  isSessionGoalReached
+} from '../utils/sessionGoal.js';
+
+/**
+ * Read the monotonic clock in milliseconds
+ * @returns {number} - Milliseconds from an arbitrary origin
+ */
+const monotonicNow = () => (
+  typeof performance !== 'undefined' && typeof performance.now === 'function'
+    ? performance.now()
+    : Date.now()
+);
+
+/**
+ * What the timer does while the page is hidden or the device sleeps
+ */
+export const BACKGROUND_POLICIES = {
+  CONTINUE: 'continue',
+  PAUSE: 'pause'
+};
+
+/**
+ * Why the timer was paused
+ */
+export const PAUSE_REASONS = {
+  USER: 'user',
+  BACKGROUND: 'background',
+  // Another tab took the session over
+  OTHER_TAB: 'otherTab'
+};
+
+// A tick this late means timers were throttled or the device slept
+const GAP_THRESHOLD_MS = 2000;
+
+// performance.now() stops on some devices while they sleep; a wall clock running
+// this far ahead of it means the session kept going
+const SLEEP_DRIFT_MS = 1000;
 
 /**
  * Timer Service class
  * Handles breathing session timing and phase management
+ * Timing is anchored to the monotonic clock; ticks are scheduled for the next
+ * step boundary so phase changes are reported with millisecond accuracy
+ * Position is always derived from the anchors, never from counting ticks, so
+ * throttled or missed ticks are reconciled on the next one (see updateTimer)
  */
 export class TimerService {
-  constructor() {
+  /**
+   * @param {Function} [clock] - Monotonic clock in milliseconds
+   * @param {Function} [wallClock] - Wall clock in milliseconds
+   */
+  constructor(clock = monotonicNow, wallClock = Date.now) {
     this.isRunning = false;
     this.isPaused = false;
     this.currentTime = 0;
@@ -26,18 +75,147 @@ export class TimerService {
     this.technique = null;
     this.startTime = null;
     this.pausedTime = 0;
+
+    // High-resolution timing state
+    this.clock = clock;
+    this.wallClock = wallClock;
+    this.anchorTime = null;
+    this.wallAnchorTime = null;
+    this.accumulatedMs = 0;
+    this.cycleIndex = 0;
+    this.cycleStartTime = 0;
+    this.stepKey = null;
+
+    // Background handling: gaps between ticks are detected against the due time
+    this.backgroundPolicy = BACKGROUND_POLICIES.CONTINUE;
+    this.pauseReason = null;
+    this.lastTickMs = 0;
+    this.nextTickDueMs = null;
+    this.isCatchingUp = false;
+
+    // Session goal (N minutes or N cycles); checked at cycle boundaries
+    this.goal = normalizeSessionGoal(null);
+    this.isComplete = false;
+
+    // Multi-stage program; stages advance at the first cycle boundary past their length
+    this.program = null;
+    this.stages = [];
+    this.stageIndex = 0;
+    this.stageStartTime = 0;
+    this.stageCycleOffset = 0;
   }
 
   /**
    * Set breathing technique
+   * A program technique (see ProgramTechnique) is run stage by stage
    * @param {object} technique - Breathing technique object
    */
   setTechnique(technique) {
-    this.technique = technique;
-    this.totalDuration = technique.getTotalDuration();
+    this.program = technique?.isProgram ? technique : null;
+    this.stages = this.program ? this.program.getStages() : [];
+    this.enterStage(0, 0, 0);
+
+    if (!this.program) {
+      this.technique = technique;
+      this.totalDuration = technique.getTotalDuration();
+    }
+
     this.reset();
   }
 
+  /**
+   * Switch the active technique to a program stage
+   * @param {number} stageIndex - Stage index
+   * @param {number} startTime - Session time the stage starts at, in seconds
+   * @param {number} cycleOffset - Cycles completed in earlier stages
+   */
+  enterStage(stageIndex, startTime, cycleOffset) {
+    this.stageIndex = stageIndex;
+    this.stageStartTime = startTime;
+    this.stageCycleOffset = cycleOffset;
+    this.cycleStartTime = startTime;
+
+    const stage = this.stages?.[stageIndex];
+    if (stage) {
+      this.technique = stage.technique;
+      this.totalDuration = stage.technique.getTotalDuration();
+    }
+  }
+
+  /**
+   * Get the active program stage
+   * @returns {object|null} - Stage info or null outside programs
+   */
+  getStage() {
+    if (!this.program) return null;
+
+    const stage = this.stages[this.stageIndex];
+    return {
+      programId: this.program.getId(),
+      stageIndex: this.stageIndex,
+      stageCount: this.stages.length,
+      techniqueId: stage.techniqueId,
+      technique: stage.technique,
+      durationSeconds: stage.durationSeconds,
+      startTime: this.stageStartTime
+    };
+  }
+
+  /**
+   * Get where the session stands, so it can be continued later (see restorePosition)
+   * @returns {object} - {elapsedSeconds, stageIndex, stageStartTime, stageCycleOffset}
+   */
+  getPosition() {
+    return {
+      elapsedSeconds: this.getElapsedTime(),
+      stageIndex: this.stageIndex,
+      stageStartTime: this.stageStartTime,
+      stageCycleOffset: this.stageCycleOffset
+    };
+  }
+
+  /**
+   * Move a stopped timer to a saved position; start() then continues from there
+   * Call after setTechnique and setGoal, which start from the beginning
+   * @param {object} position - Position from getPosition
+   */
+  restorePosition({ elapsedSeconds = 0, stageIndex = 0, stageStartTime = 0, stageCycleOffset = 0 } = {}) {
+    if (this.isRunning || !this.technique) return;
+
+    if (this.program && this.stages[stageIndex]) {
+      this.enterStage(stageIndex, stageStartTime, stageCycleOffset);
+    }
+    this.currentTime = Math.max(0, Number(elapsedSeconds) || 0);
+    this.accumulatedMs = this.currentTime * 1000;
+    this.applyPhase(this.currentTime);
+  }
+
+  /**
+   * Set session goal
+   * The session completes at the first cycle boundary where the goal is met;
+   * programs ignore the goal and complete after their last stage
+   * @param {object|null} goal - Goal {type: 'none'|'minutes'|'cycles', value}
+   */
+  setGoal(goal) {
+    this.goal = normalizeSessionGoal(goal);
+  }
+
+  /**
+   * Get session goal
+   * @returns {object} - Normalized goal
+   */
+  getGoal() {
+    return this.goal;
+  }
+
+  /**
+   * Get progress toward the session goal
+   * @returns {number} - Progress in [0, 1]
+   */
+  getGoalProgress() {
+    return getSessionGoalProgress(this.goal, this.currentTime, this.cycleIndex);
+  }
+
   /**
    * Start timer
    * @returns {Promise<void>}
@@ -58,43 +236,31 @@ export class TimerService {
     try {
       this.isRunning = true;
       this.isPaused = false;
+      this.isComplete = false;
       this.startTime = Date.now() - this.pausedTime;
+      this.accumulatedMs = this.currentTime * 1000;
+      this.setAnchors();
+      this.pauseReason = null;
 
       // Immediately get and set the initial phase
-      this.currentPhase = this.technique.getCurrentPhase(this.currentTime);
-      this.phaseIndex = this.currentPhase.phaseIndex;
-      this.timeInPhase = this.currentPhase.timeInPhase;
-      this.timeLeft = this.currentPhase.timeLeft;
+      this.applyPhase(this.currentTime);
+      this.lastTickMs = this.accumulatedMs;
+      this.stepKey = this.getStepKey();
       
       Logger.debug('service', 'TimerService: Starting with initial phase:', this.currentPhase);
 
-      // Set up interval for subsequent updates
-      this.timerId = setInterval(() => {
-        this.updateTimer();
-      }, 1000);
+      // Schedule the first boundary tick
+      this.scheduleNextTick();
 
       // Notify listeners immediately with initial state
-      this.notifyListeners('start', {
-        currentTime: this.currentTime,
-        totalDuration: this.totalDuration,
-        currentPhase: this.currentPhase,
-        phaseIndex: this.phaseIndex,
-        timeInPhase: this.timeInPhase,
-        timeLeft: this.timeLeft
-      });
+      this.notifyListeners('start', this.getUpdatePayload());
       
       // Also trigger an immediate update to ensure UI reflects the initial state
-      this.notifyListeners('update', {
-        currentTime: this.currentTime,
-        totalDuration: this.totalDuration,
-        currentPhase: this.currentPhase,
-        phaseIndex: this.phaseIndex,
-        timeInPhase: this.timeInPhase,
-        timeLeft: this.timeLeft
-      });
+      this.notifyListeners('update', this.getUpdatePayload());
 
     } catch (error) {
       this.isRunning = false;
+      this.clearScheduledTick();
       throw new ServiceError(
         'Failed to start timer',
         'TimerService',
@@ -105,24 +271,26 @@ export class TimerService {
 
   /**
    * Pause timer
+   * @param {string} [reason] - Why the timer pauses (see PAUSE_REASONS)
+   * @param {number} [elapsedMs] - Session time to pause at; defaults to now
    */
-  pause() {
+  pause(reason = PAUSE_REASONS.USER, elapsedMs = this.getElapsedMs()) {
     if (!this.isRunning || this.isPaused) {
       return;
     }
 
+    this.accumulatedMs = elapsedMs;
+    this.currentTime = this.accumulatedMs / 1000;
     this.isPaused = true;
+    this.pauseReason = reason;
     this.pausedTime = Date.now() - this.startTime;
-
-    if (this.timerId) {
-      clearInterval(this.timerId);
-      this.timerId = null;
-    }
+    this.clearScheduledTick();
 
     this.notifyListeners('pause', {
       currentTime: this.currentTime,
       totalDuration: this.totalDuration,
-      currentPhase: this.currentPhase
+      currentPhase: this.currentPhase,
+      reason
     });
   }
 
@@ -135,11 +303,11 @@ export class TimerService {
     }
 
     this.isPaused = false;
+    this.pauseReason = null;
     this.startTime = Date.now() - this.pausedTime;
-
-    this.timerId = setInterval(() => {
-      this.updateTimer();
-    }, 1000);
+    this.setAnchors();
+    this.lastTickMs = this.accumulatedMs;
+    this.scheduleNextTick();
 
     this.notifyListeners('resume', {
       currentTime: this.currentTime,
@@ -152,13 +320,15 @@ export class TimerService {
    * Stop timer
    */
   stop() {
+    if (this.isRunning && !this.isPaused) {
+      this.accumulatedMs = this.getElapsedMs();
+      this.currentTime = this.accumulatedMs / 1000;
+    }
+
     this.isRunning = false;
     this.isPaused = false;
-
-    if (this.timerId) {
-      clearInterval(this.timerId);
-      this.timerId = null;
-    }
+    this.pauseReason = null;
+    this.clearScheduledTick();
 
     this.notifyListeners('stop', {
       currentTime: this.currentTime,
@@ -178,9 +348,23 @@ export class TimerService {
     this.timeLeft = 0;
     this.pausedTime = 0;
     this.startTime = null;
+    this.accumulatedMs = 0;
+    this.anchorTime = null;
+    this.wallAnchorTime = null;
+    this.lastTickMs = 0;
+    this.nextTickDueMs = null;
+    this.cycleIndex = 0;
+    this.cycleStartTime = 0;
+    this.stepKey = null;
+    this.isComplete = false;
+
+    if (this.program && this.stageIndex !== 0) {
+      this.enterStage(0, 0, 0);
+    }
 
     if (this.technique) {
       this.currentPhase = this.technique.getCurrentPhase(0);
+      this.totalDuration = this.technique.getTotalDuration(0);
     }
 
     this.notifyListeners('reset', {
@@ -192,38 +376,341 @@ export class TimerService {
 
   /**
    * Update timer state
+   * Called on scheduled ticks; emits 'update' once per step, 'phaseChange' on
+   * phase boundaries, 'cycleComplete' when a cycle wraps and 'complete' once
+   * the session goal is met
+   * A tick that arrives long after it was due (throttled tab, sleeping device)
+   * either pauses the session where it was last shown or catches up with it,
+   * depending on the background policy
    */
   updateTimer() {
+    this.timerId = null;
+
     if (!this.isRunning || this.isPaused || !this.technique) {
       return;
     }
 
-    this.currentTime += 1;
-    
-    // Get current phase information
-    this.currentPhase = this.technique.getCurrentPhase(this.currentTime);
+    const previousPhaseIndex = this.phaseIndex;
+    const previousCycleIndex = this.cycleIndex;
+    const elapsedMs = this.getElapsedMs();
+    const gapMs = this.nextTickDueMs === null ? 0 : elapsedMs - this.nextTickDueMs;
+    this.nextTickDueMs = null;
+
+    if (gapMs > GAP_THRESHOLD_MS) {
+      Logger.debug('service', `TimerService: ticks were held back for ${Math.round(gapMs)}ms`);
+
+      if (this.backgroundPolicy === BACKGROUND_POLICIES.PAUSE) {
+        this.pause(PAUSE_REASONS.BACKGROUND, this.lastTickMs);
+        return;
+      }
+    }
+
+    const elapsedSeconds = elapsedMs / 1000;
+
+    // Events from a catch-up are flagged so listeners can skip cues for time already gone
+    this.isCatchingUp = gapMs > GAP_THRESHOLD_MS;
+    if (this.crossCycleBoundaries(elapsedSeconds)) {
+      this.isCatchingUp = false;
+      return;
+    }
+
+    this.currentTime = elapsedSeconds;
+    this.lastTickMs = elapsedMs;
+
+    const stepKey = this.getStepKey();
+    if (stepKey !== this.stepKey) {
+      this.stepKey = stepKey;
+
+      // Notify listeners of timer update
+      this.notifyListeners('update', this.getUpdatePayload());
+
+      if (this.phaseIndex !== previousPhaseIndex || this.cycleIndex !== previousCycleIndex) {
+        const boundaryTime = elapsedSeconds - this.timeInPhase;
+        this.notifyListeners('phaseChange', {
+          ...this.getUpdatePayload(),
+          previousPhaseIndex,
+          boundaryTime,
+          latencyMs: this.timeInPhase * 1000
+        });
+      }
+
+      // Check if cycle is complete
+      if (this.cycleIndex > previousCycleIndex) {
+        this.notifyListeners('cycleComplete', {
+          currentTime: this.currentTime,
+          totalDuration: this.totalDuration,
+          cyclesCompleted: this.cycleIndex
+        });
+      }
+    }
+
+    this.isCatchingUp = false;
+    this.scheduleNextTick();
+  }
+
+  /**
+   * Apply the phase for the given time, visiting every cycle boundary on the way
+   * Normally at most one is crossed per tick; after a gap there can be many, and
+   * each is checked for the end of a program stage or the session goal as if it
+   * had been ticked on time
+   * @param {number} elapsedSeconds - Current session time, in seconds
+   * @returns {boolean} - True if the session completed on one of them
+   */
+  crossCycleBoundaries(elapsedSeconds) {
+    for (;;) {
+      const cycleIndex = this.cycleIndex;
+      const nextBoundaryTime = this.cycleStartTime + this.totalDuration;
+
+      this.applyPhase(elapsedSeconds);
+      if (this.cycleIndex <= cycleIndex) {
+        return false;
+      }
+
+      if (this.cycleIndex > cycleIndex + 1) {
+        // Several boundaries passed since the last tick; settle the first one
+        this.applyPhase(nextBoundaryTime + STEP_EPSILON);
+        if (this.cycleIndex <= cycleIndex) {
+          this.applyPhase(elapsedSeconds);
+        }
+      }
+
+      const boundaryTime = this.getCycleBoundaryTime();
+      this.currentTime = boundaryTime;
+
+      if (this.endsStageAt(boundaryTime, this.cycleIndex)) {
+        if (!this.program || this.stageIndex >= this.stages.length - 1) {
+          this.complete();
+          return true;
+        }
+        this.advanceStage(boundaryTime, boundaryTime);
+      }
+    }
+  }
+
+  /**
+   * Check if the current stage (or the whole session) ends on a cycle boundary
+   * Programs define their own length and move on once a stage has run its course;
+   * other sessions finish on the boundary where the goal is met
+   * @param {number} boundaryTime - Session time of the cycle boundary, in seconds
+   * @param {number} cyclesCompleted - Cycles completed at the boundary
+   * @returns {boolean} - True if the stage or session ends there
+   */
+  endsStageAt(boundaryTime, cyclesCompleted) {
+    if (this.program) {
+      return boundaryTime - this.stageStartTime >= this.stages[this.stageIndex].durationSeconds - STEP_EPSILON;
+    }
+    return isSessionGoalReached(this.goal, boundaryTime, cyclesCompleted);
+  }
+
+  /**
+   * Set what happens while the page is hidden or the device sleeps
+   * @param {string} policy - One of BACKGROUND_POLICIES
+   */
+  setBackgroundPolicy(policy) {
+    this.backgroundPolicy = Object.values(BACKGROUND_POLICIES).includes(policy)
+      ? policy
+      : BACKGROUND_POLICIES.CONTINUE;
+  }
+
+  /**
+   * Get the background policy
+   * @returns {string} - One of BACKGROUND_POLICIES
+   */
+  getBackgroundPolicy() {
+    return this.backgroundPolicy;
+  }
+
+  /**
+   * Get why the timer is paused
+   * @returns {string|null} - One of PAUSE_REASONS, or null when not paused
+   */
+  getPauseReason() {
+    return this.isPaused ? this.pauseReason : null;
+  }
+
+  /**
+   * React to the page being hidden or shown again
+   * Hidden pages get throttled timers: under the pause policy the session pauses
+   * right away, otherwise it keeps counting and is reconciled once visible
+   * @param {boolean} isVisible - Whether the page is visible
+   */
+  setPageVisible(isVisible) {
+    if (!this.isRunning || this.isPaused) {
+      return;
+    }
+
+    if (!isVisible) {
+      if (this.backgroundPolicy === BACKGROUND_POLICIES.PAUSE) {
+        this.pause(PAUSE_REASONS.BACKGROUND);
+      }
+      return;
+    }
+
+    // Catch up now rather than waiting for a throttled tick
+    this.clearScheduledTick();
+    this.updateTimer();
+  }
+
+  /**
+   * Move to the next program stage at a cycle boundary
+   * Emits 'stageChange' before the regular update for the new stage
+   * @param {number} boundaryTime - Session time of the boundary, in seconds
+   * @param {number} elapsedSeconds - Current session time, in seconds
+   */
+  advanceStage(boundaryTime, elapsedSeconds) {
+    const previousStageIndex = this.stageIndex;
+
+    this.enterStage(previousStageIndex + 1, boundaryTime, this.cycleIndex);
+    this.applyPhase(elapsedSeconds);
+
+    Logger.debug('service', `TimerService: Entering program stage ${this.stageIndex + 1}/${this.stages.length}`);
+
+    this.notifyListeners('stageChange', {
+      ...this.getUpdatePayload(),
+      ...this.getStage(),
+      previousStageIndex,
+      boundaryTime
+    });
+  }
+
+  /**
+   * Complete the session at the current cycle boundary
+   * Emits 'cycleComplete' for the final cycle, then 'complete' with a summary
+   */
+  complete() {
+    const cyclesCompleted = this.cycleIndex;
+    const boundaryTime = this.getCycleBoundaryTime();
+
+    this.clearScheduledTick();
+    this.isRunning = false;
+    this.isPaused = false;
+    this.isComplete = true;
+    this.accumulatedMs = boundaryTime * 1000;
+    this.currentTime = boundaryTime;
+
+    this.notifyListeners('cycleComplete', {
+      currentTime: this.currentTime,
+      totalDuration: this.totalDuration,
+      cyclesCompleted
+    });
+
+    this.notifyListeners('complete', {
+      currentTime: this.currentTime,
+      totalDuration: this.totalDuration,
+      cyclesCompleted,
+      goal: this.goal,
+      techniqueId: (this.program || this.technique)?.getId() || null,
+      stageIndex: this.program ? this.stageIndex : null
+    });
+  }
+
+  /**
+   * Session time of the most recent cycle boundary
+   * @returns {number} - Seconds
+   */
+  getCycleBoundaryTime() {
+    return this.cycleStartTime;
+  }
+
+  /**
+   * Get precise elapsed time from the monotonic clock
+   * @returns {number} - Elapsed milliseconds
+   */
+  getElapsedMs() {
+    if (!this.isRunning || this.isPaused || this.anchorTime === null) {
+      return this.accumulatedMs;
+    }
+
+    const monotonicMs = this.clock() - this.anchorTime;
+    const wallMs = this.wallClock() - this.wallAnchorTime;
+
+    // The monotonic clock is exact while awake; the wall clock covers device sleep
+    return this.accumulatedMs + (wallMs - monotonicMs > SLEEP_DRIFT_MS ? wallMs : monotonicMs);
+  }
+
+  /**
+   * Anchor both clocks at the current moment
+   */
+  setAnchors() {
+    this.anchorTime = this.clock();
+    this.wallAnchorTime = this.wallClock();
+  }
+
+  /**
+   * Apply phase information for an elapsed time
+   * The technique reports which cycle the time falls in, so techniques whose
+   * durations change per cycle (see ProgressiveTechnique) keep their boundaries;
+   * totalDuration follows the length of the current cycle
+   * @param {number} elapsedSeconds - Elapsed seconds (may be fractional)
+   */
+  applyPhase(elapsedSeconds) {
+    const stageSeconds = Math.max(0, elapsedSeconds - this.stageStartTime);
+
+    this.currentPhase = this.technique.getCurrentPhase(stageSeconds);
     this.phaseIndex = this.currentPhase.phaseIndex;
     this.timeInPhase = this.currentPhase.timeInPhase;
     this.timeLeft = this.currentPhase.timeLeft;
 
-    // Notify listeners of timer update
-    this.notifyListeners('update', {
+    const stageCycle = this.currentPhase.cycleIndex ??
+      (this.totalDuration > 0 ? Math.floor(stageSeconds / this.totalDuration) : 0);
+
+    this.totalDuration = this.technique.getTotalDuration(stageCycle);
+    this.cycleIndex = this.stageCycleOffset + stageCycle;
+    this.cycleStartTime = this.stageStartTime +
+      (this.currentPhase.cycleStartTime ?? stageCycle * this.totalDuration);
+  }
+
+  /**
+   * Identify the current step (cycle, phase and whole step within phase)
+   * @returns {string} - Step key
+   */
+  getStepKey() {
+    const stepIndex = getStepIndex(this.timeInPhase, this.currentPhase?.duration);
+    return `${this.cycleIndex}:${this.phaseIndex}:${stepIndex}`;
+  }
+
+  /**
+   * Schedule the next tick at the upcoming step or phase boundary
+   */
+  scheduleNextTick() {
+    this.clearScheduledTick();
+
+    const untilNextStep = 1 - (this.timeInPhase - Math.floor(this.timeInPhase + STEP_EPSILON));
+    const untilNextBoundary = Math.min(untilNextStep, this.timeLeft > 0 ? this.timeLeft : untilNextStep);
+    const delayMs = Math.max(1, Math.ceil(untilNextBoundary * 1000));
+    this.nextTickDueMs = this.getElapsedMs() + delayMs;
+
+    this.timerId = setTimeout(() => {
+      this.updateTimer();
+    }, delayMs);
+  }
+
+  /**
+   * Cancel a pending tick
+   */
+  clearScheduledTick() {
+    if (this.timerId) {
+      clearTimeout(this.timerId);
+      this.timerId = null;
+    }
+  }
+
+  /**
+   * Build the payload shared by start/update/phaseChange events
+   * @returns {object} - Timer payload
+   */
+  getUpdatePayload() {
+    return {
       currentTime: this.currentTime,
       totalDuration: this.totalDuration,
       currentPhase: this.currentPhase,
       phaseIndex: this.phaseIndex,
       timeInPhase: this.timeInPhase,
-      timeLeft: this.timeLeft
-    });
-
-    // Check if cycle is complete
-    if (this.currentTime >= this.totalDuration) {
-      this.notifyListeners('cycleComplete', {
-        currentTime: this.currentTime,
-        totalDuration: this.totalDuration,
-        cyclesCompleted: Math.floor(this.currentTime / this.totalDuration)
-      });
-    }
+      timeLeft: this.timeLeft,
+      cycleIndex: this.cycleIndex,
+      stageIndex: this.program ? this.stageIndex : null,
+      isCatchUp: this.isCatchingUp
+    };
   }
 
   /**
@@ -306,7 +793,13 @@ export class TimerService {
       timeLeft: this.timeLeft,
       technique: this.technique?.getId() || null,
       startTime: this.startTime,
-      pausedTime: this.pausedTime
+      pausedTime: this.pausedTime,
+      pauseReason: this.getPauseReason(),
+      backgroundPolicy: this.backgroundPolicy,
+      goal: this.goal,
+      isComplete: this.isComplete,
+      programId: this.program?.getId() || null,
+      stageIndex: this.program ? this.stageIndex : null
     };
   }
 
@@ -320,10 +813,10 @@ export class TimerService {
 
   /**
    * Get elapsed time
-   * @returns {number} - Elapsed time in seconds
+   * @returns {number} - Precise elapsed time in seconds (fractional)
    */
   getElapsedTime() {
-    return this.currentTime;
+    return this.getElapsedMs() / 1000;
   }
 
   /**
@@ -348,7 +841,7 @@ export class TimerService {
    * @returns {number} - Number of completed cycles
    */
   getCyclesCompleted() {
-    return Math.floor(this.currentTime / this.totalDuration);
+    return this.cycleIndex;
   }
 
   /**
@@ -379,6 +872,9 @@ export class TimerService {
       techniqueId: this.technique?.getId() || null,
       totalDuration: this.totalDuration,
       currentTime: this.currentTime,
+      goal: this.goal,
+      programId: this.program?.getId() || null,
+      stageCount: this.stages?.length || 0,
       listenerCount: Array.from(this.listeners.values()).reduce((sum, set) => sum + set.size, 0)
     };
   }
@@ -390,5 +886,7 @@ export class TimerService {
     this.stop();
     this.listeners.clear();
     this.technique = null;
+    this.program = null;
+    this.stages = [];
   }
 }
@@ -6,6 +6,7 @@
 import { ServiceError, ERROR_CODES } from '../errors/AppError.js';
 import { errorHandler } from '../errors/ErrorHandler.js';
 import Logger from '../utils/Logger.js';
+import { generateTechniqueHapticPatterns, getPhasePatternName } from '../utils/hapticPatterns.js';
 
 /**
  * Vibration Service class
@@ -17,6 +18,7 @@ export class VibrationService {
     this.isSupported = this.checkSupport();
     this.patterns = new Map();
     this.isVibrating = false;
+    this.createDefaultPatterns();
   }
 
   /**
@@ -180,6 +182,43 @@ export class VibrationService {
     this.patterns.clear();
   }
 
+  /**
+   * Register breath patterns for each phase of a technique, generated from its durations
+   * Patterns previously registered for the technique are replaced
+   * @param {object} technique - Technique
+   * @param {object} profile - Haptic profile (see hapticPatterns.normalizeHapticProfile)
+   * @param {number} [cycleIndex] - Cycle whose durations are used
+   * @returns {object} - Registered {phaseKey: pattern}
+   */
+  registerTechniquePatterns(technique, profile, cycleIndex = 0) {
+    const techniqueId = technique.getId();
+    technique.getPhases().forEach((phase) => {
+      this.removePattern(getPhasePatternName(techniqueId, phase.key));
+    });
+
+    const patterns = generateTechniqueHapticPatterns(technique, profile, cycleIndex);
+    Object.entries(patterns).forEach(([phaseKey, pattern]) => {
+      this.registerPattern(getPhasePatternName(techniqueId, phaseKey), pattern);
+    });
+    return patterns;
+  }
+
+  /**
+   * Play the breath pattern registered for a technique's phase
+   * @param {string} techniqueId - Technique id
+   * @param {string} phaseKey - Phase key
+   * @returns {Promise<boolean>} - True if the phase has a pattern
+   */
+  async playPhasePattern(techniqueId, phaseKey) {
+    const name = getPhasePatternName(techniqueId, phaseKey);
+    if (!this.patterns.has(name)) {
+      return false;
+    }
+
+    await this.playPattern(name);
+    return true;
+  }
+
   /**
    * Check if currently vibrating
    * @returns {boolean} - True if vibrating
@@ -213,6 +252,8 @@ export class VibrationService {
     this.registerPattern('triple', [10, 50, 10, 50, 10]);
     this.registerPattern('pulse', [10, 20, 10, 20, 10]);
     this.registerPattern('heartbeat', [10, 50, 10, 50, 10, 100, 10]);
+    this.registerPattern('complete', [60, 80, 60, 80, 200]);
+    this.registerPattern('stage', [40, 60, 120]);
   }
 
   /**
@@ -0,0 +1,230 @@
+/**
+ * Wake Lock Service
+ * Keeps the screen on while a session runs following Single Responsibility Principle
+ * The browser drops the lock whenever the page is hidden, so it is requested again
+ * once the page becomes visible while a session still wants it
+ */
+
+import { ServiceError } from '../errors/AppError.js';
+import { errorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../errors/ErrorHandler.js';
+import Logger from '../utils/Logger.js';
+
+/**
+ * Wake Lock Service class
+ * Manages the screen wake lock for active sessions
+ */
+export class WakeLockService {
+  /**
+   * @param {object} [options] - Options
+   * @param {object} [options.wakeLock] - Wake lock API (navigator.wakeLock)
+   * @param {Document} [options.documentRef] - Document used for visibility changes
+   */
+  constructor({
+    wakeLock = typeof navigator !== 'undefined' ? navigator.wakeLock : undefined,
+    documentRef = typeof document !== 'undefined' ? document : undefined
+  } = {}) {
+    this.wakeLock = wakeLock;
+    this.documentRef = documentRef;
+    this.isEnabled = true;
+    this.isSupported = this.checkSupport();
+    this.isRequested = false;
+    this.sentinel = null;
+    this.pendingRequest = null;
+
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handleSentinelRelease = this.handleSentinelRelease.bind(this);
+  }
+
+  /**
+   * Check if the screen wake lock is supported
+   * @returns {boolean} - True if wake lock is supported
+   */
+  checkSupport() {
+    return !!(this.wakeLock && typeof this.wakeLock.request === 'function');
+  }
+
+  /**
+   * Set wake lock enabled state
+   * Turning it off drops a held lock; turning it on during a session takes it again
+   * @param {boolean} enabled - Whether the screen should be kept on during sessions
+   */
+  setEnabled(enabled) {
+    this.isEnabled = !!enabled;
+
+    if (!this.isEnabled) {
+      this.releaseLock();
+    } else if (this.isRequested) {
+      this.requestLock();
+    }
+  }
+
+  /**
+   * Get wake lock enabled state
+   * @returns {boolean} - Whether wake lock is enabled
+   */
+  getEnabled() {
+    return this.isEnabled;
+  }
+
+  /**
+   * Check if wake lock is supported
+   * @returns {boolean} - True if wake lock is supported
+   */
+  getSupported() {
+    return this.isSupported;
+  }
+
+  /**
+   * Check if the screen is currently held on
+   * @returns {boolean} - True while a lock is held
+   */
+  isActive() {
+    return !!this.sentinel;
+  }
+
+  /**
+   * Keep the screen on until release() is called
+   * @returns {Promise<object|null>} - Wake lock sentinel, or null if none was taken
+   */
+  acquire() {
+    if (!this.isRequested) {
+      this.isRequested = true;
+      this.documentRef?.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    return this.requestLock();
+  }
+
+  /**
+   * Let the screen turn off again
+   * @returns {Promise<void>}
+   */
+  release() {
+    if (this.isRequested) {
+      this.isRequested = false;
+      this.documentRef?.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    return this.releaseLock();
+  }
+
+  /**
+   * Request a lock from the browser if one is wanted and none is held
+   * Requests only succeed on a visible page
+   * @returns {Promise<object|null>} - Wake lock sentinel or null
+   */
+  requestLock() {
+    if (!this.isEnabled || !this.isSupported || !this.isRequested) {
+      return Promise.resolve(null);
+    }
+    if (this.sentinel) {
+      return Promise.resolve(this.sentinel);
+    }
+    if (this.pendingRequest) {
+      return this.pendingRequest;
+    }
+    if (this.documentRef && this.documentRef.visibilityState !== 'visible') {
+      return Promise.resolve(null);
+    }
+
+    this.pendingRequest = Promise.resolve()
+      .then(() => this.wakeLock.request('screen'))
+      .then((sentinel) => {
+        this.pendingRequest = null;
+
+        // The session may have ended while the request was in flight
+        if (!this.isRequested || !this.isEnabled) {
+          sentinel.release?.();
+          return null;
+        }
+
+        this.sentinel = sentinel;
+        sentinel.addEventListener?.('release', this.handleSentinelRelease);
+        Logger.debug('service', 'WakeLockService: screen wake lock acquired');
+        return sentinel;
+      })
+      .catch((error) => {
+        this.pendingRequest = null;
+        errorHandler.handleError(
+          new ServiceError(
+            'Failed to acquire screen wake lock',
+            'WakeLockService',
+            { originalError: error.message }
+          ),
+          ERROR_SEVERITY.LOW,
+          ERROR_CATEGORY.SYSTEM
+        );
+        return null;
+      });
+
+    return this.pendingRequest;
+  }
+
+  /**
+   * Release a held lock
+   * @returns {Promise<void>}
+   */
+  async releaseLock() {
+    const sentinel = this.sentinel;
+    if (!sentinel) {
+      return;
+    }
+
+    this.sentinel = null;
+    sentinel.removeEventListener?.('release', this.handleSentinelRelease);
+
+    try {
+      await sentinel.release();
+      Logger.debug('service', 'WakeLockService: screen wake lock released');
+    } catch (error) {
+      errorHandler.handleError(
+        new ServiceError(
+          'Failed to release screen wake lock',
+          'WakeLockService',
+          { originalError: error.message }
+        ),
+        ERROR_SEVERITY.LOW,
+        ERROR_CATEGORY.SYSTEM
+      );
+    }
+  }
+
+  /**
+   * Forget a lock the browser released on its own (page hidden, battery saver)
+   */
+  handleSentinelRelease() {
+    if (this.sentinel) {
+      this.sentinel.removeEventListener?.('release', this.handleSentinelRelease);
+      this.sentinel = null;
+    }
+  }
+
+  /**
+   * Take the lock again when the page comes back into view
+   */
+  handleVisibilityChange() {
+    if (this.documentRef?.visibilityState === 'visible') {
+      this.requestLock();
+    }
+  }
+
+  /**
+   * Get wake lock capabilities
+   * @returns {object} - Wake lock capabilities
+   */
+  getCapabilities() {
+    return {
+      supported: this.isSupported,
+      enabled: this.isEnabled,
+      isRequested: this.isRequested,
+      isActive: this.isActive()
+    };
+  }
+
+  /**
+   * Dispose of wake lock service
+   */
+  dispose() {
+    this.release();
+  }
+}
@@ -7,6 +7,7 @@ import { StateManager } from './Observer.js';
 import { BreathingSessionState } from './BreathingSessionState.js';
 import { UserPreferencesState } from './UserPreferencesState.js';
 import { AppError, ERROR_CODES } from '../errors/AppError.js';
+import { SERVICE_WORKER_EVENTS } from '../services/ServiceWorkerService.js';
 import Logger from '../utils/Logger.js';
 
 /**
@@ -14,18 +15,26 @@ import Logger from '../utils/Logger.js';
  * Manages overall application state and coordinates sub-states
  */
 export class AppStateManager extends StateManager {
-  constructor() {
+  /**
+   * @param {ServiceWorkerService|null} serviceWorkerService - Offline/update lifecycle (optional)
+   */
+  constructor(serviceWorkerService = null) {
     super({
       isInitialized: false,
       isLoading: false,
       error: null,
       currentView: 'main',
       isOnline: navigator.onLine,
+      isOfflineReady: false,
+      isUpdateAvailable: false,
       lastActivity: Date.now(),
       appVersion: '1.0.0',
       buildNumber: '1'
     });
 
+    this.serviceWorkerService = serviceWorkerService;
+    this.serviceWorkerUnsubscribers = [];
+
     // Initialize sub-states
     this.sessionState = new BreathingSessionState();
     this.preferencesState = new UserPreferencesState();
@@ -73,6 +82,9 @@ export class AppStateManager extends StateManager {
       // Set up online/offline listeners
       this.setupOnlineListeners();
 
+      // Track offline readiness and waiting updates
+      this.setupServiceWorkerListeners();
+
       // Set up activity tracking
       this.setupActivityTracking();
 
@@ -111,6 +123,9 @@ export class AppStateManager extends StateManager {
         type: 'connectionChanged',
         isOnline: true
       });
+
+      // A new version may have been published while we were offline
+      this.serviceWorkerService?.checkForUpdate();
     });
 
     window.addEventListener('offline', () => {
@@ -122,6 +137,44 @@ export class AppStateManager extends StateManager {
     });
   }
 
+  /**
+   * Setup service worker listeners
+   * Mirrors offline readiness and waiting updates into app state
+   */
+  setupServiceWorkerListeners() {
+    if (!this.serviceWorkerService) return;
+
+    this.serviceWorkerUnsubscribers.forEach(unsubscribe => unsubscribe());
+    this.serviceWorkerUnsubscribers = [
+      this.serviceWorkerService.addListener(SERVICE_WORKER_EVENTS.OFFLINE_READY, () => {
+        this.setState({ isOfflineReady: true });
+        this.notifyObservers({ type: 'offlineReady' });
+      }),
+      this.serviceWorkerService.addListener(SERVICE_WORKER_EVENTS.UPDATE_AVAILABLE, () => {
+        Logger.debug('state', 'AppStateManager: new version available');
+        this.setState({ isUpdateAvailable: true });
+        this.notifyObservers({ type: 'updateAvailable' });
+      })
+    ];
+  }
+
+  /**
+   * Switch to the waiting version; the page reloads once it takes over
+   * @returns {boolean} - True if an update was applied
+   */
+  applyUpdate() {
+    const applied = Boolean(this.serviceWorkerService?.applyUpdate());
+    this.setState({ isUpdateAvailable: false });
+    return applied;
+  }
+
+  /**
+   * Hide the update prompt; the new version is used after the next restart
+   */
+  dismissUpdate() {
+    this.setState({ isUpdateAvailable: false });
+  }
+
   /**
    * Setup activity tracking
    */
@@ -215,6 +268,22 @@ export class AppStateManager extends StateManager {
     return this.state.isOnline;
   }
 
+  /**
+   * Check if the app works offline
+   * @returns {boolean} - True once the app and locales are cached
+   */
+  isOfflineReady() {
+    return this.state.isOfflineReady;
+  }
+
+  /**
+   * Check if a new version is waiting
+   * @returns {boolean} - True if an update can be applied
+   */
+  isUpdateAvailable() {
+    return this.state.isUpdateAvailable;
+  }
+
   /**
    * Get last activity time
    * @returns {number} - Last activity timestamp
@@ -283,6 +352,8 @@ export class AppStateManager extends StateManager {
       hasError: this.hasError(),
       error: this.state.error,
       isOnline: this.state.isOnline,
+      isOfflineReady: this.state.isOfflineReady,
+      isUpdateAvailable: this.state.isUpdateAvailable,
       currentView: this.state.currentView,
       lastActivity: this.state.lastActivity,
       idleTime: this.getIdleTime(),
@@ -413,6 +484,7 @@ export class AppStateManager extends StateManager {
       preferencesCapabilities: this.preferencesState.getCapabilities?.() ?? {},
       subStateCount: 2,
       isOnline: this.state.isOnline,
+      isOfflineReady: this.state.isOfflineReady,
       lastActivity: this.state.lastActivity
     };
   }
@@ -422,6 +494,8 @@ export class AppStateManager extends StateManager {
    */
   dispose() {
     super.dispose();
+    this.serviceWorkerUnsubscribers.forEach(unsubscribe => unsubscribe());
+    this.serviceWorkerUnsubscribers = [];
     this.sessionState.dispose?.();
     this.preferencesState.dispose?.();
   }
@@ -6,6 +6,11 @@
 import { StateManager } from './Observer.js';
 import { AppError, ERROR_CODES } from '../errors/AppError.js';
 import Logger from '../utils/Logger.js';
+import {
+  normalizeSessionGoal,
+  hasSessionGoal,
+  getSessionGoalProgress
+} from '../utils/sessionGoal.js';
 
 /**
  * Breathing Session State class
@@ -25,7 +30,15 @@ export class BreathingSessionState extends StateManager {
       cyclesCompleted: 0,
       sessionStartTime: null,
       sessionDuration: 0,
-      technique: null
+      pausedAt: null,
+      pausedDuration: 0,
+      pauseReason: null,
+      technique: null,
+      goal: normalizeSessionGoal(null),
+      goalReached: false,
+      sessionSummary: null,
+      program: null,
+      programStage: null
     });
   }
 
@@ -60,28 +73,61 @@ export class BreathingSessionState extends StateManager {
    * Start breathing session
    * @param {string} techniqueId - Technique ID
    * @param {object} technique - Technique object
+   * @param {object|null} goal - Optional session goal {type, value}
    */
-  startSession(techniqueId, technique) {
+  startSession(techniqueId, technique, goal = null) {
+    const program = technique?.isProgram ? technique : null;
+    const firstStage = program?.getStages()[0];
+
     this.setState({
       isRunning: true,
       isPaused: false,
       currentTechniqueId: techniqueId,
-      technique: technique,
+      technique: firstStage ? firstStage.technique : technique,
+      program,
+      programStage: firstStage
+        ? { index: 0, count: program.getStageCount(), techniqueId: firstStage.techniqueId, startTime: 0 }
+        : null,
       sessionStartTime: Date.now(),
       elapsedSeconds: 0,
-      cyclesCompleted: 0
+      cyclesCompleted: 0,
+      pausedAt: null,
+      pausedDuration: 0,
+      pauseReason: null,
+      goal: normalizeSessionGoal(goal),
+      goalReached: false,
+      sessionSummary: null
+    });
+  }
+
+  /**
+   * Carry a session that was just started on from a checkpoint (see SessionCheckpointService)
+   * Time between the checkpoint and now counts as paused
+   * @param {object} checkpoint - {startTime, elapsedSeconds, cyclesCompleted, pausedMs, savedAt}
+   */
+  restoreSession(checkpoint) {
+    if (!this.state.isRunning || !checkpoint) return;
+
+    this.setState({
+      sessionStartTime: checkpoint.startTime,
+      elapsedSeconds: checkpoint.elapsedSeconds,
+      cyclesCompleted: checkpoint.cyclesCompleted,
+      pausedDuration: checkpoint.pausedMs + Math.max(0, Date.now() - checkpoint.savedAt)
     });
   }
 
   /**
    * Pause breathing session
+   * @param {string|null} [reason] - Why the session paused, e.g. 'background' when the app was left
    */
-  pauseSession() {
+  pauseSession(reason = null) {
     if (!this.state.isRunning) return;
 
     this.setState({
       isRunning: false,
-      isPaused: true
+      isPaused: true,
+      pausedAt: Date.now(),
+      pauseReason: reason
     });
   }
 
@@ -93,7 +139,10 @@ export class BreathingSessionState extends StateManager {
 
     this.setState({
       isRunning: true,
-      isPaused: false
+      isPaused: false,
+      pausedAt: null,
+      pausedDuration: this.getPausedDuration(),
+      pauseReason: null
     });
   }
 
@@ -107,7 +156,114 @@ export class BreathingSessionState extends StateManager {
       elapsedSeconds: 0,
       cyclesCompleted: 0,
       sessionStartTime: null,
-      sessionDuration: 0
+      sessionDuration: 0,
+      pausedAt: null,
+      pausedDuration: 0,
+      pauseReason: null,
+      goalReached: false,
+      ...this.getProgramExitState()
+    });
+  }
+
+  /**
+   * Show a program stage's technique while keeping the program selected
+   * @param {object} stage - Stage info from TimerService {stageIndex, stageCount, techniqueId, technique, startTime}
+   */
+  enterProgramStage(stage) {
+    if (!this.state.program || !stage?.technique) return;
+
+    this.setState({
+      technique: stage.technique,
+      programStage: {
+        index: stage.stageIndex,
+        count: stage.stageCount,
+        techniqueId: stage.techniqueId,
+        startTime: stage.startTime
+      }
+    });
+  }
+
+  /**
+   * State that returns from a program stage to the program itself
+   * @returns {object} - Partial state (empty outside programs)
+   */
+  getProgramExitState() {
+    if (!this.state.program) return {};
+
+    return {
+      technique: this.state.program,
+      programStage: null,
+      currentPhase: this.state.program.getCurrentPhase(0)
+    };
+  }
+
+  /**
+   * Session time spent in the current program stage (whole session outside programs)
+   * @returns {number} - Seconds
+   */
+  getStageElapsedSeconds() {
+    return Math.max(0, this.state.elapsedSeconds - (this.state.programStage?.startTime || 0));
+  }
+
+  /**
+   * Get the technique cycle the current phase belongs to
+   * Counted within the active technique (i.e. within the program stage), which is
+   * what per-cycle durations depend on
+   * @returns {number} - Zero-based cycle index
+   */
+  getCurrentCycleIndex() {
+    return this.state.currentPhase?.cycleIndex ?? 0;
+  }
+
+  /**
+   * Complete breathing session after its goal was reached
+   * Keeps a summary of the finished session until it is dismissed
+   * @param {object} data - Completion data from the timer {currentTime, cyclesCompleted}
+   */
+  completeSession(data = {}) {
+    const elapsedSeconds = data.currentTime ?? this.state.elapsedSeconds;
+    const cyclesCompleted = data.cyclesCompleted ?? this.state.cyclesCompleted;
+    const sessionDuration = this.state.sessionStartTime
+      ? Date.now() - this.state.sessionStartTime
+      : this.state.sessionDuration;
+
+    this.setState({
+      isRunning: false,
+      isPaused: false,
+      elapsedSeconds,
+      cyclesCompleted,
+      sessionDuration,
+      pausedAt: null,
+      pausedDuration: this.getPausedDuration(),
+      pauseReason: null,
+      goalReached: true,
+      sessionSummary: {
+        techniqueId: this.state.currentTechniqueId,
+        goal: this.state.goal,
+        elapsedSeconds,
+        cyclesCompleted,
+        sessionDuration,
+        startTime: this.state.sessionStartTime,
+        endTime: Date.now()
+      }
+    });
+  }
+
+  /**
+   * Dismiss the summary of a completed session
+   */
+  clearSessionSummary() {
+    this.setState({
+      sessionSummary: null,
+      goalReached: false,
+      elapsedSeconds: 0,
+      cyclesCompleted: 0,
+      sessionStartTime: null,
+      sessionDuration: 0,
+      pausedAt: null,
+      pausedDuration: 0,
+      pauseReason: null,
+      ...this.getProgramExitState()
     });
   }
 
@@ -125,7 +281,13 @@ export class BreathingSessionState extends StateManager {
       cyclesCompleted: 0,
       sessionStartTime: null,
       sessionDuration: 0,
-      currentPhase: null
+      currentPhase: null,
+      pausedAt: null,
+      pausedDuration: 0,
+      pauseReason: null,
+      goalReached: false,
+      sessionSummary: null,
+      ...this.getProgramExitState()
     });
   }
 
@@ -133,8 +295,9 @@ export class BreathingSessionState extends StateManager {
    * Update timer
    * @param {number} elapsedSeconds - Elapsed seconds
    * @param {object} phaseInfo - Current phase information (contains: phase, phaseIndex, timeInPhase, timeLeft, duration)
+   * @param {number} [cyclesCompleted] - Completed cycles as counted by the timer (required across program stages)
    */
-  updateTimer(elapsedSeconds, phaseInfo) {
+  updateTimer(elapsedSeconds, phaseInfo, cyclesCompleted) {
     Logger.debug('state', 'BreathingSessionState.updateTimer called:', { elapsedSeconds, phaseInfo });
     
     // Store the entire phaseInfo object which contains all phase data
@@ -147,7 +310,11 @@ export class BreathingSessionState extends StateManager {
     };
 
     // Check if cycle completed
-    if (this.state.technique && elapsedSeconds >= this.state.technique.getTotalDuration()) {
+    if (typeof cyclesCompleted === 'number') {
+      newState.cyclesCompleted = cyclesCompleted;
+    } else if (typeof phaseInfo.cycleIndex === 'number') {
+      newState.cyclesCompleted = phaseInfo.cycleIndex;
+    } else if (this.state.technique && elapsedSeconds >= this.state.technique.getTotalDuration()) {
       newState.cyclesCompleted = Math.floor(elapsedSeconds / this.state.technique.getTotalDuration());
     }
 
@@ -173,6 +340,8 @@ export class BreathingSessionState extends StateManager {
     this.setState({
       currentTechniqueId: techniqueId,
       technique: technique,
+      program: technique?.isProgram ? technique : null,
+      programStage: null,
       elapsedSeconds: 0,
       phaseIndex: 0,
       timeInPhase: 0,
@@ -197,10 +366,31 @@ export class BreathingSessionState extends StateManager {
   getSessionProgress() {
     if (!this.state.technique) return 0;
     
-    const totalDuration = this.state.technique.getTotalDuration();
+    const totalDuration = this.state.technique.getTotalDuration(this.getCurrentCycleIndex());
     if (totalDuration === 0) return 0;
     
-    return Math.min(100, (this.state.elapsedSeconds / totalDuration) * 100);
+    return Math.min(100, (this.getStageElapsedSeconds() / totalDuration) * 100);
+  }
+
+  /**
+   * Get progress toward the session goal
+   * @returns {number} - Goal progress percentage (0-100, 0 without a goal)
+   */
+  getGoalProgress() {
+    if (this.state.goalReached) return 100;
+    return getSessionGoalProgress(
+      this.state.goal,
+      this.state.elapsedSeconds,
+      this.state.cyclesCompleted
+    ) * 100;
+  }
+
+  /**
+   * Check if the session has a goal
+   * @returns {boolean} - True if the session finishes on its own
+   */
+  hasGoal() {
+    return hasSessionGoal(this.state.goal);
   }
 
   /**
@@ -210,10 +400,14 @@ export class BreathingSessionState extends StateManager {
   getCycleProgress() {
     if (!this.state.technique) return 0;
     
-    const totalDuration = this.state.technique.getTotalDuration();
+    const cycleIndex = this.getCurrentCycleIndex();
+    const totalDuration = this.state.technique.getTotalDuration(cycleIndex);
     if (totalDuration === 0) return 0;
     
-    const cycleElapsed = this.state.elapsedSeconds % totalDuration;
+    const cycleStartTime = this.state.currentPhase?.cycleStartTime;
+    const cycleElapsed = typeof cycleStartTime === 'number'
+      ? this.getStageElapsedSeconds() - cycleStartTime
+      : this.getStageElapsedSeconds() % totalDuration;
     return Math.min(100, (cycleElapsed / totalDuration) * 100);
   }
 
@@ -231,6 +425,11 @@ export class BreathingSessionState extends StateManager {
       currentTechniqueId: this.state.currentTechniqueId,
       sessionProgress: this.getSessionProgress(),
       cycleProgress: this.getCycleProgress(),
+      goal: this.state.goal,
+      goalProgress: this.getGoalProgress(),
+      goalReached: this.state.goalReached,
+      pauseReason: this.state.pauseReason,
+      programStage: this.state.programStage,
       currentPhase: this.state.currentPhase,
       phaseIndex: this.state.phaseIndex,
       timeInPhase: this.state.timeInPhase,
@@ -246,6 +445,15 @@ export class BreathingSessionState extends StateManager {
     return this.state.isRunning || this.state.isPaused;
   }
 
+  /**
+   * Get total paused time, including a pause that is still in progress
+   * @returns {number} - Paused time in milliseconds
+   */
+  getPausedDuration() {
+    const ongoing = this.state.pausedAt ? Date.now() - this.state.pausedAt : 0;
+    return this.state.pausedDuration + ongoing;
+  }
+
   /**
    * Get session duration in minutes
    * @returns {number} - Session duration in minutes
@@ -270,7 +478,7 @@ export class BreathingSessionState extends StateManager {
    * @returns {number} - Technique duration in seconds
    */
   getTechniqueDuration() {
-    return this.state.technique ? this.state.technique.getTotalDuration() : 0;
+    return this.state.technique ? this.state.technique.getTotalDuration(this.getCurrentCycleIndex()) : 0;
   }
 
   /**
@@ -371,14 +579,20 @@ export class BreathingSessionState extends StateManager {
    * @returns {object} - Session data for export
    */
   exportSessionData() {
+    const endTime = Date.now();
+
     return {
       sessionStats: this.getSessionStats(),
       techniqueId: this.state.currentTechniqueId,
       startTime: this.state.sessionStartTime,
-      endTime: Date.now(),
-      duration: this.state.sessionDuration,
+      endTime,
+      duration: this.state.sessionStartTime ? endTime - this.state.sessionStartTime : this.state.sessionDuration,
+      activeMs: Math.round(this.state.elapsedSeconds * 1000),
+      pausedMs: this.getPausedDuration(),
       cyclesCompleted: this.state.cyclesCompleted,
-      averageCycleTime: this.getAverageCycleTime()
+      averageCycleTime: this.getAverageCycleTime(),
+      goal: this.state.goal,
+      goalReached: this.state.goalReached
     };
   }
 
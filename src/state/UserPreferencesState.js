@@ -6,17 +6,66 @@
 import { StateManager } from './Observer.js';
 import { AppError, ERROR_CODES } from '../errors/AppError.js';
 import Logger from '../utils/Logger.js';
+import { normalizeSessionGoal, DEFAULT_SESSION_GOAL } from '../utils/sessionGoal.js';
+import { normalizeSoundAssignments, assignSound, unassignSample } from '../utils/soundAssignments.js';
+import { normalizeHapticProfile } from '../utils/hapticPatterns.js';
+import { normalizeCueProfile, normalizeCueProfiles } from '../utils/cueProfiles.js';
+
+export const PREFERENCES_STORAGE_KEY = 'breathing-app-preferences';
+
+// Keys updatePreferences accepts
+export const PREFERENCE_KEYS = [
+  'soundEnabled', 'soundVolume', 'soundStyle', 'ambience', 'ambienceVolume',
+  'entrainmentMode', 'entrainmentPreset', 'entrainmentVolume', 'vibrationEnabled', 'keepScreenOn', 'backgroundBehavior',
+  'voiceGuidanceEnabled', 'speechVoiceURI', 'speechRate', 'speechPitch', 'currentTheme',
+  'currentLanguage', 'selectedTechniqueId', 'showSettings', 'autoStart', 'notificationsEnabled',
+  'reducedMotion', 'highContrast', 'fontSize', 'colorBlindMode',
+  'accessibilityMode', 'sessionGoal', 'soundAssignments', 'hapticProfile', 'cueProfiles'
+];
+
+// UI state is not worth carrying to another device or tab
+const PORTABLE_PREFERENCE_KEYS = PREFERENCE_KEYS.filter(key => key !== 'showSettings');
+
+/**
+ * Pick the preferences carried elsewhere, by backup, sync or another tab
+ * @param {object} preferences - Preferences state
+ * @returns {object} - Portable preferences
+ */
+export const pickPreferences = (preferences) => PORTABLE_PREFERENCE_KEYS.reduce((picked, key) => {
+  if (preferences[key] !== undefined) {
+    picked[key] = preferences[key];
+  }
+  return picked;
+}, {});
 
 /**
  * User Preferences State class
  * Manages user preferences and settings
  */
 export class UserPreferencesState extends StateManager {
-  constructor() {
+  /**
+   * @param {StorageService} [storageService] - Persists preferences; localStorage is used without one
+   */
+  constructor(storageService = null) {
     super({
       soundEnabled: true,
       soundVolume: 0.25,
+      soundStyle: 'beeps',
+      ambience: 'off',
+      ambienceVolume: 0.3,
+      entrainmentMode: 'off',
+      entrainmentPreset: 'technique',
+      entrainmentVolume: 0.5,
+      soundAssignments: normalizeSoundAssignments(null),
       vibrationEnabled: false,
+      hapticProfile: normalizeHapticProfile(null),
+      cueProfiles: {},
+      keepScreenOn: true,
+      backgroundBehavior: 'continue',
+      voiceGuidanceEnabled: false,
+      speechVoiceURI: '',
+      speechRate: 1,
+      speechPitch: 1,
       currentTheme: 'dark',
       currentLanguage: 'en',
       selectedTechniqueId: 'box4',
@@ -27,10 +76,12 @@ export class UserPreferencesState extends StateManager {
       highContrast: false,
       fontSize: 'medium',
       colorBlindMode: false,
-      accessibilityMode: false
+      accessibilityMode: false,
+      sessionGoal: { ...DEFAULT_SESSION_GOAL }
     });
     
-    this.storageKey = 'breathing-app-preferences';
+    this.storageKey = PREFERENCES_STORAGE_KEY;
+    this.storageService = storageService;
   }
 
   /**
@@ -50,6 +101,88 @@ export class UserPreferencesState extends StateManager {
     this.setState({ soundVolume: clampedVolume });
   }
 
+  /**
+   * Set how sound follows the breath
+   * @param {string} style - 'beeps' for a tick every second, 'tone' or 'noise' for a sustained sound
+   */
+  setSoundStyle(style) {
+    const validStyles = ['beeps', 'tone', 'noise'];
+    if (!validStyles.includes(style)) {
+      throw new AppError(
+        `Invalid sound style: ${style}`,
+        ERROR_CODES.CONFIGURATION_INVALID,
+        { style, validStyles }
+      );
+    }
+    this.setState({ soundStyle: style });
+  }
+
+  /**
+   * Set the background ambience played during sessions
+   * @param {string} ambience - 'off', 'brown', 'pink', 'rain' or 'drone'
+   */
+  setAmbience(ambience) {
+    const validAmbiences = ['off', 'brown', 'pink', 'rain', 'drone'];
+    if (!validAmbiences.includes(ambience)) {
+      throw new AppError(
+        `Invalid ambience: ${ambience}`,
+        ERROR_CODES.CONFIGURATION_INVALID,
+        { ambience, validAmbiences }
+      );
+    }
+    this.setState({ ambience });
+  }
+
+  /**
+   * Set ambience volume
+   * @param {number} volume - Volume level (0-1)
+   */
+  setAmbienceVolume(volume) {
+    const clampedVolume = Math.max(0, Math.min(1, volume));
+    this.setState({ ambienceVolume: clampedVolume });
+  }
+
+  /**
+   * Set binaural beat / isochronic tone mode
+   * @param {string} mode - 'off', 'binaural' or 'isochronic'
+   */
+  setEntrainmentMode(mode) {
+    const validModes = ['off', 'binaural', 'isochronic'];
+    if (!validModes.includes(mode)) {
+      throw new AppError(
+        `Invalid entrainment mode: ${mode}`,
+        ERROR_CODES.CONFIGURATION_INVALID,
+        { mode, validModes }
+      );
+    }
+    this.setState({ entrainmentMode: mode });
+  }
+
+  /**
+   * Set entrainment preset
+   * @param {string} preset - 'technique' to use the technique's preset, or 'delta', 'theta', 'alpha', 'beta'
+   */
+  setEntrainmentPreset(preset) {
+    const validPresets = ['technique', 'delta', 'theta', 'alpha', 'beta'];
+    if (!validPresets.includes(preset)) {
+      throw new AppError(
+        `Invalid entrainment preset: ${preset}`,
+        ERROR_CODES.CONFIGURATION_INVALID,
+        { preset, validPresets }
+      );
+    }
+    this.setState({ entrainmentPreset: preset });
+  }
+
+  /**
+   * Set entrainment volume
+   * @param {number} volume - Volume level (0-1), scaled down to a safe level by AudioService
+   */
+  setEntrainmentVolume(volume) {
+    const clampedVolume = Math.max(0, Math.min(1, volume));
+    this.setState({ entrainmentVolume: clampedVolume });
+  }
+
   /**
    * Set vibration enabled state
    * @param {boolean} enabled - Whether vibration is enabled
@@ -58,6 +191,62 @@ export class UserPreferencesState extends StateManager {
     this.setState({ vibrationEnabled: enabled });
   }
 
+  /**
+   * Set voice guidance enabled state
+   * @param {boolean} enabled - Whether phase cues are spoken
+   */
+  setVoiceGuidanceEnabled(enabled) {
+    this.setState({ voiceGuidanceEnabled: enabled });
+  }
+
+  /**
+   * Set preferred speech voice
+   * @param {string} voiceURI - Voice URI, or '' for the language default
+   */
+  setSpeechVoice(voiceURI) {
+    this.setState({ speechVoiceURI: voiceURI || '' });
+  }
+
+  /**
+   * Set speech rate
+   * @param {number} rate - Rate (0.5-2)
+   */
+  setSpeechRate(rate) {
+    this.setState({ speechRate: Math.max(0.5, Math.min(2, rate)) });
+  }
+
+  /**
+   * Set speech pitch
+   * @param {number} pitch - Pitch (0.5-2)
+   */
+  setSpeechPitch(pitch) {
+    this.setState({ speechPitch: Math.max(0.5, Math.min(2, pitch)) });
+  }
+
+  /**
+   * Set keep screen on state
+   * @param {boolean} enabled - Whether the screen stays on during sessions
+   */
+  setKeepScreenOn(enabled) {
+    this.setState({ keepScreenOn: enabled });
+  }
+
+  /**
+   * Set what a running session does while the app is in the background
+   * @param {string} behavior - 'continue' to keep counting, 'pause' to pause
+   */
+  setBackgroundBehavior(behavior) {
+    const validBehaviors = ['continue', 'pause'];
+    if (!validBehaviors.includes(behavior)) {
+      throw new AppError(
+        `Invalid background behavior: ${behavior}`,
+        ERROR_CODES.CONFIGURATION_INVALID,
+        { behavior, validBehaviors }
+      );
+    }
+    this.setState({ backgroundBehavior: behavior });
+  }
+
   /**
    * Set current theme
    * @param {string} theme - Theme key
@@ -165,6 +354,58 @@ export class UserPreferencesState extends StateManager {
     this.setState({ accessibilityMode: enabled });
   }
 
+  /**
+   * Set session goal
+   * @param {object} goal - Goal {type: 'none'|'minutes'|'cycles', value}
+   */
+  setSessionGoal(goal) {
+    this.setState({ sessionGoal: normalizeSessionGoal(goal) });
+  }
+
+  /**
+   * Assign an imported sample to a cue slot, or clear the slot
+   * @param {string} slot - One of SOUND_SLOTS
+   * @param {string|null} sampleId - Sample id; null goes back to the built-in tone
+   * @param {string|null} [techniqueId] - Technique the assignment is for; null for all techniques
+   */
+  setSoundAssignment(slot, sampleId, techniqueId = null) {
+    this.setState({
+      soundAssignments: assignSound(this.state.soundAssignments, { slot, sampleId, techniqueId })
+    });
+  }
+
+  /**
+   * Clear every slot an imported sample is assigned to
+   * @param {string} sampleId - Sample id
+   */
+  removeSoundAssignments(sampleId) {
+    this.setState({ soundAssignments: unassignSample(this.state.soundAssignments, sampleId) });
+  }
+
+  /**
+   * Set the haptic breath guide profile
+   * @param {object} profile - {enabled, inhale, hold, exhale, strength}; missing fields keep their values
+   */
+  setHapticProfile(profile) {
+    this.setState({ hapticProfile: normalizeHapticProfile({ ...this.state.hapticProfile, ...profile }) });
+  }
+
+  /**
+   * Attach a cue profile to a technique, replacing its built-in cues
+   * @param {string} techniqueId - Technique id
+   * @param {object|null} profile - Cue profile {audio, haptic}; null restores the built-in cues
+   */
+  setCueProfile(techniqueId, profile) {
+    const cueProfiles = { ...normalizeCueProfiles(this.state.cueProfiles) };
+    const normalized = normalizeCueProfile(profile);
+    if (normalized) {
+      cueProfiles[techniqueId] = normalized;
+    } else {
+      delete cueProfiles[techniqueId];
+    }
+    this.setState({ cueProfiles });
+  }
+
   /**
    * Get sound preferences
    * @returns {object} - Sound preferences
@@ -172,7 +413,14 @@ export class UserPreferencesState extends StateManager {
   getSoundPreferences() {
     return {
       enabled: this.state.soundEnabled,
-      volume: this.state.soundVolume
+      volume: this.state.soundVolume,
+      style: this.state.soundStyle,
+      ambience: this.state.ambience,
+      ambienceVolume: this.state.ambienceVolume,
+      entrainmentMode: this.state.entrainmentMode,
+      entrainmentPreset: this.state.entrainmentPreset,
+      entrainmentVolume: this.state.entrainmentVolume,
+      assignments: this.state.soundAssignments
     };
   }
 
@@ -182,7 +430,22 @@ export class UserPreferencesState extends StateManager {
    */
   getVibrationPreferences() {
     return {
-      enabled: this.state.vibrationEnabled
+      enabled: this.state.vibrationEnabled,
+      haptics: this.state.hapticProfile,
+      cueProfiles: this.state.cueProfiles
+    };
+  }
+
+  /**
+   * Get speech preferences
+   * @returns {object} - Speech preferences
+   */
+  getSpeechPreferences() {
+    return {
+      enabled: this.state.voiceGuidanceEnabled,
+      voiceURI: this.state.speechVoiceURI,
+      rate: this.state.speechRate,
+      pitch: this.state.speechPitch
     };
   }
 
@@ -230,7 +493,10 @@ export class UserPreferencesState extends StateManager {
     return {
       showSettings: this.state.showSettings,
       autoStart: this.state.autoStart,
-      notificationsEnabled: this.state.notificationsEnabled
+      notificationsEnabled: this.state.notificationsEnabled,
+      keepScreenOn: this.state.keepScreenOn,
+      backgroundBehavior: this.state.backgroundBehavior,
+      sessionGoal: this.state.sessionGoal
     };
   }
 
@@ -242,6 +508,7 @@ export class UserPreferencesState extends StateManager {
     return {
       sound: this.getSoundPreferences(),
       vibration: this.getVibrationPreferences(),
+      speech: this.getSpeechPreferences(),
       theme: this.getThemePreferences(),
       language: this.getLanguagePreferences(),
       accessibility: this.getAccessibilityPreferences(),
@@ -254,17 +521,10 @@ export class UserPreferencesState extends StateManager {
    * @param {object} preferences - Preferences object
    */
   updatePreferences(preferences) {
-    const validKeys = [
-      'soundEnabled', 'soundVolume', 'vibrationEnabled', 'currentTheme',
-      'currentLanguage', 'selectedTechniqueId', 'showSettings', 'autoStart', 'notificationsEnabled',
-      'reducedMotion', 'highContrast', 'fontSize', 'colorBlindMode',
-      'accessibilityMode'
-    ];
-
     const updates = {};
     
     Object.keys(preferences).forEach(key => {
-      if (validKeys.includes(key)) {
+      if (PREFERENCE_KEYS.includes(key)) {
         updates[key] = preferences[key];
       } else {
         Logger.warn(`Invalid preference key: ${key}`);
@@ -274,6 +534,27 @@ export class UserPreferencesState extends StateManager {
     this.setState(updates);
   }
 
+  /**
+   * Apply preferences another tab has changed and already saved, without saving them again
+   * @param {object} preferences - Changed preferences
+   */
+  applyExternalPreferences(preferences) {
+    this.isApplyingExternal = true;
+    try {
+      this.updatePreferences(pickPreferences(preferences));
+    } finally {
+      this.isApplyingExternal = false;
+    }
+  }
+
+  /**
+   * Check if the current change came from another tab
+   * @returns {boolean} - True while applying external preferences
+   */
+  isExternalChange() {
+    return Boolean(this.isApplyingExternal);
+  }
+
   /**
    * Reset preferences to defaults
    */
@@ -281,7 +562,22 @@ export class UserPreferencesState extends StateManager {
     this.setState({
       soundEnabled: true,
       soundVolume: 0.25,
+      soundStyle: 'beeps',
+      ambience: 'off',
+      ambienceVolume: 0.3,
+      entrainmentMode: 'off',
+      entrainmentPreset: 'technique',
+      entrainmentVolume: 0.5,
+      soundAssignments: normalizeSoundAssignments(null),
       vibrationEnabled: false,
+      hapticProfile: normalizeHapticProfile(null),
+      cueProfiles: {},
+      keepScreenOn: true,
+      backgroundBehavior: 'continue',
+      voiceGuidanceEnabled: false,
+      speechVoiceURI: '',
+      speechRate: 1,
+      speechPitch: 1,
       currentTheme: 'dark',
       currentLanguage: 'en',
       showSettings: false,
@@ -291,7 +587,8 @@ export class UserPreferencesState extends StateManager {
       highContrast: false,
       fontSize: 'medium',
       colorBlindMode: false,
-      accessibilityMode: false
+      accessibilityMode: false,
+      sessionGoal: { ...DEFAULT_SESSION_GOAL }
     });
   }
 
@@ -311,6 +608,22 @@ export class UserPreferencesState extends StateManager {
     return this.state.vibrationEnabled;
   }
 
+  /**
+   * Check if the screen is kept on during sessions
+   * @returns {boolean} - True if the screen is kept on
+   */
+  isKeepScreenOnEnabled() {
+    return this.state.keepScreenOn;
+  }
+
+  /**
+   * Check if voice guidance is enabled
+   * @returns {boolean} - True if phase cues are spoken
+   */
+  isVoiceGuidanceEnabled() {
+    return this.state.voiceGuidanceEnabled;
+  }
+
   /**
    * Check if notifications are enabled
    * @returns {boolean} - True if notifications are enabled
@@ -375,6 +688,50 @@ export class UserPreferencesState extends StateManager {
     return this.state.soundVolume;
   }
 
+  /**
+   * Get sound style
+   * @returns {string} - 'beeps', 'tone' or 'noise'
+   */
+  getSoundStyle() {
+    return this.state.soundStyle;
+  }
+
+  /**
+   * Get background ambience
+   * @returns {string} - Ambience type or 'off'
+   */
+  getAmbience() {
+    return this.state.ambience;
+  }
+
+  /**
+   * Get ambience volume
+   * @returns {number} - Ambience volume (0-1)
+   */
+  getAmbienceVolume() {
+    return this.state.ambienceVolume;
+  }
+
+  /**
+   * Get entrainment settings
+   * @returns {object} - {mode, preset, volume}
+   */
+  getEntrainmentPreferences() {
+    return {
+      mode: this.state.entrainmentMode,
+      preset: this.state.entrainmentPreset,
+      volume: this.state.entrainmentVolume
+    };
+  }
+
+  /**
+   * Get background behavior
+   * @returns {string} - 'continue' or 'pause'
+   */
+  getBackgroundBehavior() {
+    return this.state.backgroundBehavior;
+  }
+
   /**
    * Get font size
    * @returns {string} - Font size
@@ -439,6 +796,38 @@ export class UserPreferencesState extends StateManager {
     return this.state.accessibilityMode;
   }
 
+  /**
+   * Get session goal
+   * @returns {object} - Session goal {type, value}
+   */
+  getSessionGoal() {
+    return normalizeSessionGoal(this.state.sessionGoal);
+  }
+
+  /**
+   * Get sound sample assignments
+   * @returns {object} - {default: {slot: sampleId}, techniques: {[techniqueId]: {slot: sampleId}}}
+   */
+  getSoundAssignments() {
+    return normalizeSoundAssignments(this.state.soundAssignments);
+  }
+
+  /**
+   * Get the haptic breath guide profile
+   * @returns {object} - {enabled, inhale, hold, exhale, strength}
+   */
+  getHapticProfile() {
+    return normalizeHapticProfile(this.state.hapticProfile);
+  }
+
+  /**
+   * Get the cue profiles attached to techniques
+   * @returns {object} - {[techniqueId]: {audio, haptic}}
+   */
+  getCueProfiles() {
+    return normalizeCueProfiles(this.state.cueProfiles);
+  }
+
   /**
    * Get font size multiplier
    * @returns {number} - Font size multiplier
@@ -469,6 +858,46 @@ export class UserPreferencesState extends StateManager {
         );
       }
 
+      // Validate ambience
+      const validAmbiences = ['off', 'brown', 'pink', 'rain', 'drone'];
+      if (!validAmbiences.includes(this.state.ambience)) {
+        throw new AppError(
+          'Invalid ambience',
+          ERROR_CODES.CONFIGURATION_INVALID,
+          { ambience: this.state.ambience, validAmbiences }
+        );
+      }
+      if (typeof this.state.ambienceVolume !== 'number' ||
+          this.state.ambienceVolume < 0 ||
+          this.state.ambienceVolume > 1) {
+        throw new AppError(
+          'Ambience volume must be between 0 and 1',
+          ERROR_CODES.CONFIGURATION_INVALID,
+          { volume: this.state.ambienceVolume }
+        );
+      }
+
+      // Validate entrainment
+      const validEntrainmentModes = ['off', 'binaural', 'isochronic'];
+      const validEntrainmentPresets = ['technique', 'delta', 'theta', 'alpha', 'beta'];
+      if (!validEntrainmentModes.includes(this.state.entrainmentMode) ||
+          !validEntrainmentPresets.includes(this.state.entrainmentPreset)) {
+        throw new AppError(
+          'Invalid entrainment settings',
+          ERROR_CODES.CONFIGURATION_INVALID,
+          { mode: this.state.entrainmentMode, preset: this.state.entrainmentPreset }
+        );
+      }
+      if (typeof this.state.entrainmentVolume !== 'number' ||
+          this.state.entrainmentVolume < 0 ||
+          this.state.entrainmentVolume > 1) {
+        throw new AppError(
+          'Entrainment volume must be between 0 and 1',
+          ERROR_CODES.CONFIGURATION_INVALID,
+          { volume: this.state.entrainmentVolume }
+        );
+      }
+
       // Validate font size
       const validFontSizes = ['small', 'medium', 'large'];
       if (!validFontSizes.includes(this.state.fontSize)) {
@@ -479,9 +908,40 @@ export class UserPreferencesState extends StateManager {
         );
       }
 
+      // Validate speech rate and pitch
+      ['speechRate', 'speechPitch'].forEach(prop => {
+        if (typeof this.state[prop] !== 'number' || this.state[prop] < 0.5 || this.state[prop] > 2) {
+          throw new AppError(
+            `${prop} must be between 0.5 and 2`,
+            ERROR_CODES.CONFIGURATION_INVALID,
+            { property: prop, value: this.state[prop] }
+          );
+        }
+      });
+
+      // Validate sound style
+      const validSoundStyles = ['beeps', 'tone', 'noise'];
+      if (!validSoundStyles.includes(this.state.soundStyle)) {
+        throw new AppError(
+          'Invalid sound style',
+          ERROR_CODES.CONFIGURATION_INVALID,
+          { soundStyle: this.state.soundStyle, validStyles: validSoundStyles }
+        );
+      }
+
+      // Validate background behavior
+      const validBackgroundBehaviors = ['continue', 'pause'];
+      if (!validBackgroundBehaviors.includes(this.state.backgroundBehavior)) {
+        throw new AppError(
+          'Invalid background behavior',
+          ERROR_CODES.CONFIGURATION_INVALID,
+          { backgroundBehavior: this.state.backgroundBehavior, validBehaviors: validBackgroundBehaviors }
+        );
+      }
+
       // Validate boolean properties
       const booleanProps = [
-        'soundEnabled', 'vibrationEnabled', 'showSettings', 'autoStart',
+        'soundEnabled', 'vibrationEnabled', 'keepScreenOn', 'voiceGuidanceEnabled', 'showSettings', 'autoStart',
         'notificationsEnabled', 'reducedMotion', 'highContrast',
         'colorBlindMode', 'accessibilityMode'
       ];
@@ -496,6 +956,18 @@ export class UserPreferencesState extends StateManager {
         }
       }
 
+      // Validate session goal
+      const sessionGoal = normalizeSessionGoal(this.state.sessionGoal);
+      if (!this.state.sessionGoal ||
+          sessionGoal.type !== this.state.sessionGoal.type ||
+          sessionGoal.value !== this.state.sessionGoal.value) {
+        throw new AppError(
+          'Invalid session goal',
+          ERROR_CODES.CONFIGURATION_INVALID,
+          { sessionGoal: this.state.sessionGoal }
+        );
+      }
+
       return true;
     } catch (error) {
       Logger.error('Preferences validation failed:', error);
@@ -541,22 +1013,22 @@ export class UserPreferencesState extends StateManager {
   }
 
   /**
-   * Load preferences from localStorage
+   * Load preferences from storage
    * @returns {Promise<void>}
    */
   async loadPreferences() {
     try {
-      const savedPreferences = localStorage.getItem(this.storageKey);
-      if (savedPreferences) {
-        const preferences = JSON.parse(savedPreferences);
-        
+      const preferences = this.storageService
+        ? await this.storageService.get(this.storageKey)
+        : JSON.parse(localStorage.getItem(this.storageKey));
+      if (preferences) {
         // Normalize preferences to handle old data structures
         const normalized = this.normalizePreferences(preferences);
         
         this.updatePreferences(normalized);
       }
     } catch (error) {
-      Logger.warn('Failed to load preferences from localStorage:', error);
+      Logger.warn('Failed to load preferences from storage:', error);
     }
   }
 
@@ -587,7 +1059,9 @@ export class UserPreferencesState extends StateManager {
     
     // Handle other boolean and primitive values
     const simpleKeys = [
-      'soundEnabled', 'soundVolume', 'vibrationEnabled', 'currentLanguage',
+      'soundEnabled', 'soundVolume', 'soundStyle', 'ambience', 'ambienceVolume',
+      'entrainmentMode', 'entrainmentPreset', 'entrainmentVolume', 'vibrationEnabled', 'keepScreenOn', 'backgroundBehavior',
+      'voiceGuidanceEnabled', 'speechVoiceURI', 'speechRate', 'speechPitch', 'currentLanguage',
       'selectedTechniqueId', 'showSettings', 'autoStart', 'notificationsEnabled',
       'reducedMotion', 'highContrast', 'fontSize', 'colorBlindMode', 'accessibilityMode'
     ];
@@ -597,19 +1071,39 @@ export class UserPreferencesState extends StateManager {
         normalized[key] = preferences[key];
       }
     });
+
+    if (preferences.sessionGoal !== undefined) {
+      normalized.sessionGoal = normalizeSessionGoal(preferences.sessionGoal);
+    }
+
+    if (preferences.soundAssignments !== undefined) {
+      normalized.soundAssignments = normalizeSoundAssignments(preferences.soundAssignments);
+    }
+
+    if (preferences.hapticProfile !== undefined) {
+      normalized.hapticProfile = normalizeHapticProfile(preferences.hapticProfile);
+    }
+
+    if (preferences.cueProfiles !== undefined) {
+      normalized.cueProfiles = normalizeCueProfiles(preferences.cueProfiles);
+    }
     
     return normalized;
   }
 
   /**
-   * Save preferences to localStorage
+   * Save preferences to storage
    * @returns {Promise<void>}
    */
   async savePreferences() {
     try {
-      localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+      if (this.storageService) {
+        await this.storageService.set(this.storageKey, this.state);
+      } else {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+      }
     } catch (error) {
-      Logger.warn('Failed to save preferences to localStorage:', error);
+      Logger.warn('Failed to save preferences to storage:', error);
     }
   }
 
@@ -641,7 +1135,8 @@ export class UserPreferencesState extends StateManager {
     Logger.debug('Current state before setState:', this.state);
     super.setState(newState);
     Logger.debug('Current state after setState:', this.state);
-    // Auto-save preferences when state changes
+    // Auto-save preferences when state changes; external ones are saved where they were made
+    if (this.isApplyingExternal) return;
     this.savePreferences().catch(error => {
       Logger.warn('Failed to auto-save preferences:', error);
     });
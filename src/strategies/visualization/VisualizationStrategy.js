@@ -4,6 +4,25 @@
  */
 
 import { AppError, ERROR_CODES } from '../../errors/AppError.js';
+import { getStepCount } from '../../utils/phaseSteps.js';
+
+/**
+ * Whole steps per phase for a technique (fractional durations round up)
+ * @param {object} technique - Technique object
+ * @param {number} cycleIndex - Cycle whose durations are used (durations may change per cycle)
+ * @returns {number[]} - Step counts per phase
+ */
+const getPhaseSteps = (technique, cycleIndex = 0) => (
+  technique.getDurationsForCycle?.(cycleIndex) || technique.durationsSec
+).map(duration => getStepCount(duration));
+
+/**
+ * Total steps in one cycle
+ * @param {object} technique - Technique object
+ * @param {number} cycleIndex - Cycle whose durations are used
+ * @returns {number} - Total step count
+ */
+const getTotalSteps = (technique, cycleIndex = 0) => getPhaseSteps(technique, cycleIndex).reduce((sum, steps) => sum + steps, 0);
 
 /**
  * Base Visualization Strategy interface
@@ -12,9 +31,10 @@ export class VisualizationStrategy {
   /**
    * Generate visualization points
    * @param {object} technique - Technique object
+   * @param {number} [cycleIndex] - Cycle whose durations set the step counts
    * @returns {Array} - Array of visualization points
    */
-  generatePoints(_technique) {
+  generatePoints(_technique, _cycleIndex) {
     throw new Error('generatePoints method must be implemented by strategy');
   }
 
@@ -60,7 +80,7 @@ export class BoxVisualizationStrategy extends VisualizationStrategy {
    * @param {object} technique - Technique object
    * @returns {Array} - Array of visualization points
    */
-  generatePoints(technique) {
+  generatePoints(technique, cycleIndex = 0) {
     const SIZE = 420;
     const PADDING = 30;
     const LEFT = PADDING;
@@ -68,18 +88,16 @@ export class BoxVisualizationStrategy extends VisualizationStrategy {
     const TOP = PADDING;
     const BOTTOM = SIZE - PADDING;
 
-    const totalPoints = technique.getTotalDuration();
-    const stepsPerPhase = technique.durationsSec[0]; // All phases should have same duration for box breathing
+    const totalPoints = getTotalSteps(technique, cycleIndex);
+    // Each side follows its own phase duration so uneven patterns (4-4-6-2) stay aligned
+    const sideSteps = getPhaseSteps(technique, cycleIndex);
 
     const points = [];
     let pointIndex = 0;
     
-    // Calculate points per side
-    const pointsPerSide = stepsPerPhase;
-    
     // Top side (left to right) - Inhale phase
-    for (let i = 0; i < pointsPerSide && pointIndex < totalPoints; i++) {
-      const t = (i + 1.5) / (pointsPerSide + 2);
+    for (let i = 0; i < sideSteps[0] && pointIndex < totalPoints; i++) {
+      const t = (i + 1.5) / (sideSteps[0] + 2);
       const x = LEFT + t * (RIGHT - LEFT);
       const stepNumber = i + 1;
       points.push({ x, y: TOP, label: String(stepNumber) });
@@ -87,8 +105,8 @@ export class BoxVisualizationStrategy extends VisualizationStrategy {
     }
     
     // Right side (top to bottom) - Hold 1 phase
-    for (let i = 0; i < pointsPerSide && pointIndex < totalPoints; i++) {
-      const t = (i + 1.5) / (pointsPerSide + 2);
+    for (let i = 0; i < sideSteps[1] && pointIndex < totalPoints; i++) {
+      const t = (i + 1.5) / (sideSteps[1] + 2);
       const y = TOP + t * (BOTTOM - TOP);
       const stepNumber = i + 1;
       points.push({ x: RIGHT, y, label: String(stepNumber) });
@@ -96,8 +114,8 @@ export class BoxVisualizationStrategy extends VisualizationStrategy {
     }
     
     // Bottom side (right to left) - Exhale phase
-    for (let i = 0; i < pointsPerSide && pointIndex < totalPoints; i++) {
-      const t = (i + 1.5) / (pointsPerSide + 2);
+    for (let i = 0; i < sideSteps[2] && pointIndex < totalPoints; i++) {
+      const t = (i + 1.5) / (sideSteps[2] + 2);
       const x = RIGHT - t * (RIGHT - LEFT);
       const stepNumber = i + 1;
       points.push({ x, y: BOTTOM, label: String(stepNumber) });
@@ -105,8 +123,8 @@ export class BoxVisualizationStrategy extends VisualizationStrategy {
     }
     
     // Left side (bottom to top) - Hold 2 phase
-    for (let i = 0; i < pointsPerSide && pointIndex < totalPoints; i++) {
-      const t = (i + 1.5) / (pointsPerSide + 2);
+    for (let i = 0; i < sideSteps[3] && pointIndex < totalPoints; i++) {
+      const t = (i + 1.5) / (sideSteps[3] + 2);
       const y = BOTTOM - t * (BOTTOM - TOP);
       const stepNumber = i + 1;
       points.push({ x: LEFT, y, label: String(stepNumber) });
@@ -163,15 +181,13 @@ export class TriangleVisualizationStrategy extends VisualizationStrategy {
    * @param {object} technique - Technique object
    * @returns {Array} - Array of visualization points
    */
-  generatePoints(technique) {
-    const totalPoints = technique.getTotalDuration();
+  generatePoints(technique, cycleIndex = 0) {
+    const totalPoints = getTotalSteps(technique, cycleIndex);
     const points = [];
     let pointIndex = 0;
 
-    // Points per side based on phase durations
-    const inhaleSteps = technique.durationsSec[0];
-    const holdSteps = technique.durationsSec[1];
-    const exhaleSteps = technique.durationsSec[2];
+    // Points per side based on phase durations (fractional durations round up)
+    const [inhaleSteps, holdSteps, exhaleSteps] = getPhaseSteps(technique, cycleIndex);
 
     // Define an equilateral triangle inside the 420x420 square
     const SIZE = 420;
@@ -267,8 +283,8 @@ export class CircularVisualizationStrategy extends VisualizationStrategy {
    * @param {object} technique - Technique object
    * @returns {Array} - Array of visualization points
    */
-  generatePoints(technique) {
-    const totalPoints = technique.getTotalDuration();
+  generatePoints(technique, cycleIndex = 0) {
+    const totalPoints = getTotalSteps(technique, cycleIndex);
     const SIZE = 420;
     const PADDING = 30;
     const centerX = SIZE / 2;
@@ -335,7 +351,7 @@ export class SquareVisualizationStrategy extends VisualizationStrategy {
    * @param {object} technique - Technique object
    * @returns {Array} - Array of visualization points
    */
-  generatePoints(technique) {
+  generatePoints(technique, cycleIndex = 0) {
     const SIZE = 420;
     const PADDING = 30;
     const LEFT = PADDING;
@@ -343,7 +359,7 @@ export class SquareVisualizationStrategy extends VisualizationStrategy {
     const TOP = PADDING;
     const BOTTOM = SIZE - PADDING;
 
-    const totalPoints = technique.getTotalDuration();
+    const totalPoints = getTotalSteps(technique, cycleIndex);
     const pointsPerSide = Math.ceil(totalPoints / 4);
 
     const points = [];
@@ -474,11 +490,12 @@ export class VisualizationStrategyManager {
   /**
    * Generate visualization points for technique
    * @param {object} technique - Technique object
+   * @param {number} [cycleIndex] - Cycle whose durations set the step counts
    * @returns {Array} - Array of visualization points
    */
-  generatePoints(technique) {
+  generatePoints(technique, cycleIndex = 0) {
     const strategy = this.getStrategyForTechnique(technique);
-    return strategy.generatePoints(technique);
+    return strategy.generatePoints(technique, cycleIndex);
   }
 
   /**
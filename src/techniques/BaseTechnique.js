@@ -5,6 +5,7 @@
  */
 
 import { ITechnique } from './interfaces/ITechnique.js';
+import { getStepCount, getStepProgress } from '../utils/phaseSteps.js';
 
 export class BaseTechnique extends ITechnique {
   constructor(config) {
@@ -16,6 +17,7 @@ export class BaseTechnique extends ITechnique {
     this.phases = config.phases;
     this.durationsSec = config.durationsSec;
     this.pattern = config.pattern;
+    this.category = config.category || null;
   }
 
   // ITechnique interface implementation
@@ -47,55 +49,131 @@ export class BaseTechnique extends ITechnique {
     return this.durationsSec;
   }
 
+  /**
+   * Get technique category, e.g. 'sleep', 'focus' or 'energy'
+   * @returns {string|null} - Category or null when uncategorized
+   */
+  getCategory() {
+    return this.category;
+  }
+
+  /**
+   * Get phase durations for a cycle
+   * Fixed techniques use durationsSec for every cycle; override for durations
+   * that change over a session (see ProgressiveTechnique)
+   * @param {number} [_cycleIndex] - Zero-based cycle index
+   * @returns {number[]} - Durations in seconds
+   */
+  getDurationsForCycle(_cycleIndex = 0) {
+    return this.durationsSec;
+  }
+
   /**
    * Get the total duration of one complete cycle
+   * @param {number} [cycleIndex] - Zero-based cycle index
+   */
+  getTotalDuration(cycleIndex = 0) {
+    return this.getDurationsForCycle(cycleIndex).reduce((sum, duration) => sum + duration, 0);
+  }
+
+  /**
+   * Get the session time a cycle starts at
+   * @param {number} cycleIndex - Zero-based cycle index
+   * @returns {number} - Seconds from the start of the session
+   */
+  getCycleStartTime(cycleIndex) {
+    return cycleIndex * this.getTotalDuration();
+  }
+
+  /**
+   * Get the cycle running at an elapsed time
+   * @param {number} elapsedSeconds - Elapsed seconds
+   * @returns {object} - {index, startTime}
    */
-  getTotalDuration() {
-    return this.durationsSec.reduce((sum, duration) => sum + duration, 0);
+  getCycleAt(elapsedSeconds) {
+    const totalDuration = this.getTotalDuration();
+    const index = totalDuration > 0 ? Math.max(0, Math.floor(elapsedSeconds / totalDuration)) : 0;
+    return { index, startTime: this.getCycleStartTime(index) };
+  }
+
+  /**
+   * Get the number of whole steps per phase (fractional durations round up)
+   * @param {number} [cycleIndex] - Zero-based cycle index
+   */
+  getPhaseStepCounts(cycleIndex = 0) {
+    return this.getDurationsForCycle(cycleIndex).map(duration => getStepCount(duration));
+  }
+
+  /**
+   * Get the total number of steps in one cycle
+   * @param {number} [cycleIndex] - Zero-based cycle index
+   */
+  getTotalSteps(cycleIndex = 0) {
+    return this.getPhaseStepCounts(cycleIndex).reduce((sum, steps) => sum + steps, 0);
   }
 
   /**
    * Get the current phase based on elapsed time
+   * Elapsed time may be fractional; timeInPhase and timeLeft are returned unrounded
+   * cycleIndex and cycleStartTime identify the cycle whose durations were used
    */
   getCurrentPhase(elapsedSeconds) {
+    const cycle = this.getCycleAt(elapsedSeconds);
+    const durations = this.getDurationsForCycle(cycle.index);
+    const cycleTime = elapsedSeconds - cycle.startTime;
+
     let accumulatedTime = 0;
     for (let i = 0; i < this.phases.length; i++) {
-      accumulatedTime += this.durationsSec[i];
-      if (elapsedSeconds < accumulatedTime) {
+      accumulatedTime += durations[i];
+      if (cycleTime < accumulatedTime) {
         return {
           phaseIndex: i,
           phase: this.phases[i],
-          duration: this.durationsSec[i],
-          timeInPhase: elapsedSeconds - (accumulatedTime - this.durationsSec[i]),
-          timeLeft: accumulatedTime - elapsedSeconds
+          duration: durations[i],
+          timeInPhase: Math.max(0, cycleTime - (accumulatedTime - durations[i])),
+          timeLeft: accumulatedTime - cycleTime,
+          cycleIndex: cycle.index,
+          cycleStartTime: cycle.startTime
         };
       }
     }
-    // If we've completed a full cycle, return the first phase
-    return this.getCurrentPhase(elapsedSeconds % this.getTotalDuration());
+
+    // Rounding left us exactly on the boundary: report the start of the next cycle
+    const nextDurations = this.getDurationsForCycle(cycle.index + 1);
+    return {
+      phaseIndex: 0,
+      phase: this.phases[0],
+      duration: nextDurations[0],
+      timeInPhase: 0,
+      timeLeft: nextDurations[0],
+      cycleIndex: cycle.index + 1,
+      cycleStartTime: cycle.startTime + accumulatedTime
+    };
   }
 
   /**
    * Get visualization points for the technique
    * Override this method for custom layouts
+   * @param {number} [cycleIndex] - Cycle whose durations set the step counts
    */
-  getVisualizationPoints() {
+  getVisualizationPoints(cycleIndex = 0) {
     // Determine layout type based on technique pattern
     if (this.phases.length === 4) {
-      return this.generateBoxLayout();
+      return this.generateBoxLayout(cycleIndex);
     } else if (this.phases.length === 3) {
-      return this.generateTriangleLayout();
+      return this.generateTriangleLayout(cycleIndex);
     } else if (this.phases.length === 2) {
-      return this.generateCircularLayout();
+      return this.generateCircularLayout(cycleIndex);
     } else {
-      return this.generateSquareLayout();
+      return this.generateSquareLayout(cycleIndex);
     }
   }
 
   /**
    * Generate box layout points for 4-phase techniques (4-4-4-4, 6-6-6-6, etc.)
+   * @param {number} [cycleIndex] - Cycle whose durations set the points per side
    */
-  generateBoxLayout() {
+  generateBoxLayout(cycleIndex = 0) {
     // Keep coordinates consistent with the 420x420 `squareWrap` with increased padding
     // to avoid overlap with the centered breathing person SVG (260x340)
     const SIZE = 420;
@@ -105,19 +183,17 @@ export class BaseTechnique extends ITechnique {
     const TOP = PADDING;
     const BOTTOM = SIZE - PADDING;
 
-    const totalPoints = this.getTotalDuration();
-    const stepsPerPhase = this.durationsSec[0]; // All phases should have same duration for box breathing
+    const totalPoints = this.getTotalSteps(cycleIndex);
+    // Each side follows its own phase duration so uneven patterns (4-4-6-2) stay aligned
+    const sideSteps = this.getPhaseStepCounts(cycleIndex);
 
     const pts = [];
     let pointIndex = 0;
     
-    // Calculate points per side
-    const pointsPerSide = stepsPerPhase;
-    
     // Top side (left to right) - Inhale phase: 1, 2, 3, 4
-    // Use improved spacing: (i + 1.5) / (pointsPerSide + 2) to avoid corner overlaps
-    for (let i = 0; i < pointsPerSide && pointIndex < totalPoints; i++) {
-      const t = (i + 1.5) / (pointsPerSide + 2);
+    // Use improved spacing: (i + 1.5) / (steps + 2) to avoid corner overlaps
+    for (let i = 0; i < sideSteps[0] && pointIndex < totalPoints; i++) {
+      const t = (i + 1.5) / (sideSteps[0] + 2);
       const x = LEFT + t * (RIGHT - LEFT);
       const stepNumber = i + 1; // Sequential numbering: 1, 2, 3, 4
       pts.push({ x, y: TOP, label: String(stepNumber) });
@@ -125,8 +201,8 @@ export class BaseTechnique extends ITechnique {
     }
     
     // Right side (top to bottom) - Hold 1 phase: 1, 2, 3, 4
-    for (let i = 0; i < pointsPerSide && pointIndex < totalPoints; i++) {
-      const t = (i + 1.5) / (pointsPerSide + 2);
+    for (let i = 0; i < sideSteps[1] && pointIndex < totalPoints; i++) {
+      const t = (i + 1.5) / (sideSteps[1] + 2);
       const y = TOP + t * (BOTTOM - TOP);
       const stepNumber = i + 1; // Sequential numbering: 1, 2, 3, 4
       pts.push({ x: RIGHT, y, label: String(stepNumber) });
@@ -134,8 +210,8 @@ export class BaseTechnique extends ITechnique {
     }
     
     // Bottom side (right to left) - Exhale phase: 1, 2, 3, 4
-    for (let i = 0; i < pointsPerSide && pointIndex < totalPoints; i++) {
-      const t = (i + 1.5) / (pointsPerSide + 2);
+    for (let i = 0; i < sideSteps[2] && pointIndex < totalPoints; i++) {
+      const t = (i + 1.5) / (sideSteps[2] + 2);
       const x = RIGHT - t * (RIGHT - LEFT);
       const stepNumber = i + 1; // Sequential numbering: 1, 2, 3, 4
       pts.push({ x, y: BOTTOM, label: String(stepNumber) });
@@ -143,8 +219,8 @@ export class BaseTechnique extends ITechnique {
     }
     
     // Left side (bottom to top) - Hold 2 phase: 1, 2, 3, 4
-    for (let i = 0; i < pointsPerSide && pointIndex < totalPoints; i++) {
-      const t = (i + 1.5) / (pointsPerSide + 2);
+    for (let i = 0; i < sideSteps[3] && pointIndex < totalPoints; i++) {
+      const t = (i + 1.5) / (sideSteps[3] + 2);
       const y = BOTTOM - t * (BOTTOM - TOP);
       const stepNumber = i + 1; // Sequential numbering: 1, 2, 3, 4
       pts.push({ x: LEFT, y, label: String(stepNumber) });
@@ -158,15 +234,13 @@ export class BaseTechnique extends ITechnique {
    * Generate triangle layout points for 3-phase techniques (4-4-4, 4-7-8, etc.)
    * Places points evenly distributed along triangle sides with improved spacing to prevent overlaps
    */
-  generateTriangleLayout() {
-    const totalPoints = this.getTotalDuration();
+  generateTriangleLayout(cycleIndex = 0) {
+    const totalPoints = this.getTotalSteps(cycleIndex);
     const pts = [];
     let pointIndex = 0;
 
-    // Points per side based on phase durations
-    const inhaleSteps = this.durationsSec[0];
-    const holdSteps = this.durationsSec[1];
-    const exhaleSteps = this.durationsSec[2];
+    // Points per side based on phase durations (fractional durations round up)
+    const [inhaleSteps, holdSteps, exhaleSteps] = this.getPhaseStepCounts(cycleIndex);
 
     // Define an equilateral triangle inside the 420x420 square with increased padding
     // to avoid overlap with the centered breathing person SVG (260x340)
@@ -224,8 +298,8 @@ export class BaseTechnique extends ITechnique {
   /**
    * Generate circular layout points for 2-phase techniques (5-5, etc.)
    */
-  generateCircularLayout() {
-    const totalPoints = this.getTotalDuration();
+  generateCircularLayout(cycleIndex = 0) {
+    const totalPoints = this.getTotalSteps(cycleIndex);
     // Keep consistent with squareWrap with increased padding to avoid overlap with human body
     const SIZE = 420;
     const PADDING = 30; // Moderate padding now that SVG has more space
@@ -249,7 +323,7 @@ export class BaseTechnique extends ITechnique {
   /**
    * Generate square layout points (fallback for other techniques)
    */
-  generateSquareLayout() {
+  generateSquareLayout(cycleIndex = 0) {
     const SIZE = 420;
     const PADDING = 30; // Moderate padding now that SVG has more space
     const LEFT = PADDING;
@@ -257,7 +331,7 @@ export class BaseTechnique extends ITechnique {
     const TOP = PADDING;
     const BOTTOM = SIZE - PADDING;
 
-    const totalPoints = this.getTotalDuration();
+    const totalPoints = this.getTotalSteps(cycleIndex);
     const pointsPerSide = Math.ceil(totalPoints / 4);
 
     const pts = [];
@@ -313,21 +387,14 @@ export class BaseTechnique extends ITechnique {
     
     switch (phaseKey) {
       case 'inhale':
-        // Start growing immediately on first second and reach full size at last second
-        // Using (timeInPhase + 1) ensures lungs start growing from second 1
+        // Start growing immediately on the first step and reach full size on the last step
+        // Step-based progress keeps fractional durations (5.5s) from overshooting
         if (duration <= 0) return 1.0;
-        {
-          const progress = (timeInPhase + 1) / duration;
-          return 1 + (targetInhale - 1) * progress;
-        }
+        return 1 + (targetInhale - 1) * getStepProgress(timeInPhase, duration);
       case 'exhale':
-        // Start shrinking immediately on first second and reach empty at last second
-        // Using (timeInPhase + 1) ensures lungs start shrinking from second 1
+        // Start shrinking immediately on the first step and reach empty on the last step
         if (duration <= 0) return targetExhale;
-        {
-          const progress = (timeInPhase + 1) / duration;
-          return targetInhale - (targetInhale - targetExhale) * progress;
-        }
+        return targetInhale - (targetInhale - targetExhale) * getStepProgress(timeInPhase, duration);
       case 'hold1':
         return targetInhale;
       case 'hold2':
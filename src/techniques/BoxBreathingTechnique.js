@@ -19,6 +19,7 @@ export class BoxBreathingTechnique extends BaseTechnique {
       ],
       durationsSec: [4, 4, 4, 4],
       pattern: '4-4-4-4',
+      category: 'focus',
     });
   }
 
@@ -1,4 +1,5 @@
 import { BaseTechnique } from './BaseTechnique.js';
+import { getStepProgress } from '../utils/phaseSteps.js';
 
 /**
  * Coherent Breathing 5-5 Technique
@@ -17,6 +18,7 @@ export class CoherentBreathingTechnique extends BaseTechnique {
       ],
       durationsSec: [5, 5],
       pattern: '5-5',
+      category: 'balance',
     });
   }
 
@@ -58,14 +60,10 @@ export class CoherentBreathingTechnique extends BaseTechnique {
     const targetExhale = 0.9;
     
     switch (phaseKey) {
-      case 'inhale': {
-        const inhaleStep = (targetInhale - 1) / duration;
-        return 1 + inhaleStep * Math.min(timeInPhase + 1, duration);
-      }
-      case 'exhale': {
-        const exhaleStep = (targetInhale - targetExhale) / duration;
-        return targetInhale - exhaleStep * Math.min(timeInPhase + 1, duration);
-      }
+      case 'inhale':
+        return 1 + (targetInhale - 1) * getStepProgress(timeInPhase, duration);
+      case 'exhale':
+        return targetInhale - (targetInhale - targetExhale) * getStepProgress(timeInPhase, duration);
       default:
         return 1.0;
     }
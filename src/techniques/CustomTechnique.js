@@ -0,0 +1,94 @@
+import { BaseTechnique } from './BaseTechnique.js';
+
+export const CUSTOM_TECHNIQUE_ID_PREFIX = 'custom-';
+
+/**
+ * Custom Technique
+ * Breathing technique defined entirely by user-provided data
+ * Extends BaseTechnique so the registry, timer and visualizations treat it like a built-in
+ */
+export class CustomTechnique extends BaseTechnique {
+  constructor(definition) {
+    const phases = definition.phases.map(phase => ({
+      key: phase.key,
+      name: phase.name
+    }));
+    const durationsSec = definition.phases.map(phase => phase.duration);
+
+    super({
+      id: definition.id,
+      name: definition.name,
+      description: definition.description || '',
+      benefits: definition.benefits || '',
+      phases,
+      durationsSec,
+      pattern: durationsSec.join('-')
+    });
+
+    this.isCustom = true;
+    this.phaseColors = definition.phases.reduce((colors, phase) => {
+      if (phase.color) {
+        colors[phase.key] = phase.color;
+      }
+      return colors;
+    }, {});
+    this.instructions = Array.isArray(definition.instructions) ? [...definition.instructions] : [];
+    this.createdAt = definition.createdAt || Date.now();
+    this.updatedAt = definition.updatedAt || this.createdAt;
+  }
+
+  /**
+   * Get phase colors, blending from the previous phase color to this phase color
+   * Falls back to the default palette for phases without a custom color
+   * @param {string} phaseKey - Phase key
+   * @returns {object} - Color range {from, to}
+   */
+  getPhaseColors(phaseKey) {
+    const defaults = super.getPhaseColors(phaseKey);
+    const to = this.phaseColors[phaseKey];
+
+    if (!to) {
+      return defaults;
+    }
+
+    const index = this.phases.findIndex(phase => phase.key === phaseKey);
+    const previousPhase = this.phases[(index - 1 + this.phases.length) % this.phases.length];
+    const from = this.phaseColors[previousPhase?.key] || defaults.from;
+
+    return { from, to };
+  }
+
+  getInstructions() {
+    return this.instructions;
+  }
+
+  /**
+   * Create a fresh instance from this technique's definition
+   * @returns {CustomTechnique} - New instance
+   */
+  clone() {
+    return new CustomTechnique(this.toJSON());
+  }
+
+  /**
+   * Serialize technique back to its plain-data definition
+   * @returns {object} - Technique definition
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      benefits: this.benefits,
+      phases: this.phases.map((phase, index) => ({
+        key: phase.key,
+        name: phase.name,
+        duration: this.durationsSec[index],
+        ...(this.phaseColors[phase.key] ? { color: this.phaseColors[phase.key] } : {})
+      })),
+      instructions: [...this.instructions],
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
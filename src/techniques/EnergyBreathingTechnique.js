@@ -1,4 +1,5 @@
 import { BaseTechnique } from './BaseTechnique.js';
+import { getStepProgress } from '../utils/phaseSteps.js';
 
 /**
  * Energy Breathing 6-2-8 Technique
@@ -18,6 +19,7 @@ export class EnergyBreathingTechnique extends BaseTechnique {
       ],
       durationsSec: [6, 2, 8],
       pattern: '6-2-8',
+      category: 'energy',
     });
   }
 
@@ -59,14 +61,10 @@ export class EnergyBreathingTechnique extends BaseTechnique {
     const targetExhale = 0.8; // Smaller for energy release
     
     switch (phaseKey) {
-      case 'inhale': {
-        const inhaleStep = (targetInhale - 1) / duration;
-        return 1 + inhaleStep * Math.min(timeInPhase + 1, duration);
-      }
-      case 'exhale': {
-        const exhaleStep = (targetInhale - targetExhale) / duration;
-        return targetInhale - exhaleStep * Math.min(timeInPhase + 1, duration);
-      }
+      case 'inhale':
+        return 1 + (targetInhale - 1) * getStepProgress(timeInPhase, duration);
+      case 'exhale':
+        return targetInhale - (targetInhale - targetExhale) * getStepProgress(timeInPhase, duration);
       case 'hold1':
         return targetInhale;
       default:
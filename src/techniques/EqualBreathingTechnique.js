@@ -18,6 +18,7 @@ export class EqualBreathingTechnique extends BaseTechnique {
       ],
       durationsSec: [5, 5, 5],
       pattern: '5-5-5',
+      category: 'focus',
     });
   }
 
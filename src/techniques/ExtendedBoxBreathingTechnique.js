@@ -19,6 +19,7 @@ export class ExtendedBoxBreathingTechnique extends BaseTechnique {
       ],
       durationsSec: [6, 6, 6, 6],
       pattern: '6-6-6-6',
+      category: 'focus',
     });
   }
 
@@ -1,4 +1,5 @@
 import { BaseTechnique } from './BaseTechnique.js';
+import { getStepProgress } from '../utils/phaseSteps.js';
 
 /**
  * Extended 4-7-8 Breathing Technique
@@ -18,6 +19,7 @@ export class ExtendedFourSevenEightTechnique extends BaseTechnique {
       ],
       durationsSec: [6, 10, 12],
       pattern: '6-10-12',
+      category: 'sleep',
     });
   }
 
@@ -59,14 +61,10 @@ export class ExtendedFourSevenEightTechnique extends BaseTechnique {
     const targetExhale = 0.9; // Slightly smaller for extended exhale
     
     switch (phaseKey) {
-      case 'inhale': {
-        const inhaleStep = (targetInhale - 1) / duration;
-        return 1 + inhaleStep * Math.min(timeInPhase + 1, duration);
-      }
-      case 'exhale': {
-        const exhaleStep = (targetInhale - targetExhale) / duration;
-        return targetInhale - exhaleStep * Math.min(timeInPhase + 1, duration);
-      }
+      case 'inhale':
+        return 1 + (targetInhale - 1) * getStepProgress(timeInPhase, duration);
+      case 'exhale':
+        return targetInhale - (targetInhale - targetExhale) * getStepProgress(timeInPhase, duration);
       case 'hold1':
         return targetInhale;
       default:
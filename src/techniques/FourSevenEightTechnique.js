@@ -18,6 +18,7 @@ export class FourSevenEightTechnique extends BaseTechnique {
       ],
       durationsSec: [4, 7, 8],
       pattern: '4-7-8',
+      category: 'sleep',
     });
   }
 
@@ -0,0 +1,119 @@
+import { BaseTechnique } from './BaseTechnique.js';
+
+export const PROGRAM_ID_PREFIX = 'program-';
+
+/**
+ * Program Technique
+ * Multi-stage session program: an ordered list of techniques, each practiced for a set time
+ * Extends BaseTechnique with the first stage's phases so the registry, selectors and idle
+ * visualization treat it like any other technique; TimerService moves through the stages
+ */
+export class ProgramTechnique extends BaseTechnique {
+  /**
+   * @param {object} definition - Program definition {id, name, description, stages: [{techniqueId, minutes}]}
+   * @param {Function} resolveTechnique - Looks up a stage technique by ID
+   */
+  constructor(definition, resolveTechnique) {
+    const stages = definition.stages.map(stage => ({
+      techniqueId: stage.techniqueId,
+      minutes: Number(stage.minutes)
+    }));
+    const stageTechniques = stages.map(stage => resolveTechnique(stage.techniqueId));
+    const [firstTechnique] = stageTechniques;
+
+    super({
+      id: definition.id,
+      name: definition.name,
+      description: definition.description || '',
+      benefits: definition.benefits || definition.description || '',
+      phases: firstTechnique.getPhases(),
+      durationsSec: firstTechnique.getDurationsSec(),
+      pattern: stages.map(stage => `${stage.minutes}′`).join(' → ')
+    });
+
+    this.isProgram = true;
+    this.stages = stages;
+    this.stageTechniques = stageTechniques;
+    this.resolveTechnique = resolveTechnique;
+    this.createdAt = definition.createdAt || Date.now();
+    this.updatedAt = definition.updatedAt || this.createdAt;
+  }
+
+  /**
+   * Get program stages with their techniques
+   * Techniques are looked up again so edits to a custom technique apply to programs using it
+   * @returns {object[]} - [{techniqueId, minutes, durationSeconds, technique}]
+   */
+  getStages() {
+    return this.stages.map((stage, index) => {
+      let technique = this.stageTechniques[index];
+      try {
+        technique = this.resolveTechnique(stage.techniqueId) || technique;
+      } catch {
+        // Keep the technique captured at construction (e.g. a since-deleted custom technique)
+      }
+
+      return {
+        ...stage,
+        durationSeconds: stage.minutes * 60,
+        technique
+      };
+    });
+  }
+
+  /**
+   * Get the number of stages
+   * @returns {number} - Stage count
+   */
+  getStageCount() {
+    return this.stages.length;
+  }
+
+  /**
+   * Get the planned length of the whole program
+   * @returns {number} - Duration in seconds
+   */
+  getProgramDuration() {
+    return this.stages.reduce((sum, stage) => sum + stage.minutes * 60, 0);
+  }
+
+  // Visual details come from the first stage, which is what an idle program shows
+  getVisualizationPoints(cycleIndex) {
+    return this.stageTechniques[0].getVisualizationPoints(cycleIndex);
+  }
+
+  getLungScaling(phaseKey, timeInPhase, duration) {
+    return this.stageTechniques[0].getLungScaling(phaseKey, timeInPhase, duration);
+  }
+
+  getDiaphragmOffset(lungScaling) {
+    return this.stageTechniques[0].getDiaphragmOffset(lungScaling);
+  }
+
+  getColorScheme() {
+    return this.stageTechniques[0].getColorScheme();
+  }
+
+  getPhaseColors(phaseKey) {
+    return this.stageTechniques[0].getPhaseColors(phaseKey);
+  }
+
+  getInstructions() {
+    return this.getStages().map(stage => `${stage.minutes}′ — ${stage.technique.getName()} (${stage.technique.getPattern()})`);
+  }
+
+  /**
+   * Serialize program back to its plain-data definition
+   * @returns {object} - Program definition
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      stages: this.stages.map(stage => ({ ...stage })),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
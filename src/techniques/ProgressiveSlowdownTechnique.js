@@ -0,0 +1,48 @@
+import { ProgressiveTechnique, PROGRESSION_TYPES, PROGRESSION_UNITS } from './ProgressiveTechnique.js';
+
+/**
+ * Progressive Slowdown 4-4 → 6-8 Technique
+ * Two-phase breathing that gradually lengthens over ten minutes, exhale more than inhale
+ */
+export class ProgressiveSlowdownTechnique extends ProgressiveTechnique {
+  constructor() {
+    super({
+      id: 'progressive-slowdown',
+      name: 'Progressive Slowdown 4-4 → 6-8',
+      description: 'Breathing that slows gradually over ten minutes',
+      benefits: 'Gentle downshift, longer exhales, preparation for sleep',
+      phases: [
+        { key: 'inhale', name: 'Inhale' },
+        { key: 'exhale', name: 'Exhale' },
+      ],
+      durationsSec: [4, 4],
+      pattern: '4-4 → 6-8',
+      category: 'sleep',
+      progression: {
+        type: PROGRESSION_TYPES.RAMP,
+        unit: PROGRESSION_UNITS.SECONDS,
+        over: 600,
+        toDurationsSec: [6, 8]
+      }
+    });
+  }
+
+  getInstructions() {
+    return [
+      'Start with a relaxed 4 second inhale and 4 second exhale',
+      'Each breath becomes slightly longer',
+      'After ten minutes inhale for 6 and exhale for 8 seconds',
+      'Follow the count rather than forcing the breath',
+      'Keep the breath smooth through the nose'
+    ];
+  }
+
+  getPhaseColors(phaseKey) {
+    // Для 2-фазної техніки: червоний → зелений → червоний
+    const colors = {
+      inhale: { from: '#F87171', to: '#34D399' },
+      exhale: { from: '#34D399', to: '#F87171' }
+    };
+    return colors[phaseKey] || colors.inhale;
+  }
+}
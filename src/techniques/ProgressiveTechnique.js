@@ -0,0 +1,212 @@
+import { BaseTechnique } from './BaseTechnique.js';
+
+export const PROGRESSION_TYPES = {
+  RAMP: 'ramp',
+  STEPS: 'steps'
+};
+
+export const PROGRESSION_UNITS = {
+  CYCLES: 'cycles',
+  SECONDS: 'seconds'
+};
+
+// Ramped durations are rounded to a tenth of a second
+const DURATION_PRECISION = 10;
+
+const roundDuration = (seconds) => Math.round(seconds * DURATION_PRECISION) / DURATION_PRECISION;
+
+// Cycle start times are sums of rounded durations; keep them on whole milliseconds
+const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Progressive Technique
+ * Technique whose phase durations change over a session, e.g. 4-4 stretching to 6-8 over ten minutes
+ * durationsSec holds the starting durations; the progression is either a linear ramp to target
+ * durations or a step schedule, measured in completed cycles or in session seconds.
+ * A cycle keeps the durations it started with, so phases never change length midway
+ */
+export class ProgressiveTechnique extends BaseTechnique {
+  /**
+   * @param {object} config - BaseTechnique config plus a progression
+   * @param {object} config.progression - {type: 'ramp', unit, over, toDurationsSec}
+   *   or {type: 'steps', unit, steps: [{at, durationsSec}]}; `over` and `at` are in `unit`
+   */
+  constructor(config) {
+    super(config);
+
+    const progression = config.progression || {};
+    this.isProgressive = true;
+    this.progression = {
+      type: progression.type === PROGRESSION_TYPES.STEPS ? PROGRESSION_TYPES.STEPS : PROGRESSION_TYPES.RAMP,
+      unit: progression.unit === PROGRESSION_UNITS.SECONDS ? PROGRESSION_UNITS.SECONDS : PROGRESSION_UNITS.CYCLES,
+      over: Number(progression.over) || 0,
+      toDurationsSec: progression.toDurationsSec ? [...progression.toDurationsSec] : [...this.durationsSec],
+      steps: (progression.steps || [])
+        .map(step => ({ at: Number(step.at), durationsSec: [...step.durationsSec] }))
+        .sort((a, b) => a.at - b.at)
+    };
+
+    // Cycles are computed lazily up to the point where the schedule settles
+    this.cycles = [this.createCycle(0, 0)];
+  }
+
+  /**
+   * Point (in progression units) after which durations no longer change
+   * @returns {number} - Cycles or seconds
+   */
+  getSettlePoint() {
+    if (this.progression.type === PROGRESSION_TYPES.STEPS) {
+      const lastStep = this.progression.steps[this.progression.steps.length - 1];
+      return lastStep ? lastStep.at : 0;
+    }
+    return this.progression.over;
+  }
+
+  /**
+   * Position of a cycle on the progression
+   * @param {number} index - Cycle index
+   * @param {number} startTime - Cycle start time in seconds
+   * @returns {number} - Cycles or seconds
+   */
+  getPosition(index, startTime) {
+    return this.progression.unit === PROGRESSION_UNITS.SECONDS ? startTime : index;
+  }
+
+  /**
+   * Compute durations at a point of the progression
+   * @param {number} position - Cycles or seconds
+   * @returns {number[]} - Durations in seconds
+   */
+  getDurationsAt(position) {
+    const { type, over, toDurationsSec, steps } = this.progression;
+
+    if (type === PROGRESSION_TYPES.STEPS) {
+      return steps.reduce(
+        (durations, step) => (position >= step.at ? step.durationsSec : durations),
+        this.durationsSec
+      );
+    }
+
+    const ratio = over > 0 ? Math.min(1, Math.max(0, position / over)) : 1;
+    return this.durationsSec.map((from, index) => (
+      roundDuration(from + (toDurationsSec[index] - from) * ratio)
+    ));
+  }
+
+  /**
+   * Build a cycle entry
+   * @param {number} index - Cycle index
+   * @param {number} startTime - Cycle start time in seconds
+   * @returns {object} - {index, startTime, durationsSec, totalDuration}
+   */
+  createCycle(index, startTime) {
+    const durationsSec = this.getDurationsAt(this.getPosition(index, startTime));
+    return { index, startTime, durationsSec, totalDuration: sum(durationsSec) };
+  }
+
+  /**
+   * Check if a cycle already uses the final durations
+   * @param {object} cycle - Cycle entry
+   * @returns {boolean} - True if every later cycle matches it
+   */
+  isSettled(cycle) {
+    return this.getPosition(cycle.index, cycle.startTime) >= this.getSettlePoint();
+  }
+
+  /**
+   * Compute cycles until one satisfies a condition or the schedule settles
+   * @param {Function} isFarEnough - Predicate on the last computed cycle
+   * @returns {object} - Last computed cycle
+   */
+  extendCycles(isFarEnough) {
+    let last = this.cycles[this.cycles.length - 1];
+    while (!isFarEnough(last) && !this.isSettled(last) && last.totalDuration > 0) {
+      last = this.createCycle(last.index + 1, roundTime(last.startTime + last.totalDuration));
+      this.cycles.push(last);
+    }
+    return last;
+  }
+
+  /**
+   * Get a cycle entry by index
+   * Cycles past the settle point repeat the last computed one
+   * @param {number} cycleIndex - Zero-based cycle index
+   * @returns {object} - {index, startTime, durationsSec, totalDuration}
+   */
+  getCycle(cycleIndex) {
+    const index = Math.max(0, Math.floor(cycleIndex) || 0);
+    const last = this.extendCycles(cycle => cycle.index >= index);
+
+    if (index < this.cycles.length) {
+      return this.cycles[index];
+    }
+
+    return {
+      ...last,
+      index,
+      startTime: roundTime(last.startTime + (index - last.index) * last.totalDuration)
+    };
+  }
+
+  getDurationsForCycle(cycleIndex = 0) {
+    return this.getCycle(cycleIndex).durationsSec;
+  }
+
+  getCycleStartTime(cycleIndex) {
+    return this.getCycle(cycleIndex).startTime;
+  }
+
+  getCycleAt(elapsedSeconds) {
+    const last = this.extendCycles(cycle => cycle.startTime + cycle.totalDuration > elapsedSeconds);
+
+    if (elapsedSeconds >= last.startTime + last.totalDuration && last.totalDuration > 0) {
+      return this.getCycle(last.index + Math.floor((elapsedSeconds - last.startTime) / last.totalDuration));
+    }
+
+    let low = 0;
+    let high = this.cycles.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.cycles[middle].startTime <= elapsedSeconds) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return this.cycles[low];
+  }
+
+  /**
+   * Describe the progression for instructions and summaries
+   * @returns {string} - e.g. "4-4 → 6-8"
+   */
+  getProgressionSummary() {
+    const final = this.progression.type === PROGRESSION_TYPES.STEPS
+      ? this.getDurationsAt(this.getSettlePoint())
+      : this.progression.toDurationsSec;
+    return `${this.durationsSec.join('-')} → ${final.join('-')}`;
+  }
+
+  validate() {
+    super.validate();
+
+    const { type, toDurationsSec, steps } = this.progression;
+    const schedules = type === PROGRESSION_TYPES.STEPS
+      ? steps.map(step => step.durationsSec)
+      : [toDurationsSec];
+
+    schedules.forEach(durations => {
+      if (durations.length !== this.phases.length || durations.some(duration => !(duration >= 0))) {
+        throw new Error(`Invalid progression for technique ${this.id}`);
+      }
+      if (sum(durations) <= 0) {
+        throw new Error(`Progression of technique ${this.id} reaches an empty cycle`);
+      }
+    });
+
+    return true;
+  }
+}
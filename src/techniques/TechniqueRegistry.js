@@ -7,6 +7,7 @@ import { EqualBreathingTechnique } from './EqualBreathingTechnique.js';
 import { EnergyBreathingTechnique } from './EnergyBreathingTechnique.js';
 import { ExtendedBoxBreathingTechnique } from './ExtendedBoxBreathingTechnique.js';
 import { CoherentBreathingTechnique } from './CoherentBreathingTechnique.js';
+import { ProgressiveSlowdownTechnique } from './ProgressiveSlowdownTechnique.js';
 
 /**
  * Technique Registry and Factory
@@ -31,6 +32,7 @@ export class TechniqueRegistry {
       EnergyBreathingTechnique,
       ExtendedBoxBreathingTechnique,
       CoherentBreathingTechnique,
+      ProgressiveSlowdownTechnique,
     ];
 
     techniqueClasses.forEach(TechniqueClass => {
@@ -51,6 +53,13 @@ export class TechniqueRegistry {
     this.techniques.set(technique.id, technique);
   }
 
+  /**
+   * Unregister a technique (used for runtime-registered custom techniques)
+   */
+  unregister(id) {
+    return this.techniques.delete(id);
+  }
+
   /**
    * Get a technique by ID
    */
@@ -107,6 +116,9 @@ export class TechniqueRegistry {
   createTechnique(id) {
     const technique = this.getTechnique(id);
     // Return a new instance to avoid shared state
+    if (typeof technique.clone === 'function') {
+      return technique.clone();
+    }
     return new technique.constructor();
   }
 
@@ -122,7 +134,10 @@ export class TechniqueRegistry {
       pattern: technique.pattern,
       totalDuration: technique.getTotalDuration(),
       phaseCount: technique.phases.length,
-      colorScheme: technique.getColorScheme()
+      colorScheme: technique.getColorScheme(),
+      isCustom: Boolean(technique.isCustom),
+      isProgram: Boolean(technique.isProgram),
+      isProgressive: Boolean(technique.isProgressive)
     }));
   }
 
@@ -18,6 +18,7 @@ export class TriangleBreathingTechnique extends BaseTechnique {
       ],
       durationsSec: [4, 4, 4],
       pattern: '4-4-4',
+      category: 'relaxation',
     });
   }
 
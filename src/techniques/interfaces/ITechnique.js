@@ -66,16 +66,17 @@ export class ITechnique {
 
   /**
    * Get total duration of one complete cycle
+   * @param {number} [_cycleIndex] - Zero-based cycle index (durations may change per cycle)
    * @returns {number} - Total duration in seconds
    */
-  getTotalDuration() {
+  getTotalDuration(_cycleIndex) {
     throw new Error('getTotalDuration method must be implemented');
   }
 
   /**
    * Get current phase based on elapsed time
    * @param {number} elapsedSeconds - Elapsed time in seconds
-   * @returns {object} - Current phase information
+   * @returns {object} - Current phase information, including the cycle it falls in
    */
   getCurrentPhase(_elapsedSeconds) {
     throw new Error('getCurrentPhase method must be implemented');
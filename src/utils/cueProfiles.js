@@ -0,0 +1,129 @@
+/**
+ * Cue profile utilities
+ * A cue profile places sound and vibration markers on a technique's cycle.
+ * Markers are tied to a phase and a fraction of its length, so they keep their
+ * place when durations change from cycle to cycle
+ */
+
+export const CUE_TRACKS = {
+  AUDIO: 'audio',
+  HAPTIC: 'haptic'
+};
+
+// Sounds a marker can play; each resolves through the technique's cue sounds (see CueScheduler)
+export const CUE_SOUNDS = ['tick', 'warning', 'phaseStart', 'transition', 'cycleComplete'];
+
+export const CUE_PROFILE_LIMITS = {
+  maxMarkers: 120
+};
+
+/**
+ * Clamp a marker offset to the phase it belongs to
+ * @param {number} offset - Fraction of the phase
+ * @returns {number} - Offset in [0, 1)
+ */
+const clampOffset = (offset) => {
+  const value = Number(offset);
+  return Number.isFinite(value) ? Math.min(0.999, Math.max(0, value)) : 0;
+};
+
+/**
+ * Normalize the markers of one track
+ * @param {object[]} markers - Raw markers
+ * @param {string} valueKey - 'sound' for audio markers, 'pattern' for haptic markers
+ * @param {Function} isValidValue - Accepts the marker's sound or pattern
+ * @returns {object[]} - Markers {id, phaseIndex, offset, [valueKey]} in cycle order
+ */
+const normalizeTrack = (markers, valueKey, isValidValue) => {
+  if (!Array.isArray(markers)) return [];
+
+  return markers
+    .filter(marker => marker && Number.isInteger(marker.phaseIndex) && marker.phaseIndex >= 0 &&
+      isValidValue(marker[valueKey]))
+    .slice(0, CUE_PROFILE_LIMITS.maxMarkers)
+    .map((marker, index) => ({
+      id: typeof marker.id === 'string' && marker.id ? marker.id : `${valueKey}-${index}`,
+      phaseIndex: marker.phaseIndex,
+      offset: clampOffset(marker.offset),
+      [valueKey]: marker[valueKey]
+    }))
+    .sort((a, b) => a.phaseIndex - b.phaseIndex || a.offset - b.offset);
+};
+
+/**
+ * Normalize a cue profile
+ * @param {object|null} profile - Raw {audio: markers, haptic: markers}
+ * @returns {object|null} - Normalized profile, or null when there is none
+ */
+export function normalizeCueProfile(profile) {
+  if (!profile || typeof profile !== 'object') {
+    return null;
+  }
+
+  return {
+    audio: normalizeTrack(profile.audio, 'sound', sound => CUE_SOUNDS.includes(sound)),
+    // Patterns are looked up by name in VibrationService when they play
+    haptic: normalizeTrack(profile.haptic, 'pattern', pattern => typeof pattern === 'string' && pattern.length > 0)
+  };
+}
+
+/**
+ * Normalize the cue profiles of all techniques
+ * @param {object|null} profiles - Raw {[techniqueId]: profile}
+ * @returns {object} - Normalized {[techniqueId]: profile}
+ */
+export function normalizeCueProfiles(profiles) {
+  if (!profiles || typeof profiles !== 'object') {
+    return {};
+  }
+
+  return Object.entries(profiles).reduce((normalized, [techniqueId, profile]) => {
+    const cueProfile = normalizeCueProfile(profile);
+    if (cueProfile) {
+      normalized[techniqueId] = cueProfile;
+    }
+    return normalized;
+  }, {});
+}
+
+/**
+ * Get the start of each phase in a cycle
+ * @param {number[]} durations - Phase durations in seconds
+ * @returns {number[]} - Phase start times in seconds from the cycle start
+ */
+export function getPhaseStartTimes(durations) {
+  let time = 0;
+  return durations.map((duration) => {
+    const start = time;
+    time += duration;
+    return start;
+  });
+}
+
+/**
+ * Get where a marker falls in a cycle
+ * @param {object} marker - Marker {phaseIndex, offset}
+ * @param {number[]} durations - Phase durations of the cycle
+ * @returns {number|null} - Seconds from the cycle start, or null for a phase the technique does not have
+ */
+export function getMarkerTime(marker, durations) {
+  if (marker.phaseIndex >= durations.length) return null;
+  return getPhaseStartTimes(durations)[marker.phaseIndex] + marker.offset * durations[marker.phaseIndex];
+}
+
+/**
+ * Place a cycle time on a phase
+ * @param {number} time - Seconds from the cycle start
+ * @param {number[]} durations - Phase durations of the cycle
+ * @returns {object} - {phaseIndex, offset}
+ */
+export function locateCycleTime(time, durations) {
+  const starts = getPhaseStartTimes(durations);
+  let phaseIndex = starts.length - 1;
+  while (phaseIndex > 0 && time < starts[phaseIndex]) {
+    phaseIndex--;
+  }
+
+  const duration = durations[phaseIndex] || 1;
+  return { phaseIndex: Math.max(0, phaseIndex), offset: clampOffset((time - starts[phaseIndex]) / duration) };
+}
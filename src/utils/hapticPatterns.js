@@ -0,0 +1,139 @@
+/**
+ * Haptic pattern utilities
+ * Generates vibration patterns that follow the breath: pulses that grow denser
+ * through an inhale, a steady low pulse on hold and pulses that fade out on exhale
+ */
+
+export const HAPTIC_SHAPES = {
+  RAMP: 'ramp',
+  STEADY: 'steady',
+  DECAY: 'decay',
+  OFF: 'off'
+};
+
+export const HAPTIC_SLOTS = ['inhale', 'hold', 'exhale'];
+
+// Pulse length in ms at full strength; navigator.vibrate has no amplitude control
+export const HAPTIC_STRENGTHS = {
+  light: 20,
+  medium: 35,
+  strong: 60
+};
+
+export const DEFAULT_HAPTIC_PROFILE = {
+  enabled: false,
+  inhale: HAPTIC_SHAPES.RAMP,
+  hold: HAPTIC_SHAPES.STEADY,
+  exhale: HAPTIC_SHAPES.DECAY,
+  strength: 'medium'
+};
+
+// Gaps between pulses at the sparse and dense ends of a ramp
+const SPARSE_GAP_MS = 700;
+const DENSE_GAP_MS = 150;
+const STEADY_PERIOD_MS = 1000;
+// Quiet time before the next phase so its first pulse stands out
+const PHASE_END_MARGIN_MS = 150;
+// Browsers cap the number of entries in a vibration pattern
+const MAX_PATTERN_LENGTH = 99;
+
+/**
+ * Normalize a haptic profile, falling back to the defaults per field
+ * @param {object|null} profile - Raw {enabled, inhale, hold, exhale, strength}
+ * @returns {object} - Normalized profile
+ */
+export function normalizeHapticProfile(profile) {
+  if (!profile || typeof profile !== 'object') {
+    return { ...DEFAULT_HAPTIC_PROFILE };
+  }
+
+  const shapes = Object.values(HAPTIC_SHAPES);
+  const normalized = {
+    enabled: profile.enabled === true,
+    strength: HAPTIC_STRENGTHS[profile.strength] ? profile.strength : DEFAULT_HAPTIC_PROFILE.strength
+  };
+  HAPTIC_SLOTS.forEach((slot) => {
+    normalized[slot] = shapes.includes(profile[slot]) ? profile[slot] : DEFAULT_HAPTIC_PROFILE[slot];
+  });
+  return normalized;
+}
+
+/**
+ * Get the haptic slot a phase uses
+ * @param {string} phaseKey - Phase key
+ * @returns {string|null} - Slot, or null for phases without one
+ */
+export function getHapticSlotForPhase(phaseKey) {
+  if (/^hold\d*$/.test(phaseKey)) return 'hold';
+  return HAPTIC_SLOTS.includes(phaseKey) ? phaseKey : null;
+}
+
+/**
+ * Get the registered pattern name for a technique's phase
+ * @param {string} techniqueId - Technique id
+ * @param {string} phaseKey - Phase key
+ * @returns {string} - Pattern name
+ */
+export function getPhasePatternName(techniqueId, phaseKey) {
+  return `${techniqueId}:${phaseKey}`;
+}
+
+const lerp = (from, to, progress) => from + (to - from) * progress;
+
+/**
+ * Generate a vibration pattern for one phase
+ * The first pulse is always at full strength so each phase start can be felt
+ * @param {string} shape - One of HAPTIC_SHAPES
+ * @param {number} durationSec - Phase duration in seconds
+ * @param {string} [strength] - One of the HAPTIC_STRENGTHS keys
+ * @returns {number[]} - Alternating vibrate/pause durations in ms; empty when off
+ */
+export function generateHapticPattern(shape, durationSec, strength = DEFAULT_HAPTIC_PROFILE.strength) {
+  const pulseMs = HAPTIC_STRENGTHS[strength] || HAPTIC_STRENGTHS[DEFAULT_HAPTIC_PROFILE.strength];
+  const totalMs = Math.round(Number(durationSec) * 1000) - PHASE_END_MARGIN_MS;
+  if (shape === HAPTIC_SHAPES.OFF || !Number.isFinite(totalMs) || totalMs < pulseMs) {
+    return [];
+  }
+
+  // Pulse length and gap at a point of the phase, 0 at the start and 1 at the end
+  const shapes = {
+    [HAPTIC_SHAPES.RAMP]: progress => [lerp(0.6, 1, progress), lerp(SPARSE_GAP_MS, DENSE_GAP_MS, progress)],
+    [HAPTIC_SHAPES.STEADY]: () => [0.5, STEADY_PERIOD_MS - pulseMs * 0.5],
+    [HAPTIC_SHAPES.DECAY]: progress => [lerp(1, 0.4, progress), lerp(DENSE_GAP_MS, SPARSE_GAP_MS, progress)]
+  };
+  const getPulse = shapes[shape] || shapes[HAPTIC_SHAPES.STEADY];
+
+  const pattern = [pulseMs];
+  let time = pulseMs;
+  while (pattern.length + 2 <= MAX_PATTERN_LENGTH) {
+    const [level, gap] = getPulse(time / totalMs);
+    const pulse = Math.round(pulseMs * level);
+    if (time + gap + pulse > totalMs) break;
+
+    pattern.push(Math.round(gap), pulse);
+    time += Math.round(gap) + pulse;
+  }
+  return pattern;
+}
+
+/**
+ * Generate the patterns for every phase of a technique from its durations
+ * @param {object} technique - Technique
+ * @param {object} profile - Haptic profile
+ * @param {number} [cycleIndex] - Cycle whose durations are used
+ * @returns {object} - {phaseKey: pattern}; phases without a slot or with shape off are left out
+ */
+export function generateTechniqueHapticPatterns(technique, profile, cycleIndex = 0) {
+  const normalized = normalizeHapticProfile(profile);
+  const phases = technique?.getPhases?.() || [];
+  const durations = technique?.getDurationsForCycle?.(cycleIndex) || technique?.getDurationsSec?.() || [];
+
+  return phases.reduce((patterns, phase, index) => {
+    const slot = getHapticSlotForPhase(phase.key);
+    const pattern = slot ? generateHapticPattern(normalized[slot], durations[index], normalized.strength) : [];
+    if (pattern.length > 0) {
+      patterns[phase.key] = pattern;
+    }
+    return patterns;
+  }, {});
+}
@@ -0,0 +1,40 @@
+/**
+ * Phase step utilities
+ * Maps (possibly fractional) phase durations onto whole per-second steps
+ * used by visualization points, cues and lung scaling
+ */
+
+// Tolerance for floating point drift when elapsed time lands on a step boundary
+export const STEP_EPSILON = 1e-6;
+
+/**
+ * Number of steps a phase is split into (a 5.5s phase has 6 steps)
+ * @param {number} duration - Phase duration in seconds
+ * @returns {number} - Step count (at least 1)
+ */
+export function getStepCount(duration) {
+  if (!(duration > 0)) return 1;
+  return Math.max(1, Math.ceil(duration - STEP_EPSILON));
+}
+
+/**
+ * Index of the step the given time falls into
+ * @param {number} timeInPhase - Seconds since phase start (may be fractional)
+ * @param {number} duration - Phase duration in seconds
+ * @returns {number} - Zero-based step index
+ */
+export function getStepIndex(timeInPhase, duration) {
+  const index = Math.floor((timeInPhase || 0) + STEP_EPSILON);
+  return Math.min(Math.max(0, index), getStepCount(duration) - 1);
+}
+
+/**
+ * Step-based progress through a phase, reaching 1 on the last step
+ * @param {number} timeInPhase - Seconds since phase start (may be fractional)
+ * @param {number} duration - Phase duration in seconds
+ * @returns {number} - Progress in (0, 1]
+ */
+export function getStepProgress(timeInPhase, duration) {
+  if (!(duration > 0)) return 1;
+  return (getStepIndex(timeInPhase, duration) + 1) / getStepCount(duration);
+}
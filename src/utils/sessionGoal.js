@@ -0,0 +1,115 @@
+/**
+ * Session goal utilities
+ * Normalizes session goals (N minutes or N cycles) and measures progress toward them
+ */
+
+export const SESSION_GOAL_TYPES = {
+  NONE: 'none',
+  MINUTES: 'minutes',
+  CYCLES: 'cycles'
+};
+
+export const DEFAULT_SESSION_GOAL = { type: SESSION_GOAL_TYPES.NONE, value: 0 };
+
+const MAX_GOAL_VALUE = {
+  [SESSION_GOAL_TYPES.MINUTES]: 180,
+  [SESSION_GOAL_TYPES.CYCLES]: 1000
+};
+
+/**
+ * Normalize a goal definition, falling back to an open-ended session
+ * @param {object|null} goal - Raw goal {type, value}
+ * @returns {object} - Normalized goal {type, value}
+ */
+export function normalizeSessionGoal(goal) {
+  if (!goal || typeof goal !== 'object') {
+    return { ...DEFAULT_SESSION_GOAL };
+  }
+
+  const maxValue = MAX_GOAL_VALUE[goal.type];
+  const value = Number(goal.value);
+
+  if (!maxValue || !Number.isFinite(value) || value <= 0) {
+    return { ...DEFAULT_SESSION_GOAL };
+  }
+
+  return {
+    type: goal.type,
+    value: Math.min(maxValue, goal.type === SESSION_GOAL_TYPES.CYCLES ? Math.round(value) || 1 : value)
+  };
+}
+
+/**
+ * Check whether a goal limits the session
+ * @param {object|null} goal - Session goal
+ * @returns {boolean} - True if the session should finish on its own
+ */
+export function hasSessionGoal(goal) {
+  return normalizeSessionGoal(goal).type !== SESSION_GOAL_TYPES.NONE;
+}
+
+/**
+ * Progress toward a goal
+ * @param {object|null} goal - Session goal
+ * @param {number} elapsedSeconds - Elapsed session time in seconds
+ * @param {number} cyclesCompleted - Completed cycles
+ * @returns {number} - Progress in [0, 1] (0 for open-ended sessions)
+ */
+export function getSessionGoalProgress(goal, elapsedSeconds, cyclesCompleted) {
+  const normalized = normalizeSessionGoal(goal);
+
+  switch (normalized.type) {
+    case SESSION_GOAL_TYPES.MINUTES:
+      return Math.min(1, Math.max(0, (elapsedSeconds || 0) / (normalized.value * 60)));
+    case SESSION_GOAL_TYPES.CYCLES:
+      return Math.min(1, Math.max(0, (cyclesCompleted || 0) / normalized.value));
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Check whether a goal has been reached
+ * Callers evaluate this at cycle boundaries so sessions end on a whole cycle
+ * @param {object|null} goal - Session goal
+ * @param {number} elapsedSeconds - Elapsed session time in seconds
+ * @param {number} cyclesCompleted - Completed cycles
+ * @returns {boolean} - True if reached
+ */
+export function isSessionGoalReached(goal, elapsedSeconds, cyclesCompleted) {
+  if (!hasSessionGoal(goal)) return false;
+  return getSessionGoalProgress(goal, elapsedSeconds, cyclesCompleted) >= 1;
+}
+
+/**
+ * Format seconds as m:ss for goal and summary displays
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Formatted duration
+ */
+export function formatSessionTime(seconds) {
+  const totalSeconds = Math.max(0, Math.round(seconds || 0));
+  const minutes = Math.floor(totalSeconds / 60);
+  const remainder = totalSeconds % 60;
+  return `${minutes}:${String(remainder).padStart(2, '0')}`;
+}
+
+/**
+ * Describe progress toward a goal, e.g. "3 / 10" cycles or "2:30 / 5:00"
+ * @param {object|null} goal - Session goal
+ * @param {object} stats - Session stats {elapsedSeconds, cyclesCompleted}
+ * @returns {string} - Progress text (empty for open-ended sessions)
+ */
+export function formatSessionGoalProgress(goal, stats = {}) {
+  const normalized = normalizeSessionGoal(goal);
+
+  if (normalized.type === SESSION_GOAL_TYPES.MINUTES) {
+    const target = normalized.value * 60;
+    return `${formatSessionTime(Math.min(stats.elapsedSeconds || 0, target))} / ${formatSessionTime(target)}`;
+  }
+
+  if (normalized.type === SESSION_GOAL_TYPES.CYCLES) {
+    return `${Math.min(stats.cyclesCompleted || 0, normalized.value)} / ${normalized.value}`;
+  }
+
+  return '';
+}
@@ -0,0 +1,243 @@
+/**
+ * Session statistics
+ * Aggregates session history records into totals, streaks, favorite techniques
+ * and a calendar heatmap
+ * Follows Single Responsibility Principle - pure aggregation, no storage or UI
+ */
+
+const MS_PER_MINUTE = 60 * 1000;
+
+export const DEFAULT_HEATMAP_WEEKS = 12;
+export const HEATMAP_LEVELS = 4;
+
+/**
+ * Get the local start of day for a timestamp
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @returns {number} - Start of day timestamp
+ */
+const startOfDay = (timestamp) => {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+/**
+ * Shift a day by whole calendar days (DST safe)
+ * @param {number} timestamp - Start of day timestamp
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {number} - Start of day timestamp
+ */
+const addDays = (timestamp, days) => {
+  const date = new Date(timestamp);
+  date.setDate(date.getDate() + days);
+  return startOfDay(date.getTime());
+};
+
+/**
+ * Get the local calendar day key (YYYY-MM-DD) for a timestamp
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @returns {string} - Day key
+ */
+export function getDayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Number of sessions a record stands for (compacted records cover several)
+ * @param {object} record - Session record
+ * @returns {number} - Session count
+ */
+const sessionCountOf = (record) => Math.max(1, record.sessionCount || 1);
+
+/**
+ * Sum active time and sessions per local calendar day
+ * @param {object[]} records - Session records
+ * @returns {Map<string, object>} - Day key -> {activeMs, minutes, sessions}
+ */
+export function getDailyTotals(records = []) {
+  const totals = new Map();
+
+  records.forEach(record => {
+    const key = getDayKey(record.startTime);
+    const day = totals.get(key) || { activeMs: 0, minutes: 0, sessions: 0 };
+    day.activeMs += record.activeMs || 0;
+    day.minutes = day.activeMs / MS_PER_MINUTE;
+    day.sessions += sessionCountOf(record);
+    totals.set(key, day);
+  });
+
+  return totals;
+}
+
+/**
+ * Compute practice streaks in consecutive local days
+ * The current streak stays alive until the end of today, so a streak that
+ * ended yesterday still counts
+ * @param {Map<string, object>} dailyTotals - Result of getDailyTotals
+ * @param {number} now - Current timestamp
+ * @returns {object} - {current, longest} in days
+ */
+export function getStreaks(dailyTotals, now = Date.now()) {
+  const isActive = (day) => (dailyTotals.get(getDayKey(day))?.activeMs || 0) > 0;
+
+  const today = startOfDay(now);
+  let cursor = isActive(today) ? today : addDays(today, -1);
+  let current = 0;
+  while (isActive(cursor)) {
+    current++;
+    cursor = addDays(cursor, -1);
+  }
+
+  const activeDays = Array.from(dailyTotals.keys())
+    .filter(key => dailyTotals.get(key).activeMs > 0)
+    .sort();
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  activeDays.forEach(key => {
+    const [year, month, day] = key.split('-').map(Number);
+    const dayStart = new Date(year, month - 1, day).getTime();
+    run = previous !== null && getDayKey(addDays(previous, 1)) === key ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = dayStart;
+  });
+
+  return { current, longest: Math.max(longest, current) };
+}
+
+/**
+ * Rank techniques by practice time, then by session count
+ * @param {object[]} records - Session records
+ * @param {number} limit - Maximum number of techniques
+ * @returns {object[]} - [{techniqueId, sessions, minutes, share}]
+ */
+export function getFavoriteTechniques(records = [], limit = 3) {
+  const byTechnique = new Map();
+  let totalMs = 0;
+
+  records.forEach(record => {
+    const entry = byTechnique.get(record.techniqueId) || { techniqueId: record.techniqueId, activeMs: 0, sessions: 0 };
+    entry.activeMs += record.activeMs || 0;
+    entry.sessions += sessionCountOf(record);
+    totalMs += record.activeMs || 0;
+    byTechnique.set(record.techniqueId, entry);
+  });
+
+  return Array.from(byTechnique.values())
+    .sort((a, b) => (b.activeMs - a.activeMs) || (b.sessions - a.sessions))
+    .slice(0, Math.max(0, limit))
+    .map(entry => ({
+      techniqueId: entry.techniqueId,
+      sessions: entry.sessions,
+      minutes: entry.activeMs / MS_PER_MINUTE,
+      share: totalMs > 0 ? entry.activeMs / totalMs : 0
+    }));
+}
+
+/**
+ * Usage metrics for a single technique
+ * @param {object[]} records - Session records
+ * @param {string} techniqueId - Technique ID
+ * @returns {object} - {totalSessions, totalDuration, averageSessionDuration, lastUsed} (durations in ms)
+ */
+export function getTechniqueMetrics(records = [], techniqueId) {
+  const matching = records.filter(record => record.techniqueId === techniqueId);
+  const totalSessions = matching.reduce((sum, record) => sum + sessionCountOf(record), 0);
+  const totalDuration = matching.reduce((sum, record) => sum + (record.activeMs || 0), 0);
+  const lastEnd = matching.reduce((latest, record) => Math.max(latest, record.endTime || 0), 0);
+
+  return {
+    totalSessions,
+    totalDuration,
+    averageSessionDuration: totalSessions > 0 ? totalDuration / totalSessions : 0,
+    lastUsed: lastEnd > 0 ? new Date(lastEnd).toISOString() : null
+  };
+}
+
+/**
+ * Build a calendar heatmap: one column per week, one row per weekday
+ * @param {Map<string, object>} dailyTotals - Result of getDailyTotals
+ * @param {object} options - Options
+ * @param {number} [options.now] - Current timestamp
+ * @param {number} [options.weeks] - Number of weeks to show, ending with the current week
+ * @param {number} [options.weekStartsOn] - First weekday (0 = Sunday, 1 = Monday)
+ * @returns {object} - {weeks: [[{key, date, minutes, level, isFuture}]], maxMinutes}
+ */
+export function buildCalendarHeatmap(dailyTotals, { now = Date.now(), weeks = DEFAULT_HEATMAP_WEEKS, weekStartsOn = 1 } = {}) {
+  const today = startOfDay(now);
+  const offset = (new Date(today).getDay() - weekStartsOn + 7) % 7;
+  const firstDay = addDays(today, -offset - (weeks - 1) * 7);
+
+  const columns = [];
+  let maxMinutes = 0;
+  let cursor = firstDay;
+
+  for (let week = 0; week < weeks; week++) {
+    const column = [];
+    for (let weekday = 0; weekday < 7; weekday++) {
+      const key = getDayKey(cursor);
+      const minutes = dailyTotals.get(key)?.minutes || 0;
+      maxMinutes = Math.max(maxMinutes, minutes);
+      column.push({ key, date: cursor, minutes, level: 0, isFuture: cursor > today });
+      cursor = addDays(cursor, 1);
+    }
+    columns.push(column);
+  }
+
+  columns.forEach(column => column.forEach(cell => {
+    cell.level = cell.minutes > 0 && maxMinutes > 0
+      ? Math.max(1, Math.ceil((cell.minutes / maxMinutes) * HEATMAP_LEVELS))
+      : 0;
+  }));
+
+  return { weeks: columns, maxMinutes };
+}
+
+/**
+ * Aggregate session history into dashboard statistics
+ * @param {object[]} records - Session records (see SessionHistoryService)
+ * @param {object} options - Options
+ * @param {number} [options.now] - Current timestamp
+ * @param {number} [options.weekStartsOn] - First weekday (0 = Sunday, 1 = Monday)
+ * @param {number} [options.heatmapWeeks] - Weeks shown in the heatmap
+ * @param {number} [options.favoriteLimit] - Number of favorite techniques
+ * @returns {object} - Aggregated statistics
+ */
+export function aggregateSessionStats(records = [], {
+  now = Date.now(),
+  weekStartsOn = 1,
+  heatmapWeeks = DEFAULT_HEATMAP_WEEKS,
+  favoriteLimit = 3
+} = {}) {
+  const today = startOfDay(now);
+  const weekStart = addDays(today, -((new Date(today).getDay() - weekStartsOn + 7) % 7));
+  const monthStartDate = new Date(today);
+  monthStartDate.setDate(1);
+  const monthStart = monthStartDate.getTime();
+
+  const minutesSince = (from) => records
+    .filter(record => record.startTime >= from)
+    .reduce((sum, record) => sum + (record.activeMs || 0), 0) / MS_PER_MINUTE;
+
+  const totalMs = records.reduce((sum, record) => sum + (record.activeMs || 0), 0);
+  const totalSessions = records.reduce((sum, record) => sum + sessionCountOf(record), 0);
+  const dailyTotals = getDailyTotals(records);
+  const streaks = getStreaks(dailyTotals, now);
+
+  return {
+    todayMinutes: minutesSince(today),
+    weekMinutes: minutesSince(weekStart),
+    monthMinutes: minutesSince(monthStart),
+    totalMinutes: totalMs / MS_PER_MINUTE,
+    totalSessions,
+    averageSessionSeconds: totalSessions > 0 ? totalMs / totalSessions / 1000 : 0,
+    currentStreak: streaks.current,
+    longestStreak: streaks.longest,
+    favoriteTechniques: getFavoriteTechniques(records, favoriteLimit),
+    heatmap: buildCalendarHeatmap(dailyTotals, { now, weeks: heatmapWeeks, weekStartsOn })
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * Sound assignment utilities
+ * Maps cue slots (inhale, exhale, hold, count tick) to imported sound samples,
+ * for all techniques or for one technique
+ */
+
+export const SOUND_SLOTS = ['inhale', 'exhale', 'hold', 'tick'];
+
+/**
+ * Keep only known slots assigned to sample ids
+ * @param {object} slots - Raw {slot: sampleId}
+ * @returns {object} - Normalized {slot: sampleId}
+ */
+const normalizeSlots = (slots) => {
+  if (!slots || typeof slots !== 'object') return {};
+
+  return SOUND_SLOTS.reduce((normalized, slot) => {
+    if (typeof slots[slot] === 'string' && slots[slot]) {
+      normalized[slot] = slots[slot];
+    }
+    return normalized;
+  }, {});
+};
+
+/**
+ * Normalize sound assignments, dropping unknown slots and empty techniques
+ * @param {object|null} assignments - Raw {default: slots, techniques: {[techniqueId]: slots}}
+ * @returns {object} - Normalized assignments
+ */
+export function normalizeSoundAssignments(assignments) {
+  if (!assignments || typeof assignments !== 'object') {
+    return { default: {}, techniques: {} };
+  }
+
+  const techniques = {};
+  Object.entries(assignments.techniques || {}).forEach(([techniqueId, slots]) => {
+    const normalized = normalizeSlots(slots);
+    if (Object.keys(normalized).length > 0) {
+      techniques[techniqueId] = normalized;
+    }
+  });
+
+  return { default: normalizeSlots(assignments.default), techniques };
+}
+
+/**
+ * Get the slot a phase's start cue uses
+ * @param {string} phaseKey - Phase key
+ * @returns {string|null} - Slot, or null for phases without one
+ */
+export function getSoundSlotForPhase(phaseKey) {
+  // Both holds of box-style techniques share the hold sound
+  if (/^hold\d*$/.test(phaseKey)) return 'hold';
+  return SOUND_SLOTS.includes(phaseKey) && phaseKey !== 'tick' ? phaseKey : null;
+}
+
+/**
+ * Resolve the samples for a technique; its own assignments win over the defaults
+ * @param {object} assignments - Sound assignments
+ * @param {string} [techniqueId] - Technique id
+ * @returns {object} - {slot: sampleId}
+ */
+export function resolveSoundAssignments(assignments, techniqueId) {
+  const normalized = normalizeSoundAssignments(assignments);
+  return { ...normalized.default, ...(normalized.techniques[techniqueId] || {}) };
+}
+
+/**
+ * Assign a sample to a slot, or clear the slot
+ * @param {object} assignments - Sound assignments
+ * @param {object} assignment - {slot, sampleId (null clears), techniqueId (null for all techniques)}
+ * @returns {object} - Updated assignments
+ */
+export function assignSound(assignments, { slot, sampleId, techniqueId = null }) {
+  const normalized = normalizeSoundAssignments(assignments);
+  const slots = { ...(techniqueId ? normalized.techniques[techniqueId] : normalized.default) };
+
+  if (sampleId) {
+    slots[slot] = sampleId;
+  } else {
+    delete slots[slot];
+  }
+
+  return techniqueId
+    ? normalizeSoundAssignments({ ...normalized, techniques: { ...normalized.techniques, [techniqueId]: slots } })
+    : normalizeSoundAssignments({ ...normalized, default: slots });
+}
+
+/**
+ * Clear every slot a sample is assigned to, e.g. after it is deleted
+ * @param {object} assignments - Sound assignments
+ * @param {string} sampleId - Sample id
+ * @returns {object} - Updated assignments
+ */
+export function unassignSample(assignments, sampleId) {
+  const normalized = normalizeSoundAssignments(assignments);
+  const withoutSample = (slots) => Object.fromEntries(
+    Object.entries(slots).filter(([, id]) => id !== sampleId)
+  );
+
+  return normalizeSoundAssignments({
+    default: withoutSample(normalized.default),
+    techniques: Object.fromEntries(
+      Object.entries(normalized.techniques).map(([techniqueId, slots]) => [techniqueId, withoutSample(slots)])
+    )
+  });
+}
+
+/**
+ * Collect every sample id in use
+ * @param {object} assignments - Sound assignments
+ * @returns {string[]} - Unique sample ids
+ */
+export function getAssignedSampleIds(assignments) {
+  const normalized = normalizeSoundAssignments(assignments);
+  const ids = [normalized.default, ...Object.values(normalized.techniques)]
+    .flatMap(slots => Object.values(slots));
+  return [...new Set(ids)];
+}
@@ -0,0 +1,17 @@
+/**
+ * Value equality utilities
+ * Compares the plain JSON values the app stores
+ */
+
+/**
+ * Compare plain values regardless of object key order
+ * @param {any} a - Value
+ * @param {any} b - Value
+ * @returns {boolean} - True if equal
+ */
+export function isSameValue(a, b) {
+  const sortKeys = (_key, value) => (value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.fromEntries(Object.keys(value).sort().map(key => [key, value[key]]))
+    : value);
+  return JSON.stringify(a, sortKeys) === JSON.stringify(b, sortKeys);
+}
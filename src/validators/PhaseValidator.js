@@ -51,7 +51,7 @@ export class PhaseValidator {
     }
 
     // Valid phase keys
-    const validKeys = ['inhale', 'hold', 'exhale', 'pause'];
+    const validKeys = ['inhale', 'hold', 'hold1', 'exhale', 'hold2', 'pause'];
     if (phase.key && !validKeys.includes(phase.key)) {
       result.warnings.push({
         field: 'key',
@@ -27,15 +27,14 @@ export class VisualizationModeManager {
     return this.orderedKeys[0] || null;
   }
 
-  getNextKey(currentKey) {
-    const keys = this.getKeys();
+  // keys: the cycle to move through when it holds modes drawn outside the manager
+  getNextKey(currentKey, keys = this.getKeys()) {
     if (!keys.length) return null;
     const idx = Math.max(0, keys.indexOf(currentKey));
     return keys[(idx + 1) % keys.length];
   }
 
-  getPrevKey(currentKey) {
-    const keys = this.getKeys();
+  getPrevKey(currentKey, keys = this.getKeys()) {
     if (!keys.length) return null;
     const idx = Math.max(0, keys.indexOf(currentKey));
     return keys[(idx - 1 + keys.length) % keys.length];
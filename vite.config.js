@@ -1,9 +1,10 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { precacheServiceWorker } from './vite/precacheServiceWorker.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheServiceWorker()],
   base: '/breathing-techniques/', 
   assetsInclude: ['**/*.yaml', '**/*.yml'],
   test: {
@@ -0,0 +1,78 @@
+/**
+ * Precache Service Worker plugin
+ * Emits sw.js at build time from src/pwa/serviceWorker.js, filled in with the list of
+ * files to precache (the built bundle plus everything in public/, e.g. locales/*.yaml)
+ * and a version derived from their contents, so every change ships a new worker
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync, readdirSync, statSync, existsSync } from 'node:fs';
+import { join, relative, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SERVICE_WORKER_SOURCE = fileURLToPath(new URL('../src/pwa/serviceWorker.js', import.meta.url));
+
+/**
+ * List files below a directory, relative to it with forward slashes
+ * @param {string} directory - Directory path
+ * @returns {string[]} - Relative file paths
+ */
+const listFiles = (directory) => {
+  if (!directory || !existsSync(directory)) return [];
+
+  return readdirSync(directory).flatMap(entry => {
+    const path = join(directory, entry);
+    return statSync(path).isDirectory()
+      ? listFiles(path).map(file => `${entry}/${file}`)
+      : [relative(directory, path).split(sep).join('/')];
+  });
+};
+
+/**
+ * Create the plugin
+ * @param {object} [options] - Options
+ * @param {string} [options.fileName] - Emitted service worker name
+ * @param {RegExp[]} [options.exclude] - Output files that are not precached
+ * @returns {object} - Vite plugin
+ */
+export function precacheServiceWorker({
+  fileName = 'sw.js',
+  exclude = [/\.map$/]
+} = {}) {
+  let publicDir = null;
+
+  return {
+    name: 'precache-service-worker',
+    apply: 'build',
+    enforce: 'post',
+
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+
+    generateBundle(_options, bundle) {
+      const hash = createHash('sha256');
+      const isIncluded = (file) => file !== fileName && !exclude.some(pattern => pattern.test(file));
+
+      const bundleFiles = Object.keys(bundle).filter(isIncluded).sort();
+      bundleFiles.forEach(file => {
+        const output = bundle[file];
+        hash.update(file);
+        hash.update(output.type === 'chunk' ? output.code : output.source);
+      });
+
+      const publicFiles = listFiles(publicDir).filter(isIncluded).sort();
+      publicFiles.forEach(file => {
+        hash.update(file);
+        hash.update(readFileSync(join(publicDir, file)));
+      });
+
+      const manifest = [...bundleFiles, ...publicFiles];
+      const source = readFileSync(SERVICE_WORKER_SOURCE, 'utf8')
+        .replace('self.__PRECACHE_MANIFEST__', JSON.stringify(manifest))
+        .replace('self.__PRECACHE_VERSION__', JSON.stringify(hash.digest('hex').slice(0, 12)));
+
+      this.emitFile({ type: 'asset', fileName, source });
+    }
+  };
+}